@@ -0,0 +1,248 @@
+import Mnee, { MockMneeApi, AbortedError, ValidationError } from '@mnee/ts-sdk';
+import { PrivateKey } from '@bsv/sdk';
+import assert from 'assert';
+
+const recipient = PrivateKey.fromRandom().toAddress();
+
+// Requests whose URL contains `path` never answer; the rest go to the mock. Like an open
+// socket, a hanging request keeps the process alive until it is aborted or released.
+const hanging = new Set();
+const hang = (api, path, seen = []) => (url, init) => {
+  if (!String(url).includes(path)) return api.fetch(url, init);
+  seen.push(init?.signal);
+  const timer = setInterval(() => {}, 1000);
+  hanging.add(timer);
+  init?.signal?.addEventListener('abort', () => {
+    clearInterval(timer);
+    hanging.delete(timer);
+  });
+  return new Promise(() => {});
+};
+
+const elapsed = async (fn) => {
+  const start = Date.now();
+  const result = await fn().catch((e) => e);
+  return { result, ms: Date.now() - start };
+};
+
+// Test 1: timeoutMs and signal abort in-flight requests
+async function testInFlight() {
+  const api = new MockMneeApi();
+  const address = PrivateKey.fromRandom().toAddress();
+  const seen = [];
+  const mnee = new Mnee({ ...api.sdkConfig(), fetch: hang(api, '/v2/balance', seen) });
+  await mnee.config();
+
+  const { result: timedOut, ms } = await elapsed(() => mnee.balance(address, { timeoutMs: 50 }));
+  assert(timedOut instanceof AbortedError, 'A timed out call should reject with AbortedError');
+  assert.strictEqual(timedOut.code, 'ABORTED');
+  assert.strictEqual(timedOut.timedOut, true);
+  assert.strictEqual(timedOut.message, 'Request timed out');
+  assert(ms < 1000, `Should give up after the timeout, took ${ms}ms`);
+  assert(seen[0]?.aborted, 'The signal should reach the transport');
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 20);
+  const aborted = await mnee.balances([address], { signal: controller.signal }).catch((e) => e);
+  assert(aborted instanceof AbortedError);
+  assert.strictEqual(aborted.timedOut, false);
+  assert.strictEqual(aborted.message, 'Request aborted');
+
+  // A reason that is already an SDK error is kept
+  const reason = new AbortedError('Client disconnected');
+  const withReason = await mnee.balance(address, { signal: AbortSignal.abort(reason) }).catch((e) => e);
+  assert.strictEqual(withReason, reason);
+
+  await assert.rejects(() => mnee.balance(address, { timeoutMs: 0 }), ValidationError);
+  await assert.rejects(() => mnee.getUtxos(address, 1, 10, 'asc', { timeoutMs: -1 }), /timeoutMs must be a positive number/);
+}
+
+// Test 2: Rate-limit cooldowns stop waiting on abort
+async function testCooldown() {
+  const api = new MockMneeApi();
+  const address = PrivateKey.fromRandom().toAddress();
+  const mnee = new Mnee({
+    ...api.sdkConfig(),
+    fetch: (url, init) =>
+      String(url).includes('/v2/utxos')
+        ? Promise.resolve(new Response('slow down', { status: 429, headers: { 'Retry-After': '60' } }))
+        : api.fetch(url, init),
+  });
+
+  const { result, ms } = await elapsed(() => mnee.getAllUtxos(address, { timeoutMs: 100 }));
+  assert(result instanceof AbortedError, `Expected AbortedError, got ${result?.message}`);
+  assert(ms < 1000, `Should not sit out the 60 second cooldown, took ${ms}ms`);
+}
+
+// Test 3: Transfers and parsing
+async function testTransferAndParse() {
+  const api = new MockMneeApi();
+  const sender = PrivateKey.fromRandom();
+  await api.mint(sender.toAddress(), 100000);
+  const request = [{ address: recipient, amount: 0.1 }];
+
+  let calls = 0;
+  const counting = new Mnee({
+    ...api.sdkConfig(),
+    fetch: (url, init) => {
+      calls++;
+      return api.fetch(url, init);
+    },
+  });
+  await counting.config();
+  calls = 0;
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(() => counting.transfer(request, sender.toWif(), { signal: controller.signal }), AbortedError);
+  assert.strictEqual(calls, 0, 'An aborted signal should stop the transfer before any request');
+
+  const stuck = new Mnee({ ...api.sdkConfig(), fetch: hang(api, '/v2/transfer') });
+  const { result, ms } = await elapsed(() => stuck.transfer(request, sender.toWif(), { timeoutMs: 100 }));
+  assert(result instanceof AbortedError, `Expected AbortedError, got ${result?.message}`);
+  assert(ms < 1000);
+
+  const mnee = new Mnee(api.sdkConfig());
+  const { rawtx } = await mnee.transfer(request, sender.toWif(), { broadcast: false });
+  const slowTx = new Mnee({ ...api.sdkConfig(), fetch: hang(api, '/v1/tx/') });
+  const txid = api.listUtxos(sender.toAddress())[0].txid;
+  // Source transaction fetches are shared between callers, so they keep running after one gives up
+  await assert.rejects(() => slowTx.parseTx(txid, { timeoutMs: 50 }), AbortedError);
+  await assert.rejects(() => slowTx.parseTxFromRawTx(rawtx, { skipInputFetch: false, timeoutMs: 50 }), AbortedError);
+  // Without input fetches nothing waits on the network
+  assert((await slowTx.parseTxFromRawTx(rawtx, { timeoutMs: 50 })).isValid);
+}
+
+// Test 4: Batches stop queued chunks and retries
+async function testBatch() {
+  const api = new MockMneeApi();
+  const addresses = Array.from({ length: 6 }, () => PrivateKey.fromRandom().toAddress());
+  let balanceCalls = 0;
+  const mnee = new Mnee({
+    ...api.sdkConfig(),
+    fetch: (url, init) => {
+      if (String(url).includes('/v2/balance')) balanceCalls++;
+      return api.fetch(url, init);
+    },
+  });
+  await mnee.config();
+
+  // One request per second: the first chunk holds the only slot when the abort arrives
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 300);
+  const batch = mnee.batch().getBalances(addresses, {
+    chunkSize: 1,
+    requestsPerSecond: 1,
+    continueOnError: true,
+    signal: controller.signal,
+  });
+  await assert.rejects(batch, AbortedError, 'continueOnError should not swallow an abort');
+  assert.strictEqual(balanceCalls, 1, 'Queued chunks should not start after the abort');
+
+  // A failing chunk's retry delay is cut short
+  const failing = new Mnee({
+    ...api.sdkConfig(),
+    fetch: (url, init) =>
+      String(url).includes('/v1/sync') ? Promise.resolve(new Response('boom', { status: 500 })) : api.fetch(url, init),
+  });
+  const { result, ms } = await elapsed(() =>
+    failing.batch().getTxHistories([{ address: addresses[0] }], { retryDelay: 10000, timeoutMs: 200 }),
+  );
+  assert(result instanceof AbortedError, `Expected AbortedError, got ${result?.message}`);
+  assert(ms < 2000, `Should not wait out the retry delay, took ${ms}ms`);
+}
+
+// Test 5: waitForTx rejects with AbortedError
+async function testWaitForTx() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const sender = PrivateKey.fromRandom();
+  await api.mint(sender.toAddress(), 100000);
+  const { ticketId } = await mnee.transfer([{ address: recipient, amount: 0.1 }], sender.toWif());
+
+  const error = await mnee.waitForTx(ticketId, { signal: AbortSignal.abort() }).catch((e) => e);
+  assert(error instanceof AbortedError);
+  assert.strictEqual(error.message, `Stopped waiting for ticket ${ticketId}: aborted`);
+}
+
+// Test 6: Ticket status, consolidation, multisig builds and BEEF verification
+async function testOtherMethods() {
+  const api = new MockMneeApi();
+  const owner = PrivateKey.fromRandom();
+  const first = await api.mint(owner.toAddress(), 10000);
+  await api.mint(owner.toAddress(), 10000);
+  api.mine();
+
+  const slowTickets = new Mnee({ ...api.sdkConfig(), fetch: hang(api, '/v2/ticket') });
+  const { ticketId } = await slowTickets.transfer([{ address: recipient, amount: 0.01 }], owner.toWif());
+  const status = await elapsed(() => slowTickets.getTxStatus(ticketId, { timeoutMs: 50 }));
+  assert(status.result instanceof AbortedError && status.result.timedOut, `Got ${status.result?.message}`);
+  assert(status.ms < 1000);
+
+  // The consolidation is submitted, then its ticket poll is cut short by the call's timeout
+  const other = PrivateKey.fromRandom();
+  await api.mint(other.toAddress(), 10000);
+  await api.mint(other.toAddress(), 10000);
+  const consolidated = await elapsed(() => slowTickets.consolidate(other.toAddress(), other.toWif(), { waitForOutpoints: true, timeoutMs: 300 }));
+  assert(consolidated.result instanceof AbortedError, `Expected AbortedError, got ${consolidated.result?.message}`);
+  assert.strictEqual(consolidated.result.timedOut, true);
+  assert(consolidated.ms < 2000, `Should not poll past the timeout, took ${consolidated.ms}ms`);
+
+  const slowTx = new Mnee({ ...api.sdkConfig(), fetch: hang(api, '/v1/tx/') });
+  const build = await elapsed(() =>
+    slowTx.buildUnsignedMneeTransaction({
+      inputs: [{ txid: first.txid, vout: first.vout }],
+      recipients: [{ address: recipient, amount: 0.01 }],
+      changeAddress: owner.toAddress(),
+      timeoutMs: 50,
+    }),
+  );
+  assert(build.result instanceof AbortedError, `Expected AbortedError, got ${build.result?.message}`);
+  assert(build.ms < 1000);
+
+  // Chain trackers take no signal; the verification stops waiting on them
+  const chainTracker = { isValidRootForHeight: () => new Promise(() => {}), currentHeight: async () => 1 };
+  const mnee = new Mnee(api.sdkConfig());
+  const verify = await elapsed(() => mnee.verifyMneeBEEF(api.getBeef(first.txid), { chainTracker, timeoutMs: 50 }));
+  assert(verify.result instanceof AbortedError, `Expected AbortedError, got ${verify.result?.message}`);
+  assert(verify.ms < 1000);
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running abort and timeout tests...\n');
+
+  try {
+    console.log('Test 1: In-flight requests');
+    await testInFlight();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Rate-limit cooldown');
+    await testCooldown();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Transfers and parsing');
+    await testTransferAndParse();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('Test 4: Batch operations');
+    await testBatch();
+    console.log('✅ Test 4 passed\n');
+
+    console.log('Test 5: Waiting for a ticket');
+    await testWaitForTx();
+    console.log('✅ Test 5 passed\n');
+
+    console.log('Test 6: Ticket status, consolidation, builds and verification');
+    await testOtherMethods();
+    console.log('✅ Test 6 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  } finally {
+    hanging.forEach(clearInterval);
+  }
+}
+
+runTests();
@@ -0,0 +1,141 @@
+import Mnee from '@mnee/ts-sdk';
+import { PrivateKey } from '@bsv/sdk';
+import assert from 'assert';
+import { fundedWallet } from '../mockWallet.js';
+
+const AMOUNTS = [1000, 5000, 20000, 100000, 300000];
+
+// Each UTXO is minted in its own block so oldest-first has a clear order
+const setup = () => fundedWallet(AMOUNTS, { mine: true });
+
+const amounts = (utxos) => utxos.map((u) => u.data.bsv21.amt);
+
+// Test 1: Built-in strategies (fee for these amounts is 100 atomic units)
+async function testStrategies() {
+  const { mnee, address } = await setup();
+
+  const largest = await mnee.getEnoughUtxos(address, 50000);
+  assert.deepStrictEqual(amounts(largest), [300000], 'largest-first should use the single largest UTXO');
+
+  const smallest = await mnee.getEnoughUtxos(address, 20000, { coinSelection: 'smallest-first' });
+  assert.deepStrictEqual(amounts(smallest), [1000, 5000, 20000], 'smallest-first should spend small UTXOs first');
+
+  const exact = await mnee.getEnoughUtxos(address, 24900, { coinSelection: 'branch-and-bound' });
+  assert.deepStrictEqual(amounts(exact).sort((a, b) => a - b), [5000, 20000], 'branch-and-bound should match exactly');
+
+  const fallback = await mnee.getEnoughUtxos(address, 49900, { coinSelection: 'branch-and-bound' });
+  assert.deepStrictEqual(amounts(fallback), [300000], 'branch-and-bound should fall back to largest-first');
+
+  const oldest = await mnee.getEnoughUtxos(address, 3000, { coinSelection: 'oldest-first' });
+  assert.deepStrictEqual(amounts(oldest), [1000, 5000], 'oldest-first should follow block height');
+}
+
+// Test 2: Custom selector callbacks
+async function testCallback() {
+  const { mnee, address } = await setup();
+
+  let seenTarget;
+  const picked = await mnee.getEnoughUtxos(address, 90000, {
+    coinSelection: (utxos, target) => {
+      seenTarget = target;
+      return utxos.filter((u) => u.data.bsv21.amt === 100000);
+    },
+  });
+  assert.strictEqual(seenTarget, 90100, 'Callback target should include the fee');
+  assert.deepStrictEqual(amounts(picked), [100000]);
+
+  await assert.rejects(
+    () => mnee.getEnoughUtxos(address, 90000, { coinSelection: () => [] }),
+    /do not cover the required amount/,
+  );
+  await assert.rejects(
+    () => mnee.getEnoughUtxos(address, 1000, { coinSelection: 'random' }),
+    /Invalid coin selection strategy/,
+  );
+}
+
+// Test 3: Transfers and unsigned builds use the selected strategy
+async function testTransferAndBuild() {
+  const { mnee, key, address } = await setup();
+  const recipient = PrivateKey.fromRandom().toAddress();
+
+  const { rawtx } = await mnee.transfer([{ address: recipient, amount: 24900n }], key.toWif(), {
+    broadcast: false,
+    coinSelection: 'branch-and-bound',
+  });
+  const parsed = await mnee.parseTxFromRawTx(rawtx);
+  assert.strictEqual(parsed.inputs.length, 2, 'Exact match should spend two inputs');
+  assert.strictEqual(parsed.outputs.length, 2, 'Exact match should create no change output');
+
+  const { transaction } = await mnee.buildUnsignedMneeTransaction({
+    fromAddress: address,
+    coinSelection: 'smallest-first',
+    recipients: [{ address: recipient, amount: '0.2' }],
+  });
+  assert.strictEqual(transaction.inputs.length, 3, 'smallest-first should select three inputs');
+
+  await assert.rejects(
+    () => mnee.buildUnsignedMneeTransaction({ recipients: [{ address: recipient, amount: 1 }] }),
+    /Either inputs or fromAddress must be provided/,
+  );
+}
+
+// Run tests
+// Test 4: Branch-and-bound on a wallet with thousands of dust UTXOs
+async function testManyDustUtxos() {
+  const { api, address } = await fundedWallet([3]);
+  const [template] = api.listUtxos(address);
+  // Minting this many through the mock is slow, so the UTXO and balance endpoints serve copies of one output
+  const dust = Array.from({ length: 12000 }, (_, i) => {
+    const txid = i.toString(16).padStart(64, '0');
+    return { ...template, txid, vout: 0, outpoint: `${txid}_0`, score: i, idx: i };
+  });
+  const mnee = new Mnee({
+    ...api.sdkConfig(),
+    fetch: (url, init) => {
+      const { pathname, searchParams } = new URL(String(url));
+      if (pathname === '/v2/balance') {
+        return Promise.resolve(Response.json([{ address, amt: 36000, precised: 0.36 }]));
+      }
+      if (pathname !== '/v2/utxos') return api.fetch(url, init);
+      const size = Number(searchParams.get('size') ?? 10);
+      const start = (Number(searchParams.get('page') ?? 1) - 1) * size;
+      return Promise.resolve(Response.json(dust.slice(start, start + size)));
+    },
+  });
+
+  // 29900 plus the 100 fee is exactly 10000 dust outputs deep
+  const exact = await mnee.getEnoughUtxos(address, 29900, { coinSelection: 'branch-and-bound' });
+  assert.strictEqual(exact.length, 10000);
+  const fallback = await mnee.getEnoughUtxos(address, 29901, { coinSelection: 'branch-and-bound' });
+  assert(amounts(fallback).reduce((sum, amt) => sum + amt, 0) >= 30001);
+}
+
+async function runTests() {
+  console.log('Running coin selection tests...\n');
+
+  try {
+    console.log('Test 1: Built-in strategies');
+    await testStrategies();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Custom selector');
+    await testCallback();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Transfer and unsigned build');
+    await testTransferAndBuild();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('Test 4: Thousands of dust UTXOs');
+    await testManyDustUtxos();
+    console.log('✅ Test 4 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
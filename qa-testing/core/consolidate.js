@@ -0,0 +1,113 @@
+import { PrivateKey } from '@bsv/sdk';
+import assert from 'assert';
+import { fundedWallet } from '../mockWallet.js';
+
+const setup = (count, amount) => fundedWallet(Array(count).fill(amount));
+
+// Test 1: Consolidate many UTXOs in chunks
+async function testConsolidate() {
+  const { api, mnee, key, address } = await setup(7, 10000);
+
+  const result = await mnee.consolidate(address, key.toWif(), { maxInputs: 3, waitForOutpoints: true });
+  assert.strictEqual(result.utxosBefore, 7);
+  // Chunks of 3, 3 and a lone UTXO that is left alone
+  assert.strictEqual(result.transactions.length, 2, 'Should submit two consolidation transactions');
+  for (const tx of result.transactions) {
+    assert(tx.ticketId, 'Each transaction should have a ticket');
+    assert.strictEqual(tx.inputs.length, 3);
+    assert.strictEqual(tx.outputs.length, 1);
+    assert.strictEqual(tx.outputs[0].amount + tx.fee, 30000, 'Output plus fee should equal the inputs');
+    assert.strictEqual(tx.status, 'SUCCESS');
+  }
+  assert.strictEqual(result.outpoints.length, 2, 'Should report the new outpoints');
+
+  const utxos = api.listUtxos(address);
+  assert.strictEqual(utxos.length, 3, 'Address should hold two consolidated UTXOs and the leftover');
+  for (const outpoint of result.outpoints) {
+    assert(utxos.some((u) => u.outpoint === outpoint), `${outpoint} should be unspent`);
+  }
+}
+
+// Test 2: Multiple target outputs and unbroadcast mode
+async function testTargetOutputs() {
+  const { mnee, key, address } = await setup(5, 10001);
+
+  const result = await mnee.consolidate(address, key.toWif(), { targetOutputs: 2, broadcast: false });
+  assert.strictEqual(result.transactions.length, 1);
+  const [tx] = result.transactions;
+  assert(tx.rawtx, 'Unbroadcast consolidation should return the raw transaction');
+  assert.strictEqual(tx.ticketId, undefined);
+  assert.deepStrictEqual(
+    tx.outputs.map((o) => o.amount),
+    [24953, 24952],
+    'Net amount should be split across the target outputs',
+  );
+  assert(await mnee.validateMneeTx(tx.rawtx), 'Consolidation transaction should be valid');
+}
+
+// Test 3: Nothing to do and invalid options
+async function testEdgeCases() {
+  const { mnee, key, address } = await setup(1, 10000);
+
+  const result = await mnee.consolidate(address, key.toWif());
+  assert.strictEqual(result.transactions.length, 0, 'A single UTXO should not be consolidated');
+
+  const otherKey = PrivateKey.fromRandom();
+  await assert.rejects(() => mnee.consolidate(address, otherKey.toWif()), /WIF does not match/);
+  await assert.rejects(() => mnee.consolidate(address, key.toWif(), { maxInputs: 1 }), /maxInputs/);
+  await assert.rejects(
+    () => mnee.consolidate(address, key.toWif(), { maxInputs: 3, targetOutputs: 3 }),
+    /targetOutputs/,
+  );
+}
+
+// Test 4: The fee ignores the consolidated amount, since all of it is change back to the address
+async function testFee() {
+  // 15 MNEE would be in the 1000 atomic tier as a transfer to someone else
+  const { api, mnee, key, address } = await setup(3, 500000);
+
+  const result = await mnee.consolidate(address, key.toWif());
+  assert.strictEqual(result.transactions.length, 1);
+  const [tx] = result.transactions;
+  assert.strictEqual(tx.fee, 100, 'A consolidation pays the fee for transferring nothing');
+  assert.strictEqual(tx.inputs.length, 3, 'No input should be left out to fit a fee tier');
+  assert.strictEqual(tx.outputs[0].amount, 1499900);
+  assert(tx.ticketId, `The mock cosigner should accept the fee: ${tx.error}`);
+  assert.strictEqual(tx.status, undefined, 'Tickets should not be polled unless asked to');
+  assert.deepStrictEqual(result.outpoints, []);
+  await mnee.waitForTx(tx.ticketId, { intervalMs: 10 });
+  assert.deepStrictEqual(
+    api.listUtxos(address).map((u) => u.data.bsv21.amt),
+    [1499900],
+  );
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running consolidate tests...\n');
+
+  try {
+    console.log('Test 1: Consolidate in chunks');
+    await testConsolidate();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Target outputs without broadcasting');
+    await testTargetOutputs();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Edge cases');
+    await testEdgeCases();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('Test 4: Fee basis');
+    await testFee();
+    console.log('✅ Test 4 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -0,0 +1,123 @@
+import Mnee from '@mnee/ts-sdk';
+import assert from 'assert';
+
+const CUSTOM_API_URL = 'http://mnee.localhost:8080';
+
+const customEnvironment = {
+  tokenId: '833a7720966a2a435db28d967385e8aa7284b6150ebb39482cc5228b73e1703f_0',
+  approver: '02bed35e894cc41cc9879b4002ad03d33533b615c1b476068c8dd6822a09f93f6c',
+  mintAddress: '1AZNdbFYBDFTAEgzZMfPzANxyNrpGJZAUY',
+};
+
+const servedConfig = {
+  ...customEnvironment,
+  feeAddress: '1AJoZperDvK6wBLzYtnUSzrfSCFgqH9b9d',
+  burnAddress: '1AJoZperDvK6wBLzYtnUSzrfSCFgqH9b9d',
+  fees: [{ min: 0, max: 9007199254740991, fee: 1000 }],
+  decimals: 5,
+};
+
+// In-process stand-in for a self-hosted proxy API
+function createLocalApi(configToServe) {
+  const requests = [];
+  const transport = async (url) => {
+    requests.push(url);
+    const { pathname } = new URL(url);
+    if (pathname === '/v1/config') return new Response(JSON.stringify(configToServe), { status: 200 });
+    return new Response('not found', { status: 404 });
+  };
+  return { transport, requests };
+}
+
+// Test 1: Custom environment talks to apiUrl
+async function testCustomEnvironment() {
+  const { transport, requests } = createLocalApi(servedConfig);
+  const mnee = new Mnee({
+    environment: 'custom',
+    apiKey: 'local-key',
+    apiUrl: `${CUSTOM_API_URL}/`,
+    customEnvironment,
+    fetch: transport,
+  });
+
+  const config = await mnee.config();
+  assert.strictEqual(config.tokenId, customEnvironment.tokenId, 'Config should come from the custom API');
+  assert(requests.length > 0, 'Requests should be made');
+  assert(
+    requests.every((url) => url.startsWith(`${CUSTOM_API_URL}/v1/`)),
+    'All requests should target apiUrl without a double slash',
+  );
+}
+
+// Test 2: Mismatched config is rejected
+async function testMismatchedConfig() {
+  const { transport } = createLocalApi({ ...servedConfig, approver: '02' + '11'.repeat(32) });
+  const mnee = new Mnee({
+    environment: 'custom',
+    apiKey: 'local-key',
+    apiUrl: CUSTOM_API_URL,
+    customEnvironment,
+    fetch: transport,
+  });
+
+  await assert.rejects(() => mnee.config(), /does not match customEnvironment/);
+}
+
+// Test 3: apiUrl override for a built-in environment
+async function testApiUrlOverride() {
+  const { transport, requests } = createLocalApi(servedConfig);
+  const mnee = new Mnee({ environment: 'sandbox', apiUrl: CUSTOM_API_URL, fetch: transport });
+  await mnee.config();
+  assert(requests[0].startsWith(`${CUSTOM_API_URL}/v1/config`), 'Sandbox should use the overridden apiUrl');
+}
+
+// Test 4: Constructor validation
+async function testValidation() {
+  const base = { environment: 'custom', apiKey: 'local-key', apiUrl: CUSTOM_API_URL, customEnvironment };
+  const cases = [
+    { config: { ...base, apiUrl: undefined }, error: /apiUrl is required/ },
+    { config: { ...base, apiKey: undefined }, error: /API key is required/ },
+    { config: { ...base, customEnvironment: undefined }, error: /customEnvironment .* is required/ },
+    { config: { ...base, apiUrl: 'ftp://example.com' }, error: /Must use http or https/ },
+    { config: { ...base, apiUrl: 'not a url' }, error: /Invalid apiUrl/ },
+    { config: { ...base, customEnvironment: { ...customEnvironment, tokenId: 'abc' } }, error: /tokenId/ },
+    { config: { ...base, customEnvironment: { ...customEnvironment, approver: 'abc' } }, error: /approver/ },
+    { config: { ...base, customEnvironment: { ...customEnvironment, mintAddress: 'abc' } }, error: /mintAddress/ },
+    { config: { environment: 'sandbox', customEnvironment }, error: /only be provided when environment is "custom"/ },
+    { config: { environment: 'staging' }, error: /Invalid environment/ },
+  ];
+
+  for (const { config, error } of cases) {
+    assert.throws(() => new Mnee(config), error, `Expected ${error} for ${JSON.stringify(config)}`);
+  }
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running custom environment tests...\n');
+
+  try {
+    console.log('Test 1: Custom environment uses apiUrl');
+    await testCustomEnvironment();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Mismatched config rejected');
+    await testMismatchedConfig();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: apiUrl override for a built-in environment');
+    await testApiUrlOverride();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('Test 4: Constructor validation');
+    await testValidation();
+    console.log('✅ Test 4 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -0,0 +1,199 @@
+import Mnee, {
+  MockMneeApi,
+  MemoryOutpointLockStore,
+  MneeError,
+  ValidationError,
+  InsufficientBalanceError,
+  RateLimitError,
+  AuthError,
+  UtxoLockedError,
+  ApiError,
+  NetworkError,
+  TxUnavailableError,
+  HeaderFileChainTracker,
+  MemoryTxCache,
+  FileTxCache,
+  FileOutpointLockStore,
+} from '@mnee/ts-sdk';
+import { PrivateKey } from '@bsv/sdk';
+import assert from 'assert';
+
+const recipient = PrivateKey.fromRandom().toAddress();
+
+// Responds with `response` to requests whose URL contains `path`, and forwards the rest to the mock
+const intercept = (api, path, response) => (url, init) =>
+  String(url).includes(path) ? Promise.resolve(response()) : api.fetch(url, init);
+
+// Test 1: Balance and lock errors carry their details
+async function testTransferErrors() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const sender = PrivateKey.fromRandom();
+  await api.mint(sender.toAddress(), 100000);
+
+  const short = await mnee.transfer([{ address: recipient, amount: 5 }], sender.toWif()).catch((e) => e);
+  assert(short instanceof InsufficientBalanceError && short instanceof MneeError && short instanceof Error);
+  assert.strictEqual(short.code, 'INSUFFICIENT_BALANCE');
+  assert.strictEqual(short.name, 'InsufficientBalanceError');
+  assert.strictEqual(short.message, 'Insufficient MNEE balance. Max transfer amount: 0.999', 'Messages are unchanged');
+  assert.strictEqual(short.maxAmount, 0.999);
+
+  // The only UTXO is held by another transfer
+  const store = new MemoryOutpointLockStore();
+  await store.lock(api.listUtxos(sender.toAddress()).map((u) => u.outpoint), 60000);
+  const busy = new Mnee({ ...api.sdkConfig(), outpointLockStore: store });
+  const locked = await busy.transfer([{ address: recipient, amount: 0.1 }], sender.toWif()).catch((e) => e);
+  assert(locked instanceof UtxoLockedError);
+  assert.strictEqual(locked.code, 'UTXO_LOCKED');
+  assert.strictEqual(locked.message, 'UTXOs temporarily locked by recent transactions, retry shortly');
+
+  const invalid = await mnee.transfer([{ address: 'not-an-address', amount: 1 }], sender.toWif()).catch((e) => e);
+  assert(invalid instanceof ValidationError);
+  assert.strictEqual(invalid.code, 'VALIDATION_ERROR');
+  assert.strictEqual(invalid.message, 'Invalid recipient address: not-an-address');
+}
+
+// Test 2: HTTP failures map to AuthError, RateLimitError and ApiError
+async function testHttpErrors() {
+  const api = new MockMneeApi();
+  const address = PrivateKey.fromRandom().toAddress();
+
+  const unauthorized = new Mnee({ ...api.sdkConfig(), apiKey: 'wrong-key' });
+  const auth = await unauthorized.getUtxos(address).catch((e) => e);
+  assert(auth instanceof AuthError);
+  assert.strictEqual(auth.code, 'AUTH_ERROR');
+  assert.strictEqual(auth.status, 401);
+  assert.strictEqual(auth.message, 'Invalid API key');
+
+  const throttled = new Mnee({
+    ...api.sdkConfig(),
+    fetch: intercept(api, '/v2/balance', () => new Response('slow down', { status: 429, headers: { 'Retry-After': '0.01' } })),
+  });
+  const rateLimited = await throttled.balance(address).catch((e) => e);
+  assert(rateLimited instanceof RateLimitError);
+  assert.strictEqual(rateLimited.code, 'RATE_LIMITED');
+  assert.strictEqual(rateLimited.retryAfterMs, 10);
+
+  const failing = new Mnee({
+    ...api.sdkConfig(),
+    fetch: intercept(api, '/v2/ticket', () => new Response('boom', { status: 500 })),
+  });
+  const apiError = await failing.getTxStatus('ticket').catch((e) => e);
+  assert(apiError instanceof ApiError);
+  assert.strictEqual(apiError.code, 'API_ERROR');
+  assert.strictEqual(apiError.status, 500);
+  assert.strictEqual(apiError.message, 'Failed to get transaction status');
+}
+
+// Test 3: Unreachable API throws NetworkError
+async function testNetworkError() {
+  const api = new MockMneeApi();
+  const offline = new Mnee({
+    ...api.sdkConfig(),
+    fetch: (url, init) => {
+      if (!String(url).includes('/v2/ticket')) return api.fetch(url, init);
+      const error = new TypeError('fetch failed');
+      error.cause = { code: 'ECONNREFUSED', hostname: 'mnee.mock' };
+      return Promise.reject(error);
+    },
+  });
+  // logNetworkError reports the failure on the console; keep the test output clean
+  const consoleError = console.error;
+  console.error = () => {};
+  const error = await offline.getTxStatus('ticket').catch((e) => e);
+  console.error = consoleError;
+  assert(error instanceof NetworkError && error instanceof MneeError);
+  assert.strictEqual(error.code, 'NETWORK_ERROR');
+  assert.strictEqual(error.systemCode, 'ECONNREFUSED');
+  assert.strictEqual(error.hostname, 'mnee.mock');
+}
+
+// Test 4: Batch and HD wallet errors
+async function testBatchAndHdWallet() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+
+  await assert.rejects(() => mnee.batch().getBalances('not-an-array'), ValidationError);
+  assert.throws(() => new Mnee.HDWallet('not a mnemonic', { derivationPath: "m/44'/236'/0'" }), ValidationError);
+
+  const unauthorized = new Mnee({ ...api.sdkConfig(), apiKey: 'wrong-key' });
+  const result = await unauthorized
+    .batch()
+    .getBalances([PrivateKey.fromRandom().toAddress()], { continueOnError: true, maxRetries: 1, retryDelay: 1 });
+  assert.strictEqual(result.errors[0].error.code, 'AUTH_ERROR');
+
+  // Everything else is still an MneeError with the generic code
+  const generic = await mnee.waitForTx('missing', { timeoutMs: 20, intervalMs: 5 }).catch((e) => e);
+  assert(generic instanceof MneeError);
+}
+
+// Test 5: Fee tiers, unavailable source transactions and misconfigured local stores
+async function testFeesSourcesAndStores() {
+  const api = new MockMneeApi({ fees: [{ min: 1, max: 1000000, fee: 100 }] });
+  const mnee = new Mnee(api.sdkConfig());
+  const sender = PrivateKey.fromRandom();
+  const utxo = await api.mint(sender.toAddress(), 3000000);
+  const inputs = [{ txid: utxo.txid, vout: utxo.vout }];
+  const beyondTiers = [{ address: recipient, amount: 20 }];
+
+  const unbuildable = await mnee.buildUnsignedMneeTransaction({ inputs, recipients: beyondTiers }).catch((e) => e);
+  assert(unbuildable instanceof ValidationError);
+  assert.match(unbuildable.message, /Fee ranges inadequate/);
+  await assert.rejects(
+    () => mnee.transferMulti({ inputs: [{ ...inputs[0], wif: sender.toWif() }], recipients: beyondTiers }),
+    ValidationError,
+  );
+  await assert.rejects(() => mnee.transfer(beyondTiers, sender.toWif()), ValidationError);
+
+  // Every attempt to fetch the source transaction fails with a server error
+  const failing = new Mnee({
+    ...api.sdkConfig(),
+    fetch: intercept(api, '/v1/tx/', () => new Response('upstream down', { status: 502 })),
+  });
+  const unavailable = await failing.transfer([{ address: recipient, amount: 1 }], sender.toWif()).catch((e) => e);
+  assert(unavailable instanceof TxUnavailableError, `Expected TxUnavailableError, got ${unavailable?.message}`);
+  assert.strictEqual(unavailable.code, 'TX_UNAVAILABLE');
+  assert.strictEqual(unavailable.txid, utxo.txid);
+  assert.match(unavailable.message, /Failed to fetch source transaction/);
+
+  assert.throws(() => new HeaderFileChainTracker(''), ValidationError);
+  assert.throws(() => new HeaderFileChainTracker('headers.bin', { startHeight: -1 }), ValidationError);
+  assert.throws(() => new MemoryTxCache({ maxEntries: 0 }), ValidationError);
+  assert.throws(() => new FileTxCache(''), ValidationError);
+  await assert.rejects(() => new FileTxCache('cache').get('../../etc/passwd'), ValidationError);
+  assert.throws(() => new FileOutpointLockStore(''), ValidationError);
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running error class tests...\n');
+
+  try {
+    console.log('Test 1: Transfer errors');
+    await testTransferErrors();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: HTTP errors');
+    await testHttpErrors();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Network errors');
+    await testNetworkError();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('Test 4: Batch and HD wallet errors');
+    await testBatchAndHdWallet();
+    console.log('✅ Test 4 passed\n');
+
+    console.log('Test 5: Fees, source transactions and local stores');
+    await testFeesSourcesAndStores();
+    console.log('✅ Test 5 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
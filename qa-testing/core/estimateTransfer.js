@@ -0,0 +1,103 @@
+import { PrivateKey, Transaction } from '@bsv/sdk';
+import { ValidationError } from '@mnee/ts-sdk';
+import assert from 'assert';
+import { fundedWallet } from '../mockWallet.js';
+
+// Test 1: Estimate matches the transaction transfer() builds
+async function testMatchesTransfer() {
+  const { mnee, key, address } = await fundedWallet([300000, 200000]);
+  const recipient = PrivateKey.fromRandom().toAddress();
+  const request = [{ address: recipient, amount: 4 }];
+
+  const estimate = await mnee.estimateTransfer(request, address);
+  assert.strictEqual(estimate.amount, 400000);
+  assert.strictEqual(estimate.fee, 100);
+  assert.strictEqual(estimate.feeTier.fee, 100, 'Fee tier should be returned');
+  assert.strictEqual(estimate.total, 400100);
+  assert.strictEqual(estimate.utxos.length, 2);
+  assert.strictEqual(estimate.inputTotal, 500000);
+  assert.strictEqual(estimate.change, 99900);
+  assert.strictEqual(estimate.changeAddress, address);
+  assert.strictEqual(estimate.outputCount, 3, 'Recipient, fee and change outputs');
+
+  const { rawtx } = await mnee.transfer(request, key.toWif(), { broadcast: false });
+  const tx = Transaction.fromHex(rawtx);
+  assert.strictEqual(tx.outputs.length, estimate.outputCount);
+  assert.deepStrictEqual(
+    tx.inputs.map((i) => `${i.sourceTXID}_${i.sourceOutputIndex}`).sort(),
+    estimate.utxos.map((u) => u.outpoint).sort(),
+    'Estimate should select the same inputs',
+  );
+  // The approver adds a signature of up to 73 bytes (plus push opcode) to each input.
+  // Estimates assume maximum-length signatures, and DER signatures can be a few bytes shorter.
+  const cosigned = tx.toBinary().length + 74 * tx.inputs.length;
+  assert(estimate.size >= cosigned, 'Size should cover the cosigned transaction');
+  assert(estimate.size - cosigned <= 3 * tx.inputs.length, 'Size should be within a few bytes');
+}
+
+// Test 2: Options and exact matches
+async function testOptions() {
+  const { mnee, address } = await fundedWallet([1000, 5000, 20000]);
+  const recipient = PrivateKey.fromRandom().toAddress();
+
+  const exact = await mnee.estimateTransfer([{ address: recipient, amount: 24900n }], address, {
+    coinSelection: 'branch-and-bound',
+  });
+  assert.strictEqual(exact.change, 0);
+  assert.strictEqual(exact.changeAddress, undefined);
+  assert.strictEqual(exact.outputCount, 2, 'Exact match should have no change output');
+
+  const withData = await mnee.estimateTransfer([{ address: recipient, amount: 24900n }], address, {
+    coinSelection: 'branch-and-bound',
+    extraData: { type: 'utf8', data: 'invoice 42' },
+  });
+  assert.strictEqual(withData.outputCount, 3, 'Extra data should add an OP_RETURN output');
+  assert(withData.size > exact.size);
+}
+
+// Test 3: Errors
+async function testErrors() {
+  const { mnee, address } = await fundedWallet([1000]);
+  const recipient = PrivateKey.fromRandom().toAddress();
+
+  await assert.rejects(() => mnee.estimateTransfer([{ address: recipient, amount: 1 }], address), /Insufficient/);
+  await assert.rejects(() => mnee.estimateTransfer([{ address: recipient, amount: 0.001 }], 'invalid'), /Invalid/);
+  await assert.rejects(() => mnee.estimateTransfer([], address), /Empty transfer options/);
+  await assert.rejects(
+    () => mnee.estimateTransfer([{ address: 'invalid', amount: 0.001 }], address),
+    /Invalid recipient address/,
+  );
+
+  // No tier covers amounts above 1000 atomic units
+  const uncovered = await fundedWallet([100000], { apiOptions: { fees: [{ min: 0, max: 1000, fee: 10 }] } });
+  await assert.rejects(
+    () => uncovered.mnee.estimateTransfer([{ address: recipient, amount: 0.1 }], uncovered.address),
+    (error) => error instanceof ValidationError,
+  );
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running estimateTransfer tests...\n');
+
+  try {
+    console.log('Test 1: Estimate matches transfer');
+    await testMatchesTransfer();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Coin selection and extra data');
+    await testOptions();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Errors');
+    await testErrors();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -0,0 +1,254 @@
+import Mnee, { MockMneeApi, MemoryTxCache, ValidationError } from '@mnee/ts-sdk';
+import { PrivateKey } from '@bsv/sdk';
+import assert from 'assert';
+
+const recipient = PrivateKey.fromRandom().toAddress();
+
+// An SDK instance on `api` recording every event; events from the config prefetch are dropped
+async function observed(api, config = {}) {
+  const events = [];
+  const mnee = new Mnee({ ...api.sdkConfig(), onEvent: (event) => events.push(event), ...config });
+  await mnee.config();
+  events.length = 0;
+  return { mnee, events };
+}
+
+const ofType = (events, type) => events.filter((e) => e.type === type);
+
+// Test 1: Requests report their endpoint, status and duration
+async function testRequests() {
+  const api = new MockMneeApi();
+  const sender = PrivateKey.fromRandom();
+  await api.mint(sender.toAddress(), 100000);
+  const { mnee, events } = await observed(api);
+
+  await mnee.balance(sender.toAddress());
+  const [start, end] = events;
+  assert.strictEqual(start.type, 'request.start');
+  assert.strictEqual(start.method, 'POST');
+  assert.strictEqual(start.endpoint, '/v2/balance');
+  assert.strictEqual(start.attempt, 0);
+  assert.strictEqual(typeof start.timestamp, 'number');
+  assert.strictEqual(end.type, 'request.end');
+  assert.strictEqual(end.requestId, start.requestId);
+  assert.strictEqual(end.status, 200);
+  assert(end.durationMs >= 0);
+  assert(!JSON.stringify(events).includes('auth_token'), 'Events should never carry the API key');
+
+  events.length = 0;
+  const txid = api.listUtxos(sender.toAddress())[0].txid;
+  await mnee.parseTx(txid);
+  assert(
+    ofType(events, 'request.start').some((e) => e.endpoint === '/v1/tx/:txid' && e.method === 'GET'),
+    'Transaction lookups should be reported with the txid replaced',
+  );
+
+  // A failed transport still ends its request
+  const offline = new Mnee({
+    ...api.sdkConfig(),
+    fetch: (url, init) =>
+      String(url).includes('/v2/utxos') ? Promise.reject(new Error('socket hang up')) : api.fetch(url, init),
+    onEvent: (event) => events.push(event),
+    logger: { warn() {}, error() {} },
+  });
+  await offline.config();
+  events.length = 0;
+  await offline.getUtxos(sender.toAddress()).catch(() => {});
+  const failed = ofType(events, 'request.end')[0];
+  assert.strictEqual(failed.status, undefined);
+  assert.strictEqual(failed.error, 'socket hang up');
+}
+
+// Test 2: 429 responses set a cooldown before the retry
+async function testRateLimit() {
+  const api = new MockMneeApi();
+  let limited = 1;
+  const { mnee, events } = await observed(api, {
+    fetch: (url, init) =>
+      String(url).includes('/v2/utxos') && limited-- > 0
+        ? Promise.resolve(new Response('slow down', { status: 429, headers: { 'Retry-After': '0.05' } }))
+        : api.fetch(url, init),
+  });
+
+  await mnee.getUtxos(PrivateKey.fromRandom().toAddress());
+  assert.deepStrictEqual(
+    events.map((e) => `${e.type}:${e.attempt}`),
+    ['request.start:0', 'request.end:0', 'rateLimit.cooldown:0', 'request.start:1', 'request.end:1'],
+  );
+  const cooldown = ofType(events, 'rateLimit.cooldown')[0];
+  assert.strictEqual(cooldown.endpoint, '/v2/utxos');
+  assert.strictEqual(cooldown.retryAfterMs, 50);
+  assert.strictEqual(cooldown.cooldownMs, 50);
+  assert.deepStrictEqual(
+    ofType(events, 'request.end').map((e) => e.status),
+    [429, 200],
+  );
+}
+
+// Test 3: Transaction cache hits and misses
+async function testTxCache() {
+  const api = new MockMneeApi();
+  const sender = PrivateKey.fromRandom();
+  await api.mint(sender.toAddress(), 100000);
+  const txid = api.listUtxos(sender.toAddress())[0].txid;
+  const { mnee, events } = await observed(api, { txCache: new MemoryTxCache() });
+
+  await mnee.fetchSourceTransaction(txid);
+  await mnee.fetchSourceTransaction(txid);
+  const cacheEvents = events.filter((e) => e.type.startsWith('txCache.'));
+  assert.deepStrictEqual(
+    cacheEvents.map(({ type, txid }) => ({ type, txid })),
+    [
+      { type: 'txCache.miss', txid },
+      { type: 'txCache.hit', txid },
+    ],
+  );
+
+  const broken = await observed(api, {
+    txCache: {
+      get: () => 'not a transaction',
+      set: () => {
+        throw new Error('disk full');
+      },
+    },
+  });
+  await broken.mnee.fetchSourceTransaction(txid);
+  assert.deepStrictEqual(
+    ofType(broken.events, 'txCache.error').map((e) => e.operation),
+    ['read', 'write'],
+  );
+}
+
+// Test 4: Transfers retried after the API reports a locked outpoint
+async function testLockRetry() {
+  const api = new MockMneeApi();
+  const sender = PrivateKey.fromRandom();
+  await api.mint(sender.toAddress(), 100000);
+  await api.mint(sender.toAddress(), 100000);
+  const outpoint = api.listUtxos(sender.toAddress())[0].outpoint;
+  let rejected = false;
+  const { mnee, events } = await observed(api, {
+    fetch: (url, init) => {
+      if (String(url).includes('/v2/transfer') && !rejected) {
+        rejected = true;
+        return Promise.resolve(new Response(`outpoint ${outpoint} was locked`, { status: 409 }));
+      }
+      return api.fetch(url, init);
+    },
+  });
+
+  const { ticketId } = await mnee.transfer([{ address: recipient, amount: 0.1 }], sender.toWif());
+  assert(ticketId, 'The retried transfer should go through');
+  const retries = ofType(events, 'outpointLock.retry');
+  assert.strictEqual(retries.length, 1);
+  assert.strictEqual(retries[0].attempt, 1);
+  assert.strictEqual(retries[0].reason, 'locked');
+  assert.strictEqual(retries[0].outpoint, outpoint);
+}
+
+// Test 5: Batch progress
+async function testBatchProgress() {
+  const api = new MockMneeApi();
+  const addresses = Array.from({ length: 3 }, () => PrivateKey.fromRandom().toAddress());
+  const { mnee, events } = await observed(api);
+  const callbacks = [];
+
+  await mnee.batch().getBalances(addresses, {
+    chunkSize: 1,
+    requestsPerSecond: 100,
+    onProgress: (completed, total, errors) => callbacks.push({ completed, total, errors }),
+  });
+  const progress = ofType(events, 'batch.progress');
+  assert.deepStrictEqual(
+    progress.map(({ completed, total, errors }) => ({ completed, total, errors })),
+    callbacks,
+  );
+  assert.strictEqual(progress.length, 3);
+  assert(progress.every((e) => e.operation === 'getBalances'));
+}
+
+// Test 6: Logger and misbehaving listeners
+async function testLogger() {
+  const api = new MockMneeApi();
+  const logged = { warn: [], error: [], debug: [] };
+  const logger = {
+    debug: (message, event) => logged.debug.push([message, event]),
+    warn: (...args) => logged.warn.push(args),
+    error: (...args) => logged.error.push(args),
+  };
+  const mnee = new Mnee({
+    ...api.sdkConfig(),
+    logger,
+    onEvent: () => {
+      throw new Error('listener bug');
+    },
+  });
+
+  await mnee.recentTxHistories([{ address: recipient }, { address: 'not-an-address' }]);
+  assert(
+    logged.warn.some(([message]) => message === '1 invalid bitcoin addresses will be ignored'),
+    'Warnings should go to the logger',
+  );
+  assert(
+    logged.warn.some(
+      ([message, error]) => message.startsWith('Event listener failed') && error.message === 'listener bug',
+    ),
+    'A throwing listener should be logged, not break the call',
+  );
+  assert(logged.debug.some(([message, event]) => message === 'mnee request.end' && event.type === 'request.end'));
+
+  const failing = new Mnee({
+    ...api.sdkConfig(),
+    logger,
+    fetch: (url, init) =>
+      String(url).includes('/v2/utxos')
+        ? Promise.reject(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }))
+        : api.fetch(url, init),
+  });
+  await assert.rejects(() => failing.getUtxos(recipient));
+  assert(
+    logged.error.some(([message]) => message.startsWith('Network error during fetch UTXOs')),
+    'Errors should go to the logger',
+  );
+
+  assert.throws(() => new Mnee({ ...api.sdkConfig(), onEvent: 'yes' }), ValidationError);
+  assert.throws(() => new Mnee({ ...api.sdkConfig(), logger: { warn() {} } }), /logger must implement error\(\)/);
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running observability event tests...\n');
+
+  try {
+    console.log('Test 1: Request events');
+    await testRequests();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Rate-limit cooldown events');
+    await testRateLimit();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Transaction cache events');
+    await testTxCache();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('Test 4: Outpoint lock retry events');
+    await testLockRetry();
+    console.log('✅ Test 4 passed\n');
+
+    console.log('Test 5: Batch progress events');
+    await testBatchProgress();
+    console.log('✅ Test 5 passed\n');
+
+    console.log('Test 6: Logger');
+    await testLogger();
+    console.log('✅ Test 6 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
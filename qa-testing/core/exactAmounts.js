@@ -0,0 +1,95 @@
+import Mnee, { MockMneeApi } from '@mnee/ts-sdk';
+import { PrivateKey } from '@bsv/sdk';
+import assert from 'assert';
+
+const sender = PrivateKey.fromRandom();
+const recipient = PrivateKey.fromRandom().toAddress();
+
+// Test 1: Exact conversions
+async function testExactConversions() {
+  const mnee = new Mnee(new MockMneeApi().sdkConfig());
+
+  const cases = [
+    { input: '1.5', expected: 150000n },
+    { input: '0.00001', expected: 1n },
+    { input: '90071992547.40991', expected: 9007199254740991n },
+    { input: 123456n, expected: 123456n },
+    { input: 0.12345, expected: 12345n },
+  ];
+  for (const { input, expected } of cases) {
+    assert.strictEqual(mnee.toAtomicAmountExact(input), expected, `${String(input)} should be ${expected}`);
+  }
+
+  assert.strictEqual(mnee.fromAtomicAmountExact(150000n), '1.5');
+  assert.strictEqual(mnee.fromAtomicAmountExact(1), '0.00001');
+  assert.strictEqual(mnee.fromAtomicAmountExact(9007199254740991n), '90071992547.40991');
+  assert.strictEqual(mnee.toAtomicAmount('2.25'), 225000, 'toAtomicAmount should accept decimal strings');
+}
+
+// Test 2: Invalid exact amounts are rejected instead of rounded
+async function testRejections() {
+  const mnee = new Mnee(new MockMneeApi().sdkConfig());
+
+  assert.throws(() => mnee.toAtomicAmountExact('1.234567'), /at most 5 decimal places/);
+  assert.throws(() => mnee.toAtomicAmountExact(0.1 + 0.2), /at most 5 decimal places/);
+  assert.throws(() => mnee.toAtomicAmountExact('-1'), /non-negative decimal string/);
+  assert.throws(() => mnee.toAtomicAmountExact('1e5'), /non-negative decimal string/);
+  assert.throws(() => mnee.toAtomicAmountExact(-1n), /must not be negative/);
+  assert.throws(() => mnee.toAtomicAmountExact('90071992547.40992'), /maximum supported amount/);
+}
+
+// Test 3: Transfers with string and bigint amounts
+async function testExactTransfer() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  await api.mint(sender.toAddress(), 5_000_000);
+
+  const request = [
+    { address: recipient, amount: '1.23456' },
+    { address: recipient, amount: 100000n },
+  ];
+  const { rawtx } = await mnee.transfer(request, sender.toWif(), { broadcast: false });
+  assert(await mnee.validateMneeTx(rawtx, request), 'Transaction should match the exact request');
+
+  const { ticketId } = await mnee.submitRawTx(rawtx);
+  await mnee.getTxStatus(ticketId);
+  const balance = await mnee.balance(recipient);
+  assert.strictEqual(balance.amount, 223456, 'Recipient should receive exactly 2.23456 MNEE');
+
+  await assert.rejects(
+    () => mnee.transfer([{ address: recipient, amount: '0.000001' }], sender.toWif()),
+    /at most 5 decimal places/,
+    'Transfers with more than 5 decimals should fail',
+  );
+  await assert.rejects(
+    () => mnee.transfer([{ address: recipient, amount: 0n }], sender.toWif()),
+    /minimum transfer amount/,
+    'Zero bigint amounts should fail',
+  );
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running exact amount tests...\n');
+
+  try {
+    console.log('Test 1: Exact conversions');
+    await testExactConversions();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Invalid exact amounts');
+    await testRejections();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Transfers with exact amounts');
+    await testExactTransfer();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -0,0 +1,181 @@
+import Mnee, { MockMneeApi, ValidationError, AbortedError } from '@mnee/ts-sdk';
+import { PrivateKey } from '@bsv/sdk';
+import assert from 'assert';
+
+// Collects every chunk of an export
+const collect = async (iterable) => {
+  const chunks = [];
+  for await (const chunk of iterable) chunks.push(chunk);
+  return { chunks, data: chunks.map((c) => c.data).join(''), rows: chunks.flatMap((c) => c.rows) };
+};
+
+// An address with three mints and one confirmed send
+async function setup() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const key = PrivateKey.fromRandom();
+  const address = key.toAddress();
+  for (const amount of [1000, 2000, 3000]) await api.mint(address, amount);
+  const { ticketId } = await mnee.transfer([{ address: PrivateKey.fromRandom().toAddress(), amount: 0.01 }], key.toWif());
+  await mnee.waitForTx(ticketId, { intervalMs: 10 });
+  api.mine();
+  return { api, mnee, key, address };
+}
+
+// Test 1: NDJSON pages through the whole history
+async function testNdjson() {
+  const { api, address } = await setup();
+  let syncRequests = 0;
+  const mnee = new Mnee({
+    ...api.sdkConfig(),
+    fetch: (url, init) => {
+      if (String(url).includes('/v1/sync')) syncRequests++;
+      return api.fetch(url, init);
+    },
+  });
+
+  const { chunks, data, rows } = await collect(mnee.exportHistory(address, { pageSize: 2 }));
+  const { history } = await mnee.recentTxHistory(address, 0, 100, 'asc');
+  assert.strictEqual(history.length, 4);
+  assert.deepStrictEqual(rows, history);
+  assert.deepStrictEqual(
+    data.trim().split('\n').map((line) => JSON.parse(line)),
+    history,
+  );
+  assert.deepStrictEqual(
+    chunks.map((c) => c.rows.length),
+    [2, 2],
+  );
+  assert.deepStrictEqual(
+    chunks.map((c) => c.checkpoint),
+    [history[1].score, history[3].score],
+  );
+  assert.strictEqual(syncRequests, 3 + 1, 'Pages until an empty page, plus the comparison request');
+  const send = rows.find((row) => row.type === 'send');
+  assert(send.fee > 0 && send.counterparties.length > 0 && send.status === 'confirmed');
+}
+
+// Test 2: CSV with a header, resumed from a checkpoint
+async function testCsvResume() {
+  const { api, mnee, address } = await setup();
+  const first = await collect(mnee.exportHistory(address, { format: 'csv' }));
+  const lines = first.data.trim().split('\n');
+  assert.strictEqual(lines[0], 'txid,score,height,status,type,operation,amount,fee,counterparties,senders,extraData');
+  assert.strictEqual(lines.length, 5);
+  const [txid, score, height, status, type, operation, amount, fee, counterparties, senders, extraData] =
+    lines[1].split(',');
+  assert.strictEqual(txid, first.rows[0].txid);
+  assert.strictEqual(Number(score), first.rows[0].score);
+  assert(Number(height) > 0);
+  assert.strictEqual(status, 'confirmed');
+  assert.strictEqual(type, 'receive');
+  assert.strictEqual(operation, 'mint');
+  assert.strictEqual(amount, '1000');
+  assert.strictEqual(fee, '0');
+  assert.match(counterparties, /^1\w+:1000$/);
+  assert.strictEqual(senders, first.rows[0].senders.join(';'));
+  assert.strictEqual(extraData, '');
+
+  // Nothing new: resuming yields nothing, not even a header
+  const checkpoint = first.chunks.at(-1).checkpoint;
+  assert.strictEqual((await collect(mnee.exportHistory(address, { format: 'csv', checkpoint }))).data, '');
+
+  await api.mint(address, 4000);
+  const resumed = await collect(mnee.exportHistory(address, { format: 'csv', checkpoint }));
+  assert.strictEqual(resumed.rows.length, 1);
+  assert.strictEqual(resumed.rows[0].amount, 4000);
+  assert.strictEqual(resumed.data.split('\n')[0].split(',')[6], '4000');
+  const withHeader = await collect(mnee.exportHistory(address, { format: 'csv', checkpoint, header: true }));
+  assert(withHeader.data.startsWith('txid,score,'));
+}
+
+// Test 3: JSON output is one array
+async function testJson() {
+  const { mnee, address } = await setup();
+  const { data, rows } = await collect(mnee.exportHistory(address, { format: 'json', pageSize: 3 }));
+  assert.deepStrictEqual(JSON.parse(data), rows);
+  assert.strictEqual(rows.length, 4);
+
+  const empty = await collect(mnee.exportHistory(PrivateKey.fromRandom().toAddress(), { format: 'json' }));
+  assert.deepStrictEqual(JSON.parse(empty.data), []);
+}
+
+// Test 4: Unconfirmed transactions
+async function testUnconfirmed() {
+  const { api, mnee, key, address } = await setup();
+  const { ticketId } = await mnee.transfer([{ address: PrivateKey.fromRandom().toAddress(), amount: 0.01 }], key.toWif());
+  await mnee.waitForTx(ticketId, { intervalMs: 10 });
+  await api.mint(address, 5000);
+
+  // Stops before the unconfirmed send, even though a confirmed mint follows it
+  const confirmedOnly = await collect(mnee.exportHistory(address));
+  assert.strictEqual(confirmedOnly.rows.length, 4);
+  assert(confirmedOnly.rows.every((row) => row.status === 'confirmed'));
+
+  const everything = await collect(mnee.exportHistory(address, { includeUnconfirmed: true }));
+  assert.deepStrictEqual(
+    everything.rows.map((row) => row.status).slice(-2),
+    ['unconfirmed', 'confirmed'],
+  );
+
+  // Once mined, resuming picks it up as confirmed
+  api.mine();
+  const resumed = await collect(mnee.exportHistory(address, { checkpoint: confirmedOnly.chunks.at(-1).checkpoint }));
+  assert.deepStrictEqual(
+    resumed.rows.map((row) => `${row.type}:${row.status}`).sort(),
+    ['receive:confirmed', 'send:confirmed'],
+  );
+}
+
+// Test 5: Invalid options and aborts
+async function testErrors() {
+  const { mnee, address } = await setup();
+  assert.throws(() => mnee.exportHistory('not-an-address'), ValidationError);
+  assert.throws(() => mnee.exportHistory(address, { format: 'xml' }), /Invalid format: xml/);
+  assert.throws(() => mnee.exportHistory(address, { checkpoint: -1 }), /Invalid checkpoint/);
+  assert.throws(() => mnee.exportHistory(address, { pageSize: 0 }), /Invalid pageSize/);
+
+  const controller = new AbortController();
+  const seen = [];
+  await assert.rejects(async () => {
+    for await (const chunk of mnee.exportHistory(address, { pageSize: 1, signal: controller.signal })) {
+      seen.push(chunk);
+      controller.abort();
+    }
+  }, AbortedError);
+  assert.strictEqual(seen.length, 1);
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running history export tests...\n');
+
+  try {
+    console.log('Test 1: NDJSON export');
+    await testNdjson();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: CSV export and resume');
+    await testCsvResume();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: JSON export');
+    await testJson();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('Test 4: Unconfirmed transactions');
+    await testUnconfirmed();
+    console.log('✅ Test 4 passed\n');
+
+    console.log('Test 5: Errors');
+    await testErrors();
+    console.log('✅ Test 5 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -0,0 +1,132 @@
+import Mnee, { MockMneeApi } from '@mnee/ts-sdk';
+import { PrivateKey } from '@bsv/sdk';
+import assert from 'assert';
+
+const sender = PrivateKey.fromRandom();
+const recipient = PrivateKey.fromRandom().toAddress();
+
+// Test 1: SDK reads config and balances from the mock
+async function testConfigAndBalance() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+
+  const config = await mnee.config();
+  assert.strictEqual(config.tokenId, api.config.tokenId, 'Config should come from the mock');
+
+  await api.mint(sender.toAddress(), 5_000_000);
+  const balance = await mnee.balance(sender.toAddress());
+  assert.strictEqual(balance.amount, 5_000_000, 'Balance should reflect minted tokens');
+  assert.strictEqual(balance.decimalAmount, 50, 'Decimal balance should be 50 MNEE');
+
+  const utxos = await mnee.getUtxos(sender.toAddress());
+  assert.strictEqual(utxos.length, 1, 'Minted output should be listed');
+}
+
+// Test 2: Transfer flows through ticket states and updates balances
+async function testTransferFlow() {
+  const webhooks = [];
+  const api = new MockMneeApi({ onWebhook: (url, payload) => webhooks.push({ url, payload }) });
+  const mnee = new Mnee(api.sdkConfig());
+  await api.mint(sender.toAddress(), 5_000_000);
+
+  const { ticketId } = await mnee.transfer([{ address: recipient, amount: 12.5 }], sender.toWif(), {
+    callbackUrl: 'https://example.com/hook',
+  });
+  assert(ticketId, 'Transfer should return a ticket ID');
+
+  const first = await mnee.getTxStatus(ticketId);
+  assert.strictEqual(first.status, 'BROADCASTING', 'Ticket should start broadcasting');
+  const second = await mnee.getTxStatus(ticketId);
+  assert.strictEqual(second.status, 'SUCCESS', 'Ticket should succeed on the next poll');
+  assert(second.tx_id, 'Successful ticket should expose the txid');
+
+  api.mine();
+  const mined = await mnee.getTxStatus(ticketId);
+  assert.strictEqual(mined.status, 'MINED', 'Ticket should be mined after mine()');
+  assert.deepStrictEqual(
+    webhooks.map((w) => w.payload.status),
+    ['SUCCESS', 'MINED'],
+    'Webhooks should be delivered for each status change',
+  );
+
+  const received = await mnee.balance(recipient);
+  assert.strictEqual(received.amount, 1_250_000, 'Recipient should receive 12.5 MNEE');
+  const remaining = await mnee.balance(sender.toAddress());
+  assert.strictEqual(remaining.amount, 5_000_000 - 1_250_000 - 1000, 'Sender should pay amount plus fee');
+
+  const history = await mnee.recentTxHistory(recipient);
+  assert.strictEqual(history.history.length, 1, 'Recipient history should contain the transfer');
+  assert.strictEqual(history.history[0].type, 'receive');
+  assert.strictEqual(history.history[0].status, 'confirmed');
+}
+
+// Test 3: Double spends and bad auth are rejected
+async function testRejections() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  await api.mint(sender.toAddress(), 5_000_000);
+
+  const { rawtx } = await mnee.transfer([{ address: recipient, amount: 1 }], sender.toWif(), { broadcast: false });
+  await mnee.submitRawTx(rawtx);
+  await assert.rejects(() => mnee.submitRawTx(rawtx), /already spent/, 'Resubmitting should be rejected');
+
+  const unauthorized = new Mnee({ ...api.sdkConfig(), apiKey: 'wrong-key' });
+  await assert.rejects(() => unauthorized.config(), 'Wrong API key should be rejected');
+
+  // Undecodable transactions are answered with a 400, not a failed fetch
+  const { apiUrl, apiKey } = api.sdkConfig();
+  for (const request of [{ rawtx: 'AAAA' }, { rawtx: 'AAAA', format: 'beef' }]) {
+    const response = await api.fetch(`${apiUrl}/v2/transfer?auth_token=${apiKey}`, {
+      method: 'POST',
+      body: JSON.stringify(request),
+    });
+    assert.strictEqual(response.status, 400, `${JSON.stringify(request)} should be rejected with a 400`);
+  }
+}
+
+// Test 4: Failed broadcasts roll back
+async function testFailedTicket() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  await api.mint(sender.toAddress(), 5_000_000);
+
+  api.failNextTransfer('mempool conflict');
+  const { ticketId } = await mnee.transfer([{ address: recipient, amount: 1 }], sender.toWif());
+  await mnee.getTxStatus(ticketId);
+  const status = await mnee.getTxStatus(ticketId);
+  assert.strictEqual(status.status, 'FAILED', 'Ticket should fail');
+  assert.strictEqual(status.errors, 'mempool conflict');
+
+  const balance = await mnee.balance(sender.toAddress());
+  assert.strictEqual(balance.amount, 5_000_000, 'Failed transfer should not move funds');
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running mock API tests...\n');
+
+  try {
+    console.log('Test 1: Config and balance from the mock');
+    await testConfigAndBalance();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Transfer flow');
+    await testTransferFlow();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Rejections');
+    await testRejections();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('Test 4: Failed broadcast');
+    await testFailedTicket();
+    console.log('✅ Test 4 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -0,0 +1,142 @@
+import Mnee, { MockMneeApi, FileOutpointLockStore, MemoryOutpointLockStore, UtxoLockedError } from '@mnee/ts-sdk';
+import { PrivateKey } from '@bsv/sdk';
+import assert from 'assert';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const A = `${'a'.repeat(64)}_0`;
+const B = `${'b'.repeat(64)}_1`;
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Test 1: File store shared by two instances
+async function testFileStore(dir) {
+  const path = join(dir, 'locks.json');
+  const first = new FileOutpointLockStore(path);
+  const second = new FileOutpointLockStore(path);
+
+  assert.deepStrictEqual(await first.acquire([A], 60000), [], 'First acquire should succeed');
+  assert.deepStrictEqual(await second.acquire([A, B], 60000), [A], 'Second acquire should report the conflict');
+  assert.deepStrictEqual(await second.getLocked([A, B]), [A], 'A failed acquire should lock nothing');
+
+  await second.lock([B], 50);
+  assert.deepStrictEqual(await first.getLocked([A, B]), [A, B]);
+  await sleep(80);
+  assert.deepStrictEqual(await first.getLocked([A, B]), [A], 'Expired locks should be dropped');
+
+  // A corrupt file is rebuilt and a mutex left behind by a crashed process is reclaimed
+  await writeFile(path, '{not json');
+  await writeFile(`${path}.lock`, '');
+  const recovering = new FileOutpointLockStore(path, { staleMs: 0 });
+  assert.deepStrictEqual(await recovering.acquire([A], 60000), []);
+
+  await writeFile(`${path}.lock`, '');
+  const impatient = new FileOutpointLockStore(path, { timeoutMs: 50 });
+  const busy = await impatient.getLocked([A]).catch((e) => e);
+  assert(busy instanceof UtxoLockedError, 'A busy lock file is reported as UtxoLockedError');
+  assert.match(busy.message, /Timed out waiting for outpoint lock file/);
+  await rm(`${path}.lock`);
+}
+
+// Test 2: Two SDK instances sending from the same address coordinate through the store
+async function testConcurrentTransfers(dir) {
+  const api = new MockMneeApi();
+  let rejected = 0;
+  // Hold the first UTXO lookup of each worker until both have made it, so both select the same UTXO
+  let waiting = [];
+  const fetch = async (url, init) => {
+    if (String(url).includes('/v2/utxos') && waiting) {
+      await new Promise((resolve) => {
+        waiting.push(resolve);
+        if (waiting.length === 2) {
+          waiting.forEach((r) => r());
+          waiting = null;
+        }
+      });
+    }
+    const response = await api.fetch(url, init);
+    if (String(url).includes('/v2/transfer') && !response.ok) rejected++;
+    return response;
+  };
+  const path = join(dir, 'transfers.json');
+  const workerA = new Mnee({ ...api.sdkConfig(), fetch, outpointLockStore: new FileOutpointLockStore(path) });
+  const workerB = new Mnee({ ...api.sdkConfig(), fetch, outpointLockStore: new FileOutpointLockStore(path) });
+
+  const key = PrivateKey.fromRandom();
+  await api.mint(key.toAddress(), 300000);
+  await api.mint(key.toAddress(), 200000);
+  const recipient = PrivateKey.fromRandom().toAddress();
+  const request = [{ address: recipient, amount: 1 }];
+
+  const [first, second] = await Promise.all([
+    workerA.transfer(request, key.toWif()),
+    workerB.transfer(request, key.toWif()),
+  ]);
+  assert(first.ticketId && second.ticketId, 'Both transfers should be submitted');
+  assert.strictEqual(rejected, 0, 'The API should never see a conflicting submission');
+
+  await workerA.getTxStatus(first.ticketId);
+  await workerB.getTxStatus(second.ticketId);
+  assert.strictEqual((await workerA.balance(recipient)).amount, 200000);
+}
+
+// Test 3: Custom stores
+async function testCustomStore() {
+  const api = new MockMneeApi();
+  const calls = [];
+  const inner = new MemoryOutpointLockStore();
+  const store = {
+    getLocked: (outpoints) => inner.getLocked(outpoints),
+    acquire: (outpoints, ttlMs) => {
+      calls.push({ outpoints, ttlMs });
+      return inner.acquire(outpoints, ttlMs);
+    },
+    lock: (outpoints, ttlMs) => inner.lock(outpoints, ttlMs),
+  };
+  const mnee = new Mnee({ ...api.sdkConfig(), outpointLockStore: store });
+
+  const key = PrivateKey.fromRandom();
+  await api.mint(key.toAddress(), 100000);
+  const [utxo] = api.listUtxos(key.toAddress());
+  await mnee.transfer([{ address: PrivateKey.fromRandom().toAddress(), amount: 0.1 }], key.toWif());
+  assert.strictEqual(calls.length, 1, 'transfer should acquire its inputs');
+  assert.deepStrictEqual(calls[0].outpoints, [utxo.outpoint]);
+  assert.strictEqual(calls[0].ttlMs, 35000);
+
+  // The input stays locked after submission
+  assert.deepStrictEqual(await inner.getLocked([utxo.outpoint]), [utxo.outpoint]);
+
+  assert.throws(
+    () => new Mnee({ ...api.sdkConfig(), outpointLockStore: { getLocked: () => [] } }),
+    /outpointLockStore must implement acquire\(\)/,
+  );
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running outpoint lock store tests...\n');
+  const dir = await mkdtemp(join(tmpdir(), 'mnee-locks-'));
+
+  try {
+    console.log('Test 1: File store');
+    await testFileStore(dir);
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Concurrent transfers across instances');
+    await testConcurrentTransfers(dir);
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Custom store');
+    await testCustomStore();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+runTests();
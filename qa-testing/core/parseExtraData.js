@@ -0,0 +1,80 @@
+import { PrivateKey } from '@bsv/sdk';
+import assert from 'assert';
+import { fundedWallet } from '../mockWallet.js';
+
+const invoice = [
+  { type: 'utf8', data: 'invoice 42' },
+  { type: 'hex', data: 'cafe' },
+];
+
+async function setup() {
+  const { api, mnee, key } = await fundedWallet();
+  const pay = (extraData, options = {}) =>
+    mnee.transfer([{ address: PrivateKey.fromRandom().toAddress(), amount: 0.01 }], key.toWif(), {
+      extraData,
+      ...options,
+    });
+  return { api, mnee, pay };
+}
+
+// Test 1: Every parse method returns the memo written at send time
+async function testParseMethods() {
+  const { api, mnee, pay } = await setup();
+
+  const { rawtx } = await pay(invoice, { broadcast: false });
+  assert.deepStrictEqual((await mnee.parseTxFromRawTx(rawtx)).extraData, invoice);
+  const full = await mnee.parseTxFromRawTx(rawtx, { skipInputFetch: false, includeRaw: true });
+  assert.deepStrictEqual(full.extraData, invoice);
+
+  const { ticketId } = await pay(invoice);
+  const { tx_id: txid } = await mnee.waitForTx(ticketId, { intervalMs: 10 });
+  assert.deepStrictEqual((await mnee.parseTx(txid)).extraData, invoice);
+  assert.deepStrictEqual((await mnee.parseTxFromBEEF(api.getBeef(txid))).extraData, invoice);
+
+  const { rawtx: plain } = await pay(undefined, { broadcast: false });
+  assert.deepStrictEqual((await mnee.parseTxFromRawTx(plain)).extraData, []);
+}
+
+// Test 2: Pushes are 'utf8' when they are text and 'hex' otherwise
+async function testDetection() {
+  const { mnee, pay } = await setup();
+  const { rawtx } = await pay(
+    [
+      { type: 'utf8', data: 'Rechnung Nr. 7 – bezahlt ✓' },
+      { type: 'utf8', data: 'line one\nline two' },
+      { type: 'hex', data: '68656c6c6f' }, // "hello"
+      { type: 'hex', data: '00ff10' },
+      { type: 'utf8', data: 'bell\u0007' },
+    ],
+    { broadcast: false },
+  );
+  assert.deepStrictEqual((await mnee.parseTxFromRawTx(rawtx)).extraData, [
+    { type: 'utf8', data: 'Rechnung Nr. 7 – bezahlt ✓' },
+    { type: 'utf8', data: 'line one\nline two' },
+    { type: 'utf8', data: 'hello' },
+    { type: 'hex', data: '00ff10' },
+    { type: 'hex', data: '62656c6c07' },
+  ]);
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running OP_RETURN extraData parsing tests...\n');
+
+  try {
+    console.log('Test 1: Parse methods');
+    await testParseMethods();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Text detection');
+    await testDetection();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -0,0 +1,105 @@
+import Mnee, { MockMneeApi } from '@mnee/ts-sdk';
+import { P2PKH, PrivateKey, Transaction, Utils } from '@bsv/sdk';
+import assert from 'assert';
+
+const recipient = PrivateKey.fromRandom().toAddress();
+
+// Records the body of every /v2/transfer request made through the mock
+const setup = async () => {
+  const api = new MockMneeApi();
+  const submitted = [];
+  const fetch = async (url, init) => {
+    if (String(url).includes('/v2/transfer')) submitted.push(JSON.parse(init.body));
+    return api.fetch(url, init);
+  };
+  const mnee = new Mnee({ ...api.sdkConfig(), fetch });
+  const sender = PrivateKey.fromRandom();
+  await api.mint(sender.toAddress(), 100000);
+  return { api, mnee, sender, submitted };
+};
+
+// Test 1: BEEF input is detected and submitted as BEEF
+async function testSubmitBeef() {
+  const { mnee, sender, submitted } = await setup();
+  const { rawtx } = await mnee.transfer([{ address: recipient, amount: 0.5 }], sender.toWif(), {
+    broadcast: false,
+    format: 'beef',
+  });
+
+  const { ticketId } = await mnee.submitRawTx(rawtx);
+  assert(ticketId, 'Should return a ticket');
+  assert.strictEqual(submitted.length, 1);
+  assert.strictEqual(submitted[0].format, 'beef');
+  assert.strictEqual(submitted[0].rawtx, Utils.toBase64(Utils.toArray(rawtx, 'hex')), 'The BEEF should be sent as is');
+
+  const status = await mnee.waitForTx(ticketId, { intervalMs: 10 });
+  assert.strictEqual(status.status, 'SUCCESS');
+  assert.strictEqual((await mnee.balance(recipient)).amount, 50000);
+}
+
+// Test 2: EF input and plain hex
+async function testSubmitEfAndTx() {
+  const { mnee, sender, submitted } = await setup();
+  const request = [{ address: recipient, amount: 0.25 }];
+
+  const ef = await mnee.transfer(request, sender.toWif(), { broadcast: false, format: 'ef' });
+  // Without broadcasting, the transaction comes back in the format it was given
+  const held = await mnee.submitRawTx(ef.rawtx, { broadcast: false, format: 'ef' });
+  assert.strictEqual(held.rawtx, ef.rawtx);
+  assert.strictEqual(submitted.length, 0);
+
+  const { ticketId } = await mnee.submitRawTx(ef.rawtx);
+  assert.strictEqual(submitted[0].format, 'ef');
+  await mnee.waitForTx(ticketId, { intervalMs: 10 });
+
+  const plain = await mnee.transfer(request, sender.toWif(), { broadcast: false });
+  await mnee.submitRawTx(plain.rawtx);
+  assert.strictEqual(submitted.length, 2);
+  assert(!('format' in submitted[1]), 'Plain hex should be submitted without a format');
+}
+
+// Test 3: Invalid BEEF is rejected locally and invalid formats are refused
+async function testLocalValidation() {
+  const { mnee, sender, submitted } = await setup();
+  const { rawtx } = await mnee.transfer([{ address: recipient, amount: 0.5 }], sender.toWif(), {
+    broadcast: false,
+    format: 'beef',
+  });
+
+  // Same inputs, but the token outputs are replaced by a plain BSV output
+  const tx = Transaction.fromHexBEEF(rawtx);
+  const stripped = new Transaction(tx.version, tx.inputs, [{ lockingScript: new P2PKH().lock(recipient), satoshis: 1 }], 0);
+  await assert.rejects(
+    () => mnee.submitRawTx(Utils.toHex(stripped.toBEEF(true))),
+    /Transaction is not a valid MNEE transaction/,
+  );
+  assert.strictEqual(submitted.length, 0, 'Nothing should reach the API');
+
+  await assert.rejects(() => mnee.submitRawTx(rawtx, { format: 'hex' }), /Invalid format: hex/);
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running submitRawTx format tests...\n');
+
+  try {
+    console.log('Test 1: Submit BEEF');
+    await testSubmitBeef();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Submit EF and plain hex');
+    await testSubmitEfAndTx();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Local validation');
+    await testLocalValidation();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -0,0 +1,122 @@
+import Mnee, { MockMneeApi } from '@mnee/ts-sdk';
+import { PrivateKey, Transaction } from '@bsv/sdk';
+import assert from 'assert';
+
+const recipient = PrivateKey.fromRandom().toAddress();
+
+// Counts /v2/transfer requests made through the mock
+const setup = async () => {
+  const api = new MockMneeApi();
+  const counter = { submitted: 0 };
+  const fetch = (url, init) => {
+    if (String(url).includes('/v2/transfer')) counter.submitted++;
+    return api.fetch(url, init);
+  };
+  const mnee = new Mnee({ ...api.sdkConfig(), fetch });
+  const sender = PrivateKey.fromRandom();
+  await api.mint(sender.toAddress(), 100000);
+  const { rawtx } = await mnee.transfer([{ address: recipient, amount: 0.5 }], sender.toWif(), { broadcast: false });
+  return { api, mnee, sender, rawtx, counter };
+};
+
+// Test 1: Dry run reports without submitting
+async function testDryRun() {
+  const { mnee, rawtx, counter } = await setup();
+
+  const ok = await mnee.submitRawTx(rawtx, { dryRun: true, expected: [{ address: recipient, amount: 0.5 }] });
+  assert.strictEqual(ok.ticketId, undefined, 'A dry run should not submit');
+  assert.strictEqual(ok.validation.valid, true);
+  assert.strictEqual(ok.validation.txid, Transaction.fromHex(rawtx).id('hex'));
+  assert.deepStrictEqual(ok.validation.errors, []);
+
+  const wrongAmount = { address: recipient, amount: 0.4 };
+  const missing = await mnee.submitRawTx(rawtx, { dryRun: true, expected: [wrongAmount] });
+  assert.strictEqual(missing.validation.valid, false);
+  assert.deepStrictEqual(missing.validation.errors, [
+    {
+      code: 'EXPECTED_OUTPUT_MISSING',
+      message: `No matching output found for ${recipient} with amount 0.4`,
+      expected: wrongAmount,
+    },
+  ]);
+  assert.strictEqual(counter.submitted, 0);
+}
+
+// Test 2: Each broken rule is reported with the offending output
+async function testRuleErrors() {
+  const { mnee, sender, rawtx, counter } = await setup();
+
+  // A transaction for another token, cosigned by another approver
+  const other = new MockMneeApi();
+  const otherMnee = new Mnee(other.sdkConfig());
+  await other.mint(sender.toAddress(), 100000);
+  const foreign = await otherMnee.transfer([{ address: recipient, amount: 0.5 }], sender.toWif(), { broadcast: false });
+  const { validation } = await mnee.submitRawTx(foreign.rawtx, { dryRun: true });
+  const codes = new Set(validation.errors.map((e) => e.code));
+  assert.deepStrictEqual([...codes].sort(), ['INVALID_COSIGNER', 'INVALID_TOKEN_ID']);
+  assert(validation.errors.every((e) => Number.isInteger(e.outputIndex)), 'Output errors should name the output');
+
+  // Dropping the change output breaks token conservation
+  const tx = Transaction.fromHex(rawtx);
+  const unbalanced = new Transaction(tx.version, tx.inputs, tx.outputs.slice(0, -1), tx.lockTime);
+  const report = (await mnee.submitRawTx(unbalanced.toHex(), { dryRun: true })).validation;
+  assert.deepStrictEqual(
+    report.errors.map((e) => e.code),
+    ['AMOUNT_NOT_CONSERVED'],
+  );
+  assert.strictEqual(counter.submitted, 0);
+}
+
+// Test 3: validateBeforeSubmit throws on failure and submits on success
+async function testValidateBeforeSubmit() {
+  const { mnee, rawtx, counter } = await setup();
+
+  let thrown;
+  try {
+    await mnee.submitRawTx(rawtx, { validateBeforeSubmit: true, expected: [{ address: recipient, amount: 1 }] });
+  } catch (error) {
+    thrown = error;
+  }
+  assert(thrown, 'A failing transaction should throw');
+  assert.match(thrown.message, /^Transaction failed validation: No matching output found/);
+  assert.strictEqual(thrown.validation.errors[0].code, 'EXPECTED_OUTPUT_MISSING');
+  assert.strictEqual(counter.submitted, 0, 'A failing transaction should never be sent');
+
+  const result = await mnee.submitRawTx(rawtx, {
+    validateBeforeSubmit: true,
+    expected: [{ address: recipient, amount: 0.5 }],
+  });
+  assert(result.ticketId, 'A passing transaction should be submitted');
+  assert.strictEqual(result.validation.valid, true);
+  assert.strictEqual(counter.submitted, 1);
+
+  // validateMneeTx gives the same verdict as a boolean
+  assert.strictEqual(await mnee.validateMneeTx(rawtx, [{ address: recipient, amount: 0.5 }]), true);
+  assert.strictEqual(await mnee.validateMneeTx(rawtx, [{ address: recipient, amount: 1 }]), false);
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running submitRawTx validation tests...\n');
+
+  try {
+    console.log('Test 1: Dry run');
+    await testDryRun();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Rule errors');
+    await testRuleErrors();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: validateBeforeSubmit');
+    await testValidateBeforeSubmit();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -0,0 +1,100 @@
+import Mnee, { MockMneeApi } from '@mnee/ts-sdk';
+import { PrivateKey } from '@bsv/sdk';
+import assert from 'assert';
+
+// Test 1: Sweep a single key
+async function testSweepSingle() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const key = PrivateKey.fromRandom();
+  const destination = PrivateKey.fromRandom().toAddress();
+  await api.mint(key.toAddress(), 300000);
+  await api.mint(key.toAddress(), 200000);
+
+  const result = await mnee.sweep(key.toWif(), destination);
+  assert(result.ticketId, 'Sweep should return a ticket');
+  assert.strictEqual(result.amount, 499900, 'Amount should be the balance minus the fee');
+  assert.strictEqual(result.fee, 100);
+  assert.strictEqual(result.change, 0);
+  assert.strictEqual(result.inputs.length, 2);
+
+  await mnee.getTxStatus(result.ticketId);
+  assert.strictEqual((await mnee.balance(destination)).amount, 499900);
+  assert.strictEqual((await mnee.balance(key.toAddress())).amount, 0, 'Swept address should be empty');
+}
+
+// Test 2: Sweep several keys into one transaction
+async function testSweepMany() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const keys = [PrivateKey.fromRandom(), PrivateKey.fromRandom(), PrivateKey.fromRandom()];
+  const destination = PrivateKey.fromRandom().toAddress();
+  for (const key of keys) await api.mint(key.toAddress(), 1000000);
+
+  const result = await mnee.sweep(keys.map((k) => k.toWif()), destination);
+  assert.strictEqual(result.inputs.length, 3);
+  assert.strictEqual(result.fee, 1000, 'Higher tier fee should apply');
+  assert.strictEqual(result.amount, 2999000);
+
+  await mnee.getTxStatus(result.ticketId);
+  assert.strictEqual((await mnee.balance(destination)).amount, 2999000);
+}
+
+// Test 3: Balance just above a tier boundary keeps the remainder as change
+async function testTierBoundary() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const key = PrivateKey.fromRandom();
+  const destination = PrivateKey.fromRandom().toAddress();
+  // Sending 1,000,001+ costs 1000, so the max is 1,000,000 + 100 fee with 400 left over
+  await api.mint(key.toAddress(), 1000500);
+
+  const { rawtx, amount, fee, change } = await mnee.sweep(key.toWif(), destination, { broadcast: false });
+  assert.deepStrictEqual({ amount, fee, change }, { amount: 1000000, fee: 100, change: 400 });
+  assert(await mnee.validateMneeTx(rawtx, [{ address: destination, amount: 1000000n }]));
+}
+
+// Test 4: Errors
+async function testErrors() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const key = PrivateKey.fromRandom();
+  const destination = PrivateKey.fromRandom().toAddress();
+
+  await assert.rejects(() => mnee.sweep(key.toWif(), destination), /No MNEE balance to sweep/);
+  await assert.rejects(() => mnee.sweep(key.toWif(), 'invalid'), /Invalid destination address/);
+  await assert.rejects(() => mnee.sweep([], destination), /At least one WIF key is required/);
+
+  await api.mint(key.toAddress(), 50);
+  await assert.rejects(() => mnee.sweep(key.toWif(), destination), /Insufficient MNEE balance to cover the fee/);
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running sweep tests...\n');
+
+  try {
+    console.log('Test 1: Sweep a single key');
+    await testSweepSingle();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Sweep several keys');
+    await testSweepMany();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Fee tier boundary');
+    await testTierBoundary();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('Test 4: Errors');
+    await testErrors();
+    console.log('✅ Test 4 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
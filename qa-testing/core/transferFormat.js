@@ -0,0 +1,136 @@
+import Mnee, { MockMneeApi } from '@mnee/ts-sdk';
+import { PrivateKey, Transaction } from '@bsv/sdk';
+import assert from 'assert';
+
+const recipient = PrivateKey.fromRandom().toAddress();
+
+// Test 1: transfer returns BEEF and EF that encode the same transaction as plain hex
+async function testTransferFormats() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const sender = PrivateKey.fromRandom();
+  await api.mint(sender.toAddress(), 300000);
+  await api.mint(sender.toAddress(), 200000);
+  const request = [{ address: recipient, amount: 4 }];
+
+  const { rawtx } = await mnee.transfer(request, sender.toWif(), { broadcast: false });
+  const plain = Transaction.fromHex(rawtx);
+
+  const beef = await mnee.transfer(request, sender.toWif(), { broadcast: false, format: 'beef' });
+  const fromBeef = Transaction.fromHexBEEF(beef.rawtx);
+  assert.strictEqual(fromBeef.id('hex'), plain.id('hex'), 'BEEF should hold the same transaction');
+  assert(
+    fromBeef.inputs.every((input) => input.sourceTransaction),
+    'Every parent should be embedded in the BEEF',
+  );
+
+  // Parents are embedded, so parsing resolves input amounts without any lookups
+  const parsed = await mnee.parseTxFromBEEF(beef.rawtx);
+  assert.strictEqual(parsed.isValid, true);
+  assert.strictEqual(parsed.inputTotal, '500000');
+  assert.strictEqual(parsed.inputTotal, parsed.outputTotal);
+
+  const ef = await mnee.transfer(request, sender.toWif(), { broadcast: false, format: 'ef' });
+  const fromEf = Transaction.fromHexEF(ef.rawtx);
+  assert.strictEqual(fromEf.id('hex'), plain.id('hex'), 'EF should hold the same transaction');
+  assert.deepStrictEqual(
+    fromEf.inputs.map((input) => input.sourceTransaction.outputs[input.sourceOutputIndex].satoshis),
+    [1, 1],
+    'EF should carry the source satoshis',
+  );
+
+  const explicit = await mnee.transfer(request, sender.toWif(), { broadcast: false, format: 'tx' });
+  assert.strictEqual(explicit.rawtx, rawtx);
+}
+
+// Test 2: transferMulti and sweep honor the format
+async function testTransferMultiAndSweep() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const sender = PrivateKey.fromRandom();
+  const utxo = await api.mint(sender.toAddress(), 100000);
+
+  const { rawtx } = await mnee.transferMulti(
+    { inputs: [{ txid: utxo.txid, vout: utxo.vout, wif: sender.toWif() }], recipients: [{ address: recipient, amount: 0.5 }] },
+    { broadcast: false, format: 'beef' },
+  );
+  const parsed = await mnee.parseTxFromBEEF(rawtx);
+  assert.strictEqual(parsed.inputTotal, '100000');
+  assert.strictEqual(parsed.isValid, true);
+
+  const swept = await mnee.sweep(sender.toWif(), recipient, { broadcast: false, format: 'ef' });
+  assert.strictEqual(Transaction.fromHexEF(swept.rawtx).inputs[0].sourceTXID, utxo.txid);
+}
+
+// Test 3: Invalid formats are rejected before any work
+async function testInvalidFormat() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const sender = PrivateKey.fromRandom();
+  await api.mint(sender.toAddress(), 100000);
+
+  await assert.rejects(
+    () => mnee.transfer([{ address: recipient, amount: 0.5 }], sender.toWif(), { broadcast: false, format: 'hex' }),
+    /Invalid format: hex/,
+  );
+  await assert.rejects(
+    () =>
+      mnee.transferMulti(
+        { inputs: api.listUtxos(sender.toAddress()).map((u) => ({ txid: u.txid, vout: u.vout, wif: sender.toWif() })), recipients: [{ address: recipient, amount: 0.5 }] },
+        { broadcast: false, format: 'BEEF' },
+      ),
+    /Invalid format: BEEF/,
+  );
+}
+
+// Test 4: format only shapes the returned rawtx, so broadcasting ignores it
+async function testBroadcastIgnoresFormat() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const sender = PrivateKey.fromRandom();
+  await api.mint(sender.toAddress(), 100000);
+  const utxo = await api.mint(sender.toAddress(), 100000);
+  const swept = PrivateKey.fromRandom();
+  await api.mint(swept.toAddress(), 100000);
+
+  const sent = await mnee.transfer([{ address: recipient, amount: 0.5 }], sender.toWif(), { format: 'beef' });
+  const multi = await mnee.transferMulti(
+    { inputs: [{ txid: utxo.txid, vout: utxo.vout, wif: sender.toWif() }], recipients: [{ address: recipient, amount: 0.5 }] },
+    { broadcast: true, format: 'ef' },
+  );
+  const sweep = await mnee.sweep(swept.toWif(), recipient, { format: 'beef' });
+  for (const { ticketId, rawtx } of [sent, multi, sweep]) {
+    assert.strictEqual(rawtx, undefined);
+    assert.strictEqual((await mnee.waitForTx(ticketId, { intervalMs: 10 })).status, 'SUCCESS');
+  }
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running transfer format tests...\n');
+
+  try {
+    console.log('Test 1: transfer formats');
+    await testTransferFormats();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: transferMulti and sweep formats');
+    await testTransferMultiAndSweep();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Invalid format');
+    await testInvalidFormat();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('Test 4: Broadcasting ignores the format');
+    await testBroadcastIgnoresFormat();
+    console.log('✅ Test 4 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
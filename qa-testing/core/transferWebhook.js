@@ -0,0 +1,129 @@
+import Mnee, { MockMneeApi } from '@mnee/ts-sdk';
+import { PrivateKey } from '@bsv/sdk';
+import assert from 'assert';
+import { submitTransfer } from '../mockWallet.js';
+
+const CALLBACK_URL = 'https://example.com/webhook';
+const SECRET = 'test-webhook-secret';
+
+// Submits a transfer with a callback and collects the mock's webhook deliveries
+async function setup(transferOptions = {}) {
+  const deliveries = [];
+  const api = new MockMneeApi({ onWebhook: (url, payload, delivery) => deliveries.push({ url, payload, delivery }) });
+  const mnee = new Mnee(api.sdkConfig());
+  const ticketId = await submitTransfer(api, mnee, { callbackUrl: CALLBACK_URL, ...transferOptions });
+  await mnee.getTxStatus(ticketId);
+  return { api, mnee, ticketId, deliveries };
+}
+
+// Test 1: Signed delivery is validated and typed
+async function testSignedDelivery() {
+  const { mnee, ticketId, deliveries } = await setup({ callbackSecret: SECRET });
+  assert.strictEqual(deliveries.length, 1, 'SUCCESS should be delivered');
+  const [{ url, delivery }] = deliveries;
+  assert.strictEqual(url, CALLBACK_URL);
+  assert(delivery.headers['x-mnee-signature'], 'Delivery should be signed');
+
+  const { webhook, duplicate } = await mnee.handleTransferWebhook(delivery.body, delivery.headers, { secret: SECRET });
+  assert.strictEqual(duplicate, false);
+  assert.strictEqual(webhook.id, ticketId);
+  assert.strictEqual(webhook.status, 'SUCCESS');
+
+  // Bytes and fetch Headers work too; the repeat is reported as a duplicate
+  const bytes = new TextEncoder().encode(delivery.body);
+  const repeat = await mnee.handleTransferWebhook(bytes, new Headers(delivery.headers), { secret: SECRET });
+  assert.strictEqual(repeat.duplicate, true, 'Redelivery should be flagged');
+}
+
+// Test 2: Signature failures
+async function testSignatureFailures() {
+  const { mnee, deliveries } = await setup({ callbackSecret: SECRET });
+  const [{ delivery, payload }] = deliveries;
+
+  await assert.rejects(
+    () => mnee.handleTransferWebhook(delivery.body, delivery.headers, { secret: 'wrong-secret' }),
+    /Invalid webhook signature/,
+  );
+  await assert.rejects(
+    () => mnee.handleTransferWebhook(delivery.body.replace('SUCCESS', 'MINED'), delivery.headers, { secret: SECRET }),
+    /Invalid webhook signature/,
+  );
+  await assert.rejects(
+    () => mnee.handleTransferWebhook(delivery.body, {}, { secret: SECRET }),
+    /Missing x-mnee-signature/,
+  );
+  await assert.rejects(
+    () => mnee.handleTransferWebhook(payload, delivery.headers, { secret: SECRET }),
+    /requires the raw request body/,
+  );
+}
+
+// Test 3: Payload and transaction validation
+async function testPayloadValidation() {
+  const { mnee, deliveries } = await setup();
+  const [{ payload }] = deliveries;
+
+  await assert.rejects(() => mnee.handleTransferWebhook('not json'), /not valid JSON/);
+  await assert.rejects(() => mnee.handleTransferWebhook({ ...payload, status: 'PENDING' }), /status must be one of/);
+  await assert.rejects(() => mnee.handleTransferWebhook({ ...payload, id: 42 }), /id must be a string/);
+  await assert.rejects(() => mnee.handleTransferWebhook({ ...payload, tx_hex: 'zz' }), /tx_hex must be hex/);
+  await assert.rejects(
+    () => mnee.handleTransferWebhook({ ...payload, tx_id: 'ab'.repeat(32) }),
+    /tx_id does not match tx_hex/,
+  );
+  await assert.rejects(
+    () => mnee.handleTransferWebhook({ ...payload, tx_hex: '0100000000000000000000' }),
+    /not a valid MNEE transaction/,
+  );
+
+  // Failed checks are not recorded, so the genuine delivery is still handled
+  const result = await mnee.handleTransferWebhook(payload);
+  assert.strictEqual(result.duplicate, false);
+
+  // FAILED deliveries skip transaction validation
+  const failed = { ...payload, status: 'FAILED', errors: 'rejected', tx_id: '' };
+  const failedResult = await mnee.handleTransferWebhook(failed);
+  assert.strictEqual(failedResult.webhook.errors, 'rejected');
+}
+
+// Test 4: Callback secret requires a callback URL
+async function testSecretRequiresUrl() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const key = PrivateKey.fromRandom();
+  await api.mint(key.toAddress(), 100000);
+  await assert.rejects(
+    () => mnee.transfer([{ address: key.toAddress(), amount: 0.1 }], key.toWif(), { callbackSecret: SECRET }),
+    /Callback secret requires a callback URL/,
+  );
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running transfer webhook tests...\n');
+
+  try {
+    console.log('Test 1: Signed delivery');
+    await testSignedDelivery();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Signature failures');
+    await testSignatureFailures();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Payload validation');
+    await testPayloadValidation();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('Test 4: Callback secret without URL');
+    await testSecretRequiresUrl();
+    console.log('✅ Test 4 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -0,0 +1,103 @@
+import Mnee from '@mnee/ts-sdk';
+import assert from 'assert';
+import testConfig from '../testConfig.js';
+
+const TEST_ADDRESS = testConfig.addresses.testAddress;
+
+// Wraps the global fetch and records every request the SDK makes
+function createRecordingTransport() {
+  const calls = [];
+  const transport = async (url, init) => {
+    calls.push({ url: new URL(url).pathname, method: init?.method || 'GET' });
+    return fetch(url, init);
+  };
+  return { transport, calls };
+}
+
+// Test 1: Custom transport receives config, balance, utxo and history requests
+async function testTransportIsUsed() {
+  const { transport, calls } = createRecordingTransport();
+  const mnee = new Mnee({
+    environment: testConfig.environment,
+    apiKey: testConfig.apiKey,
+    fetch: transport,
+  });
+
+  await mnee.config();
+  await mnee.balance(TEST_ADDRESS);
+  await mnee.getUtxos(TEST_ADDRESS, 1, 5);
+  await mnee.recentTxHistory(TEST_ADDRESS, undefined, 5);
+
+  const paths = calls.map((c) => c.url);
+  assert(paths.includes('/v1/config'), 'Config request should go through the custom transport');
+  assert(paths.includes('/v2/balance'), 'Balance request should go through the custom transport');
+  assert(paths.includes('/v2/utxos'), 'UTXO request should go through the custom transport');
+  assert(paths.includes('/v1/sync'), 'History request should go through the custom transport');
+  console.log(`  Transport recorded ${calls.length} requests: ${[...new Set(paths)].join(', ')}`);
+}
+
+// Test 2: Transport responses are used as-is (in-process stand-in)
+async function testStandInTransport() {
+  const stubConfig = {
+    approver: '02bed35e894cc41cc9879b4002ad03d33533b615c1b476068c8dd6822a09f93f6c',
+    feeAddress: '1AJoZperDvK6wBLzYtnUSzrfSCFgqH9b9d',
+    burnAddress: '1AJoZperDvK6wBLzYtnUSzrfSCFgqH9b9d',
+    mintAddress: '1AZNdbFYBDFTAEgzZMfPzANxyNrpGJZAUY',
+    fees: [{ min: 0, max: 9007199254740991, fee: 1000 }],
+    decimals: 5,
+    tokenId: '833a7720966a2a435db28d967385e8aa7284b6150ebb39482cc5228b73e1703f_0',
+  };
+  const stub = async (url) => {
+    const { pathname } = new URL(url);
+    if (pathname === '/v1/config') return new Response(JSON.stringify(stubConfig), { status: 200 });
+    if (pathname === '/v2/balance') {
+      return new Response(JSON.stringify([{ address: TEST_ADDRESS, amt: 123450000, precised: 1234.5 }]), {
+        status: 200,
+      });
+    }
+    return new Response('not found', { status: 404 });
+  };
+
+  const mnee = new Mnee({ environment: 'sandbox', fetch: stub });
+  const config = await mnee.config();
+  assert.deepStrictEqual(config, stubConfig, 'Config should come from the stand-in transport');
+
+  const balance = await mnee.balance(TEST_ADDRESS);
+  assert.strictEqual(balance.amount, 123450000, 'Balance should come from the stand-in transport');
+  assert.strictEqual(balance.decimalAmount, 1234.5, 'Decimal balance should come from the stand-in transport');
+}
+
+// Test 3: Non-function transports are rejected
+async function testInvalidTransport() {
+  assert.throws(
+    () => new Mnee({ environment: 'sandbox', fetch: 'not-a-function' }),
+    /fetch must be a function/,
+    'Constructor should reject a non-function transport',
+  );
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running custom transport tests...\n');
+
+  try {
+    console.log('Test 1: Custom transport is used for every API call');
+    await testTransportIsUsed();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: In-process stand-in transport');
+    await testStandInTransport();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Invalid transport rejected');
+    await testInvalidTransport();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
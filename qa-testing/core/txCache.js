@@ -0,0 +1,126 @@
+import Mnee, { MockMneeApi, FileTxCache, MemoryTxCache, IndexedDBTxCache } from '@mnee/ts-sdk';
+import assert from 'assert';
+import { mkdtemp, readdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { broadcastTransfer } from '../mockWallet.js';
+
+// Counts /v1/tx requests made through the returned fetch
+function countingFetch(api) {
+  const counter = { txFetches: 0 };
+  counter.fetch = (url, init) => {
+    if (String(url).includes('/v1/tx/')) counter.txFetches++;
+    return api.fetch(url, init);
+  };
+  return counter;
+}
+
+// Test 1: A file cache survives a new SDK instance
+async function testFileCache(dir) {
+  const api = new MockMneeApi();
+  const txid = await broadcastTransfer(api, new Mnee(api.sdkConfig()));
+
+  const first = countingFetch(api);
+  const mneeA = new Mnee({ ...api.sdkConfig(), fetch: first.fetch, txCache: new FileTxCache(dir) });
+  const parsed = await mneeA.parseTx(txid, { skipInputFetch: false });
+  assert(first.txFetches > 0, 'The first instance should fetch from the API');
+  assert.strictEqual(mneeA.getTxCacheStats().misses, first.txFetches);
+  assert((await readdir(dir)).includes(`${txid}.hex`), 'Fetched transactions should be written to the directory');
+
+  // A "restarted" process sharing the directory never hits /v1/tx
+  const second = countingFetch(api);
+  const mneeB = new Mnee({ ...api.sdkConfig(), fetch: second.fetch, txCache: new FileTxCache(dir) });
+  assert.deepStrictEqual(await mneeB.parseTx(txid, { skipInputFetch: false }), parsed);
+  assert.strictEqual(second.txFetches, 0, 'The second instance should be served from the file cache');
+  assert.deepStrictEqual(mneeB.getTxCacheStats(), { hits: first.txFetches, misses: 0, errors: 0 });
+
+  // An entry that does not hash to its txid is discarded and refetched
+  await writeFile(join(dir, `${txid}.hex`), '00');
+  const third = countingFetch(api);
+  const mneeC = new Mnee({ ...api.sdkConfig(), fetch: third.fetch, txCache: new FileTxCache(dir) });
+  assert.strictEqual((await mneeC.fetchSourceTransaction(txid)).id('hex'), txid);
+  assert.strictEqual(third.txFetches, 1);
+  assert.strictEqual(mneeC.getTxCacheStats().errors, 1);
+  assert.strictEqual((await mneeC.fetchSourceTransaction(txid)).id('hex'), txid);
+  assert.strictEqual(third.txFetches, 1, 'The refetched transaction should have been cached again');
+}
+
+// Test 2: In-memory LRU and concurrent lookups
+async function testMemoryCache() {
+  const cache = new MemoryTxCache({ maxEntries: 2 });
+  cache.set('a', '01');
+  cache.set('b', '02');
+  cache.get('a');
+  cache.set('c', '03');
+  assert.strictEqual(cache.size, 2);
+  assert.strictEqual(cache.get('b'), undefined, 'The least recently used entry should be evicted');
+  assert.strictEqual(cache.get('a'), '01');
+  assert.throws(() => new MemoryTxCache({ maxEntries: 0 }), /maxEntries must be a positive integer/);
+
+  const api = new MockMneeApi();
+  const txid = await broadcastTransfer(api, new Mnee(api.sdkConfig()));
+  const counter = countingFetch(api);
+  const mnee = new Mnee({ ...api.sdkConfig(), fetch: counter.fetch });
+  await Promise.all([mnee.fetchSourceTransaction(txid), mnee.fetchSourceTransaction(txid)]);
+  await mnee.fetchSourceTransaction(txid);
+  assert.strictEqual(counter.txFetches, 1, 'The default cache should dedupe and keep fetched transactions');
+  assert.deepStrictEqual(mnee.getTxCacheStats(), { hits: 1, misses: 1, errors: 0 });
+}
+
+// Test 3: Custom caches and failing caches
+async function testCustomCache() {
+  const api = new MockMneeApi();
+  const txid = await broadcastTransfer(api, new Mnee(api.sdkConfig()));
+
+  const store = new Map();
+  const custom = { get: async (id) => store.get(id), set: async (id, rawtx) => void store.set(id, rawtx) };
+  const mnee = new Mnee({ ...api.sdkConfig(), txCache: custom });
+  const tx = await mnee.fetchSourceTransaction(txid);
+  assert.strictEqual(store.get(txid), tx.toHex());
+
+  // A cache that throws degrades to fetching from the API
+  const broken = {
+    get: () => {
+      throw new Error('disk gone');
+    },
+    set: () => Promise.reject(new Error('disk gone')),
+  };
+  const degraded = new Mnee({ ...api.sdkConfig(), txCache: broken });
+  assert.strictEqual((await degraded.fetchSourceTransaction(txid)).id('hex'), txid);
+  assert.deepStrictEqual(degraded.getTxCacheStats(), { hits: 0, misses: 1, errors: 2 });
+
+  assert.throws(
+    () => new Mnee({ ...api.sdkConfig(), txCache: { get: () => undefined } }),
+    /txCache must implement set\(\)/,
+  );
+  assert.throws(() => new IndexedDBTxCache(), /IndexedDB is not available/);
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running tx cache tests...\n');
+  const dir = await mkdtemp(join(tmpdir(), 'mnee-txcache-'));
+
+  try {
+    console.log('Test 1: File cache across instances');
+    await testFileCache(dir);
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Memory cache');
+    await testMemoryCache();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Custom cache');
+    await testCustomCache();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+runTests();
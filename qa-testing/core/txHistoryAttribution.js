@@ -0,0 +1,184 @@
+import Mnee, { MockMneeApi } from '@mnee/ts-sdk';
+import { PrivateKey } from '@bsv/sdk';
+import assert from 'assert';
+
+// Counts /v1/tx requests made through the returned SDK
+function countingMnee(api) {
+  const counter = { txFetches: 0 };
+  counter.mnee = new Mnee({
+    ...api.sdkConfig(),
+    fetch: (url, init) => {
+      if (String(url).includes('/v1/tx/')) counter.txFetches++;
+      return api.fetch(url, init);
+    },
+  });
+  return counter;
+}
+
+const historyItem = async (mnee, address, txid) => {
+  const { history } = await mnee.recentTxHistory(address);
+  const item = history.find((tx) => tx.txid === txid);
+  assert(item, `${txid} should be in the history of ${address}`);
+  return item;
+};
+
+const send = async (mnee, key, recipients) => {
+  const { ticketId } = await mnee.transfer(recipients, key.toWif());
+  return (await mnee.waitForTx(ticketId, { intervalMs: 10 })).tx_id;
+};
+
+// Test 1: One sender
+async function testSingleSender() {
+  const api = new MockMneeApi();
+  const { mnee, ...counter } = countingMnee(api);
+  const sender = PrivateKey.fromRandom();
+  const recipient = PrivateKey.fromRandom().toAddress();
+  await api.mint(sender.toAddress(), 10000);
+  const txid = await send(mnee, sender, [{ address: recipient, amount: 0.01 }]);
+
+  counter.txFetches = 0;
+  const sent = await historyItem(mnee, sender.toAddress(), txid);
+  assert.strictEqual(sent.type, 'send');
+  assert.strictEqual(sent.amount, 1000);
+  assert(sent.fee > 0, 'The sender pays the fee');
+  assert.deepStrictEqual(sent.counterparties, [{ address: recipient, amount: 1000 }]);
+  assert.deepStrictEqual(sent.senders, [sender.toAddress()]);
+
+  const received = await historyItem(mnee, recipient, txid);
+  assert.strictEqual(received.type, 'receive');
+  assert.strictEqual(received.amount, 1000);
+  assert.strictEqual(received.fee, 0);
+  assert.deepStrictEqual(received.counterparties, [{ address: sender.toAddress(), amount: 1000 }]);
+
+  const { feeAddress } = await mnee.config();
+  const collected = await historyItem(mnee, feeAddress, txid);
+  assert.strictEqual(collected.type, 'receive');
+  assert.strictEqual(collected.amount, sent.fee);
+  assert.deepStrictEqual(collected.counterparties, [{ address: sender.toAddress(), amount: sent.fee }]);
+  assert.strictEqual(counter.txFetches, 0, 'Single-sender history needs no source transactions');
+}
+
+// Test 2: Several senders via transferMulti
+async function testMultiSender() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const [a, b] = [PrivateKey.fromRandom(), PrivateKey.fromRandom()];
+  const recipient = PrivateKey.fromRandom().toAddress();
+  const utxoA = await api.mint(a.toAddress(), 3000);
+  const utxoB = await api.mint(b.toAddress(), 5000);
+
+  const { ticketId } = await mnee.transferMulti({
+    inputs: [
+      { txid: utxoA.txid, vout: utxoA.vout, wif: a.toWif() },
+      { txid: utxoB.txid, vout: utxoB.vout, wif: b.toWif() },
+    ],
+    recipients: [{ address: recipient, amount: 0.06 }],
+    changeAddress: b.toAddress(),
+  }, { broadcast: true });
+  const { tx_id: txid } = await mnee.waitForTx(ticketId, { intervalMs: 10 });
+
+  // A fresh instance, so source transactions are not already cached from building the transfer
+  const reader = countingMnee(api);
+  const fromA = await historyItem(reader.mnee, a.toAddress(), txid);
+  const fromB = await historyItem(reader.mnee, b.toAddress(), txid);
+  const toRecipient = await historyItem(reader.mnee, recipient, txid);
+  assert(reader.txFetches > 0, 'Splitting needs the source transactions of the inputs');
+
+  for (const item of [fromA, fromB, toRecipient]) {
+    assert.deepStrictEqual([...item.senders].sort(), [a.toAddress(), b.toAddress()].sort());
+  }
+
+  // The fee is shared by input value (3000 : 5000)
+  const fee = fromA.fee + fromB.fee;
+  assert(fee > 0);
+  assert(Math.abs(fromA.fee * 8 - fee * 3) < 8, `A should pay 3/8 of the fee, paid ${fromA.fee} of ${fee}`);
+
+  // A got nothing back: everything it put in went to the recipient or the fee
+  assert.strictEqual(fromA.type, 'send');
+  assert.strictEqual(fromA.amount + fromA.fee, 3000);
+  assert.deepStrictEqual(fromA.counterparties, [{ address: recipient, amount: fromA.amount }]);
+  // B funded the rest and got the change
+  assert.strictEqual(fromB.type, 'send');
+  assert.strictEqual(fromB.amount, 6000 - fromA.amount);
+  assert.deepStrictEqual(fromB.counterparties, [{ address: recipient, amount: fromB.amount }]);
+
+  assert.strictEqual(toRecipient.type, 'receive');
+  assert.strictEqual(toRecipient.amount, 6000);
+  assert.strictEqual(toRecipient.fee, 0);
+  assert.deepStrictEqual(
+    [...toRecipient.counterparties].sort((x, y) => x.amount - y.amount),
+    [
+      { address: a.toAddress(), amount: fromA.amount },
+      { address: b.toAddress(), amount: fromB.amount },
+    ].sort((x, y) => x.amount - y.amount),
+  );
+
+  // The fee address is paid the fee by both senders, split the same way
+  const { feeAddress } = await mnee.config();
+  const collected = await historyItem(reader.mnee, feeAddress, txid);
+  assert.strictEqual(collected.type, 'receive');
+  assert.strictEqual(collected.amount, fee);
+  assert.strictEqual(collected.fee, 0);
+  assert.deepStrictEqual(
+    [...collected.counterparties].sort((x, y) => x.amount - y.amount),
+    [
+      { address: a.toAddress(), amount: fromA.fee },
+      { address: b.toAddress(), amount: fromB.fee },
+    ].sort((x, y) => x.amount - y.amount),
+  );
+
+  // Several addresses in one request share the inputs
+  const batched = countingMnee(api);
+  const histories = await batched.mnee.recentTxHistories([{ address: a.toAddress() }, { address: b.toAddress() }]);
+  assert.deepStrictEqual(
+    histories.map((h) => h.history.find((tx) => tx.txid === txid)),
+    [fromA, fromB],
+  );
+  assert.strictEqual(batched.txFetches, reader.txFetches, 'Each source transaction should be fetched once');
+}
+
+// Test 3: Self-transfers and consolidations
+async function testSelf() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const owner = PrivateKey.fromRandom();
+  await api.mint(owner.toAddress(), 10000);
+  await api.mint(owner.toAddress(), 10000);
+
+  const txid = await send(mnee, owner, [{ address: owner.toAddress(), amount: 0.05 }]);
+  const self = await historyItem(mnee, owner.toAddress(), txid);
+  assert.strictEqual(self.type, 'self');
+  assert.strictEqual(self.amount, 0);
+  assert(self.fee > 0, 'A self-transfer still pays the fee');
+  assert.deepStrictEqual(self.counterparties, []);
+
+  const { outpoints } = await mnee.consolidate(owner.toAddress(), owner.toWif(), { waitForOutpoints: true });
+  const consolidation = await historyItem(mnee, owner.toAddress(), outpoints[0].split('_')[0]);
+  assert.strictEqual(consolidation.type, 'self');
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running history attribution tests...\n');
+
+  try {
+    console.log('Test 1: One sender');
+    await testSingleSender();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Several senders');
+    await testMultiSender();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Self-transfers and consolidations');
+    await testSelf();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -0,0 +1,148 @@
+import Mnee, { MockMneeApi } from '@mnee/ts-sdk';
+import { LockingScript, P2PKH, PrivateKey, Script, Transaction, Utils } from '@bsv/sdk';
+import assert from 'assert';
+
+const historyItem = async (mnee, address, txid) => {
+  const { history } = await mnee.recentTxHistory(address);
+  const item = history.find((tx) => tx.txid === txid);
+  assert(item, `${txid} should be in the history of ${address}`);
+  return item;
+};
+
+// Adds `metadata` to the inscription of output `vout` of an unbroadcast transfer and signs its inputs again
+async function withMetadata(api, rawtx, vout, key, metadata) {
+  const signed = Transaction.fromHex(rawtx);
+  const chunks = signed.outputs[vout].lockingScript.chunks.map((chunk) => {
+    try {
+      const inscription = JSON.parse(Utils.toUTF8(chunk.data ?? []));
+      if (inscription?.p !== 'bsv-20') return chunk;
+      return new Script().writeBin(Utils.toArray(JSON.stringify({ ...inscription, metadata }), 'utf8')).chunks[0];
+    } catch {
+      return chunk;
+    }
+  });
+  const outputs = signed.outputs.map((output, i) =>
+    i === vout ? { ...output, lockingScript: new LockingScript(chunks) } : output,
+  );
+  const tx = new Transaction(signed.version, signed.inputs, outputs, signed.lockTime);
+  for (const input of tx.inputs) input.sourceTransaction = Transaction.fromHex(api.getRawTx(input.sourceTXID));
+  for (let i = 0; i < tx.inputs.length; i++) {
+    tx.inputs[i].unlockingScript = await new P2PKH().unlock(key, 'all', true).sign(tx, i);
+  }
+  return tx.toHex();
+}
+
+// Test 1: Deploy and mints
+async function testMint() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const { mintAddress, tokenId } = await mnee.config();
+  const address = PrivateKey.fromRandom().toAddress();
+  const { txid } = await api.mint(address, 5000);
+
+  const minted = await historyItem(mnee, address, txid);
+  assert.strictEqual(minted.type, 'receive');
+  assert.strictEqual(minted.operation, 'mint');
+  assert.strictEqual(minted.amount, 5000);
+  assert.deepStrictEqual(minted.extraData, []);
+
+  const issued = await historyItem(mnee, mintAddress, txid);
+  assert.strictEqual(issued.type, 'send');
+  assert.strictEqual(issued.operation, 'mint');
+  assert.deepStrictEqual(issued.counterparties, [{ address, amount: 5000 }]);
+
+  const deploy = await historyItem(mnee, mintAddress, tokenId.split('_')[0]);
+  assert.strictEqual(deploy.operation, 'deploy');
+  assert.strictEqual(deploy.type, 'receive');
+}
+
+// Test 2: Transfers carry their OP_RETURN data
+async function testExtraData() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const sender = PrivateKey.fromRandom();
+  const recipient = PrivateKey.fromRandom().toAddress();
+  await api.mint(sender.toAddress(), 10000);
+
+  const extraData = [
+    { type: 'utf8', data: 'invoice 42' },
+    { type: 'hex', data: 'CAFE' },
+  ];
+  const { ticketId } = await mnee.transfer([{ address: recipient, amount: 0.01 }], sender.toWif(), { extraData });
+  const { tx_id: txid } = await mnee.waitForTx(ticketId, { intervalMs: 10 });
+
+  const expected = [
+    { type: 'utf8', data: 'invoice 42' },
+    { type: 'hex', data: 'cafe' },
+  ];
+  for (const address of [sender.toAddress(), recipient]) {
+    const item = await historyItem(mnee, address, txid);
+    assert.strictEqual(item.operation, 'transfer');
+    assert.deepStrictEqual(item.extraData, expected);
+  }
+  // The OP_RETURN output does not shift which output is whose
+  assert.strictEqual((await historyItem(mnee, recipient, txid)).amount, 1000);
+  // CSV exports keep every push as hex
+  let csv = '';
+  for await (const chunk of mnee.exportHistory(recipient, { format: 'csv', includeUnconfirmed: true })) {
+    csv += chunk.data;
+  }
+  const invoiceHex = Utils.toHex(Utils.toArray('invoice 42', 'utf8'));
+  assert.strictEqual(csv.trim().split('\n')[1].split(',').at(-1), `${invoiceHex};cafe`);
+
+  // A change-only transfer is a 'self' transfer, still an ordinary transfer operation
+  const self = await mnee.transfer([{ address: sender.toAddress(), amount: 0.01 }], sender.toWif());
+  const { tx_id: selfTxid } = await mnee.waitForTx(self.ticketId, { intervalMs: 10 });
+  const selfItem = await historyItem(mnee, sender.toAddress(), selfTxid);
+  assert.strictEqual(selfItem.type, 'self');
+  assert.strictEqual(selfItem.operation, 'transfer');
+  assert.deepStrictEqual(selfItem.extraData, []);
+}
+
+// Test 3: Redemptions are sends with the redeem operation
+async function testRedeem() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const holder = PrivateKey.fromRandom();
+  const redeemAddress = PrivateKey.fromRandom().toAddress();
+  await api.mint(holder.toAddress(), 10000);
+
+  const { rawtx } = await mnee.transfer([{ address: redeemAddress, amount: 0.02 }], holder.toWif(), {
+    broadcast: false,
+  });
+  const redeemTx = await withMetadata(api, rawtx, 0, holder, { action: 'redeem' });
+  const { ticketId } = await mnee.submitRawTx(redeemTx);
+  const { tx_id: txid } = await mnee.waitForTx(ticketId, { intervalMs: 10 });
+
+  const redeemed = await historyItem(mnee, holder.toAddress(), txid);
+  assert.strictEqual(redeemed.type, 'send');
+  assert.strictEqual(redeemed.operation, 'redeem');
+  assert.deepStrictEqual(redeemed.counterparties, [{ address: redeemAddress, amount: 2000 }]);
+  assert.strictEqual((await historyItem(mnee, redeemAddress, txid)).operation, 'redeem');
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running history operation tests...\n');
+
+  try {
+    console.log('Test 1: Deploy and mints');
+    await testMint();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: OP_RETURN data and self-transfers');
+    await testExtraData();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Redemptions');
+    await testRedeem();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -0,0 +1,130 @@
+import Mnee, { MockMneeApi } from '@mnee/ts-sdk';
+import { PrivateKey, Transaction } from '@bsv/sdk';
+import assert from 'assert';
+
+const recipient = PrivateKey.fromRandom().toAddress();
+
+const setup = async () => {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const sender = PrivateKey.fromRandom();
+  await api.mint(sender.toAddress(), 100000);
+  const { rawtx } = await mnee.transfer([{ address: recipient, amount: 0.5 }], sender.toWif(), { broadcast: false });
+  return { api, mnee, sender, rawtx };
+};
+
+// Test 1: A valid transfer
+async function testValidReport() {
+  const { mnee, rawtx } = await setup();
+  const report = await mnee.validateMneeTxDetailed(rawtx, [{ address: recipient, amount: 0.5 }]);
+  assert.deepStrictEqual(report, {
+    valid: true,
+    txid: Transaction.fromHex(rawtx).id('hex'),
+    errors: [],
+    inputTotal: '100000',
+    outputTotal: '100000',
+    operations: ['transfer'],
+  });
+}
+
+// Test 2: Every broken rule is listed
+async function testErrors() {
+  const { mnee, sender, rawtx } = await setup();
+
+  // Asking for the same payment twice only matches one output
+  const expected = { address: recipient, amount: 0.5 };
+  const duplicate = await mnee.validateMneeTxDetailed(rawtx, [expected, expected]);
+  assert.strictEqual(duplicate.valid, false);
+  assert.deepStrictEqual(duplicate.errors, [
+    {
+      code: 'EXPECTED_OUTPUT_MISSING',
+      message: `No matching output found for ${recipient} with amount 0.5`,
+      expected,
+    },
+  ]);
+
+  // Another token and approver: each token output is reported by index
+  const other = new MockMneeApi();
+  await other.mint(sender.toAddress(), 100000);
+  const foreign = await new Mnee(other.sdkConfig()).transfer([{ address: recipient, amount: 0.5 }], sender.toWif(), {
+    broadcast: false,
+  });
+  const report = await mnee.validateMneeTxDetailed(foreign.rawtx);
+  assert.strictEqual(report.valid, false);
+  const tokenOutputs = report.errors.filter((e) => e.code === 'INVALID_TOKEN_ID').map((e) => e.outputIndex);
+  const cosignerOutputs = report.errors.filter((e) => e.code === 'INVALID_COSIGNER').map((e) => e.outputIndex);
+  assert(tokenOutputs.length > 0, 'Token ID errors should be reported');
+  assert.deepStrictEqual(tokenOutputs, cosignerOutputs, 'Both rules fail on the same outputs');
+  assert(report.errors.every((e) => /^Invalid (token ID|cosigner)/.test(e.message)));
+
+  // Dropping the change output leaves tokens unaccounted for
+  const tx = Transaction.fromHex(rawtx);
+  const unbalanced = new Transaction(tx.version, tx.inputs, tx.outputs.slice(0, -1), tx.lockTime);
+  const conservation = await mnee.validateMneeTxDetailed(unbalanced.toHex());
+  assert.deepStrictEqual(
+    conservation.errors.map((e) => e.code),
+    ['AMOUNT_NOT_CONSERVED'],
+  );
+  assert.strictEqual(conservation.inputTotal, '100000');
+  assert(BigInt(conservation.outputTotal) < 100000n);
+}
+
+// Test 3: Input errors throw
+async function testInvalidInput() {
+  const { mnee } = await setup();
+  await assert.rejects(() => mnee.validateMneeTxDetailed(''), /Raw transaction is required/);
+  await assert.rejects(() => mnee.validateMneeTxDetailed('zz'), /Invalid transaction hex/);
+}
+
+// Test 4: validateMneeTx only fetches source transactions for conservation checks it needs
+async function testShortCircuit() {
+  const { api, rawtx } = await setup();
+  let fetches = 0;
+  const mnee = new Mnee({
+    ...api.sdkConfig(),
+    fetch: (url, init) => {
+      if (String(url).includes('/v1/tx/')) fetches++;
+      return api.fetch(url, init);
+    },
+  });
+
+  assert.strictEqual(await mnee.validateMneeTx(rawtx, [{ address: recipient, amount: 0.4 }]), false);
+  assert.strictEqual(fetches, 0, 'A transaction failing the local rules should not fetch its inputs');
+
+  const { tokenId } = await mnee.config();
+  assert.strictEqual(await mnee.validateMneeTx(api.getRawTx(tokenId.split('_')[0])), true);
+  assert.strictEqual(fetches, 0, 'The deploy transaction should not fetch anything');
+
+  assert.strictEqual(await mnee.validateMneeTx(rawtx, [{ address: recipient, amount: 0.5 }]), true);
+  assert(fetches > 0, 'A valid transfer should be checked against its inputs');
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running validateMneeTxDetailed tests...\n');
+
+  try {
+    console.log('Test 1: Valid report');
+    await testValidReport();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Errors');
+    await testErrors();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Invalid input');
+    await testInvalidInput();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('Test 4: validateMneeTx short-circuits');
+    await testShortCircuit();
+    console.log('✅ Test 4 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
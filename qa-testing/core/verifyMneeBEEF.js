@@ -0,0 +1,183 @@
+import Mnee, { MockMneeApi, HeaderFileChainTracker } from '@mnee/ts-sdk';
+import { LockingScript, MerklePath, P2PKH, PrivateKey, Transaction, Utils } from '@bsv/sdk';
+import assert from 'assert';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { broadcastTransfer } from '../mockWallet.js';
+
+const FORGED_HEIGHT = 999;
+
+// A BSV-21 transfer inscription in front of `lockingScript`, as MNEE outputs carry
+function inscribe(lockingScript, id, amt) {
+  const json = JSON.stringify({ p: 'bsv-20', op: 'transfer', id, amt: String(amt) });
+  const hex = (s) => Utils.toHex(Utils.toArray(s, 'utf8'));
+  return LockingScript.fromASM(
+    `OP_0 OP_IF ${hex('ord')} OP_1 ${hex('application/bsv-20')} OP_0 ${hex(json)} OP_ENDIF ${lockingScript.toASM()}`,
+  );
+}
+
+// A mined-looking parent holding `parentScript`, spent by `key` into `outputScripts`
+async function forgedBeef(key, parentScript, outputScripts) {
+  const parent = new Transaction(1, [], [{ lockingScript: parentScript, satoshis: 10 }], 0);
+  parent.merklePath = new MerklePath(FORGED_HEIGHT, [
+    [
+      { offset: 0, hash: '00'.repeat(32) },
+      { offset: 1, hash: parent.id('hex'), txid: true },
+    ],
+  ]);
+  const tx = new Transaction();
+  tx.addInput({ sourceTransaction: parent, sourceOutputIndex: 0, unlockingScriptTemplate: new P2PKH().unlock(key) });
+  outputScripts.forEach((lockingScript) => tx.addOutput({ lockingScript, satoshis: 1 }));
+  await tx.sign();
+  return { beefHex: tx.toHexBEEF(), root: parent.merklePath.computeRoot() };
+}
+
+// Test 1: Unconfirmed transfers verified back to confirmed ancestors
+async function testValidTransfers() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const { chainTracker } = api;
+
+  const recipient = PrivateKey.fromRandom();
+  const txid = await broadcastTransfer(api, mnee, { recipient: recipient.toAddress() });
+  const result = await mnee.verifyMneeBEEF(api.getBeef(txid), { chainTracker });
+  assert.strictEqual(result.isValid, true, result.error);
+  assert.strictEqual(result.txid, txid);
+  assert.deepStrictEqual(result.verifiedTxids, [txid]);
+  assert(result.provenTxids.length >= 2, 'The mint and funding transactions should be proven');
+  assert(result.outputs.some((o) => o.address === recipient.toAddress() && o.amount === 50000));
+
+  // The recipient spends the unconfirmed output onward: two hops to check
+  const onward = PrivateKey.fromRandom().toAddress();
+  const { ticketId } = await mnee.transfer([{ address: onward, amount: 0.1 }], recipient.toWif());
+  const second = (await mnee.waitForTx(ticketId, { intervalMs: 10 })).tx_id;
+  const chained = await mnee.verifyMneeBEEF(api.getBeef(second), { chainTracker });
+  assert.strictEqual(chained.isValid, true, chained.error);
+  assert.deepStrictEqual(chained.verifiedTxids, [second, txid]);
+
+  // Once mined, the subject is proven and its inputs are still checked
+  api.mine();
+  const mined = await mnee.verifyMneeBEEF(api.getBeef(second), { chainTracker });
+  assert.strictEqual(mined.isValid, true, mined.error);
+  assert(mined.provenTxids.includes(second));
+  assert.deepStrictEqual(mined.verifiedTxids, [second]);
+}
+
+// Test 2: Local header file chain tracker
+async function testHeaderFile(dir) {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const txid = await broadcastTransfer(api, mnee);
+  const beefHex = api.getBeef(txid);
+
+  const height = await api.chainTracker.currentHeight();
+  const headers = new Uint8Array((height + 1) * 80);
+  for (let h = 0; h <= height; h++) {
+    const root = api.merkleRoot(h);
+    if (root) headers.set(Utils.toArray(root, 'hex').reverse(), h * 80 + 36);
+  }
+  const path = join(dir, 'headers.bin');
+  await writeFile(path, headers);
+
+  const chainTracker = new HeaderFileChainTracker(path);
+  assert.strictEqual(await chainTracker.currentHeight(), height);
+  const result = await mnee.verifyMneeBEEF(beefHex, { chainTracker });
+  assert.strictEqual(result.isValid, true, result.error);
+
+  // Headers that do not match the proofs are rejected
+  await writeFile(path, new Uint8Array((height + 1) * 80));
+  const rejected = await mnee.verifyMneeBEEF(beefHex, { chainTracker });
+  assert.strictEqual(rejected.isValid, false);
+  assert.match(rejected.error, /Invalid merkle proof/);
+
+  // Offset headers files start at a later height
+  const offset = new HeaderFileChainTracker(path, { startHeight: 100 });
+  assert.strictEqual(await offset.isValidRootForHeight('00'.repeat(32), 50), false);
+  assert.strictEqual(await offset.currentHeight(), 100 + height);
+}
+
+// Test 3: Forged and tampered transactions are rejected
+async function testRejections() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const { tokenId, approver } = api.config;
+  const txid = await broadcastTransfer(api, mnee);
+
+  // Outputs changed after signing
+  const signed = Transaction.fromHexBEEF(api.getBeef(txid));
+  const outputs = signed.outputs.map((o, i) => ({ ...o, satoshis: i === 0 ? o.satoshis + 1 : o.satoshis }));
+  const tampered = new Transaction(signed.version, signed.inputs, outputs, signed.lockTime);
+  let result = await mnee.verifyMneeBEEF(tampered.toHexBEEF(), { chainTracker: api.chainTracker });
+  assert.strictEqual(result.isValid, false);
+  assert.match(result.error, /Invalid unlocking script for input 0/);
+
+  // Parents missing
+  const partial = Utils.toHex(Transaction.fromHex(api.getRawTx(txid)).toBEEF(true));
+  result = await mnee.verifyMneeBEEF(partial, { chainTracker: api.chainTracker });
+  assert.match(result.error, /Source transaction for input 0 of .* is not in the BEEF/);
+
+  // Forged tokens from mined outputs nobody approved
+  const attacker = PrivateKey.fromRandom();
+  const lockedToAttacker = new P2PKH().lock(attacker.toAddress());
+  const forged = [
+    [inscribe(lockedToAttacker, tokenId, 1000), /not locked to the approver or mint address/],
+    [inscribe(lockedToAttacker, `${'ab'.repeat(32)}_0`, 1000), /spends a different token/],
+    [lockedToAttacker, /Token amounts are not conserved .* inputs 0, outputs 1000/],
+  ];
+  for (const [parentScript, expected] of forged) {
+    const recipientScript = inscribe(
+      new LockingScript([
+        ...new P2PKH().lock(attacker.toAddress()).chunks.slice(0, 4),
+        { op: 0xad }, // OP_CHECKSIGVERIFY
+        { op: 33, data: Utils.toArray(approver, 'hex') },
+        { op: 0xac }, // OP_CHECKSIG
+      ]),
+      tokenId,
+      1000,
+    );
+    const { beefHex, root } = await forgedBeef(attacker, parentScript, [recipientScript]);
+    const chainTracker = {
+      isValidRootForHeight: async (r, h) => h === FORGED_HEIGHT && r === root,
+      currentHeight: async () => FORGED_HEIGHT,
+    };
+    result = await mnee.verifyMneeBEEF(beefHex, { chainTracker });
+    assert.strictEqual(result.isValid, false);
+    assert.match(result.error, expected);
+  }
+
+  await assert.rejects(() => mnee.verifyMneeBEEF(api.getBeef(txid), {}), /chainTracker must implement/);
+  await assert.rejects(
+    () => mnee.verifyMneeBEEF('zz', { chainTracker: api.chainTracker }),
+    /Invalid BEEF hex/,
+  );
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running verifyMneeBEEF tests...\n');
+  const dir = await mkdtemp(join(tmpdir(), 'mnee-headers-'));
+
+  try {
+    console.log('Test 1: Valid transfers');
+    await testValidTransfers();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Header file chain tracker');
+    await testHeaderFile(dir);
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Forged and tampered transactions');
+    await testRejections();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+runTests();
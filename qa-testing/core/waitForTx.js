@@ -0,0 +1,156 @@
+import Mnee, { MockMneeApi, AbortedError, TransferFailedError } from '@mnee/ts-sdk';
+import assert from 'assert';
+import { submitTransfer } from '../mockWallet.js';
+
+// Test 1: Wait until SUCCESS and MINED
+async function testWait() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+
+  const ticketId = await submitTransfer(api, mnee);
+  const seen = [];
+  const status = await mnee.waitForTx(ticketId, { intervalMs: 10, onStatus: (s) => seen.push(s.status) });
+  assert.strictEqual(status.status, 'SUCCESS');
+  assert(status.tx_id, 'Final status should carry the txid');
+  assert.deepStrictEqual(seen, ['BROADCASTING', 'SUCCESS'], 'onStatus should fire once per status');
+
+  const minedTicket = await submitTransfer(api, mnee);
+  setTimeout(() => api.mine(), 50);
+  const mined = await mnee.waitForTx(minedTicket, { until: 'MINED', intervalMs: 10 });
+  assert.strictEqual(mined.status, 'MINED');
+
+  // An already mined ticket satisfies SUCCESS as well
+  assert.strictEqual((await mnee.waitForTx(minedTicket)).status, 'MINED');
+}
+
+// Test 2: Failure, timeout, abort and invalid options
+async function testRejections() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+
+  api.failNextTransfer('double spend');
+  const failed = await submitTransfer(api, mnee);
+  const failure = await mnee.waitForTx(failed, { intervalMs: 10 }).catch((e) => e);
+  assert(failure instanceof TransferFailedError, `Expected TransferFailedError, got ${failure?.name}`);
+  assert.strictEqual(failure.code, 'TRANSFER_FAILED');
+  assert.match(failure.message, /failed: double spend/);
+  assert.strictEqual(failure.ticketId, failed);
+  assert.strictEqual(failure.status.status, 'FAILED');
+
+  const pending = await submitTransfer(api, mnee);
+  const timedOut = await mnee.waitForTx(pending, { until: 'MINED', timeoutMs: 100, intervalMs: 10 }).catch((e) => e);
+  assert(timedOut instanceof AbortedError);
+  assert.strictEqual(timedOut.timedOut, true);
+  assert.match(timedOut.message, /Timed out after 100ms/);
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 50);
+  const started = Date.now();
+  await assert.rejects(
+    () => mnee.waitForTx(pending, { until: 'MINED', intervalMs: 5000, signal: controller.signal }),
+    /aborted/,
+  );
+  assert(Date.now() - started < 1000, 'Abort should interrupt the poll interval');
+
+  await assert.rejects(() => mnee.waitForTx(pending, { until: 'BROADCASTING' }), /Invalid until/);
+  await assert.rejects(() => mnee.waitForTx(pending, { timeoutMs: 0 }), /timeoutMs/);
+}
+
+// Test 3: Event-emitter form
+async function testWatch() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+
+  const ticketId = await submitTransfer(api, mnee);
+  const statuses = [];
+  const done = await new Promise((resolve, reject) => {
+    mnee
+      .watchTx(ticketId, { intervalMs: 10 })
+      .on('status', (s) => statuses.push(s.status))
+      .on('done', resolve)
+      .on('error', reject);
+  });
+  assert.strictEqual(done.status, 'SUCCESS');
+  assert.deepStrictEqual(statuses, ['BROADCASTING', 'SUCCESS']);
+
+  api.failNextTransfer();
+  const failed = await submitTransfer(api, mnee);
+  const error = await new Promise((resolve) => mnee.watchTx(failed, { intervalMs: 10 }).on('error', resolve));
+  assert(error instanceof TransferFailedError, 'Watchers report a failed ticket as TransferFailedError');
+  assert.match(error.message, /Mock broadcast failure/);
+
+  const pending = await submitTransfer(api, mnee);
+  const watcher = mnee.watchTx(pending, { until: 'MINED', intervalMs: 10 });
+  let events = 0;
+  watcher.on('done', () => events++).on('error', () => events++);
+  await new Promise((r) => setTimeout(r, 50));
+  watcher.stop();
+  await new Promise((r) => setTimeout(r, 50));
+  assert.strictEqual(events, 0, 'A stopped watcher should not emit done or error');
+}
+
+// Test 4: Polling honors the shared rate-limit cooldown
+async function testRateLimit() {
+  const api = new MockMneeApi();
+  let limited = 0;
+  const fetch = async (url, init) => {
+    if (String(url).includes('/v2/ticket') && limited++ === 0) {
+      return new Response('Too Many Requests', { status: 429, headers: { 'Retry-After': '0.3' } });
+    }
+    return api.fetch(url, init);
+  };
+  const mnee = new Mnee({ ...api.sdkConfig(), fetch });
+
+  const ticketId = await submitTransfer(api, mnee);
+  const started = Date.now();
+  const status = await mnee.waitForTx(ticketId, { intervalMs: 10 });
+  assert.strictEqual(status.status, 'SUCCESS');
+  assert(Date.now() - started >= 300, 'Polling should wait out the Retry-After cooldown');
+
+  // The timeout and the signal cut a long cooldown short instead of waiting it out
+  const throttled = new Mnee({
+    ...api.sdkConfig(),
+    fetch: (url, init) =>
+      String(url).includes('/v2/ticket')
+        ? Promise.resolve(new Response('Too Many Requests', { status: 429, headers: { 'Retry-After': '60' } }))
+        : api.fetch(url, init),
+  });
+  const slow = await submitTransfer(api, throttled);
+  for (const options of [{ timeoutMs: 100 }, { signal: AbortSignal.timeout(100) }]) {
+    const begun = Date.now();
+    const error = await throttled.waitForTx(slow, { intervalMs: 10, ...options }).catch((e) => e);
+    assert(error instanceof AbortedError, `Expected AbortedError, got ${error?.message}`);
+    assert.strictEqual(error.timedOut, 'timeoutMs' in options);
+    assert(Date.now() - begun < 1000, `Should not sit out the 60 second cooldown, took ${Date.now() - begun}ms`);
+  }
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running waitForTx tests...\n');
+
+  try {
+    console.log('Test 1: Wait for SUCCESS and MINED');
+    await testWait();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Failure, timeout and abort');
+    await testRejections();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: watchTx events');
+    await testWatch();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('Test 4: Rate-limit cooldown');
+    await testRateLimit();
+    console.log('✅ Test 4 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -0,0 +1,208 @@
+import Mnee, { MockMneeApi, AddressWatcher, AuthError, ValidationError } from '@mnee/ts-sdk';
+import { PrivateKey } from '@bsv/sdk';
+import assert from 'assert';
+
+// Resolves with the next payload of `event` that matches `filter`
+const next = (watcher, event, filter = () => true) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), 5000);
+    const listener = (payload) => {
+      if (!filter(payload)) return;
+      clearTimeout(timer);
+      watcher.off(event, listener);
+      resolve(payload);
+    };
+    watcher.on(event, listener);
+  });
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Test 1: New payments and their confirmation
+async function testPayments() {
+  const api = new MockMneeApi();
+  const mnee = new Mnee(api.sdkConfig());
+  const sender = PrivateKey.fromRandom();
+  const depositAddress = PrivateKey.fromRandom().toAddress();
+  await api.mint(sender.toAddress(), 100000);
+  await api.mint(depositAddress, 5000);
+
+  const watcher = mnee.watchAddresses([depositAddress], { intervalMs: 20 });
+  assert(watcher instanceof AddressWatcher);
+  const events = [];
+  watcher.on('tx', (a) => events.push(a)).on('confirmed', (a) => events.push(a));
+  try {
+    // Existing history is replayed from score 0
+    const firstCheckpoint = next(watcher, 'checkpoint');
+    const minted = await next(watcher, 'tx');
+    assert.strictEqual(minted.type, 'tx');
+    assert.strictEqual(minted.address, depositAddress);
+    assert.strictEqual(minted.tx.type, 'receive');
+    assert.strictEqual(minted.tx.status, 'confirmed');
+    assert.strictEqual(minted.tx.amount, 5000);
+    const { score } = await firstCheckpoint;
+    assert.strictEqual(score, minted.tx.score);
+
+    const nextTx = next(watcher, 'tx');
+    const { ticketId } = await mnee.transfer([{ address: depositAddress, amount: 0.25 }], sender.toWif());
+    const { tx_id } = await mnee.waitForTx(ticketId, { intervalMs: 10 });
+    const incoming = await nextTx;
+    assert.strictEqual(incoming.tx.txid, tx_id);
+    assert.strictEqual(incoming.tx.status, 'unconfirmed');
+    assert.strictEqual(incoming.tx.amount, 25000);
+
+    // Held behind the unconfirmed transaction, so it is polled again without being reported twice
+    await sleep(100);
+    assert.strictEqual(events.filter((a) => a.tx.txid === tx_id).length, 1);
+    assert(watcher.checkpoints[depositAddress] < incoming.tx.score);
+
+    const nextCheckpoint = next(watcher, 'checkpoint', ({ score }) => score > incoming.tx.score);
+    api.mine();
+    const confirmed = await next(watcher, 'confirmed');
+    assert.strictEqual(confirmed.tx.txid, tx_id);
+    assert.strictEqual(confirmed.tx.status, 'confirmed');
+    assert(confirmed.tx.height > 0);
+    const checkpoint = await nextCheckpoint;
+    assert.strictEqual(checkpoint.score, confirmed.tx.score);
+
+    await sleep(100);
+    assert.deepStrictEqual(
+      events.map((a) => `${a.type}:${a.tx.txid}`),
+      [`tx:${minted.tx.txid}`, `tx:${tx_id}`, `confirmed:${tx_id}`],
+    );
+  } finally {
+    watcher.stop();
+  }
+}
+
+// Test 2: for await, resuming from checkpoints, and several addresses
+async function testIterator() {
+  const api = new MockMneeApi();
+  const addresses = [PrivateKey.fromRandom().toAddress(), PrivateKey.fromRandom().toAddress()];
+  for (const address of addresses) {
+    await api.mint(address, 1000);
+    await api.mint(address, 2000);
+  }
+  let syncRequests = 0;
+  const mnee = new Mnee({
+    ...api.sdkConfig(),
+    fetch: (url, init) => {
+      if (String(url).includes('/v1/sync')) syncRequests++;
+      return api.fetch(url, init);
+    },
+  });
+
+  // A page smaller than the history still reads all of it
+  const watcher = mnee.watchAddresses(addresses, { intervalMs: 20, limit: 1 });
+  const polled = Promise.all(addresses.map((address) => next(watcher, 'checkpoint', (c) => c.address === address)));
+  const seen = [];
+  for await (const activity of watcher) {
+    seen.push(activity);
+    if (seen.length === 4) {
+      // Checkpoints move once a poll has read everything
+      await polled;
+      break;
+    }
+  }
+  assert.deepStrictEqual(
+    seen.map((a) => `${a.address}:${a.tx.amount}`).sort(),
+    addresses.flatMap((address) => [`${address}:1000`, `${address}:2000`]).sort(),
+  );
+
+  // Leaving the loop stopped polling
+  const requests = syncRequests;
+  await sleep(100);
+  assert.strictEqual(syncRequests, requests, 'No polls should run after the loop exits');
+
+  // Resuming from saved checkpoints skips what was already delivered
+  const checkpoints = watcher.checkpoints;
+  assert.deepStrictEqual(Object.keys(checkpoints).sort(), [...addresses].sort());
+  await api.mint(addresses[1], 3000);
+  const resumed = mnee.watchAddresses(addresses, { fromScore: checkpoints, intervalMs: 20 });
+  try {
+    const { address, tx } = await next(resumed, 'tx');
+    assert.strictEqual(address, addresses[1]);
+    assert.strictEqual(tx.amount, 3000);
+  } finally {
+    resumed.stop();
+  }
+}
+
+// Test 3: Failed polls
+async function testErrors() {
+  const api = new MockMneeApi();
+  const address = PrivateKey.fromRandom().toAddress();
+  await api.mint(address, 1000);
+  let failures = 1;
+  const flaky = new Mnee({
+    ...api.sdkConfig(),
+    fetch: (url, init) =>
+      String(url).includes('/v1/sync') && failures-- > 0
+        ? Promise.resolve(new Response('unavailable', { status: 503 }))
+        : api.fetch(url, init),
+    logger: { warn() {}, error() {} },
+  });
+
+  // A transient failure is reported and the next poll carries on
+  const watcher = flaky.watchAddresses([address], { intervalMs: 20 });
+  try {
+    const nextTx = next(watcher, 'tx');
+    const error = await next(watcher, 'error');
+    assert.strictEqual(error.code, 'API_ERROR');
+    assert.strictEqual((await nextTx).tx.amount, 1000);
+  } finally {
+    watcher.stop();
+  }
+
+  // A rejected API key stops the watcher and ends iteration with the error
+  const unauthorized = new Mnee({
+    ...api.sdkConfig(),
+    fetch: (url, init) =>
+      String(url).includes('/v1/sync') ? Promise.resolve(new Response('nope', { status: 401 })) : api.fetch(url, init),
+    logger: { warn() {}, error() {} },
+  });
+  const rejected = unauthorized.watchAddresses([address], { intervalMs: 20 });
+  await assert.rejects(async () => {
+    for await (const _ of rejected) {
+      // no activity expected
+    }
+  }, AuthError);
+
+  // A signal stops it too
+  const controller = new AbortController();
+  const stopped = flaky.watchAddresses([address], { signal: controller.signal });
+  controller.abort();
+  const results = [];
+  for await (const activity of stopped) results.push(activity);
+  assert.deepStrictEqual(results, []);
+
+  assert.throws(() => flaky.watchAddresses([]), ValidationError);
+  assert.throws(() => flaky.watchAddresses(['not-an-address']), /Invalid Bitcoin address: not-an-address/);
+  assert.throws(() => flaky.watchAddresses([address], { intervalMs: 0 }), /intervalMs must be a positive number/);
+  assert.throws(() => flaky.watchAddresses([address], { fromScore: { [address]: -1 } }), ValidationError);
+}
+
+// Run tests
+async function runTests() {
+  console.log('Running address watcher tests...\n');
+
+  try {
+    console.log('Test 1: Incoming payments and confirmations');
+    await testPayments();
+    console.log('✅ Test 1 passed\n');
+
+    console.log('Test 2: Iteration and checkpoints');
+    await testIterator();
+    console.log('✅ Test 2 passed\n');
+
+    console.log('Test 3: Errors and stopping');
+    await testErrors();
+    console.log('✅ Test 3 passed\n');
+
+    console.log('All tests passed! ✅');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
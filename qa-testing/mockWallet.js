@@ -0,0 +1,35 @@
+import Mnee, { MockMneeApi } from '@mnee/ts-sdk';
+import { PrivateKey } from '@bsv/sdk';
+
+/**
+ * A fresh MockMneeApi, an SDK wired to it and a random key holding one UTXO per entry of `amounts`
+ * (atomic units). `mine` confirms each mint in its own block; `apiOptions` are passed to the mock.
+ */
+export async function fundedWallet(amounts = [100000], { mine = false, apiOptions } = {}) {
+  const api = new MockMneeApi(apiOptions);
+  const mnee = new Mnee(api.sdkConfig());
+  const key = PrivateKey.fromRandom();
+  for (const amount of amounts) {
+    await api.mint(key.toAddress(), amount);
+    if (mine) api.mine();
+  }
+  return { api, mnee, key, address: key.toAddress() };
+}
+
+/**
+ * Mints 1 MNEE to `key` (default: a random key) and sends 0.5 MNEE from it to `recipient`
+ * (default: a random address). Other options are passed to `transfer`. Resolves with the ticket id.
+ */
+export async function submitTransfer(api, mnee, options = {}) {
+  const { key = PrivateKey.fromRandom(), recipient = PrivateKey.fromRandom().toAddress(), ...transferOptions } =
+    options;
+  await api.mint(key.toAddress(), 100000);
+  const { ticketId } = await mnee.transfer([{ address: recipient, amount: 0.5 }], key.toWif(), transferOptions);
+  return ticketId;
+}
+
+/** Like `submitTransfer`, resolving with the txid once the mock has broadcast the transfer */
+export async function broadcastTransfer(api, mnee, options) {
+  const ticketId = await submitTransfer(api, mnee, options);
+  return (await mnee.waitForTx(ticketId, { intervalMs: 10 })).tx_id;
+}
@@ -10,6 +10,9 @@ const tests = [
   // Core configuration
   { file: 'core/config.js', description: 'Configuration management' },
   { file: 'core/refreshConfig.js', description: 'Config cache refresh' },
+  { file: 'core/transport.js', description: 'Custom HTTP transport' },
+  { file: 'core/customEnvironment.js', description: 'Custom API URL and self-hosted environments' },
+  { file: 'core/mockApi.js', description: 'Offline mock API' },
 
   // Balance operations
   { file: 'core/balance.js', description: 'Single address balance queries' },
@@ -19,17 +22,37 @@ const tests = [
   { file: 'core/getUtxos.js', description: 'UTXO retrieval with pagination' },
   { file: 'core/getEnoughUtxos.js', description: 'Efficient UTXO retrieval for transfers' },
   { file: 'core/getAllUtxos.js', description: 'Complete UTXO retrieval for wallets' },
+  { file: 'core/coinSelection.js', description: 'Coin selection strategies' },
 
   // Transaction operations
   { file: 'core/validateMneeTx.js', description: 'Transaction validation' },
+  { file: 'core/validateMneeTxDetailed.js', description: 'Detailed validation reports' },
   { file: 'core/transfer.js', description: 'Single-source transfers' },
   { file: 'core/transferMulti.js', description: 'Multi-source transfers' },
+  { file: 'core/consolidate.js', description: 'UTXO consolidation' },
+  { file: 'core/sweep.js', description: 'Sweep entire balance' },
+  { file: 'core/outpointLockStore.js', description: 'Outpoint locks shared across instances' },
+  { file: 'core/txCache.js', description: 'Source transaction cache' },
+  { file: 'core/estimateTransfer.js', description: 'Transfer fee estimation' },
+  { file: 'core/transferFormat.js', description: 'BEEF and EF transfer output' },
   { file: 'core/submitRawTx.js', description: 'Raw transaction submission' },
+  { file: 'core/submitRawTxFormat.js', description: 'BEEF and EF submission' },
+  { file: 'core/submitRawTxValidation.js', description: 'Pre-submit validation and dry runs' },
   { file: 'core/getTxStatus.js', description: 'Transaction status polling' },
+  { file: 'core/waitForTx.js', description: 'Waiting for transaction confirmation' },
+  { file: 'core/transferWebhook.js', description: 'Transfer webhook handling' },
+  { file: 'core/errors.js', description: 'Typed error classes' },
+  { file: 'core/abort.js', description: 'Cancellation and timeouts' },
+  { file: 'core/events.js', description: 'Observability events and logger' },
+  { file: 'core/watchAddresses.js', description: 'Address watcher' },
+  { file: 'core/exportHistory.js', description: 'History export' },
+  { file: 'core/txHistoryAttribution.js', description: 'History attribution for several senders' },
+  { file: 'core/txHistoryOperations.js', description: 'History operations and OP_RETURN data' },
 
   // Utility functions
   { file: 'core/toAtomicAmount.js', description: 'Decimal to atomic conversion' },
   { file: 'core/fromAtomicAmount.js', description: 'Atomic to decimal conversion' },
+  { file: 'core/exactAmounts.js', description: 'Exact string and bigint amounts' },
 
   // History operations
   { file: 'core/recentTxHistory.js', description: 'Single address history' },
@@ -40,6 +63,8 @@ const tests = [
   { file: 'core/parseTx.js', description: 'Transaction parsing by txid' },
   { file: 'core/parseTxFromRawTx.js', description: 'Transaction parsing from raw hex' },
   { file: 'core/parseTxFromBEEF.js', description: 'Transaction parsing from BEEF hex (compute-only)' },
+  { file: 'core/parseExtraData.js', description: 'OP_RETURN extraData parsing' },
+  { file: 'core/verifyMneeBEEF.js', description: 'SPV verification from BEEF' },
   { file: 'core/parseInscription.js', description: 'Inscription detection' },
   { file: 'core/parseCosignerScripts.js', description: 'Cosigner script parsing' },
 
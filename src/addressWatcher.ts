@@ -0,0 +1,198 @@
+import { MNEEService } from './mneeService.js';
+import { AddressActivity, TxHistory, WatchAddressesOptions } from './mnee.types.js';
+import { AuthError, ValidationError } from './errors.js';
+import { sleep } from './utils/abort.js';
+import { Emitter } from './utils/emitter.js';
+import { validateAddress } from './utils/helper.js';
+
+export type AddressWatcherEvents = {
+  /** Emitted the first time a transaction is seen for a watched address */
+  tx: AddressActivity;
+  /** Emitted when a transaction first seen unconfirmed is seen again with a height */
+  confirmed: AddressActivity;
+  /** Emitted after a poll moves an address's checkpoint; persist it and pass it back as `fromScore` */
+  checkpoint: { address: string; score: number };
+  /** Emitted when a poll fails. Polling carries on, except after an invalid API key */
+  error: Error;
+};
+
+type AddressState = {
+  checkpoint: number;
+  // Transactions seen after the checkpoint, so re-fetched history is not reported twice
+  seen: Map<string, TxHistory>;
+};
+
+/**
+ * Streams the transaction history of a set of addresses. Every poll reads the history after each
+ * address's checkpoint, oldest first. A checkpoint stays behind unconfirmed transactions until they
+ * are confirmed or dropped, so delivery is at-least-once when resuming from a saved checkpoint.
+ *
+ * Listen with `on('tx' | 'confirmed' | 'checkpoint' | 'error')`, or consume `tx` and `confirmed`
+ * activity with `for await`. Polling starts immediately and ends on `stop()`, on the `signal`,
+ * when a `for await` loop exits, or after an invalid API key.
+ */
+export class AddressWatcher extends Emitter<AddressWatcherEvents> implements AsyncIterable<AddressActivity> {
+  private readonly controller = new AbortController();
+  private readonly state = new Map<string, AddressState>();
+  private readonly intervalMs: number;
+  private readonly limit: number;
+  private failure?: Error;
+
+  constructor(
+    private readonly service: MNEEService,
+    addresses: string[],
+    options: WatchAddressesOptions = {},
+  ) {
+    super();
+    const { fromScore = 0, intervalMs = 10_000, limit = 100, signal } = options;
+    if (!Array.isArray(addresses) || addresses.length === 0) {
+      throw new ValidationError('You must pass at least 1 address to watch');
+    }
+    const invalid = addresses.find((address) => !validateAddress(address));
+    if (invalid !== undefined) throw new ValidationError(`Invalid Bitcoin address: ${invalid}`);
+    if (typeof intervalMs !== 'number' || !Number.isFinite(intervalMs) || intervalMs <= 0) {
+      throw new ValidationError('intervalMs must be a positive number');
+    }
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new ValidationError(`Invalid limit: ${limit}. Must be a positive integer`);
+    }
+    for (const address of new Set(addresses)) {
+      const score = typeof fromScore === 'number' ? fromScore : (fromScore?.[address] ?? 0);
+      if (typeof score !== 'number' || !Number.isFinite(score) || score < 0) {
+        throw new ValidationError(`Invalid fromScore for address ${address}: ${score}. Must be a positive number or 0`);
+      }
+      this.state.set(address, { checkpoint: score, seen: new Map() });
+    }
+    this.intervalMs = intervalMs;
+    this.limit = limit;
+
+    if (signal?.aborted) this.controller.abort();
+    signal?.addEventListener('abort', () => this.controller.abort(), { once: true });
+    void this.run();
+  }
+
+  /** The score to resume each address from, keyed by address */
+  get checkpoints(): Record<string, number> {
+    return Object.fromEntries([...this.state].map(([address, { checkpoint }]) => [address, checkpoint]));
+  }
+
+  /** Stop polling. No further events are emitted. */
+  stop(): void {
+    this.controller.abort();
+  }
+
+  [Symbol.asyncIterator](): AsyncIterator<AddressActivity> {
+    const queue: AddressActivity[] = [];
+    let wake: (() => void) | undefined;
+    const push = (activity: AddressActivity) => {
+      queue.push(activity);
+      wake?.();
+    };
+    const onStop = () => wake?.();
+    const detach = () => {
+      this.off('tx', push).off('confirmed', push);
+      this.controller.signal.removeEventListener('abort', onStop);
+    };
+    this.on('tx', push).on('confirmed', push);
+    this.controller.signal.addEventListener('abort', onStop);
+
+    return {
+      next: async () => {
+        while (queue.length === 0 && !this.controller.signal.aborted) {
+          await new Promise<void>((resolve) => (wake = resolve));
+        }
+        wake = undefined;
+        if (queue.length > 0) return { value: queue.shift()!, done: false };
+        detach();
+        if (this.failure) throw this.failure;
+        return { value: undefined, done: true };
+      },
+      // Leaving a `for await` loop stops the watcher
+      return: async () => {
+        detach();
+        this.stop();
+        return { value: undefined, done: true };
+      },
+    };
+  }
+
+  private async run(): Promise<void> {
+    const signal = this.controller.signal;
+    while (!signal.aborted) {
+      try {
+        await this.poll();
+      } catch (error) {
+        if (signal.aborted) break;
+        const failure = error instanceof Error ? error : new Error(String(error));
+        this.emit('error', failure);
+        // Retrying cannot fix a rejected API key or a request the SDK considers invalid
+        if (failure instanceof AuthError || failure instanceof ValidationError) {
+          this.failure = failure;
+          this.stop();
+          break;
+        }
+      }
+      await sleep(this.intervalMs, signal);
+    }
+  }
+
+  /** Read everything after each checkpoint, then move the checkpoints */
+  private async poll(): Promise<void> {
+    const signal = this.controller.signal;
+    const cursors = new Map([...this.state].map(([address, { checkpoint }]) => [address, checkpoint]));
+    const returned = new Set<string>();
+    let pending = [...this.state.keys()];
+
+    // Page until every address comes back empty, so a poll sees all history after its checkpoint
+    while (pending.length > 0) {
+      const responses = await this.service.getRecentTxHistories(
+        pending.map((address) => ({ address, fromScore: cursors.get(address), limit: this.limit, order: 'asc' })),
+        { signal },
+      );
+      if (signal.aborted) return;
+      pending = [];
+      for (const { address, history, nextScore } of responses) {
+        for (const tx of history) {
+          returned.add(`${address}:${tx.txid}`);
+          this.observe(address, tx);
+        }
+        if (history.length > 0 && nextScore > cursors.get(address)!) {
+          cursors.set(address, nextScore);
+          pending.push(address);
+        }
+      }
+    }
+
+    for (const [address, state] of this.state) {
+      let checkpoint = cursors.get(address)!;
+      for (const [txid, tx] of state.seen) {
+        // An unconfirmed transaction missing from a full read was dropped; it will not confirm
+        if (tx.status === 'unconfirmed' && !returned.has(`${address}:${txid}`)) state.seen.delete(txid);
+        // Otherwise hold the checkpoint just before it, so later polls read its confirmation
+        else if (tx.status === 'unconfirmed') checkpoint = Math.min(checkpoint, Math.max(0, tx.score - 1));
+      }
+      for (const [txid, tx] of state.seen) {
+        if (tx.status === 'confirmed' && tx.score <= checkpoint) state.seen.delete(txid);
+      }
+      if (checkpoint !== state.checkpoint) {
+        state.checkpoint = checkpoint;
+        this.emit('checkpoint', { address, score: checkpoint });
+      }
+    }
+  }
+
+  private observe(address: string, tx: TxHistory): void {
+    const { seen } = this.state.get(address)!;
+    const known = seen.get(tx.txid);
+    seen.set(tx.txid, tx);
+    if (!known) {
+      this.emit('tx', { type: 'tx', address, tx });
+    } else if (known.status === 'unconfirmed' && tx.status === 'confirmed') {
+      this.emit('confirmed', { type: 'confirmed', address, tx });
+    }
+  }
+
+  protected emit<K extends keyof AddressWatcherEvents>(event: K, payload: AddressWatcherEvents[K]): void {
+    if (!this.controller.signal.aborted) super.emit(event, payload);
+  }
+}
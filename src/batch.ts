@@ -12,10 +12,17 @@ import {
   ParseTxResponse,
   ParseTxExtendedResponse,
   ParseOptions,
+  RequestOptions,
+  BatchOperation,
 } from './mnee.types.js';
-import { stacklessError } from './utils/stacklessError.js';
+import { MneeError, ValidationError } from './errors.js';
+import { abortError, requestSignal, throwIfAborted } from './utils/abort.js';
 
-export interface BatchOptions {
+/**
+ * `signal` and `timeoutMs` cover the whole batch: aborting stops requests in flight,
+ * retry delays and chunks still queued, and rejects even with `continueOnError`.
+ */
+export interface BatchOptions extends RequestOptions {
   /** Maximum items per API call (default: 20) */
   chunkSize?: number;
   /** API requests per second limit (default: 3). If your API key has a higher limit, set this accordingly */
@@ -34,6 +41,7 @@ export interface BatchError {
   items: string[];
   error: {
     message: string;
+    /** MneeErrorCode of the failure (e.g. 'AUTH_ERROR', 'RATE_LIMITED') */
     code?: string;
   };
   retryCount: number;
@@ -77,13 +85,13 @@ export class Batch {
   async getUtxos(addresses: string[], options: BatchOptions = {}): Promise<BatchResult<BatchUtxoResult>> {
     // Validate input is an array
     if (!Array.isArray(addresses)) {
-      throw stacklessError('Input must be an array of addresses');
+      throw new ValidationError('Input must be an array of addresses');
     }
     
     // Track individual errors within chunks
     const individualErrors: BatchError[] = [];
 
-    const modifiedProcessor = async (chunk: string[]) => {
+    const modifiedProcessor = async (chunk: string[], signal?: AbortSignal) => {
       // First validate addresses
       const validAddresses: string[] = [];
       const invalidAddresses: string[] = [];
@@ -93,7 +101,7 @@ export class Batch {
           invalidAddresses.push(address);
           individualErrors.push({
             items: [address],
-            error: { message: 'Invalid address: empty or not a string' },
+            error: { message: 'Invalid address: empty or not a string', code: 'VALIDATION_ERROR' },
             retryCount: 0,
           });
         } else {
@@ -105,7 +113,7 @@ export class Batch {
             invalidAddresses.push(address);
             individualErrors.push({
               items: [address],
-              error: { message: `Invalid address format: ${address}` },
+              error: { message: `Invalid address format: ${address}`, code: 'VALIDATION_ERROR' },
               retryCount: 0,
             });
           }
@@ -114,7 +122,7 @@ export class Batch {
 
       // If continueOnError is false and we have invalid addresses, throw
       if (!options.continueOnError && invalidAddresses.length > 0) {
-        throw new Error(individualErrors[0].error.message);
+        throw new ValidationError(individualErrors[0].error.message);
       }
 
       // Process only valid addresses
@@ -122,7 +130,7 @@ export class Batch {
         return [];
       }
 
-      const utxos = await this.service.getUtxos(validAddresses);
+      const utxos = await this.service.getUtxos(validAddresses, undefined, undefined, undefined, { signal });
       const validAddressSet = new Set(validAddresses);
 
       const utxosByAddress = new Map<string, MNEEUtxo[]>();
@@ -146,6 +154,7 @@ export class Batch {
     };
 
     const batchResult = await this.processBatch(
+      'getUtxos',
       addresses,
       modifiedProcessor,
       options,
@@ -168,10 +177,15 @@ export class Batch {
   async getBalances(addresses: string[], options: BatchOptions = {}): Promise<BatchResult<MNEEBalance>> {
     // Validate input is an array
     if (!Array.isArray(addresses)) {
-      throw stacklessError('Input must be an array of addresses');
+      throw new ValidationError('Input must be an array of addresses');
     }
     
-    return this.processBatch(addresses, async (chunk) => this.service.getBalances(chunk), options);
+    return this.processBatch(
+      'getBalances',
+      addresses,
+      async (chunk, signal) => this.service.getBalances(chunk, { signal }),
+      options,
+    );
   }
 
   /**
@@ -186,12 +200,13 @@ export class Batch {
   ): Promise<BatchResult<TxHistoryResponse>> {
     // Validate input is an array
     if (!Array.isArray(params)) {
-      throw stacklessError('Input must be an array of address history parameters');
+      throw new ValidationError('Input must be an array of address history parameters');
     }
     
     return this.processBatch(
+      'getTxHistories',
       params,
-      async (chunk) => this.service.getRecentTxHistories(chunk),
+      async (chunk, signal) => this.service.getRecentTxHistories(chunk, { signal }),
       options,
       (param) => param.address,
     );
@@ -210,7 +225,7 @@ export class Batch {
   ): Promise<BatchResult<BatchParseTxResult>> {
     // Validate input is an array
     if (!Array.isArray(txids)) {
-      throw stacklessError('Input must be an array of transaction IDs');
+      throw new ValidationError('Input must be an array of transaction IDs');
     }
     
     const { parseOptions, ...batchOptions } = options;
@@ -218,22 +233,22 @@ export class Batch {
     // Track individual errors within chunks
     const individualErrors: BatchError[] = [];
 
-    const modifiedProcessor = async (chunk: string[]) => {
+    const modifiedProcessor = async (chunk: string[], signal?: AbortSignal) => {
       const results = await Promise.allSettled(
         chunk.map(async (txid) => {
           // Validate txid first
           if (!txid || typeof txid !== 'string' || txid.trim() === '') {
-            throw new Error('Invalid transaction ID: empty or not a string');
+            throw new ValidationError('Invalid transaction ID: empty or not a string');
           }
           
           const hexRegex = /^[a-fA-F0-9]{64}$/;
           if (!hexRegex.test(txid)) {
-            throw new Error(`Invalid transaction ID format: ${txid}`);
+            throw new ValidationError(`Invalid transaction ID format: ${txid}`);
           }
 
           return {
             txid,
-            parsed: await this.service.parseTx(txid, parseOptions),
+            parsed: await this.service.parseTx(txid, { ...parseOptions, signal, timeoutMs: undefined }),
           };
         }),
       );
@@ -251,21 +266,26 @@ export class Batch {
             : String(result.reason);
           individualErrors.push({
             items: [txid],
-            error: { message: errorMessage },
+            error: { message: errorMessage, code: (result.reason as MneeError)?.code },
             retryCount: batchOptions.maxRetries || 3,
           });
         }
       });
 
+      // Aborted parses are not per-transaction failures
+      throwIfAborted(signal);
+
       // If continueOnError is false and we have errors, throw the first one
-      if (!batchOptions.continueOnError && individualErrors.length > 0) {
-        throw new Error(individualErrors[0].error.message);
+      const firstFailure = results.find((result) => result.status === 'rejected');
+      if (!batchOptions.continueOnError && firstFailure) {
+        throw (firstFailure as PromiseRejectedResult).reason;
       }
 
       return successfulResults;
     };
 
     const batchResult = await this.processBatch(
+      'parseTx',
       txids,
       modifiedProcessor,
       batchOptions, // Respect user's continueOnError preference
@@ -280,11 +300,13 @@ export class Batch {
   }
 
   /**
-   * Generic batch processor
+   * Generic batch processor. Progress goes to `onProgress` and, as `batch.progress`
+   * events tagged with `operation`, to the SDK's `onEvent`.
    */
   private async processBatch<T, R>(
+    operation: BatchOperation,
     items: T[],
-    processor: (chunk: T[]) => Promise<R[]>,
+    processor: (chunk: T[], signal?: AbortSignal) => Promise<R[]>,
     options: BatchOptions,
     getItemId?: (item: T) => string,
   ): Promise<BatchResult<R>> {
@@ -296,6 +318,7 @@ export class Batch {
       retryDelay = 1000,
       requestsPerSecond = 3,
     } = options;
+    const signal = requestSignal(options);
     
     const validChunkSize = chunkSize > 0 ? chunkSize : 20;
     const validRequestsPerSecond = requestsPerSecond > 0 ? requestsPerSecond : 3;
@@ -317,22 +340,36 @@ export class Batch {
 
     const chunks = this.chunkArray(items, validChunkSize);
     const totalChunks = chunks.length;
+    const reportProgress = () => {
+      this.service.emitEvent({
+        type: 'batch.progress',
+        operation,
+        completed: processed,
+        total: totalChunks,
+        errors: errors.length,
+      });
+      onProgress?.(processed, totalChunks, errors.length);
+    };
 
     // Process all chunks - rate limiter handles concurrency and timing
     const chunkPromises = chunks.map(async (chunk) => {
       try {
-        const chunkResults = await this.processWithRetry(() => processor(chunk), maxRetries, retryDelay, rateLimiter);
+        const chunkResults = await this.processWithRetry(
+          () => processor(chunk, signal),
+          maxRetries,
+          retryDelay,
+          rateLimiter,
+          signal,
+        );
 
         results.push(...chunkResults);
         processed++;
 
-        if (onProgress) {
-          onProgress(processed, totalChunks, errors.length);
-        }
+        reportProgress();
 
         return chunkResults;
       } catch (error) {
-        if (!continueOnError) {
+        if (!continueOnError || signal?.aborted) {
           throw error;
         }
 
@@ -345,18 +382,20 @@ export class Batch {
           try {
             // Process single item by wrapping in array
             const singleResult = await this.processWithRetry(
-              () => processor([item]),
+              () => processor([item], signal),
               maxRetries,
               retryDelay,
               rateLimiter,
+              signal,
             );
             if (singleResult.length > 0) {
               partialResults.push(...singleResult);
             }
           } catch (itemError) {
+            if (signal?.aborted) throw itemError;
             const error = itemError instanceof Error 
               ? itemError
-              : new Error(String(itemError));
+              : new MneeError(String(itemError));
             failedItems.push({ item, error });
           }
         }
@@ -379,9 +418,7 @@ export class Batch {
         }
 
         processed++;
-        if (onProgress) {
-          onProgress(processed, totalChunks, errors.length);
-        }
+        reportProgress();
 
         return partialResults;
       }
@@ -406,21 +443,28 @@ export class Batch {
     maxRetries: number,
     retryDelay: number,
     rateLimiter: RateLimiter,
+    signal?: AbortSignal,
   ): Promise<T> {
     let lastError: Error | undefined;
 
     for (let attempt = 0; attempt < maxRetries; attempt++) {
       try {
-        return await rateLimiter.execute(func);
+        // Checked again once a rate limiter slot frees up, so queued chunks never start after an abort
+        throwIfAborted(signal);
+        return await rateLimiter.execute(() => {
+          throwIfAborted(signal);
+          return func();
+        });
       } catch (error) {
+        if (signal?.aborted) throw error;
         lastError = error as Error;
         if (attempt < maxRetries - 1) {
-          await this.delay(retryDelay * (attempt + 1));
+          await this.delay(retryDelay * (attempt + 1), signal);
         }
       }
     }
 
-    throw lastError || new Error('Max retries exceeded');
+    throw lastError || new MneeError('Max retries exceeded');
   }
 
   /**
@@ -436,10 +480,21 @@ export class Batch {
   }
 
   /**
-   * Delay execution
+   * Delay execution; rejects as soon as the signal aborts
    */
-  private delay(ms: number): Promise<void> {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  private delay(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError(signal!));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal?.aborted) onAbort();
+      else signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 }
 
@@ -456,7 +511,6 @@ export class RateLimiter {
     await this.waitForSlot();
 
     try {
-      this.running++;
       const start = Date.now();
       const result = await fn();
 
@@ -473,8 +527,10 @@ export class RateLimiter {
     }
   }
 
+  /** Claims a slot synchronously, so callers starting together cannot all see the same free slot */
   private waitForSlot(): Promise<void> {
     if (this.running < this.maxConcurrent) {
+      this.running++;
       return Promise.resolve();
     }
 
@@ -486,7 +542,10 @@ export class RateLimiter {
   private processQueue(): void {
     if (this.queue.length > 0 && this.running < this.maxConcurrent) {
       const next = this.queue.shift();
-      if (next) next();
+      if (next) {
+        this.running++;
+        next();
+      }
     }
   }
 
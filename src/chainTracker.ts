@@ -0,0 +1,64 @@
+/**
+ * Chain trackers
+ * Answer "is this the merkle root of block N?" for SPV verification without calling the MNEE API.
+ */
+
+import { ChainTracker, Utils } from '@bsv/sdk';
+import { ValidationError } from './errors.js';
+
+const HEADER_SIZE = 80;
+// A block header is version (4) | previous hash (32) | merkle root (32) | time (4) | bits (4) | nonce (4)
+const MERKLE_ROOT_OFFSET = 36;
+
+export interface HeaderFileChainTrackerOptions {
+  /** Height of the first header in the file (default: 0, the genesis block) */
+  startHeight?: number;
+}
+
+/**
+ * Node.js chain tracker reading a local file of raw 80-byte block headers stored back to back,
+ * in height order. Keep the file current with a headers client you trust; the tracker does not
+ * check proof of work or that each header links to the previous one.
+ *
+ * @example
+ * const chainTracker = new HeaderFileChainTracker('/var/lib/bsv/headers.bin');
+ * const result = await mnee.verifyMneeBEEF(beefHex, { chainTracker });
+ */
+export class HeaderFileChainTracker implements ChainTracker {
+  private readonly startHeight: number;
+
+  constructor(
+    readonly path: string,
+    options: HeaderFileChainTrackerOptions = {},
+  ) {
+    if (!path) throw new ValidationError('HeaderFileChainTracker requires a file path');
+    const { startHeight = 0 } = options;
+    if (!Number.isInteger(startHeight) || startHeight < 0) {
+      throw new ValidationError('startHeight must be a non-negative integer');
+    }
+    this.startHeight = startHeight;
+  }
+
+  async isValidRootForHeight(root: string, height: number): Promise<boolean> {
+    if (!Number.isInteger(height) || height < this.startHeight) return false;
+    // Imported lazily so browser bundles that never use this tracker do not need `fs`
+    const fs = await import('fs/promises');
+    const file = await fs.open(this.path, 'r');
+    try {
+      const header = new Uint8Array(HEADER_SIZE);
+      const { bytesRead } = await file.read(header, 0, HEADER_SIZE, (height - this.startHeight) * HEADER_SIZE);
+      if (bytesRead < HEADER_SIZE) return false;
+      // Headers store the root in internal byte order; roots are compared in display (reversed) order
+      const stored = Array.from(header.subarray(MERKLE_ROOT_OFFSET, MERKLE_ROOT_OFFSET + 32)).reverse();
+      return Utils.toHex(stored) === root.toLowerCase();
+    } finally {
+      await file.close();
+    }
+  }
+
+  async currentHeight(): Promise<number> {
+    const fs = await import('fs/promises');
+    const { size } = await fs.stat(this.path);
+    return this.startHeight + Math.floor(size / HEADER_SIZE) - 1;
+  }
+}
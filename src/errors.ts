@@ -0,0 +1,118 @@
+/**
+ * Error classes
+ * Every error the SDK throws is an MneeError with a stable `code`, so callers can branch
+ * on `instanceof` or `code` instead of matching messages.
+ */
+
+import { MneeErrorCode, MneeTxValidationReport, TransferStatus } from './mnee.types.js';
+
+export class MneeError extends Error {
+  readonly code: MneeErrorCode;
+
+  constructor(message: string, code: MneeErrorCode = 'MNEE_ERROR') {
+    super(message);
+    this.name = new.target.name;
+    this.code = code;
+    // Like stacklessError: the message is what matters to SDK callers, not SDK internals
+    this.stack = undefined;
+  }
+}
+
+/** Invalid arguments, configuration, transaction or webhook payload */
+export class ValidationError extends MneeError {
+  /** The full report, when a transaction failed `validateBeforeSubmit` */
+  readonly validation?: MneeTxValidationReport;
+
+  constructor(message: string, validation?: MneeTxValidationReport) {
+    super(message, 'VALIDATION_ERROR');
+    this.validation = validation;
+  }
+}
+
+/** The sender cannot cover the amount plus fee */
+export class InsufficientBalanceError extends MneeError {
+  constructor(
+    message: string,
+    /** Largest amount (in MNEE, fee deducted) that could be sent instead */
+    readonly maxAmount: number,
+  ) {
+    super(message, 'INSUFFICIENT_BALANCE');
+  }
+}
+
+/** The API kept answering HTTP 429 after the SDK's own retries */
+export class RateLimitError extends MneeError {
+  constructor(
+    message: string,
+    /** Milliseconds the API asked to wait (Retry-After), when it said */
+    readonly retryAfterMs?: number,
+  ) {
+    super(message, 'RATE_LIMITED');
+  }
+}
+
+/** The API rejected the API key (HTTP 401 or 403) */
+export class AuthError extends MneeError {
+  constructor(
+    message: string,
+    readonly status?: number,
+  ) {
+    super(message, 'AUTH_ERROR');
+  }
+}
+
+/** UTXOs are held by a recent or concurrent transfer; retrying after ~30 seconds usually succeeds */
+export class UtxoLockedError extends MneeError {
+  constructor(
+    message: string,
+    /** The locked outpoint (`txid_vout`), when known */
+    readonly outpoint?: string,
+  ) {
+    super(message, 'UTXO_LOCKED');
+  }
+}
+
+/** A submitted transfer's ticket ended FAILED; the transaction was not broadcast */
+export class TransferFailedError extends MneeError {
+  constructor(
+    message: string,
+    readonly ticketId: string,
+    /** The FAILED ticket, with the API's reason in `errors` */
+    readonly status: TransferStatus,
+  ) {
+    super(message, 'TRANSFER_FAILED');
+  }
+}
+
+/** A transaction the SDK needed could not be fetched, even after retries; a later attempt may succeed */
+export class TxUnavailableError extends MneeError {
+  constructor(
+    message: string,
+    readonly txid: string,
+  ) {
+    super(message, 'TX_UNAVAILABLE');
+  }
+}
+
+/** Any other unsuccessful API response */
+export class ApiError extends MneeError {
+  constructor(
+    message: string,
+    readonly status: number,
+    /** Response body, when the SDK read it */
+    readonly body?: string,
+  ) {
+    super(message, 'API_ERROR');
+  }
+}
+
+/** The caller's AbortSignal fired or the call's `timeoutMs` elapsed */
+export class AbortedError extends MneeError {
+  constructor(
+    message: string,
+    /** True when `timeoutMs` elapsed rather than the caller aborting */
+    readonly timedOut: boolean = false,
+  ) {
+    super(message, 'ABORTED');
+  }
+}
@@ -1,5 +1,6 @@
 import { HD, Mnemonic } from '@bsv/sdk';
 import * as bip39 from 'bip39';
+import { ValidationError } from './errors';
 import { stacklessError } from './utils/stacklessError';
 
 /**
@@ -31,7 +32,7 @@ export class HDWallet {
 
   constructor(mnemonic: string, options: HDWalletOptions) {
     if (!bip39.validateMnemonic(mnemonic)) {
-      throw stacklessError('Invalid mnemonic phrase');
+      throw new ValidationError('Invalid mnemonic phrase');
     }
 
     const seed = Mnemonic.fromString(mnemonic).toSeed();
@@ -219,7 +220,7 @@ export class HDWallet {
     // Check if we found all requested addresses
     if (addressSet.size > 0) {
       const notFound = Array.from(addressSet);
-      throw stacklessError(
+      throw new ValidationError(
         `Could not find private keys for ${notFound.length} address(es): ${notFound.join(', ')}. ` +
           `Scanned up to index ${maxScanReceive} for receive addresses and ${maxScanChange} for change addresses.`,
       );
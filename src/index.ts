@@ -12,46 +12,129 @@ import {
   TransferMultiOptions,
   TxHistoryResponse,
   AddressHistoryParams,
+  ExportHistoryOptions,
+  HistoryExportChunk,
   Inscription,
   ParsedCosigner,
   MNEEUtxo,
   TransferOptions,
+  SubmitRawTxOptions,
+  SubmitRawTxResponse,
+  MneeTxValidationReport,
   SignatureRequest,
   SignatureResponse,
   GetSignatures,
   UnsignedTransactionResult,
   MultisigBuildOptions,
+  MneeAmount,
+  GetEnoughUtxosOptions,
+  ConsolidateOptions,
+  ConsolidateResult,
+  SweepResponse,
+  EstimateTransferOptions,
+  TransferEstimate,
+  WaitForTxOptions,
+  WatchAddressesOptions,
+  WebhookHeaders,
+  HandleTransferWebhookOptions,
+  TransferWebhookResult,
+  TxCacheStats,
+  VerifyMneeBeefOptions,
+  MneeBeefVerification,
+  RequestOptions,
 } from './mnee.types.js';
 import { Script, Transaction } from '@bsv/sdk';
 import { HDWallet, HDWalletOptions } from './hdWallet.js';
 import { Batch } from './batch.js';
+import { TxWatcher } from './txWatcher.js';
+import { AddressWatcher } from './addressWatcher.js';
 export * from './mnee.types.js';
+export { MockMneeApi, type MockMneeApiOptions } from './mockApi.js';
+export { TxWatcher, type TxWatcherEvents } from './txWatcher.js';
+export { AddressWatcher, type AddressWatcherEvents } from './addressWatcher.js';
+export {
+  MemoryOutpointLockStore,
+  FileOutpointLockStore,
+  type FileOutpointLockStoreOptions,
+} from './outpointLockStore.js';
+export {
+  MemoryTxCache,
+  FileTxCache,
+  IndexedDBTxCache,
+  type MemoryTxCacheOptions,
+  type IndexedDBTxCacheOptions,
+} from './txCache.js';
+export { HeaderFileChainTracker, type HeaderFileChainTrackerOptions } from './chainTracker.js';
+export {
+  MneeError,
+  ValidationError,
+  InsufficientBalanceError,
+  RateLimitError,
+  AuthError,
+  UtxoLockedError,
+  TransferFailedError,
+  TxUnavailableError,
+  ApiError,
+  AbortedError,
+} from './errors.js';
+export { NetworkError } from './utils/networkError.js';
 
 export interface MneeInterface {
   config(): Promise<MNEEConfig>;
   refreshConfig(): Promise<MNEEConfig>;
-  balance(address: string): Promise<MNEEBalance>;
-  balances(addresses: string[]): Promise<MNEEBalance[]>;
-  getUtxos(address: string | string[], page?: number, size?: number, order?: 'asc' | 'desc'): Promise<MNEEUtxo[]>;
-  getEnoughUtxos(address: string, totalAtomicTokenAmount: number): Promise<MNEEUtxo[]>;
-  getAllUtxos(address: string): Promise<MNEEUtxo[]>;
+  balance(address: string, options?: RequestOptions): Promise<MNEEBalance>;
+  balances(addresses: string[], options?: RequestOptions): Promise<MNEEBalance[]>;
+  getUtxos(
+    address: string | string[],
+    page?: number,
+    size?: number,
+    order?: 'asc' | 'desc',
+    options?: RequestOptions,
+  ): Promise<MNEEUtxo[]>;
+  getEnoughUtxos(
+    address: string,
+    totalAtomicTokenAmount: number,
+    options?: GetEnoughUtxosOptions,
+  ): Promise<MNEEUtxo[]>;
+  getAllUtxos(address: string, options?: RequestOptions): Promise<MNEEUtxo[]>;
   validateMneeTx(rawTxHex: string, request?: SendMNEE[]): Promise<boolean>;
+  validateMneeTxDetailed(rawTxHex: string, request?: SendMNEE[]): Promise<MneeTxValidationReport>;
   transfer(request: SendMNEE[], wif: string, transferOptions?: TransferOptions): Promise<TransferResponse>;
+  estimateTransfer(
+    request: SendMNEE[],
+    fromAddress: string,
+    options?: EstimateTransferOptions,
+  ): Promise<TransferEstimate>;
   transferMulti(options: TransferMultiOptions, transferOptions?: TransferOptions): Promise<TransferResponse>;
-  submitRawTx(rawTxHex: string): Promise<TransferResponse>;
-  getTxStatus(ticketId: string): Promise<TransferStatus>;
-  toAtomicAmount(amount: number): number;
+  consolidate(address: string, wif: string, options?: ConsolidateOptions): Promise<ConsolidateResult>;
+  sweep(wif: string | string[], destination: string, transferOptions?: TransferOptions): Promise<SweepResponse>;
+  submitRawTx(rawTxHex: string, transferOptions?: SubmitRawTxOptions): Promise<SubmitRawTxResponse>;
+  getTxStatus(ticketId: string, options?: RequestOptions): Promise<TransferStatus>;
+  waitForTx(ticketId: string, options?: WaitForTxOptions): Promise<TransferStatus>;
+  watchTx(ticketId: string, options?: WaitForTxOptions): TxWatcher;
+  handleTransferWebhook(
+    body: string | Uint8Array | object,
+    headers?: WebhookHeaders,
+    options?: HandleTransferWebhookOptions,
+  ): Promise<TransferWebhookResult>;
+  toAtomicAmount(amount: MneeAmount): number;
   fromAtomicAmount(amount: number): number;
+  toAtomicAmountExact(amount: MneeAmount): bigint;
+  fromAtomicAmountExact(amount: number | bigint): string;
   recentTxHistory(
     address: string,
     fromScore?: number,
     limit?: number,
     order?: 'asc' | 'desc',
+    options?: RequestOptions,
   ): Promise<TxHistoryResponse>;
-  recentTxHistories(params: AddressHistoryParams[]): Promise<TxHistoryResponse[]>;
+  recentTxHistories(params: AddressHistoryParams[], options?: RequestOptions): Promise<TxHistoryResponse[]>;
+  watchAddresses(addresses: string[], options?: WatchAddressesOptions): AddressWatcher;
+  exportHistory(address: string, options?: ExportHistoryOptions): AsyncIterable<HistoryExportChunk>;
   parseTx(txid: string, options?: ParseOptions): Promise<ParseTxResponse | ParseTxExtendedResponse>;
   parseTxFromRawTx(rawTxHex: string, options?: ParseOptions): Promise<ParseTxResponse | ParseTxExtendedResponse>;
   parseTxFromBEEF(beefHex: string, options?: ParseOptions): Promise<ParseTxResponse | ParseTxExtendedResponse>;
+  verifyMneeBEEF(beefHex: string, options: VerifyMneeBeefOptions): Promise<MneeBeefVerification>;
   parseInscription(script: Script): Inscription | undefined;
   parseCosignerScripts(scripts: Script[]): ParsedCosigner[];
   HDWallet(mnemonic: string, options: HDWalletOptions): HDWallet;
@@ -62,6 +145,7 @@ export interface MneeInterface {
     config: MNEEConfig,
   ): Promise<{ lockingScript: Script; satoshis: number }>;
   fetchSourceTransaction(txid: string, retries?: number): Promise<Transaction | undefined>;
+  getTxCacheStats(): TxCacheStats;
   generateSignatures(
     request: GetSignatures,
     privateKey: any,
@@ -101,18 +185,36 @@ export default class Mnee implements MneeInterface {
     return this.service.validateMneeTx(rawTxHex, request);
   }
 
+  /**
+   * Validates an MNEE transaction and reports every rule it breaks instead of a boolean.
+   *
+   * @param rawTxHex - The raw transaction hex string to validate.
+   * @param request - Optional SendMNEE outputs the transaction must pay, as for validateMneeTx.
+   * @returns A promise that resolves to a report with `valid`, the `errors` found (each with a `code`, a `message`
+   * and, for rules about one output, its `outputIndex`), the token `inputTotal` and `outputTotal` and the `operations`.
+   *
+   * @example
+   * const report = await mnee.validateMneeTxDetailed(rawtx, [{ address, amount: 10 }]);
+   * if (!report.valid) report.errors.forEach((e) => console.log(e.code, e.outputIndex, e.message));
+   */
+  async validateMneeTxDetailed(rawTxHex: string, request?: SendMNEE[]): Promise<MneeTxValidationReport> {
+    return this.service.validateMneeTxDetailed(rawTxHex, request);
+  }
+
   /**
    * Converts a given amount to its atomic representation based on the specified number.
    *
-   * @param amount - The amount to be converted.
+   * @param amount - The amount to be converted. Numbers are rounded to 5 decimal places;
+   * decimal strings are parsed exactly and bigints are treated as atomic units.
    * @returns The atomic representation of the given amount.
    *
    * @example
    * ```typescript
    * toAtomicAmount(1.5); // 150000
+   * toAtomicAmount('1.5'); // 150000
    * ```
    */
-  toAtomicAmount(amount: number): number {
+  toAtomicAmount(amount: MneeAmount): number {
     return this.service.toAtomicAmount(amount);
   }
 
@@ -131,6 +233,38 @@ export default class Mnee implements MneeInterface {
     return this.service.fromAtomicAmount(amount);
   }
 
+  /**
+   * Converts an amount to atomic units without floating-point rounding.
+   *
+   * @param amount - A decimal MNEE string, a number, or a bigint of atomic units.
+   * @returns The atomic amount as a bigint.
+   * @throws If the amount is negative, malformed, or has more than 5 decimal places.
+   *
+   * @example
+   * ```typescript
+   * toAtomicAmountExact('1.23456'); // 123456n
+   * toAtomicAmountExact('1.234567'); // throws
+   * ```
+   */
+  toAtomicAmountExact(amount: MneeAmount): bigint {
+    return this.service.toAtomicAmountExact(amount);
+  }
+
+  /**
+   * Converts atomic units to an exact decimal MNEE string.
+   *
+   * @param amount - The atomic amount as a safe integer or bigint.
+   * @returns The decimal string without trailing zeros.
+   *
+   * @example
+   * ```typescript
+   * fromAtomicAmountExact(150000n); // '1.5'
+   * ```
+   */
+  fromAtomicAmountExact(amount: number | bigint): string {
+    return this.service.fromAtomicAmountExact(amount);
+  }
+
   /**
    * Retrieves the cached MNEE configuration. Network fetch happens once at SDK
    * initialization; every subsequent call returns the in-memory value with no
@@ -155,26 +289,29 @@ export default class Mnee implements MneeInterface {
    * Retrieves the balance for a given address.
    *
    * @param address - The address to retrieve the balance for.
+   * @param options - Optional. `signal` and `timeoutMs` abort the request.
    * @returns A promise that resolves to a `MNEEBalance` object containing the balance details.
    */
-  async balance(address: string): Promise<MNEEBalance> {
-    return this.service.getBalance(address);
+  async balance(address: string, options?: RequestOptions): Promise<MNEEBalance> {
+    return this.service.getBalance(address, options);
   }
 
   /**
    * Retrieves the balances for multiple addresses.
    *
    * @param addresses - An array of addresses to retrieve the balances for.
+   * @param options - Optional. `signal` and `timeoutMs` abort the request.
    * @returns A promise that resolves to an array of `MNEEBalance` objects containing the balance details for each address.
    */
-  async balances(addresses: string[]): Promise<MNEEBalance[]> {
-    return this.service.getBalances(addresses);
+  async balances(addresses: string[], options?: RequestOptions): Promise<MNEEBalance[]> {
+    return this.service.getBalances(addresses, options);
   }
 
   /**
    * Retrieves the UTXOs for a given address.
    *
    * @param address - The address to retrieve the UTXOs for.
+   * @param options - Optional. `signal` and `timeoutMs` abort the request.
    * @returns A promise that resolves to an array of `MNEEUtxo` objects containing the UTXO details.
    */
   async getUtxos(
@@ -182,8 +319,9 @@ export default class Mnee implements MneeInterface {
     page?: number,
     size?: number,
     order?: 'asc' | 'desc',
+    options?: RequestOptions,
   ): Promise<MNEEUtxo[]> {
-    return this.service.getUtxos(address, page, size, order);
+    return this.service.getUtxos(address, page, size, order, options);
   }
 
   /**
@@ -191,20 +329,30 @@ export default class Mnee implements MneeInterface {
    *
    * @param address - The address to retrieve the UTXOs for.
    * @param totalAtomicTokenAmount - The total atomic token amount to cover.
+   * @param options - Optional. `coinSelection` picks the strategy: 'largest-first' (default),
+   * 'smallest-first', 'branch-and-bound', 'oldest-first', or a custom selector function.
    * @returns A promise that resolves to an array of `MNEEUtxo` objects containing the UTXO details.
+   *
+   * @example
+   * const utxos = await mnee.getEnoughUtxos(address, 150000, { coinSelection: 'branch-and-bound' });
    */
-  async getEnoughUtxos(address: string, totalAtomicTokenAmount: number): Promise<MNEEUtxo[]> {
-    return this.service.getEnoughUtxos(address, totalAtomicTokenAmount);
+  async getEnoughUtxos(
+    address: string,
+    totalAtomicTokenAmount: number,
+    options?: GetEnoughUtxosOptions,
+  ): Promise<MNEEUtxo[]> {
+    return this.service.getEnoughUtxos(address, totalAtomicTokenAmount, options);
   }
 
   /**
    * Retrieves all UTXOs for a given address.
    *
    * @param address - The address to retrieve the UTXOs for.
+   * @param options - Optional. `signal` and `timeoutMs` abort every page request.
    * @returns A promise that resolves to an array of `MNEEUtxo` objects containing the UTXO details.
    */
-  async getAllUtxos(address: string): Promise<MNEEUtxo[]> {
-    return this.service.getAllUtxos(address);
+  async getAllUtxos(address: string, options?: RequestOptions): Promise<MNEEUtxo[]> {
+    return this.service.getAllUtxos(address, options);
   }
 
   /**
@@ -212,12 +360,40 @@ export default class Mnee implements MneeInterface {
    *
    * @param {SendMNEE[]} request - An array of SendMNEE objects representing the transfer details.
    * @param {string} wif - The Wallet Import Format key used to authorize the transfer.
+   * @param {TransferOptions} transferOptions - Optional. `signal` and `timeoutMs` abort UTXO lookups, retries and
+   * submission; a transfer the API already received is not cancelled.
    * @returns {Promise<TransferResponse>} A promise that resolves to a TransferResponse object containing the result of the transfer.
+   *
+   * @example
+   * // Stop when the HTTP client disconnects
+   * const controller = new AbortController();
+   * req.on('close', () => controller.abort());
+   * await mnee.transfer(recipients, wif, { signal: controller.signal, timeoutMs: 30000 });
    */
   async transfer(request: SendMNEE[], wif: string, transferOptions?: TransferOptions): Promise<TransferResponse> {
     return this.service.transfer(request, wif, transferOptions);
   }
 
+  /**
+   * Previews a transfer from an address without signing or broadcasting it. Uses the same
+   * UTXO selection and fee lookup as `transfer`, so the result matches what would be sent.
+   *
+   * @param request - An array of SendMNEE objects representing the recipients.
+   * @param fromAddress - The address the transfer would be sent from.
+   * @param options - Optional. Coin selection strategy and extra data, as passed to `transfer`.
+   * @returns A promise that resolves to the fee, fee tier, selected UTXOs, change, output count and size in bytes.
+   *
+   * @example
+   * const { fee, change, size } = await mnee.estimateTransfer([{ address, amount: 1.5 }], myAddress);
+   */
+  async estimateTransfer(
+    request: SendMNEE[],
+    fromAddress: string,
+    options?: EstimateTransferOptions,
+  ): Promise<TransferEstimate> {
+    return this.service.estimateTransfer(request, fromAddress, options);
+  }
+
   /**
    * Transfers MNEE tokens from multiple source UTXOs with different private keys. This is a more advanced method that allows you to control the UTXOs used in the transfer along with associated private keys.
    *
@@ -228,13 +404,58 @@ export default class Mnee implements MneeInterface {
     return this.service.transferMulti(options, transferOptions);
   }
 
+  /**
+   * Sends the entire MNEE balance of one or more keys to a destination, deducting the fee
+   * from the amount. All unlocked UTXOs of every key are spent in a single transaction.
+   *
+   * @param wif - A WIF key or an array of WIF keys to sweep.
+   * @param destination - The address receiving the balance.
+   * @param transferOptions - Optional. Broadcast (default true), callback URL and extra data.
+   * @returns A promise that resolves to the transfer response with the amount sent, fee and spent outpoints.
+   *
+   * @example
+   * const { ticketId, amount, fee } = await mnee.sweep([wif1, wif2], destination);
+   */
+  async sweep(wif: string | string[], destination: string, transferOptions?: TransferOptions): Promise<SweepResponse> {
+    return this.service.sweep(wif, destination, transferOptions);
+  }
+
+  /**
+   * Consolidates the UTXOs of an address into fewer outputs by submitting fee-paying
+   * self-transfers, each spending up to `maxInputs` UTXOs (smallest first).
+   *
+   * @param address - The address whose UTXOs are consolidated.
+   * @param wif - The WIF key for the address.
+   * @param options - Optional. `maxInputs` (default 50), `targetOutputs` per transaction (default 1),
+   * `broadcast`, `callbackUrl` and `waitForOutpoints` (default false; polls each ticket in turn for up to 60 seconds). `signal` and `timeoutMs` abort the lookups,
+   * submissions and ticket polling; transactions already submitted are not cancelled.
+   * @returns A promise that resolves to the submitted transactions, their tickets and the new outpoints.
+   *
+   * @example
+   * const { transactions, outpoints } = await mnee.consolidate(address, wif, { maxInputs: 100 });
+   */
+  async consolidate(address: string, wif: string, options?: ConsolidateOptions): Promise<ConsolidateResult> {
+    return this.service.consolidate(address, wif, options);
+  }
+
   /**
    * Submits a partially signed raw transaction to the MNEE network. This is useful when you have a raw transaction hex string that you have already signed, but you need to submit it to the MNEE network.
    *
-   * @param rawTxHex - The raw transaction hex string to submit.
-   * @returns A promise that resolves to a TransferResponse object containing the result of the transfer.
+   * BEEF and Extended Format hex are also accepted; their format is detected unless `transferOptions.format` is set.
+   * They are validated locally before submission and sent to the API in that format.
+   *
+   * Set `validateBeforeSubmit` to run every local check (protocol rules, `expected` outputs, token conservation)
+   * first and throw instead of submitting a failing transaction, or `dryRun` to only get the report back.
+   *
+   * @param rawTxHex - The transaction hex string to submit (plain, BEEF or EF).
+   * @param transferOptions - Optional broadcast, format, callback and validation settings.
+   * @returns A promise that resolves to a SubmitRawTxResponse with the ticket ID and, when validating, the report.
+   *
+   * @example
+   * const { validation } = await mnee.submitRawTx(rawtx, { dryRun: true, expected: [{ address, amount: 10 }] });
+   * validation.errors.forEach((e) => console.log(e.code, e.outputIndex, e.message));
    */
-  async submitRawTx(rawTxHex: string, transferOptions?: TransferOptions): Promise<TransferResponse> {
+  async submitRawTx(rawTxHex: string, transferOptions?: SubmitRawTxOptions): Promise<SubmitRawTxResponse> {
     return this.service.submitRawTx(rawTxHex, transferOptions);
   }
 
@@ -242,10 +463,75 @@ export default class Mnee implements MneeInterface {
    * Gets the status of a transfer transaction using its ticket ID.
    *
    * @param ticketId - The ticket ID returned from submitRawTx or V2 transfer endpoint.
+   * @param options - Optional. `signal` and `timeoutMs` abort the request.
    * @returns A promise that resolves to a TransferStatus object containing the current status of the transfer.
    */
-  async getTxStatus(ticketId: string): Promise<TransferStatus> {
-    return this.service.getTxStatus(ticketId);
+  async getTxStatus(ticketId: string, options?: RequestOptions): Promise<TransferStatus> {
+    return this.service.getTxStatus(ticketId, options);
+  }
+
+  /**
+   * Polls a ticket until it reaches the requested state. Polling honors the SDK's shared
+   * rate-limit cooldown, so it backs off together with other API calls after an HTTP 429.
+   *
+   * @param ticketId - The ticket ID returned from transfer, transferMulti or submitRawTx.
+   * @param options - Optional. `until` ('SUCCESS' by default, or 'MINED'), `timeoutMs`, `intervalMs`, `signal` and `onStatus`.
+   * @returns A promise that resolves to the final TransferStatus. Rejects if the ticket fails, the wait times out or is aborted.
+   *
+   * @example
+   * const { ticketId } = await mnee.transfer(recipients, wif);
+   * const status = await mnee.waitForTx(ticketId, { until: 'MINED' });
+   * console.log('Mined:', status.tx_id);
+   */
+  async waitForTx(ticketId: string, options?: WaitForTxOptions): Promise<TransferStatus> {
+    return this.service.waitForTx(ticketId, options);
+  }
+
+  /**
+   * Event-emitter form of `waitForTx`. Emits `status` on every status change, then `done` or `error`.
+   *
+   * @param ticketId - The ticket ID to watch.
+   * @param options - Optional. Same options as `waitForTx`.
+   * @returns A TxWatcher. Call `stop()` to stop polling early.
+   *
+   * @example
+   * mnee.watchTx(ticketId)
+   *   .on('status', (s) => console.log(s.status))
+   *   .on('done', (s) => console.log('Confirmed:', s.tx_id))
+   *   .on('error', (e) => console.error(e.message));
+   */
+  watchTx(ticketId: string, options?: WaitForTxOptions): TxWatcher {
+    return new TxWatcher(this.service, ticketId, options);
+  }
+
+  /**
+   * Validates a transfer webhook delivery from the MNEE API. Works with any HTTP framework:
+   * pass the raw request body and headers. Checks the `x-mnee-signature` HMAC when a secret is given,
+   * the payload shape and the transaction in `tx_hex`. Repeated deliveries of the same ticket status
+   * are flagged as duplicates.
+   *
+   * @param body - The raw request body (string or bytes). A parsed object is accepted when no secret is used.
+   * @param headers - The request headers, as a fetch `Headers` instance or a plain object.
+   * @param options - Optional. `secret` (the transfer's callbackSecret) and `verifyTx` (default true).
+   * @returns A promise that resolves to the typed webhook and whether it is a duplicate. Rejects if the delivery is invalid.
+   *
+   * @example
+   * app.post('/webhook', express.text({ type: '*\/*' }), async (req, res) => {
+   *   try {
+   *     const { webhook, duplicate } = await mnee.handleTransferWebhook(req.body, req.headers, { secret });
+   *     if (!duplicate) await updateOrder(webhook.id, webhook.status);
+   *     res.sendStatus(200);
+   *   } catch {
+   *     res.sendStatus(400);
+   *   }
+   * });
+   */
+  async handleTransferWebhook(
+    body: string | Uint8Array | object,
+    headers?: WebhookHeaders,
+    options?: HandleTransferWebhookOptions,
+  ): Promise<TransferWebhookResult> {
+    return this.service.handleTransferWebhook(body, headers, options);
   }
 
   /**
@@ -254,6 +540,7 @@ export default class Mnee implements MneeInterface {
    * @param address - The address to retrieve the transaction history for.
    * @param fromScore - The starting score to retrieve the transaction history from.
    * @param limit - The maximum number of transactions to retrieve.
+   * @param options - Optional. `signal` and `timeoutMs` abort the request.
    * @returns A promise that resolves to a TxHistoryResponse object containing the transaction
    * history and the next score to retrieve additional transactions.
    */
@@ -262,19 +549,62 @@ export default class Mnee implements MneeInterface {
     fromScore?: number,
     limit?: number,
     order?: 'asc' | 'desc',
+    options?: RequestOptions,
   ): Promise<TxHistoryResponse> {
-    return this.service.getRecentTxHistory(address, fromScore, limit, order);
+    return this.service.getRecentTxHistory(address, fromScore, limit, order, options);
   }
 
   /**
    * Retrieves the recent transaction histories for multiple addresses.
    *
    * @param params - An array of address parameters, each containing an address, optional fromScore, and optional limit.
+   * @param options - Optional. `signal` and `timeoutMs` abort the requests.
    * @returns A promise that resolves to an array of TxHistoryResponse objects containing the transaction
    * history for each address with its own pagination state.
    */
-  async recentTxHistories(params: AddressHistoryParams[]): Promise<TxHistoryResponse[]> {
-    return this.service.getRecentTxHistories(params);
+  async recentTxHistories(params: AddressHistoryParams[], options?: RequestOptions): Promise<TxHistoryResponse[]> {
+    return this.service.getRecentTxHistories(params, options);
+  }
+
+  /**
+   * Streams new transactions for a set of addresses, e.g. to detect deposits. Polls their history
+   * after a score checkpoint per address, reports each txid once per address, and reports again when
+   * an unconfirmed transaction gets a height.
+   *
+   * @param addresses - The addresses to watch.
+   * @param options - Optional. `fromScore` (a score, or saved checkpoints by address), `intervalMs`
+   * (default 10000), `limit` (history items per request) and `signal`.
+   * @returns An AddressWatcher. Iterate it with `for await`, or listen for `tx`, `confirmed`, `checkpoint`
+   * and `error`. Call `stop()` to stop polling.
+   *
+   * @example
+   * const watcher = mnee.watchAddresses(depositAddresses, { fromScore: savedCheckpoints });
+   * watcher.on('checkpoint', ({ address, score }) => db.saveCheckpoint(address, score));
+   * for await (const { type, address, tx } of watcher) {
+   *   if (tx.type === 'receive') await creditDeposit(address, tx, type === 'confirmed');
+   * }
+   */
+  watchAddresses(addresses: string[], options?: WatchAddressesOptions): AddressWatcher {
+    return new AddressWatcher(this.service, addresses, options);
+  }
+
+  /**
+   * Exports the entire transaction history of an address, oldest first, paging until the end.
+   * Each chunk holds one page of formatted rows and the checkpoint to resume after them.
+   *
+   * @param address - The address to export.
+   * @param options - Optional. `format` ('ndjson' by default, 'csv' or 'json'), `checkpoint` (a saved score to
+   * resume after), `pageSize`, `includeUnconfirmed`, `header` (CSV), and `signal` / `timeoutMs` for the whole export.
+   * @returns An async iterable of HistoryExportChunk objects with `data`, `rows` and `checkpoint`.
+   *
+   * @example
+   * for await (const chunk of mnee.exportHistory(address, { format: 'csv', checkpoint: await loadCheckpoint() })) {
+   *   await file.write(chunk.data);
+   *   await saveCheckpoint(chunk.checkpoint);
+   * }
+   */
+  exportHistory(address: string, options?: ExportHistoryOptions): AsyncIterable<HistoryExportChunk> {
+    return this.service.exportHistory(address, options);
   }
 
   /**
@@ -294,6 +624,7 @@ export default class Mnee implements MneeInterface {
    *   - `includeRaw`: Include raw transaction data in the response.
    *   - `skipInputFetch`: Defaults to `true`. Set to `false` to fetch parent
    *     transactions and populate per-input token amounts + verify conservation.
+   *   - `signal` / `timeoutMs`: Abort the transaction fetch and any parent fetches.
    * @returns A promise that resolves to a `ParseTxResponse` or `ParseTxExtendedResponse` containing the parsed transaction details.
    */
   async parseTx(txid: string, options?: ParseOptions): Promise<ParseTxResponse | ParseTxExtendedResponse> {
@@ -338,6 +669,28 @@ export default class Mnee implements MneeInterface {
     return this.service.parseTxFromBEEF(beefHex, options);
   }
 
+  /**
+   * Verifies an MNEE transaction from BEEF locally, without trusting the MNEE API.
+   *
+   * Walks the embedded ancestry back to transactions with merkle proofs and checks those proofs
+   * against `chainTracker`. Every unproven transaction on the way, and the subject itself, must
+   * have valid scripts, spend only MNEE outputs of the configured token locked to the approver
+   * or mint address, and conserve token amounts.
+   *
+   * @param beefHex - A BEEF or Atomic BEEF hex string. The subject is the atomic txid, or the last transaction.
+   * @param options - `chainTracker` to check merkle roots, e.g. a `HeaderFileChainTracker`. `signal` and
+   * `timeoutMs` stop the verification, including a wait on the chain tracker.
+   * @returns A promise that resolves to a `MneeBeefVerification`. `isValid` is false with an `error` when a check fails.
+   *
+   * @example
+   * const chainTracker = new HeaderFileChainTracker('/var/lib/bsv/headers.bin');
+   * const { isValid, error, outputs } = await mnee.verifyMneeBEEF(beefHex, { chainTracker });
+   * if (!isValid) throw new Error(`Payment rejected: ${error}`);
+   */
+  async verifyMneeBEEF(beefHex: string, options: VerifyMneeBeefOptions): Promise<MneeBeefVerification> {
+    return this.service.verifyMneeBEEF(beefHex, options);
+  }
+
   /**
    * Parses an inscription.
    *
@@ -418,6 +771,17 @@ export default class Mnee implements MneeInterface {
     return this.service.fetchRawTx(txid, retries);
   }
 
+  /**
+   * Returns counters for the source transaction cache (`SdkConfig.txCache`) since this instance was created.
+   * @returns An object with `hits` (served from the cache), `misses` (fetched from the API) and `errors`.
+   * @example
+   * await mnee.parseTx(txid, { includeRaw: true });
+   * const { hits, misses } = mnee.getTxCacheStats();
+   */
+  getTxCacheStats(): TxCacheStats {
+    return this.service.getTxCacheStats();
+  }
+
   /**
    * Generates signatures.
    * @param request - The request to generate signatures.
@@ -459,7 +823,9 @@ export default class Mnee implements MneeInterface {
 
   /**
    * Builds an unsigned MNEE transaction.
-   * @param options - The options to build an unsigned MNEE transaction.
+   * @param options - The options to build an unsigned MNEE transaction. Pass `inputs`, or
+   * `fromAddress` (with an optional `coinSelection` strategy) to select inputs automatically. `signal` and
+   * `timeoutMs` abort the UTXO and source transaction lookups.
    * @returns A promise that resolves to an UnsignedTransactionResult object.
    * @example
    * const unsignedTransactionResult = await mnee.buildUnsignedMneeTransaction(options);
@@ -1,12 +1,127 @@
-import { Transaction } from "@bsv/sdk";
+import { ChainTracker, Transaction } from "@bsv/sdk";
 
-export type Environment = 'production' | 'sandbox';
+export type Environment = 'production' | 'sandbox' | 'custom';
+
+/**
+ * Token parameters the SDK should expect when talking to a self-hosted or
+ * otherwise non-standard deployment of the MNEE proxy API.
+ */
+export type CustomEnvironmentConfig = {
+  tokenId: string;
+  approver: string;
+  mintAddress: string;
+};
+
+/**
+ * Fetch-compatible HTTP transport. Every request the SDK makes to the MNEE API
+ * goes through this function, so it can be swapped for a proxy-aware client,
+ * a request-signing wrapper or an in-process test double.
+ */
+export type FetchLike = (url: string, init?: RequestInit) => Promise<Response>;
 
 export type SdkConfig = {
   environment: Environment;
   apiKey?: string;
+  apiUrl?: string;
+  customEnvironment?: CustomEnvironmentConfig;
+  fetch?: FetchLike;
+  outpointLockStore?: OutpointLockStore; // Shared record of recently spent UTXOs (default: in-memory, per instance)
+  txCache?: TxCache; // Cache for fetched source transactions (default: in-memory LRU of 5000 transactions)
+  onEvent?: (event: MneeEvent) => void; // Observability hook called synchronously for every SDK event
+  logger?: MneeLogger; // Destination for SDK warnings and errors (default: console)
 };
 
+/**
+ * Stores raw transactions (hex) fetched by txid. Entries never go stale since
+ * transactions are immutable; implementations may evict to bound their size.
+ */
+export interface TxCache {
+  get(txid: string): Promise<string | undefined> | string | undefined;
+  set(txid: string, rawtx: string): Promise<void> | void;
+  delete?(txid: string): Promise<void> | void; // Called to drop an entry that no longer matches its txid
+}
+
+export type TxCacheStats = {
+  hits: number; // Served from the cache
+  misses: number; // Fetched from the API
+  errors: number; // Cache reads or writes that threw, or cached entries that did not match their txid
+};
+
+/**
+ * Receives the SDK's warnings and errors. `debug`, when present, also receives every
+ * `MneeEvent` as a structured record.
+ */
+export interface MneeLogger {
+  debug?(message: string, ...details: unknown[]): void;
+  warn(message: string, ...details: unknown[]): void;
+  error(message: string, ...details: unknown[]): void;
+}
+
+export type BatchOperation = 'getUtxos' | 'getBalances' | 'getTxHistories' | 'parseTx';
+
+/**
+ * Events passed to `SdkConfig.onEvent`, discriminated by `type`. Endpoints are API paths
+ * without the query string (so never the API key), with txids replaced by `:txid`.
+ */
+export type MneeEvent = { timestamp: number } & (
+  | {
+      type: 'request.start';
+      requestId: number; // Unique per SDK instance; pairs start and end events
+      method: string;
+      endpoint: string; // e.g. '/v2/utxos', '/v1/tx/:txid'
+      attempt: number; // 0 for the first try, then one more for each 429 retry
+    }
+  | {
+      type: 'request.end';
+      requestId: number;
+      method: string;
+      endpoint: string;
+      attempt: number;
+      durationMs: number;
+      status?: number; // HTTP status; absent when no response arrived
+      error?: string; // Why no response arrived (network failure, abort)
+    }
+  | {
+      type: 'rateLimit.cooldown';
+      endpoint: string; // The request answered with HTTP 429
+      attempt: number;
+      cooldownMs: number; // How long every request now waits
+      retryAfterMs?: number; // The server's Retry-After, when it sent one
+    }
+  | { type: 'txCache.hit' | 'txCache.miss'; txid: string }
+  | { type: 'txCache.error'; txid: string; operation: 'read' | 'write' }
+  | {
+      type: 'outpointLock.retry';
+      attempt: number; // The transfer attempt about to start (1-based retry count)
+      reason: 'locked' | 'alreadySpent';
+      outpoint?: string; // The outpoint the API reported as locked
+    }
+  | {
+      type: 'batch.progress';
+      operation: BatchOperation;
+      completed: number; // Chunks finished so far
+      total: number;
+      errors: number;
+    }
+);
+
+/**
+ * Records outpoints (`txid_vout`) spent by recent transfers so they are skipped during
+ * UTXO selection. Share one store between SDK instances or processes to coordinate them.
+ * Implementations must drop locks once their TTL has passed.
+ */
+export interface OutpointLockStore {
+  /** The subset of `outpoints` that is currently locked */
+  getLocked(outpoints: string[]): Promise<string[]> | string[];
+  /**
+   * Atomically lock every outpoint for `ttlMs` unless any of them is already locked.
+   * Resolves to the conflicting outpoints; an empty array means the lock was taken.
+   */
+  acquire(outpoints: string[], ttlMs: number): Promise<string[]> | string[];
+  /** Lock outpoints unconditionally, extending existing locks */
+  lock(outpoints: string[], ttlMs: number): Promise<void> | void;
+}
+
 export type MNEEFee = {
   min: number;
   max: number;
@@ -71,9 +186,17 @@ export type MNEEBalance = {
   decimalAmount: number;
 };
 
+/**
+ * A token amount.
+ * - `number`: decimal MNEE (e.g. 1.5), rounded to 5 decimal places
+ * - `string`: exact decimal MNEE (e.g. "1.5"); more than 5 decimal places is an error
+ * - `bigint`: exact atomic units (e.g. 150000n)
+ */
+export type MneeAmount = number | string | bigint;
+
 export type SendMNEE = {
   address: string;
-  amount: number;
+  amount: MneeAmount;
 };
 
 export type GetSignatures = {
@@ -127,6 +250,104 @@ export type BalanceResponse = Array<{
 
 export type TransferResponse = { ticketId?: string; rawtx?: string };
 
+export type SubmitRawTxOptions = TransferOptions & {
+  validateBeforeSubmit?: boolean; // Check the transaction locally and throw instead of submitting when it fails
+  dryRun?: boolean; // Only check the transaction locally and return the report; nothing is submitted
+  expected?: SendMNEE[]; // Outputs the transaction must pay (checked when validating)
+};
+
+export type SubmitRawTxResponse = TransferResponse & {
+  validation?: MneeTxValidationReport; // Present when validateBeforeSubmit, dryRun or expected is set
+};
+
+/** Machine-readable `code` of every error the SDK throws; see the classes in errors.ts */
+export type MneeErrorCode =
+  | 'MNEE_ERROR' // Any other failure
+  | 'VALIDATION_ERROR' // Invalid arguments, configuration, transaction or webhook
+  | 'INSUFFICIENT_BALANCE' // Not enough MNEE to cover the amount and fee
+  | 'RATE_LIMITED' // HTTP 429 after the SDK's own retries
+  | 'AUTH_ERROR' // HTTP 401/403: the API key was rejected
+  | 'UTXO_LOCKED' // Inputs are held by a recent or concurrent transfer
+  | 'TRANSFER_FAILED' // A submitted transfer's ticket ended FAILED
+  | 'TX_UNAVAILABLE' // A transaction could not be fetched after the SDK's retries
+  | 'API_ERROR' // Any other unsuccessful API response
+  | 'NETWORK_ERROR' // The API could not be reached
+  | 'ABORTED'; // The caller's signal aborted or the call's timeoutMs elapsed
+
+/** The rule a transaction broke, as reported by local validation */
+export type MneeTxValidationCode =
+  | 'INVALID_COSIGNER' // A cosigned output names a cosigner other than the approver
+  | 'INVALID_TOKEN_ID' // An inscription is for a different token
+  | 'INVALID_AMOUNT' // An inscription amount is not a positive integer
+  | 'NO_MNEE_OUTPUTS' // No output carries an MNEE inscription
+  | 'MISSING_COSIGNER' // A transfer, burn or redeem has no approver-cosigned output
+  | 'EXPECTED_OUTPUT_MISSING' // An expected recipient and amount has no matching output
+  | 'AMOUNT_NOT_CONSERVED'; // Token inputs and outputs do not add up
+
+export type MneeTxValidationError = {
+  code: MneeTxValidationCode;
+  message: string;
+  outputIndex?: number; // The offending output, when the rule is about one output
+  expected?: SendMNEE; // The unmatched entry of `expected`, for EXPECTED_OUTPUT_MISSING
+};
+
+export type MneeTxValidationReport = {
+  valid: boolean;
+  txid: string;
+  errors: MneeTxValidationError[];
+  inputTotal: string; // Atomic token amount spent by inputs with a known source
+  outputTotal: string; // Atomic token amount of the cosigned token outputs
+  operations: TxOperation[]; // Distinct operations performed by the token outputs
+};
+
+export type ConsolidateOptions = RequestOptions & {
+  maxInputs?: number; // UTXOs spent per consolidation transaction (default: 50)
+  targetOutputs?: number; // Outputs each consolidation transaction creates (default: 1)
+  broadcast?: boolean; // Submit the transactions (default: true)
+  callbackUrl?: string; // Webhook URL for every submitted transaction
+  callbackSecret?: string; // Secret used to sign those webhook deliveries
+  waitForOutpoints?: boolean; // Poll each ticket in turn until the new outpoints are known (default: false)
+};
+
+export type ConsolidationTx = {
+  inputs: string[]; // Outpoints spent (txid_vout)
+  outputs: Array<{ vout: number; amount: number; outpoint?: string }>; // outpoint is set once the txid is known
+  fee: number;
+  ticketId?: string;
+  rawtx?: string; // Only when broadcast is false
+  status?: TransferStatus['status'];
+  error?: string;
+};
+
+export type ConsolidateResult = {
+  address: string;
+  utxosBefore: number;
+  transactions: ConsolidationTx[];
+  outpoints: string[]; // All resolved outpoints created by the consolidation
+};
+
+export type SweepResponse = TransferResponse & {
+  amount: number; // Atomic units sent to the destination
+  fee: number; // Atomic units
+  change: number; // Atomic units returned to the first key when the balance sits just above a fee tier boundary
+  inputs: string[]; // Outpoints spent (txid_vout)
+};
+
+export type EstimateTransferOptions = Pick<TransferOptions, 'coinSelection' | 'extraData' | 'signal' | 'timeoutMs'>;
+
+export type TransferEstimate = {
+  amount: number; // Atomic units sent to the recipients
+  fee: number; // Atomic units
+  feeTier: MNEEFee; // Fee tier the amount falls in
+  total: number; // amount + fee
+  utxos: MNEEUtxo[]; // Inputs that would be spent
+  inputTotal: number; // Atomic units across the selected inputs
+  change: number; // Atomic units returned to the sender
+  changeAddress?: string; // Set when there is change
+  outputCount: number; // Recipients, fee, change and OP_RETURN outputs
+  size: number; // Cosigned size in bytes (max-length signatures), excluding the approver's funding input
+};
+
 export type TransferStatus = {
   id: string;
   tx_id: string;
@@ -138,16 +359,56 @@ export type TransferStatus = {
   errors: string | null;
 };
 
+export type WaitForTxOptions = {
+  until?: 'SUCCESS' | 'MINED'; // Default 'SUCCESS'. A MINED ticket also satisfies 'SUCCESS'
+  timeoutMs?: number; // Default 60 seconds for 'SUCCESS', 30 minutes for 'MINED'
+  intervalMs?: number; // Delay between polls (default 1000)
+  signal?: AbortSignal;
+  onStatus?: (status: TransferStatus) => void; // Called with the first snapshot and on every status change
+};
+
 export type OpReturnData = {
   type: 'utf8' | 'hex';
   data: string;
 };
 
-export type TransferOptions = {
+/**
+ * Custom coin selector. Receives the spendable UTXOs and the atomic amount to cover
+ * (fee included) and returns the UTXOs to spend.
+ */
+export type CoinSelector = (utxos: MNEEUtxo[], targetAmount: number) => MNEEUtxo[];
+
+/**
+ * How UTXOs are chosen to fund a transaction.
+ * - `largest-first` (default): fewest inputs, pages only as far as needed
+ * - `smallest-first`: consolidates dust, more inputs
+ * - `branch-and-bound`: exact match so no change output is created, falls back to largest-first
+ * - `oldest-first`: spends by `height`, then `score`; unconfirmed outputs last
+ */
+export type CoinSelectionStrategy =
+  | 'largest-first'
+  | 'smallest-first'
+  | 'branch-and-bound'
+  | 'oldest-first'
+  | CoinSelector;
+
+/** Cancellation for a single call; aborts in-flight requests, retry sleeps and queued work */
+export type RequestOptions = {
+  signal?: AbortSignal;
+  timeoutMs?: number; // Abort the call after this many milliseconds
+};
+
+export type GetEnoughUtxosOptions = RequestOptions & {
+  coinSelection?: CoinSelectionStrategy;
+};
+
+export type TransferOptions = RequestOptions & {
   broadcast?: boolean;
   callbackUrl?: string;
-  // callbackSecret?: string; // TODO: Add this back in if/when we have a way to generate a secret
+  callbackSecret?: string; // Signs webhook deliveries with HMAC-SHA256 (x-mnee-signature header)
   extraData?: OpReturnData[] | OpReturnData;
+  coinSelection?: CoinSelectionStrategy;
+  format?: TransactionFormat; // Encoding of rawtx when broadcast is false (default: 'tx'); for submitRawTx, of the input (detected when omitted)
 };
 
 export type TransferWebhookResponse = {
@@ -162,6 +423,19 @@ export type TransferWebhookResponse = {
   errors: string | null;
 };
 
+/** Request headers as a fetch `Headers` instance or a Node-style header object */
+export type WebhookHeaders = Headers | Record<string, string | string[] | undefined>;
+
+export type HandleTransferWebhookOptions = {
+  secret?: string; // The callbackSecret the transfer was submitted with. When set, a valid signature is required
+  verifyTx?: boolean; // Validate tx_hex with validateMneeTx (default: true). Skipped for FAILED deliveries
+};
+
+export type TransferWebhookResult = {
+  webhook: TransferWebhookResponse;
+  duplicate: boolean; // True when this ticket id and status were already handled by this SDK instance
+};
+
 export interface TransferMultiOptions {
   inputs: Array<{
     txid: string;
@@ -173,7 +447,7 @@ export interface TransferMultiOptions {
     | string
     | Array<{
         address: string;
-        amount: number;
+        amount: MneeAmount;
       }>; // Optional, can be single address or multiple with amounts
 }
 
@@ -194,17 +468,20 @@ export type Counterparty = {
 };
 
 export type TxStatus = 'confirmed' | 'unconfirmed';
-export type TxType = 'send' | 'receive';
+export type TxType = 'send' | 'receive' | 'self'; // 'self': a sender that got all its value back (change only)
 
 export type TxHistory = {
   txid: string;
   height: number;
   status: TxStatus;
   type: TxType;
+  operation: TxOperation; // What the token outputs do; a redemption is a 'send' with operation 'redeem'
   amount: number;
   counterparties: Counterparty[];
   fee: number;
   score: number;
+  senders: string[]; // Every address that funded the transaction
+  extraData: OpReturnData[]; // Pushes of OP_RETURN outputs, as written by TransferOptions.extraData
 };
 
 export type TxHistoryResponse = {
@@ -227,9 +504,10 @@ export type ParseTxResponse = {
   isValid: boolean;
   inputTotal: string;
   outputTotal: string;
+  extraData: OpReturnData[]; // Pushes of OP_RETURN outputs, 'utf8' when they are text, otherwise 'hex'
 };
 
-export interface ParseOptions {
+export interface ParseOptions extends RequestOptions {
   includeRaw?: boolean;
   /**
    * Skip fetching input source transactions from the network. Defaults to `true`.
@@ -261,6 +539,19 @@ export interface ParseOptions {
   skipInputFetch?: boolean;
 }
 
+export type VerifyMneeBeefOptions = RequestOptions & {
+  chainTracker: ChainTracker; // Checks merkle roots against block headers, e.g. HeaderFileChainTracker
+};
+
+export type MneeBeefVerification = {
+  txid: string; // The subject transaction (the atomic txid, or the last transaction in the BEEF)
+  isValid: boolean;
+  error?: string; // Why verification failed, when isValid is false
+  outputs: TxAddressAmount[]; // MNEE outputs of the subject transaction, amounts in atomic units
+  verifiedTxids: string[]; // Transactions whose scripts, token id and amount conservation were checked
+  provenTxids: string[]; // Transactions whose merkle proof was verified against the chain tracker
+};
+
 export interface ParseTxExtendedResponse extends ParseTxResponse {
   raw?: {
     txHex: string;
@@ -289,6 +580,37 @@ export interface AddressHistoryParams {
   order?: 'asc' | 'desc';
 }
 
+export type WatchAddressesOptions = {
+  fromScore?: number | Record<string, number>; // Start after this score, or after a checkpoint per address (default 0)
+  intervalMs?: number; // Delay between polls (default 10000)
+  limit?: number; // History items per request (default 100)
+  signal?: AbortSignal; // Stops the watcher
+};
+
+export type HistoryExportFormat = 'json' | 'csv' | 'ndjson';
+
+export type ExportHistoryOptions = RequestOptions & {
+  format?: HistoryExportFormat; // Default 'ndjson'
+  checkpoint?: number; // Resume after this score, as saved from a previous chunk (default: start of history)
+  pageSize?: number; // History items per request (default 100)
+  includeUnconfirmed?: boolean; // Default false: stop before the first unconfirmed transaction
+  header?: boolean; // CSV header row (default: only when not resuming from a checkpoint)
+};
+
+/** One page of an export. Write `data`, then save `checkpoint` to resume after these rows */
+export type HistoryExportChunk = {
+  data: string; // Formatted rows; the chunks of one export concatenate into the whole document
+  rows: TxHistory[];
+  checkpoint: number;
+};
+
+/** A watched address's transaction, seen for the first time ('tx') or seen again with a height ('confirmed') */
+export type AddressActivity = {
+  type: 'tx' | 'confirmed';
+  address: string;
+  tx: TxHistory;
+};
+
 export interface ProcessedInput {
   address?: string;
   amount: number;
@@ -325,11 +647,13 @@ export interface UnsignedTransactionResult {
     sourceTransactions: Map<number, Transaction>;
 }
 
-export interface MultisigBuildOptions {
-    inputs: Array<{
+export interface MultisigBuildOptions extends RequestOptions {
+    inputs?: Array<{
         txid: string;
         vout: number;
-    }>;
+    }>; // Optional when fromAddress is provided
+    fromAddress?: string; // Select inputs from this address when inputs are omitted
+    coinSelection?: CoinSelectionStrategy; // Strategy used with fromAddress (default: largest-first)
     recipients: SendMNEE[];
     changeAddress?: string | SendMNEE[];
 }
@@ -1,4 +1,6 @@
 import {
+  Beef,
+  ChainTracker,
   Hash,
   P2PKH,
   PrivateKey,
@@ -10,15 +12,38 @@ import {
   Utils,
   OP,
   LockingScript,
+  Spend,
 } from '@bsv/sdk';
 import {
+  CustomEnvironmentConfig,
   Environment,
+  FetchLike,
   GetSignatures,
   MNEEBalance,
   MNEEConfig,
   MNEEFee,
+  MneeAmount,
   MneeInscription,
+  CoinSelectionStrategy,
+  GetEnoughUtxosOptions,
+  ConsolidateOptions,
+  ConsolidateResult,
+  ConsolidationTx,
+  SweepResponse,
+  EstimateTransferOptions,
+  TransferEstimate,
   SdkConfig,
+  ExportHistoryOptions,
+  HistoryExportChunk,
+  MneeEvent,
+  MneeLogger,
+  OutpointLockStore,
+  TxCache,
+  TxCacheStats,
+  VerifyMneeBeefOptions,
+  MneeBeefVerification,
+  MneeTxValidationError,
+  MneeTxValidationReport,
   MneeSync,
   MNEEUtxo,
   ParseTxResponse,
@@ -34,31 +59,69 @@ import {
   AddressHistoryParams,
   TxAddressAmount,
   TransferResponse,
+  SubmitRawTxOptions,
+  SubmitRawTxResponse,
   TransferStatus,
+  WaitForTxOptions,
+  WebhookHeaders,
+  HandleTransferWebhookOptions,
+  TransferWebhookResponse,
+  TransferWebhookResult,
   TxInputResponse,
   ProcessedInput,
   TxOutputResponse,
   ProcessedOutput,
   TransferOptions,
+  RequestOptions,
+  TransactionFormat,
   BalanceResponse,
   MultisigBuildOptions,
   UnsignedTransactionResult,
 } from './mnee.types.js';
 import CosignTemplate from './mneeCosignTemplate.js';
+import { MemoryOutpointLockStore } from './outpointLockStore.js';
+import { MemoryTxCache } from './txCache.js';
 import { applyInscription } from './utils/applyInscription.js';
 import {
   deriveAddressFromUnlockingScript,
+  detectTransactionFormat,
   isValidHex,
   looksLikeMneeUnlock,
   parseCosignerScripts,
+  parseExtraData,
   parseInscription,
+  parseRetryAfterMs,
   parseSyncToTxHistory,
   validateAddress,
+  validateWIF,
   validateTransferMultiOptions,
+  validateSendRequests,
   validateTransferOptions,
 } from './utils/helper.js';
-import { isNetworkError, logNetworkError } from './utils/networkError.js';
+import { isNetworkError, logNetworkError, parseNetworkError } from './utils/networkError.js';
+import {
+  AbortedError,
+  ApiError,
+  AuthError,
+  InsufficientBalanceError,
+  MneeError,
+  RateLimitError,
+  TransferFailedError,
+  TxUnavailableError,
+  UtxoLockedError,
+  ValidationError,
+} from './errors.js';
 import { stacklessError } from './utils/stacklessError.js';
+import { abortable, abortError, requestSignal, sleep, throwIfAborted } from './utils/abort.js';
+import { formatAtomicAmount, toAtomicUnits } from './utils/amount.js';
+import { selectCoins } from './utils/coinSelection.js';
+import { closeJsonExport, csvHeader, formatHistoryRows, HISTORY_EXPORT_FORMATS } from './utils/historyExport.js';
+import {
+  findWebhookPayloadError,
+  getHeader,
+  verifyWebhookSignature,
+  WEBHOOK_SIGNATURE_HEADER,
+} from './utils/webhook.js';
 import {
   MNEE_PROXY_API_URL,
   SANDBOX_MNEE_API_URL,
@@ -73,16 +136,43 @@ import {
   MNEE_DECIMALS,
 } from './constants.js';
 
+/** An event as emitted inside the SDK; `emitEvent` stamps the time */
+export type MneeEventInput = MneeEvent extends infer E ? (E extends unknown ? Omit<E, 'timestamp'> : never) : never;
+
+// Default logger: warnings in yellow, as the SDK has always printed them
+const consoleLogger: MneeLogger = {
+  warn: (message, ...details) => console.warn(`\x1b[33m${message}\x1b[0m`, ...details),
+  error: (message, ...details) => console.error(message, ...details),
+};
+
+type TransferPlan = {
+  utxos: MNEEUtxo[];
+  tokensIn: number;
+  fee: number;
+  feeTier: MNEEFee;
+  change: number;
+  changeAddress: string;
+};
+
 export class MNEEService {
   private mneeApiKey: string;
   private mneeConfig: MNEEConfig | undefined;
   private configReady: Promise<MNEEConfig>;
   private mneeApi: string;
+  private readonly fetchImpl: FetchLike;
+  private readonly customEnvironment?: CustomEnvironmentConfig;
+  private readonly mintAddresses: Set<string>;
   private static readonly TX_CACHE_MAX = 5000;
   private static readonly OUTPOINT_LOCK_TTL = 35_000;
   private static readonly LOCK_RETRY_MAX = 3;
   private static readonly LOCK_RETRY_BACKOFF_MS = 250;
-  private readonly txFetchCache = new Map<string, Promise<Transaction | undefined>>();
+  private static readonly TICKET_POLL_INTERVAL_MS = 1000;
+  private static readonly WEBHOOK_DEDUPE_MAX = 10_000;
+  private static readonly WAIT_TX_TIMEOUT_MS = { SUCCESS: 60_000, MINED: 30 * 60_000 };
+  // In-flight lookups by txid, so concurrent callers share one cache read / API fetch
+  private readonly txFetchInFlight = new Map<string, Promise<Transaction | undefined>>();
+  private readonly txCache: TxCache;
+  private readonly txCacheCounts: TxCacheStats = { hits: 0, misses: 0, errors: 0 };
   // Reactive backoff state. No proactive rate limiter — the SDK starts at full speed,
   // then enters a shared cooldown on HTTP 429 so every in-flight call respects the
   // server's Retry-After (or an exponentially-growing fallback). Lets the SDK adapt
@@ -91,36 +181,162 @@ export class MNEEService {
   private cooldownUntil = 0;
   private static readonly RATE_LIMIT_BACKOFF_BASE_MS = 500;
   private static readonly RATE_LIMIT_BACKOFF_MAX_MS = 4000;
-  private readonly usedOutpoints = new Map<string, number>();
+  private readonly outpointLocks: OutpointLockStore;
+  // `${ticketId}:${status}` of webhook deliveries already handled, oldest first
+  private readonly handledWebhooks = new Set<string>();
+  private readonly onEvent?: (event: MneeEvent) => void;
+  private readonly logger: MneeLogger;
+  private requestCount = 0;
 
   constructor(config: SdkConfig) {
-    if (config.environment !== 'production' && config.environment !== 'sandbox') {
-      throw stacklessError('Invalid environment. Must be either "production" or "sandbox"');
+    const environment = config?.environment;
+    if (environment !== 'production' && environment !== 'sandbox' && environment !== 'custom') {
+      throw new ValidationError('Invalid environment. Must be either "production", "sandbox" or "custom"');
     }
 
-    const isProd = config.environment === 'production';
+    const isProd = environment === 'production';
     if (config?.apiKey === '') {
-      throw stacklessError('MNEE API key cannot be an empty string');
+      throw new ValidationError('MNEE API key cannot be an empty string');
     }
     if (config?.apiKey) {
       this.mneeApiKey = config.apiKey;
+    } else if (environment === 'custom') {
+      throw new ValidationError('MNEE API key is required for the custom environment');
     } else {
       this.mneeApiKey = isProd ? PUBLIC_PROD_MNEE_API_TOKEN : PUBLIC_SANDBOX_MNEE_API_TOKEN;
     }
-    this.mneeApi = isProd ? MNEE_PROXY_API_URL : SANDBOX_MNEE_API_URL;
+
+    if (config.apiUrl !== undefined) {
+      this.mneeApi = this.normalizeApiUrl(config.apiUrl);
+    } else if (environment === 'custom') {
+      throw new ValidationError('apiUrl is required for the custom environment');
+    } else {
+      this.mneeApi = isProd ? MNEE_PROXY_API_URL : SANDBOX_MNEE_API_URL;
+    }
+
+    this.mintAddresses = new Set([PROD_MINT_ADDRESS, SANDBOX_MINT_ADDRESS]);
+    if (environment === 'custom') {
+      if (!config.customEnvironment) {
+        throw new ValidationError(
+          'customEnvironment (tokenId, approver, mintAddress) is required for the custom environment',
+        );
+      }
+      this.customEnvironment = this.validateCustomEnvironment(config.customEnvironment);
+      this.mintAddresses.add(this.customEnvironment.mintAddress);
+    } else if (config.customEnvironment) {
+      throw new ValidationError('customEnvironment can only be provided when environment is "custom"');
+    }
+
+    if (config.fetch !== undefined && typeof config.fetch !== 'function') {
+      throw new ValidationError('fetch must be a function compatible with the global fetch');
+    }
+    if (config.onEvent !== undefined && typeof config.onEvent !== 'function') {
+      throw new ValidationError('onEvent must be a function');
+    }
+    this.onEvent = config.onEvent;
+    this.logger = this.validateLogger(config.logger) ?? consoleLogger;
+    // Resolve the global lazily so polyfills installed after construction are still picked up.
+    this.fetchImpl = config.fetch ?? ((url, init) => fetch(url, init));
+    this.outpointLocks = this.validateOutpointLockStore(config.outpointLockStore) ?? new MemoryOutpointLockStore();
+    this.txCache = this.validateTxCache(config.txCache) ?? new MemoryTxCache({ maxEntries: MNEEService.TX_CACHE_MAX });
     this.configReady = this.getCosignerConfig();
     // Prevent an unhandled-rejection crash if the initial fetch fails before
     // it is awaited (e.g. when the caller replaces configReady via refreshConfig()).
     this.configReady.catch(() => {});
   }
 
+  /**
+   * Accept an absolute http(s) base URL and strip trailing slashes so endpoint
+   * paths can be appended the same way as for the built-in environments.
+   */
+  private normalizeApiUrl(apiUrl: string): string {
+    let parsed: URL;
+    try {
+      parsed = new URL(apiUrl);
+    } catch {
+      throw new ValidationError(`Invalid apiUrl: ${apiUrl}`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new ValidationError(`Invalid apiUrl: ${apiUrl}. Must use http or https`);
+    }
+    if (parsed.search || parsed.hash) {
+      throw new ValidationError(`Invalid apiUrl: ${apiUrl}. Must not contain a query string or fragment`);
+    }
+    return parsed.toString().replace(/\/+$/, '');
+  }
+
+  private validateLogger(logger?: MneeLogger): MneeLogger | undefined {
+    if (logger === undefined) return undefined;
+    for (const method of ['warn', 'error'] as const) {
+      if (typeof logger?.[method] !== 'function') {
+        throw new ValidationError(`logger must implement ${method}()`);
+      }
+    }
+    return logger;
+  }
+
+  /**
+   * Report an event to the logger's `debug` and `onEvent`. A listener never affects the
+   * operation it observes, so anything `onEvent` throws is logged and swallowed.
+   */
+  public emitEvent(event: MneeEventInput): void {
+    if (!this.onEvent && !this.logger.debug) return;
+    const stamped = { ...event, timestamp: Date.now() } as MneeEvent;
+    this.logger.debug?.(`mnee ${stamped.type}`, stamped);
+    try {
+      this.onEvent?.(stamped);
+    } catch (error) {
+      this.logger.warn(`Event listener failed on ${stamped.type}`, error);
+    }
+  }
+
+  /** API path of a request URL for events: no base URL or query string, txids as `:txid` */
+  private endpointOf(url: string): string {
+    const path = (url.startsWith(this.mneeApi) ? url.slice(this.mneeApi.length) : url).split('?')[0];
+    return path.replace(/\/[0-9a-f]{64}(?=\/|$)/gi, '/:txid');
+  }
+
+  private validateOutpointLockStore(store?: OutpointLockStore): OutpointLockStore | undefined {
+    if (store === undefined) return undefined;
+    for (const method of ['getLocked', 'acquire', 'lock'] as const) {
+      if (typeof store?.[method] !== 'function') {
+        throw new ValidationError(`outpointLockStore must implement ${method}()`);
+      }
+    }
+    return store;
+  }
+
+  private validateTxCache(cache?: TxCache): TxCache | undefined {
+    if (cache === undefined) return undefined;
+    for (const method of ['get', 'set'] as const) {
+      if (typeof cache?.[method] !== 'function') {
+        throw new ValidationError(`txCache must implement ${method}()`);
+      }
+    }
+    return cache;
+  }
+
+  private validateCustomEnvironment(custom: CustomEnvironmentConfig): CustomEnvironmentConfig {
+    if (typeof custom.tokenId !== 'string' || !/^[0-9a-fA-F]{64}_\d+$/.test(custom.tokenId)) {
+      throw new ValidationError(`Invalid customEnvironment.tokenId: ${custom.tokenId}. Expected <txid>_<vout>`);
+    }
+    if (typeof custom.approver !== 'string' || !/^0[23][0-9a-fA-F]{64}$/.test(custom.approver)) {
+      throw new ValidationError(`Invalid customEnvironment.approver: ${custom.approver}. Expected a compressed public key`);
+    }
+    if (typeof custom.mintAddress !== 'string' || !validateAddress(custom.mintAddress)) {
+      throw new ValidationError(`Invalid customEnvironment.mintAddress: ${custom.mintAddress}`);
+    }
+    return { tokenId: custom.tokenId, approver: custom.approver, mintAddress: custom.mintAddress };
+  }
+
   /**
    * Wait for any active rate-limit cooldown to expire before continuing. Shared
    * across every in-flight API call so a 429 from one path back-pressures all of them.
    */
-  private async awaitCooldown(): Promise<void> {
+  private async awaitCooldown(signal?: AbortSignal): Promise<void> {
     const wait = this.cooldownUntil - Date.now();
-    if (wait > 0) await new Promise((r) => setTimeout(r, wait));
+    if (wait > 0) await sleep(wait, signal);
+    throwIfAborted(signal);
   }
 
   /**
@@ -128,19 +344,9 @@ export class MNEEService {
    * (seconds, or HTTP date) when present; otherwise falls back to capped exponential
    * backoff keyed off the caller's retry attempt.
    */
-  private setRateLimitCooldown(retryAfterHeader: string | null, attempt: number): void {
-    let ms = 0;
-    if (retryAfterHeader) {
-      const asSeconds = Number(retryAfterHeader);
-      if (Number.isFinite(asSeconds) && asSeconds > 0) {
-        ms = Math.floor(asSeconds * 1000);
-      } else {
-        const dateMs = Date.parse(retryAfterHeader);
-        if (!Number.isNaN(dateMs)) {
-          ms = Math.max(0, dateMs - Date.now());
-        }
-      }
-    }
+  private setRateLimitCooldown(retryAfterHeader: string | null, attempt: number, endpoint: string): void {
+    const retryAfterMs = parseRetryAfterMs(retryAfterHeader);
+    let ms = retryAfterMs ?? 0;
     if (ms === 0) {
       ms = Math.min(
         MNEEService.RATE_LIMIT_BACKOFF_BASE_MS * (1 << Math.min(attempt, 5)),
@@ -148,20 +354,51 @@ export class MNEEService {
       );
     }
     this.cooldownUntil = Math.max(this.cooldownUntil, Date.now() + ms);
+    this.emitEvent({ type: 'rateLimit.cooldown', endpoint, attempt, cooldownMs: ms, retryAfterMs });
   }
 
   /**
    * fetch() wrapper that gates on the shared cooldown and transparently retries
    * 429 Too Many Requests responses up to `retries` times. Other statuses pass
    * through to the caller unchanged so existing error handling still applies.
+   * All API traffic goes through here and therefore through the configured transport.
+   * `init.signal` aborts the cooldown wait and the request in flight.
    */
   private async fetchWithBackoff(url: string, init?: RequestInit, retries: number = 3): Promise<Response> {
+    const signal = init?.signal ?? undefined;
+    const method = init?.method ?? 'GET';
+    const endpoint = this.endpointOf(url);
     for (let attempt = 0; ; attempt++) {
-      await this.awaitCooldown();
-      const resp = await fetch(url, init);
+      await this.awaitCooldown(signal);
+      const requestId = ++this.requestCount;
+      const started = Date.now();
+      this.emitEvent({ type: 'request.start', requestId, method, endpoint, attempt });
+      let resp: Response;
+      try {
+        // Raced against the signal so a transport that ignores it cannot hold the call open
+        resp = await abortable(this.fetchImpl(url, init), signal);
+      } catch (error) {
+        // Connection failures surface as NetworkError; anything else from a custom transport passes through
+        const failure = signal?.aborted ? abortError(signal) : isNetworkError(error) ? parseNetworkError(error) : error;
+        const message = failure instanceof Error ? failure.message : String(failure);
+        const durationMs = Date.now() - started;
+        this.emitEvent({ type: 'request.end', requestId, method, endpoint, attempt, durationMs, error: message });
+        throw failure;
+      }
+      const durationMs = Date.now() - started;
+      this.emitEvent({ type: 'request.end', requestId, method, endpoint, attempt, durationMs, status: resp.status });
       if (resp.status !== 429 || attempt >= retries) return resp;
-      this.setRateLimitCooldown(resp.headers.get('retry-after'), attempt);
+      this.setRateLimitCooldown(resp.headers.get('retry-after'), attempt, endpoint);
+    }
+  }
+
+  /** Wrap an unsuccessful API response in the error class matching its status, keeping the caller's message */
+  private responseError(response: Response, message: string, body?: string): MneeError {
+    if (response.status === 401 || response.status === 403) return new AuthError(message, response.status);
+    if (response.status === 429) {
+      return new RateLimitError(message, parseRetryAfterMs(response.headers.get('retry-after')));
     }
+    return new ApiError(message, response.status, body);
   }
 
   public async getCosignerConfig(): Promise<MNEEConfig> {
@@ -171,16 +408,31 @@ export class MNEEService {
       });
 
       if (response.status === 401 || response.status === 403) {
-        throw stacklessError('Invalid API key');
+        throw new AuthError('Invalid API key', response.status);
       }
 
-      if (!response.ok) throw stacklessError(`HTTP error! status: ${response.status}`);
+      if (!response.ok) throw this.responseError(response, `HTTP error! status: ${response.status}`);
       const data: MNEEConfig = await response.json();
+      if (!data || typeof data !== 'object') throw new ApiError('Config not fetched', response.status);
+      if (this.customEnvironment) {
+        // A custom deployment must serve the token it was configured for; refuse to
+        // sign or validate against anything else.
+        const expected = this.customEnvironment;
+        if (
+          data.tokenId !== expected.tokenId ||
+          data.approver !== expected.approver ||
+          data.mintAddress !== expected.mintAddress
+        ) {
+          throw new ValidationError(
+            'Config served by apiUrl does not match customEnvironment (tokenId, approver, mintAddress)',
+          );
+        }
+      }
       this.mneeConfig = data;
       return data;
     } catch (error) {
       if (isNetworkError(error)) {
-        logNetworkError(error, 'fetch config');
+        logNetworkError(error, 'fetch config', this.logger);
       }
       throw error;
     }
@@ -214,7 +466,27 @@ export class MNEEService {
    * Returns undefined if no tier covers the amount.
    */
   private lookupFee(atomicAmount: number, fees: MNEEFee[]): number | undefined {
-    return fees.find((f) => atomicAmount >= f.min && atomicAmount <= f.max)?.fee;
+    return this.findFeeTier(atomicAmount, fees)?.fee;
+  }
+
+  /** The fee tier covering a given atomic token amount, or undefined if there is none. */
+  private findFeeTier(atomicAmount: number, fees: MNEEFee[]): MNEEFee | undefined {
+    return fees.find((f) => atomicAmount >= f.min && atomicAmount <= f.max);
+  }
+
+  /**
+   * Largest amount that can be sent out of `totalAtomicAmount` when the fee comes out of
+   * the same funds, as in sweeps. Near a tier boundary `amount + fee` can be
+   * less than the total, because sending one unit more would move into a higher fee tier.
+   */
+  private maxSendAmount(totalAtomicAmount: number, fees: MNEEFee[]): { amount: number; fee: number } | undefined {
+    let best: { amount: number; fee: number } | undefined;
+    for (const tier of fees) {
+      const amount = Math.min(tier.max, totalAtomicAmount - tier.fee);
+      if (amount < Math.max(1, tier.min)) continue;
+      if (!best || amount > best.amount) best = { amount, fee: tier.fee };
+    }
+    return best;
   }
 
   /**
@@ -237,7 +509,7 @@ export class MNEEService {
     const items = Array.isArray(extraData) ? extraData : [extraData];
 
     if (items.length === 0) {
-      throw stacklessError('extraData must contain at least one item');
+      throw new ValidationError('extraData must contain at least one item');
     }
 
     // number[] keeps this isomorphic — Node `Buffer` is not available in browsers
@@ -247,38 +519,38 @@ export class MNEEService {
       const item = items[i];
 
       if (!item || typeof item.data !== 'string') {
-        throw stacklessError(`Invalid extraData at index ${i}: data must be a string`);
+        throw new ValidationError(`Invalid extraData at index ${i}: data must be a string`);
       }
 
       if (item.type === 'utf8') {
         const buf = Utils.toArray(item.data, 'utf8');
         if (buf.length === 0) {
-          throw stacklessError(`extraData at index ${i} is empty after UTF-8 encoding`);
+          throw new ValidationError(`extraData at index ${i} is empty after UTF-8 encoding`);
         }
         buffers.push(buf);
       } else if (item.type === 'hex') {
         const hex = item.data.trim();
         if (!hex) {
-          throw stacklessError(`extraData at index ${i} is empty`);
+          throw new ValidationError(`extraData at index ${i} is empty`);
         }
         if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length % 2 !== 0) {
-          throw stacklessError(
+          throw new ValidationError(
             `extraData at index ${i} is not valid hex or has odd length: "${hex}"`,
           );
         }
         const buf = Utils.toArray(hex, 'hex');
         if (buf.length === 0) {
-          throw stacklessError(`extraData at index ${i} decoded to an empty buffer`);
+          throw new ValidationError(`extraData at index ${i} decoded to an empty buffer`);
         }
         buffers.push(buf);
       } else {
-        throw stacklessError(`Unsupported extraData type at index ${i}: ${(item as any).type}`);
+        throw new ValidationError(`Unsupported extraData type at index ${i}: ${(item as any).type}`);
       }
     }
 
     const totalBytes = buffers.reduce((sum, b) => sum + b.length, 0);
     if (totalBytes > 512) {
-      throw stacklessError(
+      throw new ValidationError(
         `extraData is too large: ${totalBytes} bytes (max allowed is 512 bytes)`,
       );
     }
@@ -295,14 +567,22 @@ export class MNEEService {
     });
   }
 
-  public toAtomicAmount(amount: number): number {
-    return Math.round(amount * 10 ** MNEE_DECIMALS);
+  public toAtomicAmount(amount: MneeAmount): number {
+    return toAtomicUnits(amount);
   }
 
   public fromAtomicAmount(amount: number): number {
     return amount / 10 ** MNEE_DECIMALS;
   }
 
+  public toAtomicAmountExact(amount: MneeAmount): bigint {
+    return BigInt(toAtomicUnits(amount, true));
+  }
+
+  public fromAtomicAmountExact(amount: number | bigint): string {
+    return formatAtomicAmount(amount);
+  }
+
   public async createInscription(recipient: string, amount: number, config: MNEEConfig) {
     const inscriptionData = {
       p: 'bsv-20',
@@ -324,33 +604,35 @@ export class MNEEService {
     page?: number,
     size?: number,
     order?: 'asc' | 'desc',
+    options: RequestOptions = {},
   ): Promise<MNEEUtxo[]> {
     try {
+      const signal = requestSignal(options);
       if (!address) {
-        throw stacklessError('Address is required');
+        throw new ValidationError('Address is required');
       }
       if (page !== undefined) {
         if (typeof page !== 'number' || page <= 0 || !Number.isFinite(page)) {
-          throw stacklessError(`Invalid page: ${page}. Must be a positive integer`);
+          throw new ValidationError(`Invalid page: ${page}. Must be a positive integer`);
         }
       }
 
       if (size !== undefined) {
         if (typeof size !== 'number' || size <= 0 || !Number.isInteger(size)) {
-          throw stacklessError(`Invalid size: ${size}. Must be a positive integer`);
+          throw new ValidationError(`Invalid size: ${size}. Must be a positive integer`);
         }
       }
 
       if (order !== undefined) {
         if (order !== 'asc' && order !== 'desc') {
-          throw stacklessError(`Invalid order: ${order}. Must be 'asc' or 'desc'`);
+          throw new ValidationError(`Invalid order: ${order}. Must be 'asc' or 'desc'`);
         }
       }
 
       // Handle single address
       if (typeof address === 'string') {
         if (!validateAddress(address)) {
-          throw stacklessError(`Invalid Bitcoin address: ${address}`);
+          throw new ValidationError(`Invalid Bitcoin address: ${address}`);
         }
         const arrayAddress = [address];
         const response = await this.fetchWithBackoff(
@@ -361,12 +643,13 @@ export class MNEEService {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(arrayAddress),
+            signal,
           },
         );
         if (response.status === 401 || response.status === 403) {
-          throw stacklessError('Invalid API key');
+          throw new AuthError('Invalid API key', response.status);
         }
-        if (!response.ok) throw stacklessError(`HTTP error! status: ${response.status}`);
+        if (!response.ok) throw this.responseError(response, `HTTP error! status: ${response.status}`);
         const data: MNEEUtxo[] = await response.json();
         return this.filterValidUtxos(data);
       }
@@ -376,13 +659,13 @@ export class MNEEService {
         const validAddresses = address.filter((addr) => typeof addr === 'string' && validateAddress(addr));
 
         if (validAddresses.length === 0) {
-          throw stacklessError('No valid Bitcoin addresses provided');
+          throw new ValidationError('No valid Bitcoin addresses provided');
         }
 
         // Log warning about invalid addresses
         const invalidAddresses = address.filter((addr) => typeof addr !== 'string' || !validateAddress(addr));
         if (invalidAddresses.length > 0) {
-          console.warn(`\x1b[33m${invalidAddresses.length} invalid bitcoin addresses will be ignored\x1b[0m`);
+          this.logger.warn(`${invalidAddresses.length} invalid bitcoin addresses will be ignored`);
         }
 
         const response = await this.fetchWithBackoff(
@@ -393,53 +676,93 @@ export class MNEEService {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(validAddresses),
+            signal,
           },
         );
         if (response.status === 401 || response.status === 403) {
-          throw stacklessError('Invalid API key');
+          throw new AuthError('Invalid API key', response.status);
         }
-        if (!response.ok) throw stacklessError(`HTTP error! status: ${response.status}`);
+        if (!response.ok) throw this.responseError(response, `HTTP error! status: ${response.status}`);
         const data: MNEEUtxo[] = await response.json();
         return this.filterValidUtxos(data);
       }
 
-      throw stacklessError('Invalid input type for address');
+      throw new ValidationError('Invalid input type for address');
     } catch (error) {
       if (isNetworkError(error)) {
-        logNetworkError(error, 'fetch UTXOs');
+        logNetworkError(error, 'fetch UTXOs', this.logger);
       }
       throw error;
     }
   }
 
-  public async fetchRawTx(txid: string, retries: number = 3): Promise<Transaction | undefined> {
-    const cached = this.txFetchCache.get(txid);
-    if (cached) return cached;
-    // Eagerly cache the in-flight promise so concurrent callers for the same txid dedupe.
+  /**
+   * `signal` only stops this caller waiting: the fetch is shared with concurrent callers
+   * for the same txid, so it runs on and still fills the cache.
+   */
+  public async fetchRawTx(txid: string, retries: number = 3, signal?: AbortSignal): Promise<Transaction | undefined> {
+    throwIfAborted(signal);
+    const inFlight = this.txFetchInFlight.get(txid);
+    if (inFlight) return abortable(inFlight, signal);
+    // Share the in-flight promise so concurrent callers for the same txid dedupe.
     // 429 backpressure is handled inside _doFetchRawTx via the shared cooldown gate.
-    const promise = this._doFetchRawTx(txid, retries);
-    if (this.txFetchCache.size >= MNEEService.TX_CACHE_MAX) {
-      const firstKey = this.txFetchCache.keys().next().value!;
-      this.txFetchCache.delete(firstKey);
-    }
-    this.txFetchCache.set(txid, promise);
-    // Evict on terminal failure (resolved `undefined` from exhausted retries, or rejection
-    // from "Transaction not found" / "Invalid API key") so a later caller can retry.
+    const promise = this.loadRawTx(txid, retries);
+    this.txFetchInFlight.set(txid, promise);
+    // Settled results live in txCache (failures are never cached), so drop the slot either way.
     // The `=== promise` guard avoids evicting a *different* promise that already
-    // re-occupied the slot after an earlier eviction + refetch.
-    promise.then(
-      (val) => {
-        if (val === undefined && this.txFetchCache.get(txid) === promise) {
-          this.txFetchCache.delete(txid);
-        }
-      },
-      () => {
-        if (this.txFetchCache.get(txid) === promise) {
-          this.txFetchCache.delete(txid);
-        }
-      },
-    );
-    return promise;
+    // re-occupied the slot after an earlier settle + refetch.
+    const settle = () => {
+      if (this.txFetchInFlight.get(txid) === promise) {
+        this.txFetchInFlight.delete(txid);
+      }
+    };
+    promise.then(settle, settle);
+    return abortable(promise, signal);
+  }
+
+  public getTxCacheStats(): TxCacheStats {
+    return { ...this.txCacheCounts };
+  }
+
+  private async loadRawTx(txid: string, retries: number): Promise<Transaction | undefined> {
+    const cached = await this.readTxCache(txid);
+    if (cached) {
+      this.txCacheCounts.hits++;
+      this.emitEvent({ type: 'txCache.hit', txid });
+      return cached;
+    }
+    this.txCacheCounts.misses++;
+    this.emitEvent({ type: 'txCache.miss', txid });
+    const tx = await this._doFetchRawTx(txid, retries);
+    if (tx) {
+      try {
+        await this.txCache.set(txid, tx.toHex());
+      } catch {
+        // A cache that cannot be written only costs a refetch later
+        this.txCacheCounts.errors++;
+        this.emitEvent({ type: 'txCache.error', txid, operation: 'write' });
+      }
+    }
+    return tx;
+  }
+
+  /**
+   * Cache failures never fail the lookup: unreadable entries, or entries whose hash does
+   * not match the requested txid, are counted as errors and fetched from the API instead.
+   */
+  private async readTxCache(txid: string): Promise<Transaction | undefined> {
+    try {
+      const rawtx = await this.txCache.get(txid);
+      if (!rawtx) return undefined;
+      const tx = Transaction.fromHex(rawtx);
+      if (tx.id('hex') === txid) return tx;
+    } catch {
+      // Fall through to treat the entry as corrupt
+    }
+    this.txCacheCounts.errors++;
+    this.emitEvent({ type: 'txCache.error', txid, operation: 'read' });
+    await Promise.resolve(this.txCache.delete?.(txid)).catch(() => {});
+    return undefined;
   }
 
   private async _doFetchRawTx(txid: string, retries: number): Promise<Transaction | undefined> {
@@ -453,13 +776,13 @@ export class MNEEService {
           retries,
         );
 
-        if (resp.status === 404) throw stacklessError('Transaction not found');
+        if (resp.status === 404) throw new ApiError('Transaction not found', 404);
         if (resp.status === 401 || resp.status === 403) {
-          throw stacklessError('Invalid API key');
+          throw new AuthError('Invalid API key', resp.status);
         }
 
         if (resp.status !== 200) {
-          throw stacklessError(`${resp.status} - Failed to fetch rawtx for txid: ${txid}`);
+          throw this.responseError(resp, `${resp.status} - Failed to fetch rawtx for txid: ${txid}`);
         }
 
         const { rawtx } = await resp.json();
@@ -468,13 +791,16 @@ export class MNEEService {
         // Permanent or already-retried errors — re-throw immediately, retrying won't help.
         // 429 is included because fetchWithBackoff already exhausted its 429 retry budget,
         // so wrapping it in another retry loop just compounds backoff overhead.
-        const msg = (error as Error)?.message ?? '';
-        if (msg === 'Transaction not found' || msg === 'Invalid API key' || msg.startsWith('429')) {
+        if (
+          error instanceof AuthError ||
+          error instanceof RateLimitError ||
+          (error instanceof ApiError && error.status === 404)
+        ) {
           throw error;
         }
         if (attempt === retries) {
           if (isNetworkError(error)) {
-            logNetworkError(error, 'fetch transaction');
+            logNetworkError(error, 'fetch transaction', this.logger);
           }
           return undefined;
         }
@@ -494,18 +820,7 @@ export class MNEEService {
   }> {
     try {
       const DEFAULT_SIGHASH_TYPE = 65;
-      let tx: Transaction;
-      switch (request.format) {
-        case 'beef':
-          tx = Transaction.fromHexBEEF(request.rawtx);
-          break;
-        case 'ef':
-          tx = Transaction.fromHexEF(request.rawtx);
-          break;
-        default:
-          tx = Transaction.fromHex(request.rawtx);
-          break;
-      }
+      const tx = this.decodeTransaction(request.rawtx, request.format);
       const sigResponses: SignatureResponse[] = request.sigRequests.flatMap((sigReq: SignatureRequest) => {
         return [privateKey].map((privKey: PrivateKey) => {
           const preimage = TransactionSignature.format({
@@ -541,7 +856,7 @@ export class MNEEService {
       return Promise.resolve({ sigResponses });
     } catch (err: any) {
       if (isNetworkError(err)) {
-        logNetworkError(err, 'get signatures');
+        logNetworkError(err, 'get signatures', this.logger);
       }
       return {
         error: {
@@ -552,14 +867,27 @@ export class MNEEService {
     }
   }
 
-  private evictExpiredOutpoints(): void {
-    const cutoff = Date.now() - MNEEService.OUTPOINT_LOCK_TTL;
-    for (const [key, ts] of this.usedOutpoints) {
-      if (ts < cutoff) this.usedOutpoints.delete(key);
+  /** Outpoints of `utxos` held by the lock store */
+  private async lockedOutpoints(utxos: MNEEUtxo[]): Promise<Set<string>> {
+    if (utxos.length === 0) return new Set();
+    return new Set(await this.outpointLocks.getLocked(utxos.map((u) => `${u.txid}_${u.vout}`)));
+  }
+
+  /**
+   * Take the lock on a transaction's inputs just before it is submitted. When another
+   * transfer sharing the store got there first, fail with the API's outpoint-lock wording
+   * so transfer() reselects UTXOs and retries.
+   */
+  private async acquireInputLocks(tx: Transaction): Promise<void> {
+    const outpoints = tx.inputs.map((input) => `${input.sourceTXID}_${input.sourceOutputIndex}`);
+    const conflicts = await this.outpointLocks.acquire(outpoints, MNEEService.OUTPOINT_LOCK_TTL);
+    if (conflicts.length > 0) {
+      throw new UtxoLockedError(`UTXO outpoint ${conflicts[0]} was locked by another transfer`, conflicts[0]);
     }
   }
 
   private extractLockedOutpoint(err: unknown): string | null {
+    if (err instanceof UtxoLockedError) return err.outpoint ?? null;
     const msg = (err as { message?: unknown })?.message;
     if (typeof msg !== 'string') return null;
     const m = msg.match(/outpoint ([0-9a-fA-F]{64})_(\d+) was locked/);
@@ -571,52 +899,96 @@ export class MNEEService {
     return typeof msg === 'string' && msg.toLowerCase().includes('already spent');
   }
 
-  public async getEnoughUtxos(address: string, totalAtomicTokenAmount: number): Promise<MNEEUtxo[]> {
+  public async getEnoughUtxos(
+    address: string,
+    totalAtomicTokenAmount: number,
+    options: GetEnoughUtxosOptions = {},
+  ): Promise<MNEEUtxo[]> {
     if (
       typeof totalAtomicTokenAmount !== 'number' ||
       !Number.isInteger(totalAtomicTokenAmount) ||
       totalAtomicTokenAmount <= 0
     ) {
-      throw stacklessError('totalAtomicTokenAmount must be a positive integer');
+      throw new ValidationError('totalAtomicTokenAmount must be a positive integer');
     }
-    this.evictExpiredOutpoints();
 
-    const config = await this.getConfig();
-    if (!config) throw stacklessError('Config not fetched');
+    const config = await abortable(this.getConfig(), options.signal);
     const feeAmount = this.lookupFee(totalAtomicTokenAmount, config.fees);
-    if (feeAmount === undefined) throw stacklessError('Fee not found');
-    const requiredAmount = totalAtomicTokenAmount + feeAmount;
+    if (feeAmount === undefined) throw new ValidationError('Fee not found');
+
+    return this.selectUtxos(
+      address,
+      totalAtomicTokenAmount + feeAmount,
+      feeAmount,
+      options.coinSelection,
+      requestSignal(options),
+    );
+  }
 
-    const balance = await this.getBalance(address);
+  /**
+   * Select unlocked UTXOs of `address` covering `requiredAmount` (fee included).
+   * Largest-first pages only until the amount is covered; other strategies need
+   * the whole UTXO set to choose from.
+   */
+  private async selectUtxos(
+    address: string,
+    requiredAmount: number,
+    feeAmount: number,
+    coinSelection: CoinSelectionStrategy = 'largest-first',
+    signal?: AbortSignal,
+  ): Promise<MNEEUtxo[]> {
+    const balance = await this.getBalance(address, { signal });
     if (balance.amount < requiredAmount) {
       const maxTransferAmount = this.fromAtomicAmount(balance.amount - feeAmount);
-      throw stacklessError(`Insufficient MNEE balance. Max transfer amount: ${maxTransferAmount}`);
+      throw new InsufficientBalanceError(
+        `Insufficient MNEE balance. Max transfer amount: ${maxTransferAmount}`,
+        maxTransferAmount,
+      );
+    }
+
+    if (coinSelection !== 'largest-first') {
+      const all = await this.getAllUtxos(address, { signal });
+      const locked = await this.lockedOutpoints(all);
+      const sawLocked = locked.size > 0;
+      const available = all.filter((u) => !locked.has(`${u.txid}_${u.vout}`));
+      const selected = selectCoins(available, requiredAmount, coinSelection);
+      if (selected.length === 0) {
+        if (sawLocked) throw new UtxoLockedError('UTXOs temporarily locked by recent transactions, retry shortly');
+        const availableAmount = available.reduce((sum, utxo) => sum + utxo.data.bsv21.amt, 0);
+        const maxTransferAmount = this.fromAtomicAmount(Math.max(0, availableAmount - feeAmount));
+        throw new InsufficientBalanceError(
+          `Insufficient MNEE balance. Max transfer amount: ${maxTransferAmount}`,
+          maxTransferAmount,
+        );
+      }
+      return selected;
     }
 
     let page = 1;
     let size = 25;
     let allUtxos: MNEEUtxo[] = [];
     let totalUtxoAmount = 0;
-    // Track whether *this address* had any UTXO filtered out by the lock cache.
-    // usedOutpoints is shared across all addresses on the instance, so checking
-    // its size would misreport locks belonging to a different address.
+    // Track whether *this address* had any UTXO filtered out by the lock store.
+    // The store is shared across all addresses (and possibly processes), so only
+    // the outpoints of this address's pages are looked up.
     let sawLockedForAddress = false;
 
     // Collect UTXOs until we have enough, skipping recently-used outpoints
     while (totalUtxoAmount < requiredAmount) {
-      const pageUtxos = await this.getUtxos(address, page, size);
-      const available = pageUtxos.filter((u) => {
-        const isLocked = this.usedOutpoints.has(`${u.txid}_${u.vout}`);
-        if (isLocked) sawLockedForAddress = true;
-        return !isLocked;
-      });
+      const pageUtxos = await this.getUtxos(address, page, size, undefined, { signal });
+      const locked = await this.lockedOutpoints(pageUtxos);
+      if (locked.size > 0) sawLockedForAddress = true;
+      const available = pageUtxos.filter((u) => !locked.has(`${u.txid}_${u.vout}`));
       if (pageUtxos.length === 0) {
         if (sawLockedForAddress) {
-          throw stacklessError('UTXOs temporarily locked by recent transactions, retry shortly');
+          throw new UtxoLockedError('UTXOs temporarily locked by recent transactions, retry shortly');
         }
         // This shouldn't happen given we checked balance, but handle gracefully
         const maxTransferAmount = this.fromAtomicAmount(Math.max(0, totalUtxoAmount - feeAmount));
-        throw stacklessError(`Insufficient MNEE balance. Max transfer amount: ${maxTransferAmount}`);
+        throw new InsufficientBalanceError(
+          `Insufficient MNEE balance. Max transfer amount: ${maxTransferAmount}`,
+          maxTransferAmount,
+        );
       }
 
       allUtxos.push(...available);
@@ -628,39 +1000,29 @@ export class MNEEService {
 
       if (pageUtxos.length < size) {
         if (sawLockedForAddress) {
-          throw stacklessError('UTXOs temporarily locked by recent transactions, retry shortly');
+          throw new UtxoLockedError('UTXOs temporarily locked by recent transactions, retry shortly');
         }
         // No more pages — can't satisfy with available UTXOs
         const maxTransferAmount = this.fromAtomicAmount(Math.max(0, totalUtxoAmount - feeAmount));
-        throw stacklessError(`Insufficient MNEE balance. Max transfer amount: ${maxTransferAmount}`);
+        throw new InsufficientBalanceError(
+          `Insufficient MNEE balance. Max transfer amount: ${maxTransferAmount}`,
+          maxTransferAmount,
+        );
       }
 
       page++;
     }
 
-    // Sort all collected UTXOs by amount (highest first) for optimal selection
-    allUtxos.sort((a, b) => b.data.bsv21.amt - a.data.bsv21.amt);
-
-    // Select only the UTXOs we need
-    let selectedUtxos: MNEEUtxo[] = [];
-    let selectedAmount = 0;
-
-    for (const utxo of allUtxos) {
-      selectedUtxos.push(utxo);
-      selectedAmount += utxo.data.bsv21.amt;
-      if (selectedAmount >= requiredAmount) {
-        break;
-      }
-    }
-
-    return selectedUtxos;
+    // Pick the highest-value UTXOs we need from the collected pages
+    return selectCoins(allUtxos, requiredAmount, 'largest-first');
   }
 
-  public async getAllUtxos(address: string): Promise<MNEEUtxo[]> {
+  public async getAllUtxos(address: string, options: RequestOptions = {}): Promise<MNEEUtxo[]> {
     const PAGE_SIZE = 100;
+    const signal = requestSignal(options);
     // Fast path: most addresses fit in one page, so fetch page 1 sequentially
     // before paying for a full parallel window of speculative fetches.
-    const firstPage = await this.getUtxos(address, 1, PAGE_SIZE);
+    const firstPage = await this.getUtxos(address, 1, PAGE_SIZE, undefined, { signal });
     const utxos: MNEEUtxo[] = [...firstPage];
     if (firstPage.length < PAGE_SIZE) {
       return utxos;
@@ -673,7 +1035,7 @@ export class MNEEService {
       const pageNums = Array.from({ length: WINDOW }, (_, i) => page + i);
       // No proactive throttle: getUtxos uses fetchWithBackoff under the hood, so a
       // 429 on any window member sets the shared cooldown and all siblings observe it.
-      const pages = await Promise.all(pageNums.map((p) => this.getUtxos(address, p, PAGE_SIZE)));
+      const pages = await Promise.all(pageNums.map((p) => this.getUtxos(address, p, PAGE_SIZE, undefined, { signal })));
 
       let done = false;
       for (const pageResults of pages) {
@@ -698,22 +1060,27 @@ export class MNEEService {
     wif: string,
     transferOptions?: TransferOptions,
   ): Promise<TransferResponse> {
+    this.validateTransactionFormat(transferOptions?.format);
+    const signal = requestSignal(transferOptions);
     let lastErr: unknown;
     for (let attempt = 0; attempt <= MNEEService.LOCK_RETRY_MAX; attempt++) {
+      throwIfAborted(signal);
       try {
-        return await this.transferAttempt(request, wif, transferOptions);
+        return await this.transferAttempt(request, wif, transferOptions, signal);
       } catch (err) {
         lastErr = err;
         const locked = this.extractLockedOutpoint(err);
         if (locked) {
-          this.usedOutpoints.set(locked, Date.now());
+          await this.outpointLocks.lock([locked], MNEEService.OUTPOINT_LOCK_TTL);
           if (attempt === MNEEService.LOCK_RETRY_MAX) throw err;
-          await new Promise((r) => setTimeout(r, MNEEService.LOCK_RETRY_BACKOFF_MS));
+          this.emitEvent({ type: 'outpointLock.retry', attempt: attempt + 1, reason: 'locked', outpoint: locked });
+          await sleep(MNEEService.LOCK_RETRY_BACKOFF_MS, signal);
           continue;
         }
         if (this.isAlreadySpentError(err) && attempt < MNEEService.LOCK_RETRY_MAX) {
-          // Inputs already marked in usedOutpoints (pre-submit); just retry with fresh UTXO selection.
-          await new Promise((r) => setTimeout(r, MNEEService.LOCK_RETRY_BACKOFF_MS));
+          // Inputs already locked in the store (pre-submit); just retry with fresh UTXO selection.
+          this.emitEvent({ type: 'outpointLock.retry', attempt: attempt + 1, reason: 'alreadySpent' });
+          await sleep(MNEEService.LOCK_RETRY_BACKOFF_MS, signal);
           continue;
         }
         throw err;
@@ -722,66 +1089,162 @@ export class MNEEService {
     throw lastErr;
   }
 
+  /**
+   * Select the UTXOs, fee and change for a single-address transfer. Shared by
+   * transfer() and estimateTransfer() so the estimate matches what is built.
+   */
+  private async planTransfer(
+    address: string,
+    totalAtomicTokenAmount: number,
+    config: MNEEConfig,
+    transferOptions?: EstimateTransferOptions,
+    signal?: AbortSignal,
+  ): Promise<TransferPlan> {
+    const utxos = await this.getEnoughUtxos(address, totalAtomicTokenAmount, {
+      coinSelection: transferOptions?.coinSelection,
+      signal,
+    });
+
+    // Note: burn-address fee exemption was removed in MN-122; fee is always looked up from tiers.
+    const feeTier = this.findFeeTier(totalAtomicTokenAmount, config.fees);
+    if (!feeTier) throw new ValidationError('Fee ranges inadequate');
+    const { fee } = feeTier;
+
+    const selected: MNEEUtxo[] = [];
+    let tokensIn = 0;
+    let changeAddress = '';
+
+    while (tokensIn < totalAtomicTokenAmount + fee) {
+      const utxo = utxos.shift();
+      if (!utxo) {
+        const balance = await this.getBalance(address, { signal });
+        const maxTransferAmount = this.fromAtomicAmount(balance.amount - fee);
+        throw new InsufficientBalanceError(
+          'Insufficient MNEE balance. Max transfer amount is ' + maxTransferAmount,
+          maxTransferAmount,
+        );
+      }
+      changeAddress = changeAddress || utxo.owners[0];
+      selected.push(utxo);
+      tokensIn += utxo.data.bsv21.amt;
+    }
+
+    return {
+      utxos: selected,
+      tokensIn,
+      fee,
+      feeTier,
+      change: tokensIn - totalAtomicTokenAmount - fee,
+      changeAddress,
+    };
+  }
+
+  private async addTransferOutputs(
+    tx: Transaction,
+    request: SendMNEE[],
+    plan: TransferPlan,
+    config: MNEEConfig,
+    transferOptions?: EstimateTransferOptions,
+  ): Promise<void> {
+    for (const req of request) {
+      tx.addOutput(await this.createInscription(req.address, this.toAtomicAmount(req.amount), config));
+    }
+    if (plan.fee > 0) tx.addOutput(await this.createInscription(config.feeAddress, plan.fee, config));
+
+    if (plan.change > 0) {
+      tx.addOutput(await this.createInscription(plan.changeAddress, plan.change, config));
+    }
+    if (transferOptions?.extraData) {
+      this.addExtraDataOutput(tx, transferOptions.extraData);
+    }
+  }
+
+  public async estimateTransfer(
+    request: SendMNEE[],
+    fromAddress: string,
+    options: EstimateTransferOptions = {},
+  ): Promise<TransferEstimate> {
+    try {
+      const signal = requestSignal(options);
+      const config = await abortable(this.getConfig(), signal);
+
+      if (!validateAddress(fromAddress)) throw new ValidationError(`Invalid Bitcoin address: ${fromAddress}`);
+      const { isValid, totalAtomicAmount, error } = validateSendRequests(request);
+      if (!isValid || !totalAtomicAmount) throw new ValidationError(error || 'Invalid transfer options');
+
+      const plan = await this.planTransfer(fromAddress, totalAtomicAmount, config, options, signal);
+
+      // Build the same transaction transfer() would, minus the signatures
+      const tx = new Transaction(1, [], [], 0);
+      for (const utxo of plan.utxos) {
+        tx.addInput({ sourceTXID: utxo.txid, sourceOutputIndex: utxo.vout, unlockingScript: new UnlockingScript() });
+      }
+      await this.addTransferOutputs(tx, request, plan, config, options);
+      const unlockingScriptLength = await new CosignTemplate().userUnlock(PrivateKey.fromRandom()).estimateLength();
+
+      return {
+        amount: totalAtomicAmount,
+        fee: plan.fee,
+        feeTier: plan.feeTier,
+        total: totalAtomicAmount + plan.fee,
+        utxos: plan.utxos,
+        inputTotal: plan.tokensIn,
+        change: plan.change,
+        changeAddress: plan.change > 0 ? plan.changeAddress : undefined,
+        outputCount: tx.outputs.length,
+        // Each empty unlocking script becomes a full cosign unlock; its 1-byte length prefix is already counted
+        size: tx.toBinary().length + tx.inputs.length * unlockingScriptLength,
+      };
+    } catch (error) {
+      if (isNetworkError(error)) {
+        logNetworkError(error, 'estimate transfer', this.logger);
+      }
+      throw error;
+    }
+  }
+
   private async transferAttempt(
     request: SendMNEE[],
     wif: string,
     transferOptions?: TransferOptions,
+    signal?: AbortSignal,
   ): Promise<TransferResponse> {
     try {
-      const config = await this.getConfig();
-      if (!config) throw stacklessError('Config not fetched');
-
-      const { isValid, totalAmount, privateKey, error } = validateTransferOptions(request, wif);
-      if (!isValid) throw stacklessError(error || 'Invalid transfer options');
+      const config = await abortable(this.getConfig(), signal);
+
+      const {
+        isValid,
+        totalAtomicAmount: totalAtomicTokenAmount,
+        privateKey,
+        error,
+      } = validateTransferOptions(request, wif);
+      if (!isValid) throw new ValidationError(error || 'Invalid transfer options');
       if (!privateKey) throw stacklessError('Private key not found');
-      if (!totalAmount) throw stacklessError('Invalid amount');
-
-      const totalAtomicTokenAmount = this.toAtomicAmount(totalAmount);
-
-      const address = privateKey.toAddress();
-      const utxos = await this.getEnoughUtxos(address, totalAtomicTokenAmount);
+      if (!totalAtomicTokenAmount) throw new ValidationError('Invalid amount');
 
-      // Note: burn-address fee exemption was removed in MN-122; fee is always looked up from tiers.
-      const fee = this.lookupFee(totalAtomicTokenAmount, config.fees);
-      if (fee === undefined) throw stacklessError('Fee ranges inadequate');
+      const plan = await this.planTransfer(
+        privateKey.toAddress(),
+        totalAtomicTokenAmount,
+        config,
+        transferOptions,
+        signal,
+      );
 
       const tx = new Transaction(1, [], [], 0);
-      let tokensIn = 0;
-      let changeAddress = '';
-
-      while (tokensIn < totalAtomicTokenAmount + fee) {
-        const utxo = utxos.shift();
-        if (!utxo) {
-          const balance = await this.getBalance(address);
-          const maxTransferAmount = this.fromAtomicAmount(balance.amount - fee);
-          throw stacklessError('Insufficient MNEE balance. Max transfer amount is ' + maxTransferAmount);
+      for (const utxo of plan.utxos) {
+        const sourceTransaction = await this.fetchRawTx(utxo.txid, undefined, signal);
+        if (!sourceTransaction) {
+          throw new TxUnavailableError(`Failed to fetch source transaction: ${utxo.txid}_${utxo.vout}`, utxo.txid);
         }
 
-        const sourceTransaction = await this.fetchRawTx(utxo.txid);
-        if (!sourceTransaction) throw stacklessError(`Failed to fetch source transaction: ${utxo.txid}_${utxo.vout}`);
-
-        changeAddress = changeAddress || utxo.owners[0];
         tx.addInput({
           sourceTXID: utxo.txid,
           sourceOutputIndex: utxo.vout,
           sourceTransaction,
           unlockingScript: new UnlockingScript(),
         });
-        tokensIn += utxo.data.bsv21.amt;
-      }
-
-      for (const req of request) {
-        tx.addOutput(await this.createInscription(req.address, this.toAtomicAmount(req.amount), config));
-      }
-      if (fee > 0) tx.addOutput(await this.createInscription(config.feeAddress, fee, config));
-
-      const change = tokensIn - totalAtomicTokenAmount - fee;
-      if (change > 0) {
-        tx.addOutput(await this.createInscription(changeAddress, change, config));
-      }
-      if (transferOptions?.extraData) {
-        this.addExtraDataOutput(tx, transferOptions.extraData);
       }
+      await this.addTransferOutputs(tx, request, plan, config, transferOptions);
 
       const privateKeys = new Map<number, PrivateKey>();
       for (let i = 0; i < tx.inputs.length; i++) {
@@ -791,52 +1254,114 @@ export class MNEEService {
       const signResult = await this.signAllInputs(tx, privateKeys);
       if (signResult.error) throw stacklessError(signResult.error);
 
-      const rawtx = tx.toHex();
-
       if (transferOptions?.broadcast === false) {
-        return { rawtx };
+        return { rawtx: this.encodeTransaction(tx, transferOptions.format) };
       }
+      const rawtx = tx.toHex();
 
-      const now = Date.now();
-      for (const input of tx.inputs) {
-        this.usedOutpoints.set(`${input.sourceTXID}_${input.sourceOutputIndex}`, now);
-      }
-      const { ticketId } = await this.submitRawTx(rawtx, transferOptions);
-      if (!ticketId) throw stacklessError('Failed to broadcast transaction');
+      await this.acquireInputLocks(tx);
+      // `format` describes the returned rawtx when not broadcasting; the hex submitted here is always plain
+      const { ticketId } = await this.submitRawTx(rawtx, {
+        ...transferOptions,
+        format: undefined,
+        signal,
+        timeoutMs: undefined,
+      });
       return { ticketId };
     } catch (error) {
       if (isNetworkError(error)) {
-        logNetworkError(error, 'transfer tokens');
+        logNetworkError(error, 'transfer tokens', this.logger);
       }
       throw error;
     }
   }
 
+  private validateTransactionFormat(format?: TransactionFormat): void {
+    if (format !== undefined && format !== 'tx' && format !== 'beef' && format !== 'ef') {
+      throw new ValidationError(`Invalid format: ${format}. Must be "tx", "beef" or "ef"`);
+    }
+  }
+
+  /**
+   * Encode a transaction returned with `broadcast: false`. BEEF and EF carry the source
+   * transactions (or source outputs) the SDK already fetched, so the receiver needs no lookups.
+   */
+  private encodeTransaction(tx: Transaction, format: TransactionFormat = 'tx'): string {
+    switch (format) {
+      case 'beef':
+        // Parents come from the API without merkle proofs or their own parents, so the BEEF is partial
+        return Utils.toHex(tx.toBEEF(true));
+      case 'ef':
+        return tx.toHexEF();
+      default:
+        return tx.toHex();
+    }
+  }
+
+  private decodeTransaction(rawtx: string, format: TransactionFormat = 'tx'): Transaction {
+    switch (format) {
+      case 'beef':
+        return Transaction.fromHexBEEF(rawtx);
+      case 'ef':
+        return Transaction.fromHexEF(rawtx);
+      default:
+        return Transaction.fromHex(rawtx);
+    }
+  }
+
   public async submitRawTx(
     rawtx: string,
-    transferOptions: TransferOptions = { broadcast: true, callbackUrl: undefined },
-  ): Promise<TransferResponse> {
+    transferOptions: SubmitRawTxOptions = { broadcast: true, callbackUrl: undefined },
+  ): Promise<SubmitRawTxResponse> {
     try {
+      const signal = requestSignal(transferOptions);
       if (transferOptions?.broadcast !== false) {
         transferOptions = { ...transferOptions, broadcast: true };
       }
       if (transferOptions?.callbackUrl && transferOptions?.broadcast === false) {
-        throw stacklessError('Callback URL cannot be provided when broadcast is false');
+        throw new ValidationError('Callback URL cannot be provided when broadcast is false');
+      }
+      if (transferOptions?.callbackSecret && !transferOptions.callbackUrl) {
+        throw new ValidationError('Callback secret requires a callback URL');
       }
       if (!rawtx) {
-        throw stacklessError('Raw transaction is required');
+        throw new ValidationError('Raw transaction is required');
       }
 
-      // Convert to base64 format for V2 API
-      const tx = Transaction.fromHex(rawtx);
-      if (!transferOptions?.broadcast) {
-        return { rawtx: tx.toHex() };
+      this.validateTransactionFormat(transferOptions?.format);
+      const format = transferOptions?.format ?? detectTransactionFormat(rawtx);
+      const tx = this.decodeTransaction(rawtx, format);
+
+      let validation: MneeTxValidationReport | undefined;
+      const { validateBeforeSubmit, dryRun, expected } = transferOptions;
+      if (validateBeforeSubmit || dryRun || expected) {
+        validation = await this.buildValidationReport(tx, await abortable(this.getConfig(), signal), expected);
+        if (dryRun) return { validation };
+        if (!validation.valid) {
+          const messages = validation.errors.map((e) => e.message).join('; ');
+          throw new ValidationError(`Transaction failed validation: ${messages}`, validation);
+        }
+      } else if (format !== 'tx') {
+        // BEEF and EF carry their source outputs, so check them locally before the API sees them
+        const config = await abortable(this.getConfig(), signal);
+        if (!this.processMneeValidation(tx, config)) {
+          throw new ValidationError('Transaction is not a valid MNEE transaction');
+        }
       }
-      const base64Tx = Utils.toBase64(tx.toBinary());
 
-      const requestBody = JSON.stringify(
-        transferOptions ? { rawtx: base64Tx, callback_url: transferOptions.callbackUrl } : { rawtx: base64Tx },
-      );
+      if (!transferOptions?.broadcast) {
+        return { rawtx: this.encodeTransaction(tx, format), validation };
+      }
+      // Convert to base64 format for V2 API
+      const base64Tx = Utils.toBase64(format === 'tx' ? tx.toBinary() : Utils.toArray(rawtx, 'hex'));
+
+      const requestBody = JSON.stringify({
+        rawtx: base64Tx,
+        // Sent only for BEEF and EF so plain submissions keep the original request shape
+        format: format === 'tx' ? undefined : format,
+        callback_url: transferOptions.callbackUrl,
+        callback_secret: transferOptions.callbackSecret,
+      });
 
       // Submit to V2 transfer endpoint for async processing
       const response = await this.fetchWithBackoff(`${this.mneeApi}/v2/transfer?auth_token=${this.mneeApiKey}`, {
@@ -845,65 +1370,172 @@ export class MNEEService {
           'Content-Type': 'application/json',
         },
         body: requestBody,
+        signal,
       });
 
       if (!response.ok) {
         const body = await response.text().catch(() => '');
         const lockMatch = body.match(/outpoint ([0-9a-fA-F]{64})_(\d+) was locked/);
         if (lockMatch) {
-          this.usedOutpoints.set(`${lockMatch[1]}_${lockMatch[2]}`, Date.now());
+          const outpoint = `${lockMatch[1]}_${lockMatch[2]}`;
+          await this.outpointLocks.lock([outpoint], MNEEService.OUTPOINT_LOCK_TTL);
+          throw new UtxoLockedError(`Failed to submit transaction: ${body}`, outpoint);
         }
-        throw stacklessError(`Failed to submit transaction: ${body}`);
+        throw this.responseError(response, `Failed to submit transaction: ${body}`, body);
       }
 
       const ticketId = await response.text();
+      if (!ticketId) throw new ApiError('Failed to broadcast transaction: the API returned no ticket ID', response.status);
 
-      return { ticketId };
+      return validation ? { ticketId, validation } : { ticketId };
     } catch (error) {
       if (isNetworkError(error)) {
-        logNetworkError(error, 'submit raw transaction');
+        logNetworkError(error, 'submit raw transaction', this.logger);
       }
       throw error;
     }
   }
 
-  public async getTxStatus(ticketId: string): Promise<TransferStatus> {
+  public async getTxStatus(ticketId: string, options?: RequestOptions): Promise<TransferStatus> {
     try {
       if (!ticketId) {
-        throw stacklessError('Ticket ID is required');
+        throw new ValidationError('Ticket ID is required');
       }
+      const signal = requestSignal(options);
 
       const response = await this.fetchWithBackoff(`${this.mneeApi}/v2/ticket?ticketID=${ticketId}&auth_token=${this.mneeApiKey}`, {
         method: 'GET',
         headers: {
           'Content-Type': 'application/json',
         },
+        signal,
       });
 
       if (!response.ok) {
-        throw stacklessError(`Failed to get transaction status`);
+        throw this.responseError(response, `Failed to get transaction status`);
       }
 
       const status: TransferStatus = await response.json();
       return status;
     } catch (error) {
       if (isNetworkError(error)) {
-        logNetworkError(error, 'get transaction status');
+        logNetworkError(error, 'get transaction status', this.logger);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Poll a ticket until it reaches `until`. Each poll goes through getTxStatus and so
+   * through fetchWithBackoff, which holds every request during a shared rate-limit cooldown.
+   * The caller's signal and the timeout abort a poll in flight and any cooldown it waits out.
+   */
+  public async waitForTx(ticketId: string, options: WaitForTxOptions = {}): Promise<TransferStatus> {
+    const { until = 'SUCCESS', intervalMs = MNEEService.TICKET_POLL_INTERVAL_MS, signal, onStatus } = options;
+    if (until !== 'SUCCESS' && until !== 'MINED') {
+      throw new ValidationError(`Invalid until: ${until}. Must be "SUCCESS" or "MINED"`);
+    }
+    const timeoutMs = options.timeoutMs ?? MNEEService.WAIT_TX_TIMEOUT_MS[until];
+    if (!Number.isFinite(timeoutMs) || timeoutMs <= 0) throw new ValidationError('timeoutMs must be a positive number');
+    if (!Number.isFinite(intervalMs) || intervalMs <= 0) throw new ValidationError('intervalMs must be a positive number');
+
+    const waitSignal = requestSignal({ signal, timeoutMs });
+    const stopped = () =>
+      signal?.aborted
+        ? new AbortedError(`Stopped waiting for ticket ${ticketId}: aborted`)
+        : new AbortedError(`Timed out after ${timeoutMs}ms waiting for ticket ${ticketId} to reach ${until}`, true);
+
+    let lastStatus: TransferStatus['status'] | undefined;
+    for (;;) {
+      if (waitSignal?.aborted) throw stopped();
+      let status: TransferStatus;
+      try {
+        status = await this.getTxStatus(ticketId, { signal: waitSignal });
+      } catch (error) {
+        throw waitSignal?.aborted ? stopped() : error;
+      }
+      if (status.status !== lastStatus) {
+        lastStatus = status.status;
+        onStatus?.(status);
+      }
+
+      if (status.status === 'FAILED') {
+        const reason = status.errors ? `: ${status.errors}` : '';
+        throw new TransferFailedError(`Transaction ${ticketId} failed${reason}`, ticketId, status);
+      }
+      if (status.status === 'MINED' || (until === 'SUCCESS' && status.status === 'SUCCESS')) return status;
+
+      await sleep(intervalMs, waitSignal);
+    }
+  }
+
+  /**
+   * Validate a transfer webhook delivery: signature (when a secret is given), payload shape
+   * and tx_hex. Repeated deliveries of the same ticket status are reported as duplicates.
+   */
+  public async handleTransferWebhook(
+    body: string | Uint8Array | object,
+    headers?: WebhookHeaders,
+    options: HandleTransferWebhookOptions = {},
+  ): Promise<TransferWebhookResult> {
+    const { secret, verifyTx = true } = options;
+    const rawBody =
+      typeof body === 'string' ? body : body instanceof Uint8Array ? new TextDecoder().decode(body) : undefined;
+
+    if (secret) {
+      // The signature covers the exact bytes sent, so a re-serialized object cannot be verified
+      if (rawBody === undefined) throw new ValidationError('Webhook signature verification requires the raw request body');
+      const signature = getHeader(headers, WEBHOOK_SIGNATURE_HEADER);
+      if (!signature) throw new ValidationError(`Missing ${WEBHOOK_SIGNATURE_HEADER} header`);
+      if (!verifyWebhookSignature(rawBody, signature, secret)) throw new ValidationError('Invalid webhook signature');
+    }
+
+    let payload: unknown = body;
+    if (rawBody !== undefined) {
+      try {
+        payload = JSON.parse(rawBody);
+      } catch {
+        throw new ValidationError('Invalid webhook payload: body is not valid JSON');
+      }
+    }
+    const payloadError = findWebhookPayloadError(payload);
+    if (payloadError) throw new ValidationError(`Invalid webhook payload: ${payloadError}`);
+    const webhook = payload as TransferWebhookResponse;
+
+    const key = `${webhook.id}:${webhook.status}`;
+    if (this.handledWebhooks.has(key)) return { webhook, duplicate: true };
+    // Claim the key before validating so concurrent redeliveries are reported as duplicates
+    this.handledWebhooks.add(key);
+    if (this.handledWebhooks.size > MNEEService.WEBHOOK_DEDUPE_MAX) {
+      this.handledWebhooks.delete(this.handledWebhooks.values().next().value as string);
+    }
+
+    try {
+      if (verifyTx && webhook.tx_hex && webhook.status !== 'FAILED') {
+        if (!(await this.validateMneeTx(webhook.tx_hex))) {
+          throw new ValidationError('Invalid webhook payload: tx_hex is not a valid MNEE transaction');
+        }
+        if (webhook.tx_id && Transaction.fromHex(webhook.tx_hex).id('hex') !== webhook.tx_id) {
+          throw new ValidationError('Invalid webhook payload: tx_id does not match tx_hex');
+        }
       }
+    } catch (error) {
+      this.handledWebhooks.delete(key);
       throw error;
     }
+    return { webhook, duplicate: false };
   }
 
-  public async getBalance(address: string): Promise<MNEEBalance> {
+  public async getBalance(address: string, options: RequestOptions = {}): Promise<MNEEBalance> {
     // Validate address before making any API calls
     if (!validateAddress(address)) {
-      const error = stacklessError(`Invalid Bitcoin address: ${address}`);
+      const error = new ValidationError(`Invalid Bitcoin address: ${address}`);
       throw error;
     }
 
     try {
-      const config = await this.getConfig();
-      if (!config) throw stacklessError('Config not fetched');
+      const signal = requestSignal(options);
+      const config = await abortable(this.getConfig(), signal);
 
       const response = await this.fetchWithBackoff(`${this.mneeApi}/v2/balance?auth_token=${this.mneeApiKey}`, {
         method: 'POST',
@@ -911,10 +1543,11 @@ export class MNEEService {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify([address]),
+        signal,
       });
 
       if (!response.ok) {
-        throw stacklessError(`Failed to get transaction status: ${response.status}`);
+        throw this.responseError(response, `Failed to get transaction status: ${response.status}`);
       }
 
       const balanceData: BalanceResponse = await response.json();
@@ -935,37 +1568,38 @@ export class MNEEService {
       };
     } catch (error) {
       if (isNetworkError(error)) {
-        logNetworkError(error, 'fetch balance');
+        logNetworkError(error, 'fetch balance', this.logger);
       }
       throw error;
     }
   }
 
-  public async getBalances(addresses: string[]): Promise<MNEEBalance[]> {
+  public async getBalances(addresses: string[], options: RequestOptions = {}): Promise<MNEEBalance[]> {
     if (!Array.isArray(addresses)) {
-      throw stacklessError('Addresses must be an array');
+      throw new ValidationError('Addresses must be an array');
     }
     const validAddresses = addresses.filter((addr) => validateAddress(addr));
     if (validAddresses.length === 0) {
-      throw stacklessError('You must pass at least 1 valid address');
+      throw new ValidationError('You must pass at least 1 valid address');
     }
     const totalInvalidAddresses = addresses.length - validAddresses.length;
     if (totalInvalidAddresses > 0) {
-      console.warn(`\x1b[33m${totalInvalidAddresses} invalid bitcoin addresses will be ignored\x1b[0m`);
+      this.logger.warn(`${totalInvalidAddresses} invalid bitcoin addresses will be ignored`);
     }
     try {
-      const config = await this.getConfig();
-      if (!config) throw stacklessError('Config not fetched');
+      const signal = requestSignal(options);
+      const config = await abortable(this.getConfig(), signal);
       const response = await this.fetchWithBackoff(`${this.mneeApi}/v2/balance?auth_token=${this.mneeApiKey}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify(validAddresses),
+        signal,
       });
 
       if (!response.ok) {
-        throw stacklessError(`Failed to get transaction status: ${response.status}`);
+        throw this.responseError(response, `Failed to get transaction status: ${response.status}`);
       }
 
       const balanceData: BalanceResponse = await response.json();
@@ -1002,7 +1636,7 @@ export class MNEEService {
       });
     } catch (error) {
       if (isNetworkError(error)) {
-        logNetworkError(error, 'fetch balances');
+        logNetworkError(error, 'fetch balances', this.logger);
       }
       throw error;
     }
@@ -1010,136 +1644,218 @@ export class MNEEService {
 
   private processMneeValidation(tx: Transaction, config: MNEEConfig, request?: SendMNEE[]) {
     try {
-      const txid = tx.id('hex');
-      const isDeployTx = txid === config.tokenId.split('_')[0];
+      return this.findMneeValidationErrors(tx, config, request).length === 0;
+    } catch (error) {
+      if (isNetworkError(error)) {
+        logNetworkError(error, 'validate Mnee transaction', this.logger);
+      }
+      return false;
+    }
+  }
+
+  /** Checks the MNEE protocol rules on a transaction's outputs and returns every rule it breaks */
+  private findMneeValidationErrors(tx: Transaction, config: MNEEConfig, request?: SendMNEE[]): MneeTxValidationError[] {
+    const errors: MneeTxValidationError[] = [];
+    const txid = tx.id('hex');
+    const isDeployTx = txid === config.tokenId.split('_')[0];
 
-      const scripts = tx.outputs.map((output) => output.lockingScript);
-      const parsedScripts = parseCosignerScripts(scripts);
+    const scripts = tx.outputs.map((output) => output.lockingScript);
+    const parsedScripts = parseCosignerScripts(scripts);
 
-      // Build a map of all outputs with their inscriptions
-      const outputDetails = tx.outputs.map((output, idx) => {
-        const script = output.lockingScript;
-        const parsed = parsedScripts[idx];
-        const inscription = parseInscription(script);
+    // Build a map of all outputs with their inscriptions
+    const outputDetails = tx.outputs.map((output, idx) => {
+      const script = output.lockingScript;
+      const parsed = parsedScripts[idx];
+      const inscription = parseInscription(script);
 
-        let inscriptionData = null;
-        if (inscription?.file?.content) {
-          try {
-            const content = Utils.toUTF8(inscription.file.content);
-            if (content) {
-              inscriptionData = JSON.parse(content);
-            }
-          } catch (e) {
-            // Not a valid JSON inscription, skip
+      let inscriptionData = null;
+      if (inscription?.file?.content) {
+        try {
+          const content = Utils.toUTF8(inscription.file.content);
+          if (content) {
+            inscriptionData = JSON.parse(content);
           }
+        } catch (e) {
+          // Not a valid JSON inscription, skip
         }
+      }
 
-        return {
-          index: idx,
-          address: parsed?.address,
-          cosigner: parsed?.cosigner,
-          inscription: inscriptionData,
-        };
-      });
-
-      // Check for cosigner presence and validity
-      const hasCosigner = outputDetails.some((o) => o.cosigner === config.approver);
-      const invalidCosigner = outputDetails.find((o) => o.cosigner !== '' && o.cosigner !== config.approver);
+      return {
+        index: idx,
+        address: parsed?.address,
+        cosigner: parsed?.cosigner,
+        inscription: inscriptionData,
+      };
+    });
 
-      if (invalidCosigner) {
-        throw stacklessError('Invalid cosigner detected');
+    // Check for cosigner presence and validity
+    const hasCosigner = outputDetails.some((o) => o.cosigner === config.approver);
+    for (const output of outputDetails) {
+      if (output.cosigner !== '' && output.cosigner !== config.approver) {
+        errors.push({ code: 'INVALID_COSIGNER', message: 'Invalid cosigner detected', outputIndex: output.index });
       }
+    }
 
-      // Get all valid MNEE inscriptions
-      const mneeInscriptions = outputDetails.filter((output) => {
-        if (!output.inscription) return false;
+    // Get all valid MNEE inscriptions
+    const mneeInscriptions = outputDetails.filter((output) => {
+      if (!output.inscription) return false;
 
-        const insc = output.inscription as MneeInscription;
-        if (insc.p !== 'bsv-20') return false;
+      const insc = output.inscription as MneeInscription;
+      if (insc.p !== 'bsv-20') return false;
 
-        // Check token ID (skip for deploy transactions)
-        if (!isDeployTx && insc.id !== config.tokenId) {
-          throw stacklessError(`Invalid token ID: ${insc.id}`);
-        }
+      // Check token ID (skip for deploy transactions)
+      if (!isDeployTx && insc.id !== config.tokenId) {
+        errors.push({ code: 'INVALID_TOKEN_ID', message: `Invalid token ID: ${insc.id}`, outputIndex: output.index });
+        return false;
+      }
 
-        // Validate amount
-        const amt = parseInt(insc.amt, 10);
-        if (isNaN(amt) || amt <= 0) {
-          throw stacklessError(`Invalid MNEE amount: ${insc.amt}`);
-        }
+      // Validate amount
+      const amt = parseInt(insc.amt, 10);
+      if (isNaN(amt) || amt <= 0) {
+        errors.push({ code: 'INVALID_AMOUNT', message: `Invalid MNEE amount: ${insc.amt}`, outputIndex: output.index });
+        return false;
+      }
 
-        return true;
-      });
+      return true;
+    });
 
-      if (mneeInscriptions.length === 0) {
-        throw stacklessError('No valid MNEE inscriptions found in transaction');
+    if (mneeInscriptions.length === 0) {
+      if (errors.length === 0) {
+        errors.push({ code: 'NO_MNEE_OUTPUTS', message: 'No valid MNEE inscriptions found in transaction' });
       }
+      return errors;
+    }
 
-      // Check what operations we have
-      const operations = new Set(mneeInscriptions.map((o) => (o.inscription as MneeInscription).op));
-      const hasBurn = operations.has('burn');
-
-      // Check for redeem operations (transfer with redeem metadata)
-      const hasRedeem = mneeInscriptions.some(
-        (o) =>
-          (o.inscription as MneeInscription).op === 'transfer' &&
-          (o.inscription as MneeInscription).metadata?.action === 'redeem',
-      );
+    // Check what operations we have
+    const operations = new Set(mneeInscriptions.map((o) => (o.inscription as MneeInscription).op));
+    const hasBurn = operations.has('burn');
 
-      // Check if this is a redeem from mint address (which doesn't require cosigner)
-      const isRedeemFromMint =
-        hasRedeem && outputDetails.some((o) => o.address === SANDBOX_MINT_ADDRESS || o.address === PROD_MINT_ADDRESS);
+    // Check for redeem operations (transfer with redeem metadata)
+    const hasRedeem = mneeInscriptions.some(
+      (o) =>
+        (o.inscription as MneeInscription).op === 'transfer' &&
+        (o.inscription as MneeInscription).metadata?.action === 'redeem',
+    );
 
-      // Check for regular transfers (not redeems)
-      const hasRegularTransfer = operations.has('transfer') && !hasRedeem;
+    // Check if this is a redeem from mint address (which doesn't require cosigner)
+    const isRedeemFromMint =
+      hasRedeem && outputDetails.some((o) => o.address !== undefined && this.mintAddresses.has(o.address));
 
-      // Require cosigner for regular transfers, burns, and non-mint redeems
-      if ((hasRegularTransfer || hasBurn || (hasRedeem && !isRedeemFromMint)) && !hasCosigner) {
-        throw stacklessError('Cosigner not found in transaction with transfer/burn/redeem operation');
-      }
+    // Check for regular transfers (not redeems)
+    const hasRegularTransfer = operations.has('transfer') && !hasRedeem;
 
-      const mneeOutputsForValidation = mneeInscriptions.filter((output) => {
-        const insc = output.inscription as MneeInscription;
-        return insc.op === 'transfer' || insc.op === 'burn' || insc.op === 'deploy+mint';
+    // Require cosigner for regular transfers, burns, and non-mint redeems
+    if ((hasRegularTransfer || hasBurn || (hasRedeem && !isRedeemFromMint)) && !hasCosigner) {
+      errors.push({
+        code: 'MISSING_COSIGNER',
+        message: 'Cosigner not found in transaction with transfer/burn/redeem operation',
       });
+    }
 
-      // If request is provided, validate it matches the transaction
-      if (request) {
-        // Ensure we have enough outputs for all requests (including duplicates)
-        const remainingOutputs = [...mneeOutputsForValidation];
-        for (const req of request) {
-          const outputIndex = remainingOutputs.findIndex(
-            (output) =>
-              output.address === req.address &&
-              (output.inscription as MneeInscription).amt === this.toAtomicAmount(req.amount).toString(),
-          );
+    const mneeOutputsForValidation = mneeInscriptions.filter((output) => {
+      const insc = output.inscription as MneeInscription;
+      return insc.op === 'transfer' || insc.op === 'burn' || insc.op === 'deploy+mint';
+    });
 
-          if (outputIndex === -1) {
-            throw stacklessError(`No matching output found for ${req.address} with amount ${req.amount}`);
-          }
+    // If request is provided, validate it matches the transaction
+    if (request) {
+      // Ensure we have enough outputs for all requests (including duplicates)
+      const remainingOutputs = [...mneeOutputsForValidation];
+      for (const req of request) {
+        const outputIndex = remainingOutputs.findIndex(
+          (output) =>
+            output.address === req.address &&
+            (output.inscription as MneeInscription).amt === this.toAtomicAmount(req.amount).toString(),
+        );
 
-          // Remove the matched output so it can't be matched again
-          remainingOutputs.splice(outputIndex, 1);
+        if (outputIndex === -1) {
+          errors.push({
+            code: 'EXPECTED_OUTPUT_MISSING',
+            message: `No matching output found for ${req.address} with amount ${req.amount}`,
+            expected: req,
+          });
+          continue;
         }
+
+        // Remove the matched output so it can't be matched again
+        remainingOutputs.splice(outputIndex, 1);
       }
+    }
 
-      return true;
+    return errors;
+  }
+
+  /**
+   * Runs every local check on a transaction: the protocol rules, the `expected` outputs and, except
+   * for the deploy transaction, token conservation against the source transactions.
+   */
+  private async buildValidationReport(
+    tx: Transaction,
+    config: MNEEConfig,
+    expected?: SendMNEE[],
+  ): Promise<MneeTxValidationReport> {
+    const txid = tx.id('hex');
+    const errors = this.findMneeValidationErrors(tx, config, expected);
+    const isDeployTx = txid === config.tokenId.split('_')[0];
+    const inputData = await this.processTransactionInputs(tx, config);
+    const outputData = this.processTransactionOutputs(tx, config);
+
+    // Only meaningful once the outputs themselves are valid MNEE outputs
+    if (errors.length === 0 && !isDeployTx && inputData.total !== outputData.total) {
+      errors.push({
+        code: 'AMOUNT_NOT_CONSERVED',
+        message: `Token amounts are not conserved: inputs ${inputData.total}, outputs ${outputData.total}`,
+      });
+    }
+
+    const operations = new Set<TxOperation>();
+    for (const output of outputData.outputs) {
+      if (!output.inscription || !output.cosigner) continue;
+      const operation = this.determineTransactionType(
+        output.inscription.op,
+        output.address || '',
+        txid,
+        config.mintAddress,
+        config.tokenId,
+      );
+      const isRedeem = operation === 'transfer' && output.inscription.metadata?.action === 'redeem';
+      operations.add(isRedeem ? 'redeem' : operation);
+    }
+
+    return {
+      valid: errors.length === 0,
+      txid,
+      errors,
+      inputTotal: inputData.total.toString(),
+      outputTotal: outputData.total.toString(),
+      operations: [...operations],
+    };
+  }
+
+  public async validateMneeTxDetailed(rawTx: string, request?: SendMNEE[]): Promise<MneeTxValidationReport> {
+    try {
+      if (!rawTx) throw new ValidationError('Raw transaction is required');
+      const config = await this.getConfig();
+      let tx: Transaction;
+      try {
+        tx = Transaction.fromHex(rawTx);
+      } catch {
+        throw new ValidationError('Invalid transaction hex');
+      }
+      return await this.buildValidationReport(tx, config, request);
     } catch (error) {
       if (isNetworkError(error)) {
-        logNetworkError(error, 'validate Mnee transaction');
+        logNetworkError(error, 'validate Mnee transaction', this.logger);
       }
-      return false;
+      throw error;
     }
   }
 
   public async validateMneeTx(rawTx: string, request?: SendMNEE[]) {
     try {
       const config = await this.getConfig();
-      if (!config) throw stacklessError('Config not fetched');
       const tx = Transaction.fromHex(rawTx);
-      const isValid = this.processMneeValidation(tx, config, request);
-
-      if (!isValid) return false;
+      if (!this.processMneeValidation(tx, config, request)) return false;
 
       const txid = tx.id('hex');
       const isDeployTx = txid === config.tokenId.split('_')[0];
@@ -1157,7 +1873,7 @@ export class MNEEService {
       return true;
     } catch (error) {
       if (isNetworkError(error)) {
-        logNetworkError(error, 'validate Mnee transaction');
+        logNetworkError(error, 'validate Mnee transaction', this.logger);
       }
       return false;
     }
@@ -1168,6 +1884,7 @@ export class MNEEService {
     fromScore?: number,
     limit?: number,
     order?: 'asc' | 'desc',
+    signal?: AbortSignal,
   ): Promise<{ address: string; syncs: MneeSync[] }[]> {
     try {
       const addressArray = Array.isArray(addresses) ? addresses : [addresses];
@@ -1179,12 +1896,13 @@ export class MNEEService {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(addressArray),
+          signal,
         },
       );
       if (response.status === 401 || response.status === 403) {
-        throw stacklessError('Invalid API key');
+        throw new AuthError('Invalid API key', response.status);
       }
-      if (!response.ok) throw stacklessError(`HTTP error! status: ${response.status}`);
+      if (!response.ok) throw this.responseError(response, `HTTP error! status: ${response.status}`);
       const data: MneeSync[] = await response.json();
 
       // Group syncs by address
@@ -1196,7 +1914,7 @@ export class MNEEService {
       return syncsByAddress;
     } catch (error) {
       if (isNetworkError(error)) {
-        logNetworkError(error, 'fetch syncs');
+        logNetworkError(error, 'fetch syncs', this.logger);
       }
       throw error;
     }
@@ -1207,46 +1925,41 @@ export class MNEEService {
     fromScore?: number,
     limit?: number,
     order?: 'asc' | 'desc',
+    options: RequestOptions = {},
   ): Promise<TxHistoryResponse> {
     if (!validateAddress(address)) {
-      const error = stacklessError(`Invalid Bitcoin address: ${address}`);
+      const error = new ValidationError(`Invalid Bitcoin address: ${address}`);
       throw error;
     }
 
     if (fromScore !== undefined) {
       if (typeof fromScore !== 'number' || fromScore < 0 || !Number.isFinite(fromScore)) {
-        throw stacklessError(`Invalid fromScore: ${fromScore}. Must be a positive number or 0`);
+        throw new ValidationError(`Invalid fromScore: ${fromScore}. Must be a positive number or 0`);
       }
     }
 
     if (limit !== undefined) {
       if (typeof limit !== 'number' || limit <= 0 || !Number.isInteger(limit)) {
-        throw stacklessError(`Invalid limit: ${limit}. Must be a positive integer`);
+        throw new ValidationError(`Invalid limit: ${limit}. Must be a positive integer`);
       }
     }
 
     if (order !== undefined) {
       if (order !== 'asc' && order !== 'desc') {
-        throw stacklessError(`Invalid order: ${order}. Must be 'asc' or 'desc'`);
+        throw new ValidationError(`Invalid order: ${order}. Must be 'asc' or 'desc'`);
       }
     }
 
     try {
-      const config = await this.getConfig();
-      if (!config) throw stacklessError('Config not fetched');
+      const signal = requestSignal(options);
+      const config = await abortable(this.getConfig(), signal);
 
-      const syncsByAddress = await this.getMneeSyncs(address, fromScore, limit, order);
+      const syncsByAddress = await this.getMneeSyncs(address, fromScore, limit, order, signal);
       const { syncs } = syncsByAddress[0]; // We're only requesting one address
 
       if (!syncs || syncs.length === 0) return { address, history: [], nextScore: fromScore || 0 };
 
-      const txHistory: TxHistory[] = [];
-      for (const sync of syncs) {
-        const historyItem = parseSyncToTxHistory(sync, address, config);
-        if (historyItem) {
-          txHistory.push(historyItem);
-        }
-      }
+      const txHistory = await this.syncsToTxHistory(syncs, address, config, new Map(), signal);
 
       const nextScore = txHistory.length > 0 ? txHistory[txHistory.length - 1].score : fromScore || 0;
 
@@ -1265,37 +1978,40 @@ export class MNEEService {
       };
     } catch (error) {
       if (isNetworkError(error)) {
-        logNetworkError(error, 'fetch transaction history');
+        logNetworkError(error, 'fetch transaction history', this.logger);
       }
       throw error;
     }
   }
 
-  public async getRecentTxHistories(params: AddressHistoryParams[]): Promise<TxHistoryResponse[]> {
+  public async getRecentTxHistories(
+    params: AddressHistoryParams[],
+    options: RequestOptions = {},
+  ): Promise<TxHistoryResponse[]> {
     if (!Array.isArray(params)) {
-      throw stacklessError('Parameters must be an array');
+      throw new ValidationError('Parameters must be an array');
     }
 
     if (params.length === 0) {
-      throw stacklessError('You must pass at least 1 address parameter');
+      throw new ValidationError('You must pass at least 1 address parameter');
     }
 
     // Filter out invalid addresses and keep only valid ones
     const validParams = params.filter((param) => param && param.address && validateAddress(param.address));
 
     if (validParams.length === 0) {
-      throw stacklessError('You must pass at least 1 valid address');
+      throw new ValidationError('You must pass at least 1 valid address');
     }
 
     const totalInvalidAddresses = params.length - validParams.length;
     if (totalInvalidAddresses > 0) {
-      console.warn(`\x1b[33m${totalInvalidAddresses} invalid bitcoin addresses will be ignored\x1b[0m`);
+      this.logger.warn(`${totalInvalidAddresses} invalid bitcoin addresses will be ignored`);
     }
 
     for (const param of validParams) {
       if (param.fromScore !== undefined) {
         if (typeof param.fromScore !== 'number' || param.fromScore < 0 || !Number.isFinite(param.fromScore)) {
-          throw stacklessError(
+          throw new ValidationError(
             `Invalid fromScore for address ${param.address}: ${param.fromScore}. Must be a positive number or 0`,
           );
         }
@@ -1303,7 +2019,7 @@ export class MNEEService {
 
       if (param.limit !== undefined) {
         if (typeof param.limit !== 'number' || param.limit <= 0 || !Number.isInteger(param.limit)) {
-          throw stacklessError(
+          throw new ValidationError(
             `Invalid limit for address ${param.address}: ${param.limit}. Must be a positive integer`,
           );
         }
@@ -1311,14 +2027,14 @@ export class MNEEService {
 
       if (param.order !== undefined) {
         if (param.order !== 'asc' && param.order !== 'desc') {
-          throw stacklessError(`Invalid order for address ${param.address}: ${param.order}. Must be 'asc' or 'desc'`);
+          throw new ValidationError(`Invalid order for address ${param.address}: ${param.order}. Must be 'asc' or 'desc'`);
         }
       }
     }
 
     try {
-      const config = await this.getConfig();
-      if (!config) throw stacklessError('Config not fetched');
+      const signal = requestSignal(options);
+      const config = await abortable(this.getConfig(), signal);
 
       // Group addressParams by fromScore, limit, and order to batch requests efficiently
       const groupedParams: Record<string, AddressHistoryParams[]> = {};
@@ -1330,6 +2046,9 @@ export class MNEEService {
         groupedParams[key].push(param);
       });
 
+      // Inputs of multi-sender transactions, shared by every address they appear under
+      const inputCache = new Map<string, Promise<TxAddressAmount[]>>();
+
       // Process each group in parallel
       const groupPromises = Object.entries(groupedParams).map(async ([key, addressParams]) => {
         const [fromScoreStr, limitStr, orderStr] = key.split(':');
@@ -1338,47 +2057,48 @@ export class MNEEService {
         const order = orderStr === 'default' ? undefined : (orderStr as 'asc' | 'desc');
         const addresses = addressParams.map((p) => p.address);
 
-        const syncsByAddress = await this.getMneeSyncs(addresses, fromScore, limit, order);
+        const syncsByAddress = await this.getMneeSyncs(addresses, fromScore, limit, order, signal);
 
         // Process each address's syncs
-        return syncsByAddress.map(({ address, syncs }) => {
-          const param = addressParams.find((p) => p.address === address);
-          if (!syncs || syncs.length === 0) {
-            return {
-              address,
-              history: [],
-              nextScore: param?.fromScore || 0,
-            };
-          }
+        return Promise.all(
+          syncsByAddress.map(async ({ address, syncs }) => {
+            const param = addressParams.find((p) => p.address === address);
+            if (!syncs || syncs.length === 0) {
+              return {
+                address,
+                history: [],
+                nextScore: param?.fromScore || 0,
+              };
+            }
 
-          const txHistory: TxHistory[] = [];
-          const seenTxids = new Set<string>();
+            const txHistory: TxHistory[] = [];
+            const seenTxids = new Set<string>();
 
-          for (const sync of syncs) {
-            const historyItem = parseSyncToTxHistory(sync, address, config);
-            if (historyItem && !seenTxids.has(historyItem.txid)) {
-              seenTxids.add(historyItem.txid);
-              txHistory.push(historyItem);
+            for (const historyItem of await this.syncsToTxHistory(syncs, address, config, inputCache, signal)) {
+              if (!seenTxids.has(historyItem.txid)) {
+                seenTxids.add(historyItem.txid);
+                txHistory.push(historyItem);
+              }
             }
-          }
 
-          const nextScore = txHistory.length > 0 ? txHistory[txHistory.length - 1].score : param?.fromScore || 0;
-          const paramLimit = param?.limit;
+            const nextScore = txHistory.length > 0 ? txHistory[txHistory.length - 1].score : param?.fromScore || 0;
+            const paramLimit = param?.limit;
+
+            if (paramLimit && txHistory.length > paramLimit) {
+              return {
+                address,
+                history: txHistory.slice(0, paramLimit),
+                nextScore,
+              };
+            }
 
-          if (paramLimit && txHistory.length > paramLimit) {
             return {
               address,
-              history: txHistory.slice(0, paramLimit),
+              history: txHistory,
               nextScore,
             };
-          }
-
-          return {
-            address,
-            history: txHistory,
-            nextScore,
-          };
-        });
+          }),
+        );
       });
 
       // Flatten the results
@@ -1386,12 +2106,98 @@ export class MNEEService {
       return results.flat();
     } catch (error) {
       if (isNetworkError(error)) {
-        logNetworkError(error, 'fetch transaction histories');
+        logNetworkError(error, 'fetch transaction histories', this.logger);
       }
       throw error;
     }
   }
 
+  /**
+   * History items for one address, in sync order. Splitting a transaction with several senders
+   * needs each sender's inputs, so its source transactions are fetched, once per txid per `inputCache`.
+   */
+  private async syncsToTxHistory(
+    syncs: MneeSync[],
+    address: string,
+    config: MNEEConfig,
+    inputCache: Map<string, Promise<TxAddressAmount[]>>,
+    signal?: AbortSignal,
+  ): Promise<TxHistory[]> {
+    const items = await Promise.all(
+      syncs.map(async (sync) => {
+        if (sync.senders.length < 2 || !sync.rawtx) return parseSyncToTxHistory(sync, address, config);
+        let inputs = inputCache.get(sync.txid);
+        if (!inputs) {
+          inputs = this.getTokenInputs(Transaction.fromBinary(Utils.toArray(sync.rawtx, 'base64')), config, signal);
+          inputCache.set(sync.txid, inputs);
+        }
+        return parseSyncToTxHistory(sync, address, config, await inputs);
+      }),
+    );
+    return items.filter((item): item is TxHistory => item !== null);
+  }
+
+  /** Token inputs of a transaction by owner; inputs whose source cannot be fetched are left out */
+  private async getTokenInputs(tx: Transaction, config: MNEEConfig, signal?: AbortSignal): Promise<TxAddressAmount[]> {
+    const { inputs } = await this.processTransactionInputs(tx, config, { signal });
+    return inputs
+      .filter((input) => input.address && input.inscription?.id === config.tokenId)
+      .map((input) => ({ address: input.address!, amount: input.amount }));
+  }
+
+  /**
+   * Export an address's full history in chunks. Options are checked here, so invalid ones throw
+   * from the call rather than from the first iteration.
+   */
+  public exportHistory(address: string, options: ExportHistoryOptions = {}): AsyncIterable<HistoryExportChunk> {
+    if (!validateAddress(address)) throw new ValidationError(`Invalid Bitcoin address: ${address}`);
+    const { format = 'ndjson', checkpoint = 0, pageSize = 100 } = options;
+    if (!HISTORY_EXPORT_FORMATS.includes(format)) {
+      throw new ValidationError(`Invalid format: ${format}. Must be one of ${HISTORY_EXPORT_FORMATS.join(', ')}`);
+    }
+    if (typeof checkpoint !== 'number' || !Number.isFinite(checkpoint) || checkpoint < 0) {
+      throw new ValidationError(`Invalid checkpoint: ${checkpoint}. Must be a positive number or 0`);
+    }
+    if (!Number.isInteger(pageSize) || pageSize <= 0) {
+      throw new ValidationError(`Invalid pageSize: ${pageSize}. Must be a positive integer`);
+    }
+    const signal = requestSignal(options);
+    return this.exportHistoryPages(address, { ...options, format, checkpoint, pageSize }, signal);
+  }
+
+  /**
+   * Page through the history oldest first until a page comes back empty. Each chunk's checkpoint is
+   * the score of its last row, so a resumed export starts right after what was already written.
+   */
+  private async *exportHistoryPages(
+    address: string,
+    options: ExportHistoryOptions & Required<Pick<ExportHistoryOptions, 'format' | 'checkpoint' | 'pageSize'>>,
+    signal?: AbortSignal,
+  ): AsyncGenerator<HistoryExportChunk> {
+    const { format, pageSize, includeUnconfirmed = false } = options;
+    let checkpoint = options.checkpoint;
+    let exported = 0;
+    if (format === 'csv' && (options.header ?? options.checkpoint === 0)) {
+      yield { data: csvHeader(), rows: [], checkpoint };
+    }
+
+    for (;;) {
+      const page = await this.getRecentTxHistory(address, checkpoint, pageSize, 'asc', { signal });
+      let rows = page.history.filter((row) => row.score > checkpoint);
+      // Unconfirmed transactions may still change; stop before them so a later run exports them confirmed
+      const unconfirmed = includeUnconfirmed ? -1 : rows.findIndex((row) => row.status === 'unconfirmed');
+      if (unconfirmed >= 0) rows = rows.slice(0, unconfirmed);
+      if (rows.length > 0) {
+        checkpoint = rows[rows.length - 1].score;
+        yield { data: formatHistoryRows(rows, format, exported === 0), rows, checkpoint };
+        exported += rows.length;
+      }
+      if (unconfirmed >= 0 || rows.length === 0) break;
+    }
+
+    if (format === 'json') yield { data: closeJsonExport(exported > 0), rows: [], checkpoint };
+  }
+
   // ============================================
   // parseTransaction HELPERS
   // ============================================
@@ -1413,7 +2219,7 @@ export class MNEEService {
       return JSON.parse(inscriptionData) as MneeInscription;
     } catch (error) {
       if (isNetworkError(error)) {
-        logNetworkError(error, 'parse inscription data');
+        logNetworkError(error, 'parse inscription data', this.logger);
       }
       return null;
     }
@@ -1444,8 +2250,23 @@ export class MNEEService {
       return 'sandbox';
     }
 
+    if (this.customEnvironment) {
+      const custom = this.customEnvironment;
+      if (txid === custom.tokenId.split('_')[0]) return 'custom';
+      if (tokenId === custom.tokenId && cosigner === custom.approver) return 'custom';
+      if (cosigner === '' && address === custom.mintAddress) return 'custom';
+    }
+
     // Default to sandbox for all other cases
-    return 'sandbox';
+    return this.fallbackEnvironment();
+  }
+
+  /**
+   * Environment reported for transactions that can't be attributed from their
+   * scripts. A custom deployment reports itself rather than claiming sandbox.
+   */
+  private fallbackEnvironment(): Environment {
+    return this.customEnvironment ? 'custom' : 'sandbox';
   }
 
   private determineTransactionType(
@@ -1465,7 +2286,7 @@ export class MNEEService {
     }
 
     // Known addresses indicate mint
-    if (address === PROD_MINT_ADDRESS || address === SANDBOX_MINT_ADDRESS) {
+    if (this.mintAddresses.has(address)) {
       return 'mint';
     }
 
@@ -1476,7 +2297,7 @@ export class MNEEService {
   private async processTransactionInputs(
     tx: Transaction,
     config: MNEEConfig,
-    opts?: { noNetwork?: boolean },
+    opts?: { noNetwork?: boolean; signal?: AbortSignal },
   ): Promise<TxInputResponse> {
     const txid = tx.id('hex');
     const inputs: ProcessedInput[] = new Array(tx.inputs.length);
@@ -1508,20 +2329,22 @@ export class MNEEService {
       // fetchRawTx now owns rate-limiting and cache dedup internally, so concurrent
       // duplicates resolve via the cached promise without queueing a limiter slot.
       try {
-        const sourceTx = await this.fetchRawTx(input.sourceTXID!);
+        const sourceTx = await this.fetchRawTx(input.sourceTXID!, undefined, opts?.signal);
         if (sourceTx && (!sourceTx.outputs || !sourceTx.outputs[input.sourceOutputIndex])) {
           return { index, sourceTx: null };
         }
         return { index, sourceTx };
       } catch (error) {
         if (isNetworkError(error)) {
-          logNetworkError(error, 'fetch source transaction');
+          logNetworkError(error, 'fetch source transaction', this.logger);
         }
         return { index, sourceTx: null };
       }
     });
 
     const results = await Promise.all(fetchTasks);
+    // Failed fetches become unknown inputs; an abort must not
+    throwIfAborted(opts?.signal);
 
     for (const { index, sourceTx } of results) {
       const input = tx.inputs[index];
@@ -1684,6 +2507,7 @@ export class MNEEService {
       isValid,
       inputTotal: inputData.total.toString(),
       outputTotal: outputData.total.toString(),
+      extraData: parseExtraData(tx),
     };
 
     if (options?.includeRaw) {
@@ -1724,7 +2548,7 @@ export class MNEEService {
     tx: Transaction,
     config: MNEEConfig,
     options?: ParseOptions,
-    internalOpts?: { noNetwork?: boolean },
+    internalOpts?: { noNetwork?: boolean; signal?: AbortSignal },
   ): Promise<ParseTxResponse | ParseTxExtendedResponse> {
     const txid = tx.id('hex');
 
@@ -1765,7 +2589,7 @@ export class MNEEService {
       type = outputData.type || 'transfer';
       if (type === 'transfer') {
         const hasMintInputAddress = fastInputs.some(
-          (i) => i.address === PROD_MINT_ADDRESS || i.address === SANDBOX_MINT_ADDRESS,
+          (i) => i.address !== undefined && this.mintAddresses.has(i.address),
         );
         if (hasMintInputAddress) type = 'mint';
       }
@@ -1781,19 +2605,19 @@ export class MNEEService {
       // a protocol invariant, so we project inputTotal = outputTotal. Callers that
       // need to verify conservation independently must pass `skipInputFetch: false`.
       isValid = this.processMneeValidation(tx, config);
-      environment = outputData.environment || 'sandbox';
+      environment = outputData.environment || this.fallbackEnvironment();
       if (isValid && type !== 'deploy') {
         inputData.total = outputData.total;
       }
     } else {
       inputData = await this.processTransactionInputs(tx, config, internalOpts);
 
-      environment = outputData.environment || inputData.environment || 'sandbox';
+      environment = outputData.environment || inputData.environment || this.fallbackEnvironment();
       type = outputData.type || inputData.type || 'transfer';
 
       if (type === 'transfer') {
         const hasMintInputAddress = inputData.inputs.some(
-          (input) => input.inscription && (input.address === PROD_MINT_ADDRESS || input.address === SANDBOX_MINT_ADDRESS),
+          (input) => input.inscription && input.address !== undefined && this.mintAddresses.has(input.address),
         );
         if (hasMintInputAddress) type = 'mint';
       }
@@ -1818,14 +2642,14 @@ export class MNEEService {
   public async parseTx(txid: string, options?: ParseOptions): Promise<ParseTxResponse | ParseTxExtendedResponse> {
     const hexRegex = /^[a-fA-F0-9]{64}$/;
     if (!txid || typeof txid !== 'string' || txid.trim() === '' || !hexRegex.test(txid)) {
-      throw stacklessError('A valid transaction ID is required');
+      throw new ValidationError('A valid transaction ID is required');
     }
 
-    const config = await this.getConfig();
-    if (!config) throw stacklessError('Config not fetched');
-    const tx = await this.fetchRawTx(txid);
-    if (!tx) throw stacklessError('Failed to fetch transaction');
-    return await this.parseTransaction(tx, config, options);
+    const signal = requestSignal(options);
+    const config = await abortable(this.getConfig(), signal);
+    const tx = await this.fetchRawTx(txid, undefined, signal);
+    if (!tx) throw new TxUnavailableError('Failed to fetch transaction', txid);
+    return await this.parseTransaction(tx, config, options, { signal });
   }
 
   public async parseTxFromRawTx(
@@ -1833,15 +2657,15 @@ export class MNEEService {
     options?: ParseOptions,
   ): Promise<ParseTxResponse | ParseTxExtendedResponse> {
     if (!rawTxHex || typeof rawTxHex !== 'string' || rawTxHex.trim() === '') {
-      throw stacklessError('A valid raw transaction is required');
+      throw new ValidationError('A valid raw transaction is required');
     }
     if (!isValidHex(rawTxHex)) {
-      throw stacklessError('Invalid raw transaction hex');
+      throw new ValidationError('Invalid raw transaction hex');
     }
     const tx = Transaction.fromHex(rawTxHex);
-    const config = await this.getConfig();
-    if (!config) throw stacklessError('Config not fetched');
-    return await this.parseTransaction(tx, config, options);
+    const signal = requestSignal(options);
+    const config = await abortable(this.getConfig(), signal);
+    return await this.parseTransaction(tx, config, options, { signal });
   }
 
   /**
@@ -1864,22 +2688,192 @@ export class MNEEService {
     options?: ParseOptions,
   ): Promise<ParseTxResponse | ParseTxExtendedResponse> {
     if (!beefHex || typeof beefHex !== 'string' || beefHex.trim() === '') {
-      throw stacklessError('A valid BEEF hex string is required');
+      throw new ValidationError('A valid BEEF hex string is required');
     }
 
     let tx: Transaction;
     try {
       tx = Transaction.fromHexBEEF(beefHex);
     } catch {
-      throw stacklessError('Invalid BEEF hex: could not deserialise transaction');
+      throw new ValidationError('Invalid BEEF hex: could not deserialise transaction');
     }
 
     const config = await this.getConfig();
-    if (!config) throw stacklessError('Config not fetched');
 
     return this.parseTransaction(tx, config, options, { noNetwork: true });
   }
 
+  /**
+   * Verify an MNEE transaction from BEEF without trusting the MNEE API. The embedded ancestry is
+   * walked back to transactions with merkle proofs, which are checked against `chainTracker`.
+   * Every transaction in between has its scripts executed, its token inputs checked to be
+   * MNEE outputs of `config.tokenId` locked to the approver or mint address, and its token
+   * amounts checked for conservation. The subject's own inputs are always checked, so its
+   * parents must be in the BEEF even when it has a merkle proof.
+   *
+   * Problems with the transactions are reported as `isValid: false` with an `error`; malformed
+   * input and chain tracker failures throw.
+   */
+  public async verifyMneeBEEF(beefHex: string, options: VerifyMneeBeefOptions): Promise<MneeBeefVerification> {
+    if (!beefHex || typeof beefHex !== 'string' || beefHex.trim() === '') {
+      throw new ValidationError('A valid BEEF hex string is required');
+    }
+    const chainTracker = options?.chainTracker;
+    for (const method of ['isValidRootForHeight', 'currentHeight'] as const) {
+      if (typeof chainTracker?.[method] !== 'function') {
+        throw new ValidationError(`chainTracker must implement ${method}()`);
+      }
+    }
+
+    let tx: Transaction;
+    let beef: Beef;
+    try {
+      beef = Beef.fromString(beefHex.trim(), 'hex');
+      const subjectTxid = beef.atomicTxid ?? beef.txs[beef.txs.length - 1]?.txid;
+      tx = beef.findAtomicTransaction(subjectTxid ?? '')!;
+      if (!tx) throw new Error('missing subject');
+    } catch {
+      throw new ValidationError('Invalid BEEF hex: could not deserialise transaction');
+    }
+    // A proven subject is not linked to its parents by the BEEF parser
+    for (const input of tx.inputs) {
+      if (!input.sourceTransaction && input.sourceTXID) {
+        input.sourceTransaction = beef.findAtomicTransaction(input.sourceTXID);
+      }
+    }
+
+    const signal = requestSignal(options);
+    const config = await abortable(this.getConfig(), signal);
+
+    const result: MneeBeefVerification = {
+      txid: tx.id('hex'),
+      isValid: false,
+      outputs: [],
+      verifiedTxids: [],
+      provenTxids: [],
+    };
+    result.outputs = this.processTransactionOutputs(tx, config)
+      .outputs.filter((output) => output.inscription && output.address)
+      .map((output) => ({ address: output.address!, amount: output.amount }));
+
+    const error = await this.findBeefAncestryError(tx, config, chainTracker, result, signal);
+    if (error) {
+      result.error = error;
+    } else {
+      result.isValid = true;
+    }
+    return result;
+  }
+
+  /** Walks from the subject to proven ancestors, returning the first problem found */
+  private async findBeefAncestryError(
+    subject: Transaction,
+    config: MNEEConfig,
+    chainTracker: ChainTracker,
+    result: MneeBeefVerification,
+    signal?: AbortSignal,
+  ): Promise<string | undefined> {
+    const deployTxid = config.tokenId.split('_')[0];
+    const queue = [subject];
+    const seen = new Set<string>();
+
+    while (queue.length > 0) {
+      const tx = queue.shift()!;
+      const txid = tx.id('hex');
+      if (seen.has(txid)) continue;
+      seen.add(txid);
+
+      if (tx.merklePath) {
+        // Chain trackers take no signal, so an abort stops the wait rather than the lookup
+        if (!(await abortable(tx.merklePath.verify(txid, chainTracker), signal))) {
+          return `Invalid merkle proof for transaction ${txid}`;
+        }
+        result.provenTxids.push(txid);
+        // A proven ancestor ends the walk: whoever spent its outputs was checked as a hop
+        if (tx !== subject) continue;
+      }
+      // The deploy transaction creates the supply, so nothing before it carries the token
+      if (txid === deployTxid) continue;
+
+      const error = this.findBeefHopError(tx, txid, config, tx === subject);
+      if (error) return error;
+      result.verifiedTxids.push(txid);
+      for (const input of tx.inputs) queue.push(input.sourceTransaction!);
+    }
+    return undefined;
+  }
+
+  /** Checks one transaction against its parents: scripts, satoshis and MNEE token rules */
+  private findBeefHopError(
+    tx: Transaction,
+    txid: string,
+    config: MNEEConfig,
+    isSubject: boolean,
+  ): string | undefined {
+    if (tx.inputs.length === 0) return `Transaction ${txid} has no inputs and no merkle proof`;
+
+    let satoshisIn = 0;
+    let tokensIn = BigInt(0);
+    for (let i = 0; i < tx.inputs.length; i++) {
+      const input = tx.inputs[i];
+      const sourceOutput = input.sourceTransaction?.outputs[input.sourceOutputIndex];
+      if (!sourceOutput) return `Source transaction for input ${i} of ${txid} is not in the BEEF`;
+
+      try {
+        const spend = new Spend({
+          sourceTXID: input.sourceTransaction!.id('hex'),
+          sourceOutputIndex: input.sourceOutputIndex,
+          sourceSatoshis: sourceOutput.satoshis ?? 0,
+          lockingScript: sourceOutput.lockingScript,
+          transactionVersion: tx.version,
+          otherInputs: tx.inputs.filter((_, index) => index !== i),
+          outputs: tx.outputs,
+          inputIndex: i,
+          unlockingScript: input.unlockingScript!,
+          inputSequence: input.sequence ?? 0xffffffff,
+          lockTime: tx.lockTime,
+        });
+        if (!spend.validate()) throw new Error('script evaluated to false');
+      } catch {
+        return `Invalid unlocking script for input ${i} of ${txid}`;
+      }
+      satoshisIn += sourceOutput.satoshis ?? 0;
+
+      const inscription = this.parseInscriptionData(sourceOutput.lockingScript);
+      if (inscription?.p !== 'bsv-20') continue;
+      const outpoint = `${input.sourceTXID}_${input.sourceOutputIndex}`;
+      const isDeployOutput = outpoint === config.tokenId && inscription.op === 'deploy+mint';
+      if (!isDeployOutput && inscription.id !== config.tokenId) {
+        return `Input ${i} of ${txid} spends a different token: ${inscription.id}`;
+      }
+      // Token outputs only move with the approver's cosignature or the mint key, which the
+      // script check above has just verified
+      const owner = parseCosignerScripts([sourceOutput.lockingScript])[0];
+      if (owner?.cosigner !== config.approver && owner?.address !== config.mintAddress) {
+        return `Input ${i} of ${txid} spends a token output not locked to the approver or mint address`;
+      }
+      if (!/^\d+$/.test(inscription.amt)) return `Input ${i} of ${txid} has an invalid amount: ${inscription.amt}`;
+      tokensIn += BigInt(inscription.amt);
+    }
+
+    const satoshisOut = tx.outputs.reduce((sum, output) => sum + (output.satoshis ?? 0), 0);
+    if (satoshisOut > satoshisIn) return `Transaction ${txid} spends more satoshis than its inputs`;
+
+    let tokensOut = BigInt(0);
+    for (const output of tx.outputs) {
+      const inscription = this.parseInscriptionData(output.lockingScript);
+      if (inscription?.p === 'bsv-20' && /^\d+$/.test(inscription.amt)) tokensOut += BigInt(inscription.amt);
+    }
+    // Plain BSV transactions in the ancestry (e.g. fee funding) only need valid scripts
+    if (!isSubject && tokensIn === BigInt(0) && tokensOut === BigInt(0)) return undefined;
+
+    if (!this.processMneeValidation(tx, config)) return `Transaction ${txid} is not a valid MNEE transaction`;
+    if (tokensIn !== tokensOut) {
+      return `Token amounts are not conserved in ${txid}: inputs ${tokensIn}, outputs ${tokensOut}`;
+    }
+    return undefined;
+  }
+
   public parseInscription(script: Script) {
     return parseInscription(script);
   }
@@ -1904,20 +2898,22 @@ export class MNEEService {
     tx: Transaction,
     inputs: TransferMultiOptions['inputs'],
     privateKeys: Map<number, PrivateKey>,
-  ): Promise<{ tokensIn: number; error?: string }> {
+    signal?: AbortSignal,
+  ): Promise<{ tokensIn: number }> {
     let tokensIn = 0;
 
     for (let i = 0; i < inputs.length; i++) {
       const input = inputs[i];
-      const sourceTransaction = await this.fetchRawTx(input.txid);
-      if (!sourceTransaction)
-        return { tokensIn: 0, error: `Failed to fetch source transaction: ${input.txid}_${input.vout}` };
+      const sourceTransaction = await this.fetchRawTx(input.txid, undefined, signal);
+      if (!sourceTransaction) {
+        throw new TxUnavailableError(`Failed to fetch source transaction: ${input.txid}_${input.vout}`, input.txid);
+      }
 
       const output = sourceTransaction.outputs[input.vout];
-      if (!output) return { tokensIn: 0, error: `Output ${input.vout} not found in transaction ${input.txid}` };
+      if (!output) throw new ValidationError(`Output ${input.vout} not found in transaction ${input.txid}`);
 
       const inscription = this.parseInscriptionData(output.lockingScript);
-      if (!inscription) return { tokensIn: 0, error: `No inscription found in output ${input.txid}:${input.vout}` };
+      if (!inscription) throw new ValidationError(`No inscription found in output ${input.txid}:${input.vout}`);
 
       const tokenAmount = parseInt(inscription.amt);
       tokensIn += tokenAmount;
@@ -2034,9 +3030,9 @@ export class MNEEService {
         };
       }
 
-      for (const changeOutput of changeAddress) {
+      for (const changeOutput of atomicChangeOutputs) {
         if (changeOutput.amount <= 0) {
-          return { error: `Invalid change amount: ${changeOutput.amount}. Must be positive.` };
+          return { error: `Invalid change amount: ${this.fromAtomicAmount(changeOutput.amount)}. Must be positive.` };
         }
       }
 
@@ -2056,21 +3052,21 @@ export class MNEEService {
     return tx.inputs.map((input, index) => {
       const sourceTXID = input.sourceTXID ?? input.sourceTransaction?.id('hex');
       if (!sourceTXID) {
-        throw stacklessError(`Input ${index} is missing sourceTXID or sourceTransaction`);
+        throw new ValidationError(`Input ${index} is missing sourceTXID or sourceTransaction`);
       }
 
       const sourceTransaction = input.sourceTransaction;
       if (!sourceTransaction) {
-        throw stacklessError(`Input ${index} is missing sourceTransaction required for signing`);
+        throw new ValidationError(`Input ${index} is missing sourceTransaction required for signing`);
       }
 
       const sourceOutput = sourceTransaction.outputs[input.sourceOutputIndex];
       if (!sourceOutput) {
-        throw stacklessError(`Output ${input.sourceOutputIndex} not found in transaction ${sourceTXID}`);
+        throw new ValidationError(`Output ${input.sourceOutputIndex} not found in transaction ${sourceTXID}`);
       }
 
       if (sourceOutput.satoshis === undefined) {
-        throw stacklessError(`Output ${input.sourceOutputIndex} in transaction ${sourceTXID} is missing satoshis`);
+        throw new ValidationError(`Output ${input.sourceOutputIndex} in transaction ${sourceTXID} is missing satoshis`);
       }
 
       return {
@@ -2126,12 +3122,39 @@ export class MNEEService {
   }
 
   public async buildUnsignedMneeTransaction(options: MultisigBuildOptions): Promise<UnsignedTransactionResult> {
-    const config = await this.getConfig();
-    if (!config) throw stacklessError('Config not fetched');
+    const signal = requestSignal(options);
+    const config = await abortable(this.getConfig(), signal);
 
     // Calculate total output amount
     const totalAtomicTokenAmount = options.recipients.reduce((sum, req) => sum + this.toAtomicAmount(req.amount), 0);
-    if (totalAtomicTokenAmount <= 0) throw stacklessError('Invalid amount');
+    if (totalAtomicTokenAmount <= 0) throw new ValidationError('Invalid amount');
+
+    // Calculate fee
+    const fee =
+      options.recipients.find((req) => req.address === config.burnAddress) !== undefined
+        ? 0
+        : config.fees.find(
+            (f: { min: number; max: number }) => totalAtomicTokenAmount >= f.min && totalAtomicTokenAmount <= f.max,
+          )?.fee;
+
+    if (fee === undefined) throw new ValidationError('Fee ranges inadequate');
+
+    // Use the given inputs, or select them from fromAddress
+    let inputs = options.inputs;
+    if (!inputs?.length) {
+      if (!options.fromAddress) throw new ValidationError('Either inputs or fromAddress must be provided');
+      if (!validateAddress(options.fromAddress)) {
+        throw new ValidationError(`Invalid Bitcoin address: ${options.fromAddress}`);
+      }
+      const utxos = await this.selectUtxos(
+        options.fromAddress,
+        totalAtomicTokenAmount + fee,
+        fee,
+        options.coinSelection,
+        signal,
+      );
+      inputs = utxos.map((utxo) => ({ txid: utxo.txid, vout: utxo.vout }));
+    }
 
     // Build the transaction
     const tx = new Transaction(1, [], [], 0);
@@ -2139,21 +3162,21 @@ export class MNEEService {
     let tokensIn = 0;
 
     // Add inputs
-    for (let i = 0; i < options.inputs.length; i++) {
-      const input = options.inputs[i];
-      const sourceTransaction = await this.fetchRawTx(input.txid);
+    for (let i = 0; i < inputs.length; i++) {
+      const input = inputs[i];
+      const sourceTransaction = await this.fetchRawTx(input.txid, undefined, signal);
       if (!sourceTransaction) {
-        throw stacklessError(`Failed to fetch source transaction: ${input.txid}_${input.vout}`);
+        throw new TxUnavailableError(`Failed to fetch source transaction: ${input.txid}_${input.vout}`, input.txid);
       }
 
       const output = sourceTransaction.outputs[input.vout];
       if (!output) {
-        throw stacklessError(`Output ${input.vout} not found in transaction ${input.txid}`);
+        throw new ValidationError(`Output ${input.vout} not found in transaction ${input.txid}`);
       }
 
       const inscription = this.parseInscriptionData(output.lockingScript);
       if (!inscription) {
-        throw stacklessError(`No inscription found in output ${input.txid}:${input.vout}`);
+        throw new ValidationError(`No inscription found in output ${input.txid}:${input.vout}`);
       }
 
       tokensIn += parseInt(inscription.amt);
@@ -2167,24 +3190,15 @@ export class MNEEService {
       });
     }
 
-    // Calculate fee
-    const fee =
-      options.recipients.find((req) => req.address === config.burnAddress) !== undefined
-        ? 0
-        : config.fees.find(
-            (f: { min: number; max: number }) => totalAtomicTokenAmount >= f.min && totalAtomicTokenAmount <= f.max,
-          )?.fee;
-
-    if (fee === undefined) throw stacklessError('Fee ranges inadequate');
-
     // Check if we have enough tokens
     if (tokensIn < totalAtomicTokenAmount + fee) {
       const haveDecimal = this.fromAtomicAmount(tokensIn);
       const needDecimal = this.fromAtomicAmount(totalAtomicTokenAmount + fee);
-      throw stacklessError(
+      throw new InsufficientBalanceError(
         `Insufficient tokens. Have: ${haveDecimal}, Need: ${needDecimal} (including fee: ${this.fromAtomicAmount(
           fee,
         )})`,
+        this.fromAtomicAmount(Math.max(0, tokensIn - fee)),
       );
     }
 
@@ -2203,12 +3217,12 @@ export class MNEEService {
     if (change > 0) {
       if (!options.changeAddress) {
         // Default to first input - need to extract address from the UTXO
-        const firstInput = options.inputs[0];
+        const firstInput = inputs[0];
         const sourceTx = sourceTransactions.get(0)!;
         const sourceOutput = sourceTx.outputs[firstInput.vout];
         const parsedCosigner = parseCosignerScripts([sourceOutput.lockingScript])[0];
         if (!parsedCosigner?.address) {
-          throw stacklessError('Could not determine change address from input');
+          throw new ValidationError('Could not determine change address from input; pass changeAddress');
         }
         tx.addOutput(await this.createInscription(parsedCosigner.address, change, config));
       } else if (typeof options.changeAddress === 'string') {
@@ -2224,7 +3238,7 @@ export class MNEEService {
         if (changeSum !== change) {
           const changeDecimal = this.fromAtomicAmount(change);
           const changeSumDecimal = this.fromAtomicAmount(changeSum);
-          throw stacklessError(
+          throw new ValidationError(
             `Change amounts must sum to ${changeDecimal}. Your change outputs sum to ${changeSumDecimal}`,
           );
         }
@@ -2282,7 +3296,7 @@ export class MNEEService {
   //       throw stacklessError('Invalid API key');
   //     }
 
-  //     if (!response.ok) throw stacklessError(`HTTP error! status: ${response.status}`);
+  //     if (!response.ok) throw this.responseError(response, `HTTP error! status: ${response.status}`);
 
   //     const { rawtx: responseRawtx } = await response.json();
   //     if (!responseRawtx) throw stacklessError('Failed to broadcast transaction');
@@ -2293,7 +3307,7 @@ export class MNEEService {
   //     return { txid: tx2.id('hex'), rawtx: Utils.toHex(decodedBase64AsBinary) };
   //   } catch (error) {
   //     if (isNetworkError(error)) {
-  //       logNetworkError(error, 'broadcast transaction');
+  //       logNetworkError(error, 'broadcast transaction', this.logger);
   //     }
   //     let errorMessage = 'Transaction broadcast failed';
   //     if (error instanceof Error) {
@@ -2308,25 +3322,23 @@ export class MNEEService {
     transferOptions?: TransferOptions,
   ): Promise<TransferResponse> {
     try {
-      const config = await this.getConfig();
-      if (!config) throw stacklessError('Config not fetched');
+      const signal = requestSignal(transferOptions);
+      const config = await abortable(this.getConfig(), signal);
 
       const { isValid, error } = validateTransferMultiOptions(options);
-      if (!isValid) throw stacklessError(error || 'Invalid transfer options');
+      if (!isValid) throw new ValidationError(error || 'Invalid transfer options');
+      this.validateTransactionFormat(transferOptions?.format);
 
-      const totalAmount = options.recipients.reduce((sum, req) => sum + req.amount, 0);
-      if (totalAmount <= 0) throw stacklessError('Invalid amount');
-      const totalAtomicTokenAmount = this.toAtomicAmount(totalAmount);
+      const totalAtomicTokenAmount = options.recipients.reduce((sum, req) => sum + this.toAtomicAmount(req.amount), 0);
+      if (totalAtomicTokenAmount <= 0) throw new ValidationError('Invalid amount');
 
       const validationResult = this.validateUniqueInputs(options.inputs);
-      if (validationResult.error) throw stacklessError(validationResult.error);
+      if (validationResult.error) throw new ValidationError(validationResult.error);
 
       const tx = new Transaction(1, [], [], 0);
       const privateKeys = new Map<number, PrivateKey>();
 
-      const inputResult = await this.addInputsToTransaction(tx, options.inputs, privateKeys);
-      if (inputResult.error) throw stacklessError(inputResult.error);
-      const tokensIn = inputResult.tokensIn;
+      const { tokensIn } = await this.addInputsToTransaction(tx, options.inputs, privateKeys, signal);
 
       const inputAddresses = new Set<string>();
       for (let i = 0; i < options.inputs.length; i++) {
@@ -2342,16 +3354,17 @@ export class MNEEService {
         config,
         options.recipients,
       );
-      if (feeResult.error) throw stacklessError(feeResult.error);
+      if (feeResult.error) throw new ValidationError(feeResult.error);
       const fee = feeResult.fee;
 
       if (tokensIn < totalAtomicTokenAmount + fee) {
         const haveDecimal = this.fromAtomicAmount(tokensIn);
         const needDecimal = this.fromAtomicAmount(totalAtomicTokenAmount + fee);
-        throw stacklessError(
+        throw new InsufficientBalanceError(
           `Insufficient tokens. Have: ${haveDecimal}, Need: ${needDecimal} (including fee: ${this.fromAtomicAmount(
             fee,
           )})`,
+          this.fromAtomicAmount(Math.max(0, tokensIn - fee)),
         );
       }
 
@@ -2374,7 +3387,7 @@ export class MNEEService {
         totalAtomicTokenAmount,
         fee,
       );
-      if (changeResult.error) throw stacklessError(changeResult.error);
+      if (changeResult.error) throw new ValidationError(changeResult.error);
       
       if (transferOptions?.extraData) {
         this.addExtraDataOutput(tx, transferOptions.extraData);
@@ -2386,24 +3399,232 @@ export class MNEEService {
       const conservationResult = this.validateTokenConservation(tx, tokensIn);
       if (conservationResult.error) throw stacklessError(conservationResult.error);
 
+      if (!transferOptions?.broadcast) {
+        return { rawtx: this.encodeTransaction(tx, transferOptions?.format) };
+      }
       const rawtx = tx.toHex();
 
-      if (!transferOptions?.broadcast) {
-        return { rawtx };
+      // The caller chose these inputs explicitly, so record them without checking for conflicts
+      await this.outpointLocks.lock(
+        tx.inputs.map((input) => `${input.sourceTXID}_${input.sourceOutputIndex}`),
+        MNEEService.OUTPOINT_LOCK_TTL,
+      );
+
+      // `format` describes the returned rawtx when not broadcasting; the hex submitted here is always plain
+      const { ticketId } = await this.submitRawTx(rawtx, {
+        ...transferOptions,
+        format: undefined,
+        signal,
+        timeoutMs: undefined,
+      });
+
+      return { ticketId };
+    } catch (error) {
+      if (isNetworkError(error)) {
+        logNetworkError(error, 'multi-source transfer', this.logger);
+      }
+      throw error;
+    }
+  }
+
+  public async sweep(
+    wif: string | string[],
+    destination: string,
+    transferOptions: TransferOptions = {},
+  ): Promise<SweepResponse> {
+    try {
+      const wifs = Array.isArray(wif) ? wif : [wif];
+      if (wifs.length === 0) throw new ValidationError('At least one WIF key is required');
+      if (!validateAddress(destination)) throw new ValidationError(`Invalid destination address: ${destination}`);
+
+      const signal = requestSignal(transferOptions);
+      const config = await abortable(this.getConfig(), signal);
+
+      const inputs: Array<TransferMultiOptions['inputs'][number] & { amount: number }> = [];
+      const seenAddresses = new Set<string>();
+      let sawLocked = false;
+      for (const key of wifs) {
+        const { isValid, error, privateKey } = validateWIF(key);
+        if (!isValid || !privateKey) throw new ValidationError(error || 'Invalid WIF key provided');
+        const address = privateKey.toAddress();
+        if (seenAddresses.has(address)) continue;
+        seenAddresses.add(address);
+
+        const utxos = await this.getAllUtxos(address, { signal });
+        const locked = await this.lockedOutpoints(utxos);
+        for (const utxo of utxos) {
+          if (locked.has(`${utxo.txid}_${utxo.vout}`)) {
+            sawLocked = true;
+            continue;
+          }
+          inputs.push({ txid: utxo.txid, vout: utxo.vout, wif: key, amount: utxo.data.bsv21.amt });
+        }
       }
 
-      const now = Date.now();
-      for (const input of tx.inputs) {
-        this.usedOutpoints.set(`${input.sourceTXID}_${input.sourceOutputIndex}`, now);
+      if (inputs.length === 0) {
+        if (sawLocked) throw new UtxoLockedError('UTXOs temporarily locked by recent transactions, retry shortly');
+        throw new InsufficientBalanceError('No MNEE balance to sweep', 0);
       }
 
-      const { ticketId } = await this.submitRawTx(rawtx, transferOptions);
-      if (!ticketId) throw stacklessError('Failed to broadcast transaction');
+      const tokensIn = inputs.reduce((sum, input) => sum + input.amount, 0);
+      const send = this.maxSendAmount(tokensIn, config.fees);
+      if (!send) {
+        throw new InsufficientBalanceError(
+          `Insufficient MNEE balance to cover the fee. Balance: ${this.fromAtomicAmount(tokensIn)}`,
+          0,
+        );
+      }
 
-      return { ticketId };
+      const response = await this.transferMulti(
+        {
+          inputs: inputs.map(({ txid, vout, wif }) => ({ txid, vout, wif })),
+          recipients: [{ address: destination, amount: BigInt(send.amount) }],
+        },
+        { ...transferOptions, broadcast: transferOptions.broadcast !== false, signal, timeoutMs: undefined },
+      );
+
+      return {
+        ...response,
+        amount: send.amount,
+        fee: send.fee,
+        change: tokensIn - send.amount - send.fee,
+        inputs: inputs.map((input) => `${input.txid}_${input.vout}`),
+      };
+    } catch (error) {
+      if (isNetworkError(error)) {
+        logNetworkError(error, 'sweep balance', this.logger);
+      }
+      throw error;
+    }
+  }
+
+  public async consolidate(address: string, wif: string, options: ConsolidateOptions = {}): Promise<ConsolidateResult> {
+    try {
+      const {
+        maxInputs = 50,
+        targetOutputs = 1,
+        broadcast = true,
+        callbackUrl,
+        callbackSecret,
+        waitForOutpoints = false,
+      } = options;
+      if (!Number.isInteger(maxInputs) || maxInputs < 2) throw new ValidationError('maxInputs must be an integer >= 2');
+      if (!Number.isInteger(targetOutputs) || targetOutputs < 1 || targetOutputs >= maxInputs) {
+        throw new ValidationError('targetOutputs must be an integer >= 1 and less than maxInputs');
+      }
+      if (callbackUrl && !broadcast) throw new ValidationError('Callback URL cannot be provided when broadcast is false');
+      if (!validateAddress(address)) throw new ValidationError(`Invalid Bitcoin address: ${address}`);
+      const { isValid, error, privateKey } = validateWIF(wif);
+      if (!isValid || !privateKey) throw new ValidationError(error || 'Invalid WIF key provided');
+      if (privateKey.toAddress() !== address) throw new ValidationError('WIF does not match the address to consolidate');
+
+      const signal = requestSignal(options);
+      const config = await abortable(this.getConfig(), signal);
+
+      const allUtxos = await this.getAllUtxos(address, { signal });
+      const locked = await this.lockedOutpoints(allUtxos);
+      // Smallest first so dust is swept before larger outputs
+      const utxos = allUtxos
+        .filter((u) => !locked.has(`${u.txid}_${u.vout}`))
+        .sort((a, b) => a.data.bsv21.amt - b.data.bsv21.amt);
+
+      const result: ConsolidateResult = { address, utxosBefore: allUtxos.length, transactions: [], outpoints: [] };
+      if (utxos.length <= targetOutputs) return result;
+
+      for (let start = 0; start < utxos.length; start += maxInputs) {
+        const chunk = utxos.slice(start, start + maxInputs);
+        if (chunk.length <= targetOutputs) break;
+
+        // Every output goes back to the address, which the cosigner leaves out of the fee basis
+        // as change to an input address, so the fee is the same as for transferMulti
+        const tokensIn = chunk.reduce((sum, u) => sum + u.data.bsv21.amt, 0);
+        const feeResult = this.calculateTransferMultiFee(tokensIn, 0, address, new Set([address]), config, []);
+        if (feeResult.error) throw new ValidationError(feeResult.error);
+        const { fee } = feeResult;
+        const net = tokensIn - fee;
+        // Dust that cannot cover the fee for its own consolidation is left in place
+        if (net < targetOutputs) continue;
+
+        const tx = new Transaction(1, [], [], 0);
+        const privateKeys = new Map<number, PrivateKey>();
+        for (const utxo of chunk) {
+          const sourceTransaction = await this.fetchRawTx(utxo.txid, undefined, signal);
+          if (!sourceTransaction) {
+            throw new TxUnavailableError(`Failed to fetch source transaction: ${utxo.txid}_${utxo.vout}`, utxo.txid);
+          }
+          privateKeys.set(tx.inputs.length, privateKey);
+          tx.addInput({
+            sourceTXID: utxo.txid,
+            sourceOutputIndex: utxo.vout,
+            sourceTransaction,
+            unlockingScript: new UnlockingScript(),
+          });
+        }
+
+        const outputs: ConsolidationTx['outputs'] = [];
+        const share = Math.floor(net / targetOutputs);
+        for (let i = 0; i < targetOutputs; i++) {
+          // The remainder goes to the first output so the amounts sum exactly to net
+          const amount = i === 0 ? net - share * (targetOutputs - 1) : share;
+          outputs.push({ vout: tx.outputs.length, amount });
+          tx.addOutput(await this.createInscription(address, amount, config));
+        }
+        if (fee > 0) tx.addOutput(await this.createInscription(config.feeAddress, fee, config));
+
+        const signResult = await this.signAllInputs(tx, privateKeys);
+        if (signResult.error) throw stacklessError(signResult.error);
+
+        const entry: ConsolidationTx = { inputs: chunk.map((u) => `${u.txid}_${u.vout}`), outputs, fee };
+        result.transactions.push(entry);
+        if (!broadcast) {
+          entry.rawtx = tx.toHex();
+          continue;
+        }
+
+        try {
+          await this.acquireInputLocks(tx);
+          const { ticketId } = await this.submitRawTx(tx.toHex(), { broadcast: true, callbackUrl, callbackSecret, signal });
+          entry.ticketId = ticketId;
+        } catch (err) {
+          // An abort stops the whole run; other failures leave the remaining chunks to run,
+          // with the failed chunk reported on its entry
+          throwIfAborted(signal);
+          entry.error = err instanceof Error ? err.message : String(err);
+        }
+      }
+
+      if (broadcast && waitForOutpoints) {
+        for (const entry of result.transactions) {
+          if (!entry.ticketId) continue;
+          // The approver adds a funding input, so the final txid differs from the submitted one
+          let status: TransferStatus;
+          try {
+            status = await this.waitForTx(entry.ticketId, {
+              signal,
+              onStatus: (update) => (entry.status = update.status),
+            });
+          } catch (err) {
+            throwIfAborted(signal);
+            if (err instanceof TransferFailedError) {
+              entry.error = err.status.errors || 'Transaction failed';
+            } else if (!(err instanceof AbortedError)) {
+              throw err;
+            }
+            // A ticket still pending when the wait times out is left without outpoints
+            continue;
+          }
+          if (!status.tx_id) continue;
+          for (const output of entry.outputs) {
+            output.outpoint = `${status.tx_id}_${output.vout}`;
+            result.outpoints.push(output.outpoint);
+          }
+        }
+      }
+
+      return result;
     } catch (error) {
       if (isNetworkError(error)) {
-        logNetworkError(error, 'multi-source transfer');
+        logNetworkError(error, 'consolidate UTXOs', this.logger);
       }
       throw error;
     }
@@ -0,0 +1,772 @@
+/**
+ * In-memory mock of the MNEE proxy API for offline integration tests.
+ *
+ * The mock serves the same endpoints the SDK talks to (`/v1/config`, `/v2/utxos`,
+ * `/v2/balance`, `/v1/tx/:txid`, `/v1/sync`, `/v2/transfer`, `/v2/ticket`) from a
+ * fake UTXO set. Submitted transactions are script-verified, cosigned with a local
+ * approver key, funded and applied to the UTXO set, so transfer flows can run
+ * deterministically without network access or funded keys.
+ */
+
+import {
+  ATOMIC_BEEF,
+  Beef,
+  ChainTracker,
+  Hash,
+  LockingScript,
+  MerklePath,
+  P2PKH,
+  PrivateKey,
+  PublicKey,
+  Script,
+  Spend,
+  Transaction,
+  UnlockingScript,
+  Utils,
+} from '@bsv/sdk';
+import {
+  FetchLike,
+  MNEEConfig,
+  MNEEFee,
+  MneeInscription,
+  MneeSync,
+  MNEEUtxo,
+  SdkConfig,
+  TransferStatus,
+  TransferWebhookResponse,
+} from './mnee.types.js';
+import CosignTemplate from './mneeCosignTemplate.js';
+import { applyInscription } from './utils/applyInscription.js';
+import { parseCosignerScripts, parseInscription, validateAddress } from './utils/helper.js';
+import { stacklessError } from './utils/stacklessError.js';
+import { computeWebhookSignature, WEBHOOK_SIGNATURE_HEADER } from './utils/webhook.js';
+
+export interface MockMneeApiOptions {
+  /** Base URL the mock answers on (default: 'http://mnee.mock') */
+  apiUrl?: string;
+  /** API key the mock expects in `auth_token` (default: 'mock-api-key') */
+  apiKey?: string;
+  /** Approver (cosigner) key as WIF or PrivateKey (default: random) */
+  approverKey?: PrivateKey | string;
+  /** Key controlling the mint address as WIF or PrivateKey (default: random) */
+  mintKey?: PrivateKey | string;
+  /** Fee tiers served in the config (default: 100 atomic up to 10 MNEE, 1000 above) */
+  fees?: MNEEFee[];
+  /** Fee address served in the config (default: random address) */
+  feeAddress?: string;
+  /** Burn address served in the config (default: random address) */
+  burnAddress?: string;
+  /** Total atomic supply minted by the deploy transaction (default: 10^15) */
+  supply?: number;
+  /**
+   * Receives webhook deliveries for tickets submitted with a callback URL. `delivery` holds the
+   * raw JSON body and headers, including `x-mnee-signature` when a callback secret was given.
+   */
+  onWebhook?: (
+    callbackUrl: string,
+    payload: TransferWebhookResponse,
+    delivery: { body: string; headers: Record<string, string> },
+  ) => void;
+}
+
+type MockTx = {
+  tx: Transaction;
+  height: number;
+  idx: number;
+  score: number;
+  senders: string[];
+  receivers: string[];
+};
+
+/** Hashes each pair of a merkle tree level (display hex), pairing an odd last node with itself */
+const merkleParents = (level: string[]): string[] => {
+  const parents: string[] = [];
+  for (let i = 0; i < level.length; i += 2) {
+    const left = Utils.toArray(level[i], 'hex').reverse();
+    const right = Utils.toArray(level[i + 1] ?? level[i], 'hex').reverse();
+    parents.push(Utils.toHex(Hash.hash256(left.concat(right)).reverse()));
+  }
+  return parents;
+};
+
+type MockTicket = TransferStatus & { callback_url?: string; callback_secret?: string; txid: string };
+
+const DEFAULT_FEES: MNEEFee[] = [
+  { min: 0, max: 1000000, fee: 100 },
+  { min: 1000001, max: Number.MAX_SAFE_INTEGER, fee: 1000 },
+];
+
+const toKey = (key: PrivateKey | string | undefined): PrivateKey => {
+  if (key === undefined) return PrivateKey.fromRandom();
+  return typeof key === 'string' ? PrivateKey.fromWif(key) : key;
+};
+
+/**
+ * In-memory MNEE API.
+ * @example
+ * const api = new MockMneeApi();
+ * const mnee = new Mnee(api.sdkConfig());
+ * api.mint(address, 1_000_000);
+ * const { ticketId } = await mnee.transfer([{ address: recipient, amount: 1 }], wif);
+ */
+export class MockMneeApi {
+  readonly apiUrl: string;
+  readonly apiKey: string;
+  readonly config: MNEEConfig;
+  /** Fetch-compatible transport; pass it as `SdkConfig.fetch` */
+  readonly fetch: FetchLike;
+  /** Chain tracker that accepts the merkle roots of the mock's blocks; pass it to `verifyMneeBEEF` */
+  readonly chainTracker: ChainTracker = {
+    isValidRootForHeight: async (root, height) => root === this.merkleRoot(height),
+    currentHeight: async () => this.height,
+  };
+
+  private readonly approverKey: PrivateKey;
+  private readonly mintKey: PrivateKey;
+  private readonly fundingKey = PrivateKey.fromRandom();
+  private readonly onWebhook?: MockMneeApiOptions['onWebhook'];
+  private readonly txs = new Map<string, MockTx>();
+  // Funding transactions are treated as confirmed in the block current when they were made
+  private readonly fundingTxs = new Map<string, { tx: Transaction; height: number }>();
+  private readonly utxos = new Map<string, MNEEUtxo>();
+  private readonly tickets = new Map<string, MockTicket>();
+  private readonly pendingFailures: string[] = [];
+  // Outpoints of submissions currently being cosigned
+  private readonly submitting = new Set<string>();
+  private supplyOutpoint: string;
+  private height = 1;
+  private nextScore = 1;
+  private nextTicket = 1;
+
+  constructor(options: MockMneeApiOptions = {}) {
+    this.apiUrl = (options.apiUrl ?? 'http://mnee.mock').replace(/\/+$/, '');
+    this.apiKey = options.apiKey ?? 'mock-api-key';
+    this.approverKey = toKey(options.approverKey);
+    this.mintKey = toKey(options.mintKey);
+    this.onWebhook = options.onWebhook;
+
+    const feeAddress = options.feeAddress ?? PrivateKey.fromRandom().toAddress();
+    const burnAddress = options.burnAddress ?? PrivateKey.fromRandom().toAddress();
+    for (const addr of [feeAddress, burnAddress]) {
+      if (!validateAddress(addr)) throw stacklessError(`Invalid mock address: ${addr}`);
+    }
+
+    // The deploy transaction mints the whole supply to the mint address as a plain
+    // P2PKH sentinel output; mint() spends from it like the real issuer does.
+    const supply = options.supply ?? 10 ** 15;
+    const deployTx = new Transaction(1, [], [], 0);
+    deployTx.addOutput({
+      satoshis: 1,
+      lockingScript: this.inscribe(new P2PKH().lock(this.mintKey.toAddress()), {
+        p: 'bsv-20',
+        op: 'deploy+mint',
+        sym: 'MNEE',
+        dec: '5',
+        amt: supply.toString(),
+      }),
+    });
+    const tokenId = `${deployTx.id('hex')}_0`;
+
+    this.config = {
+      approver: this.approverKey.toPublicKey().toString(),
+      feeAddress,
+      burnAddress,
+      mintAddress: this.mintKey.toAddress(),
+      fees: options.fees ?? DEFAULT_FEES,
+      decimals: 5,
+      tokenId,
+    };
+
+    this.supplyOutpoint = `${tokenId.split('_')[0]}_0`;
+    this.recordTx(deployTx, [], true);
+    this.fetch = (url, init) => this.handle(url, init);
+  }
+
+  /**
+   * SDK options wired to this mock: custom environment, matching token parameters
+   * and the in-process transport.
+   */
+  sdkConfig(): SdkConfig {
+    return {
+      environment: 'custom',
+      apiKey: this.apiKey,
+      apiUrl: this.apiUrl,
+      customEnvironment: {
+        tokenId: this.config.tokenId,
+        approver: this.config.approver,
+        mintAddress: this.config.mintAddress,
+      },
+      fetch: this.fetch,
+    };
+  }
+
+  /**
+   * Mint `atomicAmount` tokens to `address` from the supply held by the mint address.
+   * The mint transaction is confirmed immediately.
+   * @returns The new UTXO owned by `address`
+   */
+  async mint(address: string, atomicAmount: number): Promise<MNEEUtxo> {
+    if (!validateAddress(address)) throw stacklessError(`Invalid Bitcoin address: ${address}`);
+    if (!Number.isSafeInteger(atomicAmount) || atomicAmount <= 0) {
+      throw stacklessError('atomicAmount must be a positive integer');
+    }
+    const supplyUtxo = this.utxos.get(this.supplyOutpoint);
+    if (!supplyUtxo || supplyUtxo.data.bsv21.amt < atomicAmount) throw stacklessError('Mock supply exhausted');
+
+    const tx = new Transaction(1, [], [], 0);
+    tx.addInput({
+      sourceTXID: supplyUtxo.txid,
+      sourceOutputIndex: supplyUtxo.vout,
+      sourceTransaction: this.txs.get(supplyUtxo.txid)!.tx,
+      unlockingScript: new UnlockingScript(),
+    });
+    tx.addOutput({ satoshis: 1, lockingScript: this.transferScript(address, atomicAmount) });
+    const remaining = supplyUtxo.data.bsv21.amt - atomicAmount;
+    if (remaining > 0) {
+      tx.addOutput({
+        satoshis: 1,
+        lockingScript: this.inscribe(new P2PKH().lock(this.config.mintAddress), {
+          p: 'bsv-20',
+          op: 'transfer',
+          id: this.config.tokenId,
+          amt: remaining.toString(),
+        }),
+      });
+    }
+    tx.inputs[0].unlockingScript = await new P2PKH().unlock(this.mintKey, 'all', true).sign(tx, 0);
+    await this.fund(tx);
+
+    const txid = this.recordTx(tx, [supplyUtxo], true);
+    this.supplyOutpoint = `${txid}_1`;
+    return this.utxos.get(`${txid}_0`)!;
+  }
+
+  /**
+   * Confirm every unconfirmed transaction in a new block and move their tickets to MINED.
+   * @returns The height of the new block
+   */
+  mine(): number {
+    const height = ++this.height;
+    let idx = 0;
+    for (const [txid, record] of this.txs) {
+      if (record.height > 0) continue;
+      record.height = height;
+      record.idx = idx++;
+      // Re-score on confirmation so sync consumers paging by score see the transition
+      record.score = this.nextScore++;
+      for (const utxo of this.utxos.values()) {
+        if (utxo.txid === txid) {
+          utxo.height = height;
+          utxo.idx = record.idx;
+          utxo.score = record.score;
+        }
+      }
+      for (const ticket of this.tickets.values()) {
+        if (ticket.txid === txid && ticket.status === 'SUCCESS') this.setTicketStatus(ticket, 'MINED');
+      }
+    }
+    return height;
+  }
+
+  /**
+   * Make the next accepted transfer end in FAILED instead of SUCCESS. The transaction
+   * is rolled back when its ticket fails.
+   */
+  failNextTransfer(errors: string = 'Mock broadcast failure'): void {
+    this.pendingFailures.push(errors);
+  }
+
+  /** Unspent MNEE outputs, optionally filtered by owner */
+  listUtxos(address?: string): MNEEUtxo[] {
+    const all = Array.from(this.utxos.values()).filter((u) => u.data.bsv21.op === 'transfer');
+    return address ? all.filter((u) => u.owners.includes(address)) : all;
+  }
+
+  /** Current state of a ticket without advancing it */
+  getTicket(ticketId: string): TransferStatus | undefined {
+    const ticket = this.tickets.get(ticketId);
+    return ticket ? this.publicTicket(ticket) : undefined;
+  }
+
+  /** Raw transaction hex for a txid known to the mock */
+  getRawTx(txid: string): string | undefined {
+    return this.txs.get(txid)?.tx.toHex();
+  }
+
+  /**
+   * Atomic BEEF for a transaction known to the mock. Unconfirmed ancestors are embedded down to
+   * confirmed ones, which carry merkle proofs valid against `chainTracker`. The parents of a
+   * confirmed transaction are embedded too, so its inputs can still be verified.
+   */
+  getBeef(txid: string): string | undefined {
+    const built = new Map<string, Transaction>();
+    const build = (id: string): Transaction => {
+      const known = built.get(id);
+      if (known) return known;
+      const source = this.txs.get(id)?.tx ?? this.fundingTxs.get(id)?.tx;
+      if (!source) throw stacklessError(`Unknown mock transaction: ${id}`);
+      const tx = Transaction.fromHex(source.toHex());
+      built.set(id, tx);
+      tx.merklePath = this.merklePath(id);
+      if (!tx.merklePath) {
+        for (const input of tx.inputs) input.sourceTransaction = build(input.sourceTXID!);
+      }
+      return tx;
+    };
+
+    if (!this.txs.has(txid) && !this.fundingTxs.has(txid)) return undefined;
+    const subject = build(txid);
+    const beef = new Beef();
+    if (subject.merklePath) {
+      for (const input of subject.inputs) beef.mergeTransaction(build(input.sourceTXID!));
+    }
+    beef.mergeTransaction(subject);
+    // Written by hand because the subject is not necessarily last once BEEF sorts proven transactions first
+    const writer = new Utils.Writer();
+    writer.writeUInt32LE(ATOMIC_BEEF);
+    writer.writeReverse(Utils.toArray(txid, 'hex'));
+    writer.write(beef.toBinary());
+    return Utils.toHex(writer.toArray());
+  }
+
+  /** Merkle root of a mock block, in display (reversed) hex, or undefined for an empty block */
+  merkleRoot(height: number): string | undefined {
+    let level = this.blockTxids(height);
+    if (level.length === 0) return undefined;
+    while (level.length > 1) level = merkleParents(level);
+    return level[0];
+  }
+
+  private async handle(url: string, init?: RequestInit): Promise<Response> {
+    let parsed: URL;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return this.text(400, `Invalid URL: ${url}`);
+    }
+    if (`${parsed.protocol}//${parsed.host}` !== new URL(this.apiUrl).origin) {
+      return this.text(404, `Unknown host: ${parsed.host}`);
+    }
+    if (parsed.searchParams.get('auth_token') !== this.apiKey) {
+      return this.text(401, 'Unauthorized');
+    }
+
+    const method = (init?.method ?? 'GET').toUpperCase();
+    const path = parsed.pathname;
+    const body = typeof init?.body === 'string' ? init.body : undefined;
+
+    // Awaited so a handler that rejects answers 400 like the real API instead of failing the fetch
+    try {
+      if (method === 'GET' && path === '/v1/config') return this.json(200, this.config);
+      if (method === 'POST' && path === '/v2/utxos') return await this.handleUtxos(parsed.searchParams, body);
+      if (method === 'POST' && path === '/v2/balance') return await this.handleBalance(body);
+      if (method === 'GET' && path.startsWith('/v1/tx/')) return await this.handleTx(path.slice('/v1/tx/'.length));
+      if (method === 'POST' && path === '/v1/sync') return await this.handleSync(parsed.searchParams, body);
+      if (method === 'POST' && path === '/v2/transfer') return await this.handleTransfer(body);
+      if (method === 'GET' && path === '/v2/ticket') {
+        return await this.handleTicket(parsed.searchParams.get('ticketID'));
+      }
+    } catch (error) {
+      return this.text(400, (error as Error)?.message ?? 'Bad request');
+    }
+    return this.text(404, `Not found: ${method} ${path}`);
+  }
+
+  private handleUtxos(params: URLSearchParams, body?: string): Response {
+    const addresses = this.parseAddresses(body);
+    const page = Number(params.get('page') ?? 1);
+    const size = Number(params.get('size') ?? 10);
+    const order = params.get('order') === 'desc' ? -1 : 1;
+    const matches = this.listUtxos()
+      .filter((u) => u.owners.some((o) => addresses.includes(o)))
+      .sort((a, b) => (a.score - b.score) * order);
+    const start = (Math.max(1, page) - 1) * size;
+    return this.json(200, matches.slice(start, start + size));
+  }
+
+  private handleBalance(body?: string): Response {
+    const addresses = this.parseAddresses(body);
+    const balances = addresses
+      .map((address) => {
+        const amt = this.listUtxos(address).reduce((sum, u) => sum + u.data.bsv21.amt, 0);
+        return { address, amt, precised: amt / 10 ** this.config.decimals };
+      })
+      .filter((b) => b.amt > 0);
+    return this.json(200, balances);
+  }
+
+  private handleTx(txid: string): Response {
+    const tx = this.txs.get(txid)?.tx ?? this.fundingTxs.get(txid)?.tx;
+    if (!tx) return this.text(404, 'Transaction not found');
+    return this.json(200, { rawtx: Utils.toBase64(tx.toBinary()) });
+  }
+
+  private handleSync(params: URLSearchParams, body?: string): Response {
+    const addresses = this.parseAddresses(body);
+    const from = Number(params.get('from') ?? 0);
+    const limit = Number(params.get('limit') ?? 100);
+    const desc = params.get('order') === 'desc';
+    const syncs: MneeSync[] = Array.from(this.txs.entries())
+      .filter(([, r]) => r.senders.concat(r.receivers).some((a) => addresses.includes(a)))
+      .filter(([, r]) => (desc ? !from || r.score < from : r.score > from))
+      .sort(([, a], [, b]) => (desc ? b.score - a.score : a.score - b.score))
+      .slice(0, limit)
+      .map(([txid, r]) => ({
+        txid,
+        outs: null,
+        height: r.height,
+        idx: r.idx,
+        score: r.score,
+        rawtx: Utils.toBase64(r.tx.toBinary()),
+        senders: r.senders,
+        receivers: r.receivers,
+      }));
+    return this.json(200, syncs);
+  }
+
+  private async handleTransfer(body?: string): Promise<Response> {
+    let request: { rawtx?: string; format?: string; callback_url?: string; callback_secret?: string };
+    try {
+      request = JSON.parse(body ?? '');
+    } catch {
+      return this.text(400, 'Invalid JSON body');
+    }
+    if (!request.rawtx) return this.text(400, 'rawtx is required');
+
+    const binary = Utils.toArray(request.rawtx, 'base64');
+    const tx =
+      request.format === 'beef'
+        ? Transaction.fromBEEF(binary)
+        : request.format === 'ef'
+          ? Transaction.fromEF(binary)
+          : Transaction.fromBinary(binary);
+    const spent: MNEEUtxo[] = [];
+    let tokensIn = 0;
+    for (const input of tx.inputs) {
+      const outpoint = `${input.sourceTXID}_${input.sourceOutputIndex}`;
+      const utxo = this.utxos.get(outpoint);
+      if (spent.some((u) => u.outpoint === outpoint)) return this.text(400, `Input ${outpoint} is spent twice`);
+      if (!utxo) return this.text(400, `Input ${outpoint} is unknown or already spent`);
+      const source = this.txs.get(utxo.txid)!.tx;
+      input.sourceTransaction = source;
+      spent.push(utxo);
+      tokensIn += utxo.data.bsv21.amt;
+    }
+
+    const senders = new Set(spent.flatMap((u) => u.owners));
+    let tokensOut = 0;
+    let feePaid = 0;
+    let transferAmount = 0;
+    for (const output of tx.outputs) {
+      const insc = this.readInscription(output.lockingScript);
+      if (!insc) continue;
+      if (insc.inscription.id !== this.config.tokenId) {
+        return this.text(400, `Invalid token ID: ${insc.inscription.id}`);
+      }
+      if (insc.cosigner !== this.config.approver) return this.text(400, 'Invalid cosigner detected');
+      const amt = parseInt(insc.inscription.amt, 10);
+      if (!Number.isInteger(amt) || amt <= 0) return this.text(400, `Invalid MNEE amount: ${insc.inscription.amt}`);
+      tokensOut += amt;
+      if (insc.address === this.config.feeAddress) feePaid += amt;
+      else if (!senders.has(insc.address)) transferAmount += amt;
+    }
+    if (tokensOut === 0) return this.text(400, 'No valid MNEE inscriptions found in transaction');
+    if (tokensIn !== tokensOut) {
+      return this.text(400, `Token conservation violation: inputs ${tokensIn} != outputs ${tokensOut}`);
+    }
+    const requiredFee = this.config.fees.find((f) => transferAmount >= f.min && transferAmount <= f.max)?.fee;
+    if (requiredFee === undefined) return this.text(400, 'Fee ranges inadequate');
+    if (feePaid < requiredFee) return this.text(400, `Insufficient fee: paid ${feePaid}, required ${requiredFee}`);
+
+    // Like the real API, hold the inputs while the submission is processed so a concurrent
+    // submission spending one of them is rejected instead of both being accepted.
+    const busy = spent.find((u) => this.submitting.has(u.outpoint));
+    if (busy) return this.text(400, `outpoint ${busy.outpoint} was locked in a previous transaction attempt`);
+    spent.forEach((u) => this.submitting.add(u.outpoint));
+    try {
+      return await this.cosignAndRecord(tx, spent, request.callback_url, request.callback_secret);
+    } finally {
+      spent.forEach((u) => this.submitting.delete(u.outpoint));
+    }
+  }
+
+  private async cosignAndRecord(
+    tx: Transaction,
+    spent: MNEEUtxo[],
+    callbackUrl?: string,
+    callbackSecret?: string,
+  ): Promise<Response> {
+    // Cosign exactly the way the approver service does, then fund and verify every input.
+    for (let i = 0; i < tx.inputs.length; i++) {
+      const input = tx.inputs[i];
+      const userScript = input.unlockingScript;
+      if (!userScript || userScript.chunks.length !== 2) return this.text(400, `Input ${i} is not signed`);
+      const sourceOutput = input.sourceTransaction!.outputs[input.sourceOutputIndex];
+      const cosigner = parseCosignerScripts([sourceOutput.lockingScript])[0]?.cosigner;
+      if (cosigner !== this.config.approver) return this.text(400, `Input ${i} is not locked to the approver`);
+      input.unlockingScript = await new CosignTemplate().unlock(this.approverKey, userScript, 'all', true).sign(tx, i);
+    }
+    await this.fund(tx);
+    for (let i = 0; i < tx.inputs.length; i++) {
+      if (!this.verifyInput(tx, i)) return this.text(400, `Invalid signature for input ${i}`);
+    }
+
+    const txid = this.recordTx(tx, spent, false);
+    const now = new Date().toISOString();
+    const ticket: MockTicket = {
+      id: this.ticketId(),
+      tx_id: '',
+      tx_hex: tx.toHex(),
+      action_requested: 'transfer',
+      status: 'BROADCASTING',
+      createdAt: now,
+      updatedAt: now,
+      errors: null,
+      callback_url: callbackUrl,
+      callback_secret: callbackSecret,
+      txid,
+    };
+    this.tickets.set(ticket.id, ticket);
+    return this.text(200, ticket.id);
+  }
+
+  private handleTicket(ticketId: string | null): Response {
+    const ticket = ticketId ? this.tickets.get(ticketId) : undefined;
+    if (!ticket) return this.text(404, 'Ticket not found');
+    const snapshot = this.publicTicket(ticket);
+    // Each poll advances a broadcasting ticket one step, so callers observe BROADCASTING first.
+    if (ticket.status === 'BROADCASTING') {
+      const failure = this.pendingFailures.shift();
+      if (failure !== undefined) {
+        this.rollback(ticket.txid);
+        ticket.errors = failure;
+        this.setTicketStatus(ticket, 'FAILED');
+      } else {
+        ticket.tx_id = ticket.txid;
+        this.setTicketStatus(ticket, 'SUCCESS');
+      }
+    }
+    return this.json(200, snapshot);
+  }
+
+  private setTicketStatus(ticket: MockTicket, status: TransferStatus['status']): void {
+    ticket.status = status;
+    ticket.updatedAt = new Date().toISOString();
+    if (ticket.callback_url && this.onWebhook) {
+      try {
+        const payload = { ...this.publicTicket(ticket), callback_url: ticket.callback_url };
+        const body = JSON.stringify(payload);
+        const headers: Record<string, string> = { 'content-type': 'application/json' };
+        if (ticket.callback_secret) {
+          headers[WEBHOOK_SIGNATURE_HEADER] = computeWebhookSignature(body, ticket.callback_secret);
+        }
+        this.onWebhook(ticket.callback_url, payload, { body, headers });
+      } catch {
+        // Webhook receivers must not break the mock's state machine
+      }
+    }
+  }
+
+  private publicTicket(ticket: MockTicket): TransferStatus {
+    const { callback_url: _callbackUrl, callback_secret: _callbackSecret, txid: _txid, ...status } = ticket;
+    return status;
+  }
+
+  private rollback(txid: string): void {
+    const record = this.txs.get(txid);
+    if (!record) return;
+    for (const [outpoint, utxo] of this.utxos) {
+      if (utxo.txid === txid) this.utxos.delete(outpoint);
+    }
+    for (const input of record.tx.inputs) {
+      const source = this.txs.get(input.sourceTXID!);
+      if (!source) continue;
+      const utxo = this.toUtxo(input.sourceTXID!, input.sourceOutputIndex, source);
+      if (utxo) this.utxos.set(utxo.outpoint, utxo);
+    }
+    this.txs.delete(txid);
+  }
+
+  /** Record a transaction, spend its MNEE inputs and index its MNEE outputs. */
+  private recordTx(tx: Transaction, spent: MNEEUtxo[], confirmed: boolean): string {
+    const txid = tx.id('hex');
+    for (const utxo of spent) this.utxos.delete(utxo.outpoint);
+
+    const record: MockTx = {
+      tx,
+      height: confirmed ? this.height : 0,
+      idx: 0,
+      score: this.nextScore++,
+      senders: Array.from(new Set(spent.flatMap((u) => u.owners))),
+      receivers: [],
+    };
+    this.txs.set(txid, record);
+
+    const receivers = new Set<string>();
+    tx.outputs.forEach((_, vout) => {
+      const utxo = this.toUtxo(txid, vout, record);
+      if (!utxo) return;
+      this.utxos.set(utxo.outpoint, utxo);
+      utxo.owners.forEach((o) => receivers.add(o));
+    });
+    record.receivers = Array.from(receivers);
+    return txid;
+  }
+
+  private toUtxo(txid: string, vout: number, record: MockTx): MNEEUtxo | undefined {
+    const output = record.tx.outputs[vout];
+    const insc = this.readInscription(output.lockingScript);
+    if (!insc) return undefined;
+    return {
+      data: {
+        bsv21: {
+          amt: parseInt(insc.inscription.amt, 10),
+          dec: this.config.decimals,
+          icon: '',
+          id: insc.inscription.id ?? `${txid}_${vout}`,
+          op: insc.inscription.op,
+          sym: 'MNEE',
+        },
+        cosign: { address: insc.address, cosigner: insc.cosigner },
+      },
+      height: record.height,
+      idx: record.idx,
+      outpoint: `${txid}_${vout}`,
+      owners: [insc.address],
+      satoshis: output.satoshis ?? 1,
+      score: record.score,
+      script: Utils.toBase64(output.lockingScript.toBinary()),
+      txid,
+      vout,
+    };
+  }
+
+  private readInscription(
+    script: Script,
+  ): { inscription: MneeInscription; address: string; cosigner: string } | undefined {
+    const content = parseInscription(script)?.file?.content;
+    const parsed = parseCosignerScripts([script])[0];
+    if (!content || !parsed) return undefined;
+    try {
+      const inscription = JSON.parse(Utils.toUTF8(content)) as MneeInscription;
+      if (inscription.p !== 'bsv-20') return undefined;
+      return { inscription, address: parsed.address, cosigner: parsed.cosigner };
+    } catch {
+      return undefined;
+    }
+  }
+
+  private transferScript(address: string, atomicAmount: number) {
+    return this.inscribe(new CosignTemplate().lock(address, PublicKey.fromString(this.config.approver)), {
+      p: 'bsv-20',
+      op: 'transfer',
+      id: this.config.tokenId,
+      amt: atomicAmount.toString(),
+    });
+  }
+
+  private inscribe(lockingScript: LockingScript, inscription: Record<string, string>) {
+    return applyInscription(lockingScript, {
+      dataB64: Utils.toBase64(Utils.toArray(JSON.stringify(inscription), 'utf8')),
+      contentType: 'application/bsv-20',
+    });
+  }
+
+  /**
+   * Append a signed funding input covering the satoshi outputs, like the approver
+   * service does. MNEE inputs are signed ANYONECANPAY, so adding one keeps them valid.
+   */
+  private async fund(tx: Transaction): Promise<void> {
+    const satsIn = tx.inputs.reduce(
+      (sum, input) => sum + (input.sourceTransaction?.outputs[input.sourceOutputIndex]?.satoshis ?? 0),
+      0,
+    );
+    const satsOut = tx.outputs.reduce((sum, output) => sum + (output.satoshis ?? 0), 0);
+    const fundingTx = new Transaction(1, [], [], this.fundingTxs.size);
+    fundingTx.addOutput({
+      satoshis: Math.max(0, satsOut - satsIn) + 1,
+      lockingScript: new P2PKH().lock(this.fundingKey.toAddress()),
+    });
+    this.fundingTxs.set(fundingTx.id('hex'), { tx: fundingTx, height: this.height });
+    tx.addInput({
+      sourceTXID: fundingTx.id('hex'),
+      sourceOutputIndex: 0,
+      sourceTransaction: fundingTx,
+      unlockingScript: new UnlockingScript(),
+    });
+    const index = tx.inputs.length - 1;
+    tx.inputs[index].unlockingScript = await new P2PKH().unlock(this.fundingKey, 'all', true).sign(tx, index);
+  }
+
+  /** Txids confirmed at `height`, after a stand-in coinbase so no MNEE transaction sits at offset 0 */
+  private blockTxids(height: number): string[] {
+    const txids = [
+      ...Array.from(this.txs.entries()).filter(([, r]) => r.height === height),
+      ...Array.from(this.fundingTxs.entries()).filter(([, f]) => f.height === height),
+    ].map(([txid]) => txid);
+    if (txids.length === 0) return [];
+    const coinbase = Utils.toHex(Hash.sha256(Utils.toArray(`mock coinbase ${height}`, 'utf8')));
+    return [coinbase, ...txids];
+  }
+
+  private merklePath(txid: string): MerklePath | undefined {
+    const height = this.txs.get(txid)?.height ?? this.fundingTxs.get(txid)?.height ?? 0;
+    if (height === 0) return undefined;
+    let level = this.blockTxids(height);
+    let offset = level.indexOf(txid);
+    const path: MerklePath['path'] = [];
+    for (let h = 0; level.length > 1; h++) {
+      const sibling = offset ^ 1;
+      const leaves: MerklePath['path'][number] = h === 0 ? [{ offset, hash: txid, txid: true }] : [];
+      // The last node of an odd level is paired with itself
+      leaves.push(
+        sibling < level.length ? { offset: sibling, hash: level[sibling] } : { offset: sibling, duplicate: true },
+      );
+      path.push(leaves.sort((a, b) => a.offset - b.offset));
+      level = merkleParents(level);
+      offset >>= 1;
+    }
+    return new MerklePath(height, path);
+  }
+
+  private verifyInput(tx: Transaction, inputIndex: number): boolean {
+    const input = tx.inputs[inputIndex];
+    const sourceOutput = input.sourceTransaction!.outputs[input.sourceOutputIndex];
+    try {
+      return new Spend({
+        sourceTXID: input.sourceTXID!,
+        sourceOutputIndex: input.sourceOutputIndex,
+        sourceSatoshis: sourceOutput.satoshis ?? 0,
+        lockingScript: sourceOutput.lockingScript,
+        transactionVersion: tx.version,
+        otherInputs: tx.inputs.filter((_, i) => i !== inputIndex),
+        outputs: tx.outputs,
+        inputIndex,
+        unlockingScript: input.unlockingScript!,
+        inputSequence: input.sequence ?? 0xffffffff,
+        lockTime: tx.lockTime,
+      }).validate();
+    } catch {
+      return false;
+    }
+  }
+
+  private parseAddresses(body?: string): string[] {
+    const addresses = JSON.parse(body ?? '[]');
+    if (!Array.isArray(addresses)) throw stacklessError('Body must be an array of addresses');
+    return addresses.filter((a): a is string => typeof a === 'string');
+  }
+
+  private ticketId(): string {
+    const n = (this.nextTicket++).toString(16).padStart(12, '0');
+    return `00000000-0000-4000-8000-${n}`;
+  }
+
+  private json(status: number, data: unknown): Response {
+    return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+  }
+
+  private text(status: number, body: string): Response {
+    return new Response(body, { status, headers: { 'Content-Type': 'text/plain' } });
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Outpoint lock stores
+ * Track UTXOs spent by recent transfers so concurrent senders do not select them again
+ * while the MNEE API still holds them (~30 seconds after submission).
+ */
+
+import { OutpointLockStore } from './mnee.types.js';
+import { UtxoLockedError, ValidationError } from './errors.js';
+
+type LockMap = Record<string, number>; // outpoint -> expiry (ms since epoch)
+
+const dropExpired = (locks: LockMap, now: number): LockMap => {
+  for (const [outpoint, expiresAt] of Object.entries(locks)) {
+    if (expiresAt <= now) delete locks[outpoint];
+  }
+  return locks;
+};
+
+/**
+ * Default store: a Map scoped to one SDK instance. Does not coordinate across processes.
+ */
+export class MemoryOutpointLockStore implements OutpointLockStore {
+  private readonly locks = new Map<string, number>();
+
+  async getLocked(outpoints: string[]): Promise<string[]> {
+    this.evictExpired();
+    return outpoints.filter((outpoint) => this.locks.has(outpoint));
+  }
+
+  async acquire(outpoints: string[], ttlMs: number): Promise<string[]> {
+    const conflicts = await this.getLocked(outpoints);
+    if (conflicts.length === 0) this.set(outpoints, ttlMs);
+    return conflicts;
+  }
+
+  async lock(outpoints: string[], ttlMs: number): Promise<void> {
+    this.set(outpoints, ttlMs);
+  }
+
+  private set(outpoints: string[], ttlMs: number): void {
+    const expiresAt = Date.now() + ttlMs;
+    for (const outpoint of outpoints) {
+      this.locks.set(outpoint, Math.max(this.locks.get(outpoint) ?? 0, expiresAt));
+    }
+  }
+
+  private evictExpired(): void {
+    const now = Date.now();
+    for (const [outpoint, expiresAt] of this.locks) {
+      if (expiresAt <= now) this.locks.delete(outpoint);
+    }
+  }
+}
+
+export interface FileOutpointLockStoreOptions {
+  /** Give up acquiring the file mutex after this many milliseconds (default: 5000) */
+  timeoutMs?: number;
+  /** Treat a mutex file older than this as left behind by a crashed process (default: 10000) */
+  staleMs?: number;
+}
+
+/**
+ * Node.js store backed by a JSON file, for worker processes on the same machine or a
+ * shared volume. Reads and writes are serialized with an exclusive `<path>.lock` file.
+ *
+ * @example
+ * const store = new FileOutpointLockStore('/var/run/mnee/outpoints.json');
+ * const mnee = new Mnee({ environment: 'production', apiKey, outpointLockStore: store });
+ */
+export class FileOutpointLockStore implements OutpointLockStore {
+  private static readonly RETRY_MS = 20;
+  private readonly timeoutMs: number;
+  private readonly staleMs: number;
+
+  constructor(
+    readonly path: string,
+    options: FileOutpointLockStoreOptions = {},
+  ) {
+    if (!path) throw new ValidationError('FileOutpointLockStore requires a file path');
+    this.timeoutMs = options.timeoutMs ?? 5000;
+    this.staleMs = options.staleMs ?? 10000;
+  }
+
+  async getLocked(outpoints: string[]): Promise<string[]> {
+    return this.update((locks) => outpoints.filter((outpoint) => outpoint in locks), false);
+  }
+
+  async acquire(outpoints: string[], ttlMs: number): Promise<string[]> {
+    return this.update((locks) => {
+      const conflicts = outpoints.filter((outpoint) => outpoint in locks);
+      if (conflicts.length === 0) this.set(locks, outpoints, ttlMs);
+      return conflicts;
+    }, true);
+  }
+
+  async lock(outpoints: string[], ttlMs: number): Promise<void> {
+    await this.update((locks) => this.set(locks, outpoints, ttlMs), true);
+  }
+
+  private set(locks: LockMap, outpoints: string[], ttlMs: number): void {
+    const expiresAt = Date.now() + ttlMs;
+    for (const outpoint of outpoints) locks[outpoint] = Math.max(locks[outpoint] ?? 0, expiresAt);
+  }
+
+  /** Run `fn` on the current (unexpired) locks while holding the file mutex, then persist them */
+  private async update<T>(fn: (locks: LockMap) => T, write: boolean): Promise<T> {
+    // Imported lazily so browser bundles that never use this store do not need `fs`
+    const fs = await import('fs/promises');
+    const mutex = `${this.path}.lock`;
+    const deadline = Date.now() + this.timeoutMs;
+
+    for (;;) {
+      try {
+        await (await fs.open(mutex, 'wx')).close();
+        break;
+      } catch (error) {
+        if ((error as { code?: string }).code !== 'EEXIST') throw error;
+        const stat = await fs.stat(mutex).catch(() => undefined);
+        if (stat && Date.now() - stat.mtimeMs > this.staleMs) {
+          await fs.rm(mutex, { force: true });
+          continue;
+        }
+        // Another process is updating the locks, usually for a concurrent transfer; retrying shortly helps
+        if (Date.now() > deadline) throw new UtxoLockedError(`Timed out waiting for outpoint lock file ${mutex}`);
+        await new Promise((r) => setTimeout(r, FileOutpointLockStore.RETRY_MS));
+      }
+    }
+
+    try {
+      let locks: LockMap = {};
+      try {
+        locks = JSON.parse(await fs.readFile(this.path, 'utf8'));
+      } catch (error) {
+        // A missing file means no locks; a corrupt one is rebuilt from scratch
+        if ((error as { code?: string }).code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+      }
+      const result = fn(dropExpired(locks, Date.now()));
+      if (write) {
+        // Write then rename so readers never see a partially written file
+        const temp = `${this.path}.${process.pid}.tmp`;
+        await fs.writeFile(temp, JSON.stringify(locks));
+        await fs.rename(temp, this.path);
+      }
+      return result;
+    } finally {
+      await fs.rm(mutex, { force: true });
+    }
+  }
+}
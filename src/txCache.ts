@@ -0,0 +1,161 @@
+/**
+ * Source transaction caches
+ * Persist transactions fetched from `/v1/tx/:txid` so parsing and transfer building
+ * do not refetch every parent transaction after a restart.
+ */
+
+import { TxCache } from './mnee.types.js';
+import { ValidationError } from './errors.js';
+
+const TXID_PATTERN = /^[0-9a-f]{64}$/;
+
+export interface MemoryTxCacheOptions {
+  /** Maximum number of transactions kept; the least recently used is evicted first (default: 5000) */
+  maxEntries?: number;
+}
+
+/**
+ * Default cache: an in-memory LRU scoped to one SDK instance.
+ */
+export class MemoryTxCache implements TxCache {
+  private readonly entries = new Map<string, string>();
+  private readonly maxEntries: number;
+
+  constructor(options: MemoryTxCacheOptions = {}) {
+    const { maxEntries = 5000 } = options;
+    if (!Number.isInteger(maxEntries) || maxEntries <= 0) throw new ValidationError('maxEntries must be a positive integer');
+    this.maxEntries = maxEntries;
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+
+  get(txid: string): string | undefined {
+    const rawtx = this.entries.get(txid);
+    if (rawtx === undefined) return undefined;
+    // Re-insert so iteration order tracks recency
+    this.entries.delete(txid);
+    this.entries.set(txid, rawtx);
+    return rawtx;
+  }
+
+  set(txid: string, rawtx: string): void {
+    this.entries.delete(txid);
+    this.entries.set(txid, rawtx);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value as string);
+    }
+  }
+
+  delete(txid: string): void {
+    this.entries.delete(txid);
+  }
+}
+
+/**
+ * Node.js cache storing one `<txid>.hex` file per transaction in a directory.
+ * Transactions are immutable, so entries never expire.
+ *
+ * @example
+ * const mnee = new Mnee({ environment: 'production', apiKey, txCache: new FileTxCache('./.mnee-tx-cache') });
+ */
+export class FileTxCache implements TxCache {
+  private ready?: Promise<void>;
+
+  constructor(readonly directory: string) {
+    if (!directory) throw new ValidationError('FileTxCache requires a directory');
+  }
+
+  async get(txid: string): Promise<string | undefined> {
+    // Imported lazily so browser bundles that never use this cache do not need `fs`
+    const fs = await import('fs/promises');
+    try {
+      return await fs.readFile(this.pathFor(txid), 'utf8');
+    } catch (error) {
+      if ((error as { code?: string }).code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+
+  async set(txid: string, rawtx: string): Promise<void> {
+    const fs = await import('fs/promises');
+    this.ready ??= fs.mkdir(this.directory, { recursive: true }).then(() => undefined);
+    await this.ready;
+    const path = this.pathFor(txid);
+    // Write then rename so a concurrent reader never sees a partial file
+    const temp = `${path}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(temp, rawtx);
+    await fs.rename(temp, path);
+  }
+
+  async delete(txid: string): Promise<void> {
+    const fs = await import('fs/promises');
+    await fs.rm(this.pathFor(txid), { force: true });
+  }
+
+  private pathFor(txid: string): string {
+    // The txid becomes a file name, so anything but 64 hex characters is rejected
+    if (!TXID_PATTERN.test(txid)) throw new ValidationError(`Invalid txid: ${txid}`);
+    return `${this.directory.replace(/[\\/]+$/, '')}/${txid}.hex`;
+  }
+}
+
+export interface IndexedDBTxCacheOptions {
+  /** Database name (default: 'mnee-tx-cache') */
+  databaseName?: string;
+  /** Object store name (default: 'transactions') */
+  storeName?: string;
+}
+
+/**
+ * Browser cache backed by IndexedDB, so transactions survive page reloads.
+ *
+ * @example
+ * const mnee = new Mnee({ environment: 'production', apiKey, txCache: new IndexedDBTxCache() });
+ */
+export class IndexedDBTxCache implements TxCache {
+  private readonly databaseName: string;
+  private readonly storeName: string;
+  private db?: Promise<IDBDatabase>;
+
+  constructor(options: IndexedDBTxCacheOptions = {}) {
+    if (typeof indexedDB === 'undefined') throw new ValidationError('IndexedDB is not available in this environment');
+    this.databaseName = options.databaseName ?? 'mnee-tx-cache';
+    this.storeName = options.storeName ?? 'transactions';
+  }
+
+  async get(txid: string): Promise<string | undefined> {
+    const result = await this.request('readonly', (store) => store.get(txid));
+    return typeof result === 'string' ? result : undefined;
+  }
+
+  async set(txid: string, rawtx: string): Promise<void> {
+    await this.request('readwrite', (store) => store.put(rawtx, txid));
+  }
+
+  async delete(txid: string): Promise<void> {
+    await this.request('readwrite', (store) => store.delete(txid));
+  }
+
+  private open(): Promise<IDBDatabase> {
+    this.db ??= new Promise((resolve, reject) => {
+      const open = indexedDB.open(this.databaseName, 1);
+      open.onupgradeneeded = () => open.result.createObjectStore(this.storeName);
+      open.onsuccess = () => resolve(open.result);
+      open.onerror = () => reject(open.error);
+    });
+    // Let a later call retry if opening failed
+    this.db.catch(() => (this.db = undefined));
+    return this.db;
+  }
+
+  private async request(mode: IDBTransactionMode, fn: (store: IDBObjectStore) => IDBRequest): Promise<unknown> {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const req = fn(db.transaction(this.storeName, mode).objectStore(this.storeName));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+}
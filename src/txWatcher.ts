@@ -0,0 +1,59 @@
+import { MNEEService } from './mneeService.js';
+import { TransferStatus, WaitForTxOptions } from './mnee.types.js';
+import { Emitter } from './utils/emitter.js';
+
+export type TxWatcherEvents = {
+  /** Emitted with the first snapshot and every time the ticket status changes */
+  status: TransferStatus;
+  /** Emitted once the ticket reaches the requested state */
+  done: TransferStatus;
+  /**
+   * Emitted when the ticket fails (`TransferFailedError`), the wait times out (`AbortedError` with
+   * `timedOut`) or a status request fails
+   */
+  error: Error;
+};
+
+/**
+ * Event-emitter form of `waitForTx`. Polling starts immediately and ends after
+ * `done` or `error` is emitted, or when `stop()` is called.
+ */
+export class TxWatcher extends Emitter<TxWatcherEvents> {
+  private readonly controller = new AbortController();
+  private stopped = false;
+
+  constructor(
+    service: MNEEService,
+    readonly ticketId: string,
+    options: WaitForTxOptions = {},
+  ) {
+    super();
+    const { signal, onStatus, ...rest } = options;
+    if (signal?.aborted) this.controller.abort();
+    signal?.addEventListener('abort', () => this.controller.abort(), { once: true });
+
+    service
+      .waitForTx(ticketId, {
+        ...rest,
+        signal: this.controller.signal,
+        onStatus: (status) => {
+          onStatus?.(status);
+          this.emit('status', status);
+        },
+      })
+      .then(
+        (status) => {
+          if (!this.stopped) this.emit('done', status);
+        },
+        (error) => {
+          if (!this.stopped) this.emit('error', error instanceof Error ? error : new Error(String(error)));
+        },
+      );
+  }
+
+  /** Stop polling. No further events are emitted. */
+  stop(): void {
+    this.stopped = true;
+    this.controller.abort();
+  }
+}
@@ -0,0 +1,58 @@
+import { AbortedError, MneeError, ValidationError } from '../errors.js';
+import { RequestOptions } from '../mnee.types.js';
+
+/**
+ * One signal for a call's `signal` and `timeoutMs`, or undefined when neither is set.
+ * The timeout does not keep a Node.js process alive.
+ */
+export const requestSignal = (options: RequestOptions = {}): AbortSignal | undefined => {
+  const { signal, timeoutMs } = options;
+  if (timeoutMs === undefined) return signal;
+  if (typeof timeoutMs !== 'number' || !Number.isFinite(timeoutMs) || timeoutMs <= 0) {
+    throw new ValidationError('timeoutMs must be a positive number');
+  }
+  const timeout = AbortSignal.timeout(timeoutMs);
+  return signal ? AbortSignal.any([signal, timeout]) : timeout;
+};
+
+/** The error an aborted call rejects with; an MneeError given as the abort reason is kept */
+export const abortError = (signal: AbortSignal): MneeError => {
+  const reason = signal.reason;
+  if (reason instanceof MneeError) return reason;
+  if ((reason as { name?: string } | undefined)?.name === 'TimeoutError') {
+    return new AbortedError('Request timed out', true);
+  }
+  return new AbortedError('Request aborted');
+};
+
+export const throwIfAborted = (signal?: AbortSignal): void => {
+  if (signal?.aborted) throw abortError(signal);
+};
+
+/** setTimeout as a promise that resolves early when the signal aborts */
+export const sleep = (ms: number, signal?: AbortSignal): Promise<void> =>
+  new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+/**
+ * Settle with `promise`, or reject as soon as `signal` aborts. Used where the work itself
+ * cannot be cancelled (a shared in-flight fetch, a transport that ignores the signal).
+ */
+export const abortable = <T>(promise: Promise<T>, signal?: AbortSignal): Promise<T> => {
+  if (!signal) return promise;
+  return new Promise<T>((resolve, reject) => {
+    const onAbort = () => reject(abortError(signal));
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  });
+};
@@ -0,0 +1,65 @@
+import { MNEE_DECIMALS } from '../constants';
+import { MneeAmount } from '../mnee.types';
+import { ValidationError } from '../errors';
+
+const DECIMAL_PATTERN = /^(\d+)(?:\.(\d+))?$/;
+const ATOMIC_SCALE = 10n ** BigInt(MNEE_DECIMALS);
+
+const toSafeNumber = (atomic: bigint, amount: MneeAmount): number => {
+  if (atomic > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new ValidationError(`Invalid amount ${String(amount)}: exceeds the maximum supported amount`);
+  }
+  return Number(atomic);
+};
+
+/**
+ * Parses a decimal MNEE string (e.g. "12.34") into atomic units without floating-point math.
+ * Throws when the string is not a plain non-negative decimal or has more than 5 decimal places.
+ */
+export const parseDecimalAmount = (amount: string): bigint => {
+  const match = DECIMAL_PATTERN.exec(amount.trim());
+  if (!match) throw new ValidationError(`Invalid amount "${amount}": must be a non-negative decimal string`);
+  const [, whole, fraction = ''] = match;
+  if (fraction.length > MNEE_DECIMALS) {
+    throw new ValidationError(`Invalid amount "${amount}": MNEE supports at most ${MNEE_DECIMALS} decimal places`);
+  }
+  return BigInt(whole) * ATOMIC_SCALE + BigInt(fraction.padEnd(MNEE_DECIMALS, '0'));
+};
+
+/**
+ * Converts an amount to atomic units.
+ *
+ * - `bigint` values are already atomic units.
+ * - `string` values are decimal MNEE amounts and are parsed exactly.
+ * - `number` values are decimal MNEE amounts. By default they are rounded like
+ *   `toAtomicAmount` always has; with `exact` they must have at most 5 decimal places.
+ */
+export const toAtomicUnits = (amount: MneeAmount, exact = false): number => {
+  if (typeof amount === 'bigint') {
+    if (amount < 0n) throw new ValidationError(`Invalid amount ${amount}: must not be negative`);
+    return toSafeNumber(amount, amount);
+  }
+  if (typeof amount === 'string') return toSafeNumber(parseDecimalAmount(amount), amount);
+  if (!exact) return Math.round(amount * 10 ** MNEE_DECIMALS);
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+    throw new ValidationError(`Invalid amount ${amount}: must be a finite non-negative number`);
+  }
+  // String(number) is the shortest round-trip representation, so 0.1 + 0.2 is rejected
+  // instead of being silently rounded to 0.3.
+  return toSafeNumber(parseDecimalAmount(String(amount)), amount);
+};
+
+/**
+ * Formats atomic units as an exact decimal MNEE string without trailing zeros (e.g. 150000 → "1.5").
+ */
+export const formatAtomicAmount = (atomic: number | bigint): string => {
+  if (typeof atomic === 'number' && !Number.isSafeInteger(atomic)) {
+    throw new ValidationError(`Invalid atomic amount ${atomic}: must be a safe integer`);
+  }
+  const value = BigInt(atomic);
+  const sign = value < 0n ? '-' : '';
+  const abs = value < 0n ? -value : value;
+  const whole = abs / ATOMIC_SCALE;
+  const fraction = (abs % ATOMIC_SCALE).toString().padStart(MNEE_DECIMALS, '0').replace(/0+$/, '');
+  return `${sign}${whole}${fraction ? `.${fraction}` : ''}`;
+};
@@ -0,0 +1,115 @@
+import { CoinSelectionStrategy, MNEEUtxo } from '../mnee.types';
+import { ValidationError } from '../errors';
+
+// Upper bound on branch-and-bound search steps before falling back to largest-first
+const BNB_MAX_TRIES = 100000;
+
+const amountOf = (utxo: MNEEUtxo) => utxo.data.bsv21.amt;
+
+const accumulate = (sorted: MNEEUtxo[], targetAmount: number): MNEEUtxo[] => {
+  const selected: MNEEUtxo[] = [];
+  let total = 0;
+  for (const utxo of sorted) {
+    if (total >= targetAmount) break;
+    selected.push(utxo);
+    total += amountOf(utxo);
+  }
+  return selected;
+};
+
+const largestFirst = (utxos: MNEEUtxo[], targetAmount: number) =>
+  accumulate([...utxos].sort((a, b) => amountOf(b) - amountOf(a)), targetAmount);
+
+const smallestFirst = (utxos: MNEEUtxo[], targetAmount: number) =>
+  accumulate([...utxos].sort((a, b) => amountOf(a) - amountOf(b)), targetAmount);
+
+// Confirmed outputs by block position first, unconfirmed (height 0) last, ties broken by score
+const oldestFirst = (utxos: MNEEUtxo[], targetAmount: number) =>
+  accumulate(
+    [...utxos].sort((a, b) => {
+      const heightA = a.height > 0 ? a.height : Number.MAX_SAFE_INTEGER;
+      const heightB = b.height > 0 ? b.height : Number.MAX_SAFE_INTEGER;
+      return heightA - heightB || a.idx - b.idx || a.score - b.score;
+    }),
+    targetAmount,
+  );
+
+/**
+ * Depth-first search for a subset that sums exactly to the target, so no change
+ * output is needed. Prefers fewer inputs by exploring the largest UTXOs first.
+ * Falls back to largest-first when no exact match is found within the search budget.
+ */
+const branchAndBound = (utxos: MNEEUtxo[], targetAmount: number): MNEEUtxo[] => {
+  const sorted = [...utxos].sort((a, b) => amountOf(b) - amountOf(a));
+  const remaining: number[] = new Array(sorted.length + 1).fill(0);
+  for (let i = sorted.length - 1; i >= 0; i--) remaining[i] = remaining[i + 1] + amountOf(sorted[i]);
+
+  let tries = 0;
+  let best: number[] | undefined;
+  const path: number[] = [];
+
+  // Depth-first with an explicit stack: one frame per UTXO on the path would overflow the
+  // call stack on wallets with thousands of small UTXOs. `depth` is the path length the frame
+  // extends; the include branch is pushed last so it is explored first.
+  const stack = [{ index: 0, total: 0, depth: 0 }];
+  while (stack.length > 0) {
+    const { index, total, depth } = stack.pop()!;
+    path.length = depth;
+    if (best && depth >= best.length) continue;
+    if (total === targetAmount) {
+      best = [...path];
+      continue;
+    }
+    if (index >= sorted.length || total > targetAmount || total + remaining[index] < targetAmount) continue;
+    if (++tries > BNB_MAX_TRIES) break;
+
+    stack.push({ index: index + 1, total, depth });
+    path[depth] = index;
+    stack.push({ index: index + 1, total: total + amountOf(sorted[index]), depth: depth + 1 });
+  }
+
+  return best ? best.map((i) => sorted[i]) : largestFirst(utxos, targetAmount);
+};
+
+/**
+ * Picks UTXOs covering `targetAmount` (atomic units, fee included) using the given strategy.
+ * Returns an empty array when the candidates cannot cover the target.
+ */
+export const selectCoins = (
+  utxos: MNEEUtxo[],
+  targetAmount: number,
+  strategy: CoinSelectionStrategy = 'largest-first',
+): MNEEUtxo[] => {
+  const available = utxos.reduce((sum, utxo) => sum + amountOf(utxo), 0);
+  if (available < targetAmount) return [];
+
+  if (typeof strategy === 'function') {
+    const selected = strategy([...utxos], targetAmount);
+    if (!Array.isArray(selected)) throw new ValidationError('Coin selection callback must return an array of UTXOs');
+    const candidates = new Set(utxos.map((u) => u.outpoint));
+    const seen = new Set<string>();
+    for (const utxo of selected) {
+      if (!candidates.has(utxo?.outpoint) || seen.has(utxo.outpoint)) {
+        throw new ValidationError('Coin selection callback returned a UTXO that is not an available candidate');
+      }
+      seen.add(utxo.outpoint);
+    }
+    if (selected.reduce((sum, utxo) => sum + amountOf(utxo), 0) < targetAmount) {
+      throw new ValidationError('Coin selection callback returned UTXOs that do not cover the required amount');
+    }
+    return selected;
+  }
+
+  switch (strategy) {
+    case 'largest-first':
+      return largestFirst(utxos, targetAmount);
+    case 'smallest-first':
+      return smallestFirst(utxos, targetAmount);
+    case 'branch-and-bound':
+      return branchAndBound(utxos, targetAmount);
+    case 'oldest-first':
+      return oldestFirst(utxos, targetAmount);
+    default:
+      throw new ValidationError(`Invalid coin selection strategy: ${String(strategy)}`);
+  }
+};
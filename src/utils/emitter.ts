@@ -0,0 +1,32 @@
+type Listener<T> = (payload: T) => void;
+
+/**
+ * Minimal typed event emitter. Avoids a dependency on Node's `events` module so
+ * emitter-based APIs work the same way in browsers.
+ */
+export class Emitter<Events extends Record<string, unknown>> {
+  private readonly listeners: { [K in keyof Events]?: Set<Listener<Events[K]>> } = {};
+
+  on<K extends keyof Events>(event: K, listener: Listener<Events[K]>): this {
+    (this.listeners[event] ??= new Set()).add(listener);
+    return this;
+  }
+
+  once<K extends keyof Events>(event: K, listener: Listener<Events[K]>): this {
+    const wrapper: Listener<Events[K]> = (payload) => {
+      this.off(event, wrapper);
+      listener(payload);
+    };
+    return this.on(event, wrapper);
+  }
+
+  off<K extends keyof Events>(event: K, listener: Listener<Events[K]>): this {
+    this.listeners[event]?.delete(listener);
+    return this;
+  }
+
+  protected emit<K extends keyof Events>(event: K, payload: Events[K]): void {
+    // Copy so listeners that unsubscribe while being called do not skip their neighbours
+    for (const listener of [...(this.listeners[event] ?? [])]) listener(payload);
+  }
+}
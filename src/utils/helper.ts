@@ -2,17 +2,24 @@ import { Hash, OP, Script, Transaction, Utils, PrivateKey } from '@bsv/sdk';
 import {
   Inscription,
   MNEEConfig,
+  MneeAmount,
   MneeInscription,
   MneeSync,
+  OpReturnData,
   ParsedCosigner,
   SendMNEE,
+  TransactionFormat,
   TransferMultiOptions,
+  Counterparty,
+  TxAddressAmount,
   TxHistory,
+  TxOperation,
   TxStatus,
   TxType,
 } from '../mnee.types';
 import { stacklessError } from './stacklessError';
 import { MIN_TRANSFER_AMOUNT } from '../constants';
+import { toAtomicUnits } from './amount';
 
 export const parseInscription = (script: Script) => {
   let fromPos: number | undefined;
@@ -154,8 +161,89 @@ export const looksLikeMneeUnlock = (script: Script | undefined): boolean => {
   return !!last?.data && (last.data.length === 33 || last.data.length === 65);
 };
 
-export const parseSyncToTxHistory = (sync: MneeSync, address: string, config: MNEEConfig): TxHistory | null => {
-  const txType: TxType = sync.senders.includes(address) ? 'send' : 'receive';
+/**
+ * Split `total` across `weights` in proportion, rounding so the parts add up to `total` exactly
+ * (largest remainders get the leftover units).
+ */
+const splitProportionally = (total: number, weights: Map<string, number>): Counterparty[] => {
+  const weightSum = Array.from(weights.values()).reduce((sum, weight) => sum + weight, 0);
+  if (weightSum <= 0) return [];
+  const parts = Array.from(weights, ([address, weight]) => {
+    const exact = (total * weight) / weightSum;
+    return { address, amount: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+  let leftover = total - parts.reduce((sum, part) => sum + part.amount, 0);
+  for (const part of [...parts].sort((a, b) => b.remainder - a.remainder)) {
+    if (leftover <= 0) break;
+    part.amount++;
+    leftover--;
+  }
+  return parts.map(({ address, amount }) => ({ address, amount })).filter((cp) => cp.amount > 0);
+};
+
+/**
+ * A push as `OpReturnData`: 'utf8' when the bytes are valid UTF-8 text with no control characters other than
+ * tab and line breaks, 'hex' otherwise. Either way `addExtraDataOutput` would write the same bytes back.
+ */
+const decodeOpReturnPush = (bytes: number[]): OpReturnData => {
+  const text = Utils.toUTF8(bytes);
+  const isText =
+    Utils.toHex(Utils.toArray(text, 'utf8')) === Utils.toHex(bytes) && !/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/.test(text);
+  return isText ? { type: 'utf8', data: text } : { type: 'hex', data: Utils.toHex(bytes) };
+};
+
+/**
+ * Data pushes of the transaction's OP_RETURN outputs (`OP_RETURN ...` or `OP_0 OP_RETURN ...`, as written by
+ * `TransferOptions.extraData`), in output order. Inscription scripts only carry OP_RETURN after their
+ * locking script, so they are not read as data.
+ */
+export const parseExtraData = (tx: Transaction): OpReturnData[] =>
+  tx.outputs.flatMap((output) => {
+    const chunks = output.lockingScript.chunks;
+    const at = chunks.findIndex((chunk) => chunk.op !== OP.OP_0);
+    if (at > 1 || chunks[at]?.op !== OP.OP_RETURN) return [];
+    // A parsed script keeps everything after a top-level OP_RETURN as that chunk's data
+    const trailing = chunks[at].data ? Script.fromBinary(chunks[at].data).chunks : [];
+    return [...trailing, ...chunks.slice(at + 1)]
+      .filter((chunk) => chunk.data && chunk.data.length > 0)
+      .map((chunk) => decodeOpReturnPush(chunk.data!));
+  });
+
+/**
+ * Operation of a transaction from its token outputs, following the parser's precedence:
+ * burn and deploy first, then the inscription `metadata.action` (redeem, mint), then a mint address sender.
+ */
+const historyOperation = (
+  ops: Set<string>,
+  actions: Set<string>,
+  txid: string,
+  senders: string[],
+  config: MNEEConfig,
+): TxOperation => {
+  if (ops.has('burn')) return 'burn';
+  if (ops.has('deploy+mint')) return txid === config.tokenId.split('_')[0] ? 'deploy' : 'mint';
+  if (actions.has('redeem')) return 'redeem';
+  if (actions.has('mint') || senders.includes(config.mintAddress)) return 'mint';
+  return 'transfer';
+};
+
+/**
+ * History item for `address` from a sync record. Amounts come from each address's net flow: what it
+ * received in outputs minus what it put into inputs, with the fee output shared between senders in
+ * proportion to their inputs. An address that gave value is a 'send', one that gained value a
+ * 'receive', and a sender whose value all came back (change-only transfers, consolidations) a 'self'.
+ * The fee address receives the fee output from the senders, split the same way.
+ * `operation` tells a mint, redemption or burn apart from a plain transfer.
+ *
+ * `inputs` are the token inputs by owner. They are required to split a transaction with several
+ * senders; without them the first sender is taken to have funded every output.
+ */
+export const parseSyncToTxHistory = (
+  sync: MneeSync,
+  address: string,
+  config: MNEEConfig,
+  inputs?: TxAddressAmount[],
+): TxHistory | null => {
   const txStatus: TxStatus = sync.height > 0 ? 'confirmed' : 'unconfirmed';
 
   if (!sync.rawtx) return null;
@@ -165,15 +253,18 @@ export const parseSyncToTxHistory = (sync: MneeSync, address: string, config: MN
   const tx = Transaction.fromHex(txHex);
 
   const outScripts = tx.outputs.map((output) => output.lockingScript);
-  const mneeScripts = parseCosignerScripts(outScripts);
+  // One entry per output, so indexes line up with outputs that are not MNEE (OP_RETURN, BSV change)
+  const mneeAddresses = outScripts.map((script) => parseCosignerScripts([script])[0]?.address);
   const parsedOutScripts = outScripts.map(parseInscription);
-  const mneeAddresses = mneeScripts.map((script) => script.address);
 
   const feeAddressIndex = mneeAddresses.indexOf(config.feeAddress);
-  const sender = sync.senders[0]; // only one sender for now
+  const senders = sync.senders;
 
-  let fee = 0;
-  const counterpartyAmounts = new Map<string, number>();
+  let totalFee = 0;
+  let totalOut = 0;
+  const received = new Map<string, number>();
+  const ops = new Set<string>();
+  const actions = new Set<string>();
 
   parsedOutScripts.forEach((parsedScript, index) => {
     const content = parsedScript?.file?.content;
@@ -185,53 +276,79 @@ export const parseSyncToTxHistory = (sync: MneeSync, address: string, config: MN
     let inscriptionJson: MneeInscription;
     try {
       inscriptionJson = JSON.parse(inscriptionData);
-    } catch (err) {
-      console.error('Failed to parse inscription JSON:', err);
+    } catch {
+      // Not a JSON inscription, so not an MNEE output
       return;
     }
 
-    if (inscriptionJson.p !== 'bsv-20' || inscriptionJson.id !== config.tokenId) return;
+    // A deploy inscription has no id; the token is named after its output
+    const tokenId = inscriptionJson.id ?? `${sync.txid}_${index}`;
+    if (inscriptionJson.p !== 'bsv-20' || tokenId !== config.tokenId) return;
 
     const inscriptionAmt = parseInt(inscriptionJson.amt, 10);
     if (Number.isNaN(inscriptionAmt)) return;
 
-    if (feeAddressIndex === index && sender === address) {
-      fee += inscriptionAmt;
+    ops.add(inscriptionJson.op);
+    if (inscriptionJson.metadata?.action) actions.add(inscriptionJson.metadata.action);
+
+    totalOut += inscriptionAmt;
+    if (feeAddressIndex === index) {
+      totalFee += inscriptionAmt;
       return;
     }
 
     const outAddr = mneeAddresses[index];
-    const prevAmt = counterpartyAmounts.get(outAddr) || 0;
-    counterpartyAmounts.set(outAddr, prevAmt + inscriptionAmt);
+    if (!outAddr) return;
+    received.set(outAddr, (received.get(outAddr) || 0) + inscriptionAmt);
   });
 
-  const amountSentToAddress = counterpartyAmounts.get(address) || 0;
-
-  if (txType === 'send') {
-    const senderAmt = counterpartyAmounts.get(sender) || 0;
-    counterpartyAmounts.set(sender, senderAmt - amountSentToAddress);
+  // What each address put in
+  const contributed = new Map<string, number>();
+  if (inputs) {
+    for (const input of inputs) contributed.set(input.address, (contributed.get(input.address) || 0) + input.amount);
+  } else if (senders.length > 0) {
+    contributed.set(senders[0], totalOut);
   }
 
-  let counterparties: { address: string; amount: number }[] = [];
-  if (txType === 'receive') {
-    counterparties = [{ address: sender, amount: amountSentToAddress }];
-  } else {
-    counterparties = Array.from(counterpartyAmounts.entries())
-      .map(([addr, amt]) => ({ address: addr, amount: amt }))
-      .filter((cp) => cp.address !== address && cp.address !== config.feeAddress && cp.amount > 0);
+  // The fee is paid by the senders in proportion to their inputs
+  const feeSplit = splitProportionally(totalFee, contributed);
+  const feeShares = new Map(feeSplit.map((cp) => [cp.address, cp.amount]));
+  // Unless it funded the transaction itself, the fee address is paid the fee and nothing else
+  const collectsFee = address === config.feeAddress && !contributed.has(address);
+
+  // Net change per address, fee excluded: positive gained value, negative gave it
+  const delta = new Map<string, number>();
+  for (const addr of new Set([...received.keys(), ...contributed.keys()])) {
+    if (addr === config.feeAddress && !contributed.has(addr)) continue;
+    const net = (received.get(addr) || 0) - (contributed.get(addr) || 0) + (feeShares.get(addr) || 0);
+    if (net !== 0) delta.set(addr, net);
   }
 
-  const totalCounterpartyAmount = counterparties.reduce((sum, cp) => sum + cp.amount, 0);
+  const net = collectsFee ? totalFee : delta.get(address) || 0;
+  const isSender = senders.includes(address);
+  const txType: TxType = net < 0 ? 'send' : net === 0 && isSender ? 'self' : 'receive';
+  const amount = Math.abs(net);
+
+  // Counterparties are the addresses on the other side of the flow, sharing `amount` by their own net change
+  const otherSide = new Map(
+    Array.from(delta)
+      .filter(([addr, change]) => addr !== address && (txType === 'send' ? change > 0 : change < 0))
+      .map(([addr, change]) => [addr, Math.abs(change)]),
+  );
+  const counterparties = collectsFee ? feeSplit : txType === 'self' ? [] : splitProportionally(amount, otherSide);
 
   return {
     txid: sync.txid,
     height: sync.height,
     type: txType,
+    operation: historyOperation(ops, actions, sync.txid, senders, config),
     status: txStatus,
-    amount: totalCounterpartyAmount,
-    fee,
+    amount,
+    fee: feeShares.get(address) || 0,
     score: sync.score,
     counterparties,
+    senders: [...senders],
+    extraData: parseExtraData(tx),
   };
 };
 
@@ -273,25 +390,37 @@ export const validateWIF = (wif: string): { isValid: boolean; error?: string; pr
   }
 };
 
+/**
+ * Validates a recipient or change amount and converts it to atomic units.
+ * Numbers keep their historical validation; strings and bigints are parsed exactly.
+ */
+const validateAmount = (address: string, amount: MneeAmount): { atomicAmount?: number; error?: string } => {
+  if (typeof amount === 'number' ? isNaN(amount) || !isFinite(amount) : !['string', 'bigint'].includes(typeof amount)) {
+    return { error: `Invalid amount for ${address}: amount must be a valid number` };
+  }
+  let atomicAmount: number;
+  try {
+    atomicAmount = toAtomicUnits(amount);
+  } catch (error) {
+    return { error: `Invalid amount for ${address}: ${(error as Error).message}` };
+  }
+  if (typeof amount === 'number' ? amount < MIN_TRANSFER_AMOUNT : atomicAmount < 1) {
+    return { error: `Invalid amount for ${address}: minimum transfer amount is ${MIN_TRANSFER_AMOUNT} MNEE` };
+  }
+  return { atomicAmount };
+};
+
 export const validateTransferMultiOptions = (options: TransferMultiOptions): { isValid: boolean; error?: string } => {
   for (const recipient of options.recipients) {
-    if (!recipient.address || !recipient.amount) {
+    if (!recipient.address || recipient.amount === undefined || recipient.amount === null || recipient.amount === 0) {
       return {
         isValid: false,
         error: `Invalid recipient: ${JSON.stringify(recipient)}. Missing required fields: address, amount`,
       };
     }
 
-    if (typeof recipient.amount !== 'number' || isNaN(recipient.amount) || !isFinite(recipient.amount)) {
-      return { isValid: false, error: `Invalid amount for ${recipient.address}: amount must be a valid number` };
-    }
-
-    if (recipient.amount < MIN_TRANSFER_AMOUNT) {
-      return {
-        isValid: false,
-        error: `Invalid amount for ${recipient.address}: minimum transfer amount is ${MIN_TRANSFER_AMOUNT} MNEE`,
-      };
-    }
+    const { error } = validateAmount(recipient.address, recipient.amount);
+    if (error) return { isValid: false, error };
 
     if (!validateAddress(recipient.address)) {
       return { isValid: false, error: `Invalid recipient address: ${recipient.address}` };
@@ -318,12 +447,8 @@ export const validateTransferMultiOptions = (options: TransferMultiOptions): { i
 
   if (options.changeAddress && Array.isArray(options.changeAddress)) {
     for (const change of options.changeAddress) {
-      if (change.amount < MIN_TRANSFER_AMOUNT) {
-        return {
-          isValid: false,
-          error: `Invalid amount for ${change.address}: minimum transfer amount is ${MIN_TRANSFER_AMOUNT} MNEE`,
-        };
-      }
+      const { error } = validateAmount(change.address, change.amount);
+      if (error) return { isValid: false, error };
       if (!validateAddress(change.address)) {
         return { isValid: false, error: `Invalid change address: ${change.address}` };
       }
@@ -333,10 +458,39 @@ export const validateTransferMultiOptions = (options: TransferMultiOptions): { i
   return { isValid: true };
 };
 
+/**
+ * Validates transfer recipients and amounts without requiring a key.
+ * Returns the total in atomic units when valid.
+ */
+export const validateSendRequests = (
+  options: SendMNEE[],
+): { isValid: boolean; totalAtomicAmount?: number; error?: string } => {
+  if (options.length === 0) {
+    return { isValid: false, error: 'Empty transfer options provided. Please provide at least one recipient.' };
+  }
+
+  let totalAtomicAmount = 0;
+  for (const req of options) {
+    if (!validateAddress(req.address)) {
+      return { isValid: false, error: `Invalid recipient address: ${req.address}` };
+    }
+    const { atomicAmount, error } = validateAmount(req.address, req.amount);
+    if (error || atomicAmount === undefined) return { isValid: false, error };
+    totalAtomicAmount += atomicAmount;
+  }
+
+  if (totalAtomicAmount <= 0) return { isValid: false, error: 'Invalid amount: total must be greater than 0' };
+  if (!Number.isSafeInteger(totalAtomicAmount)) {
+    return { isValid: false, error: 'Invalid amount: total exceeds the maximum supported amount' };
+  }
+
+  return { isValid: true, totalAtomicAmount };
+};
+
 export const validateTransferOptions = (
   options: SendMNEE[],
   wif: string,
-): { isValid: boolean; totalAmount?: number; privateKey?: PrivateKey; error?: string } => {
+): { isValid: boolean; totalAtomicAmount?: number; privateKey?: PrivateKey; error?: string } => {
   const { isValid, error, privateKey } = validateWIF(wif);
   if (options.length === 0) {
     return { isValid: false, error: 'Empty transfer options provided. Please provide at least one recipient.' };
@@ -351,26 +505,10 @@ export const validateTransferOptions = (
     return { isValid: false, error: 'Private key not found' };
   }
 
-  let totalAmount = 0;
-  for (const req of options) {
-    if (!validateAddress(req.address)) {
-      return { isValid: false, error: `Invalid recipient address: ${req.address}` };
-    }
-    if (typeof req.amount !== 'number' || isNaN(req.amount) || !isFinite(req.amount)) {
-      return { isValid: false, error: `Invalid amount for ${req.address}: amount must be a valid number` };
-    }
-    if (req.amount < MIN_TRANSFER_AMOUNT) {
-      return {
-        isValid: false,
-        error: `Invalid amount for ${req.address}: minimum transfer amount is ${MIN_TRANSFER_AMOUNT} MNEE`,
-      };
-    }
-    totalAmount += req.amount;
-  }
-
-  if (totalAmount <= 0) return { isValid: false, error: 'Invalid amount: total must be greater than 0' };
+  const requests = validateSendRequests(options);
+  if (!requests.isValid) return requests;
 
-  return { isValid: true, totalAmount, privateKey };
+  return { isValid: true, totalAtomicAmount: requests.totalAtomicAmount, privateKey };
 };
 
 export const isValidHex = (hex: string) => {
@@ -385,3 +523,23 @@ export const isValidHex = (hex: string) => {
     return false;
   }
 };
+
+/**
+ * Guess the encoding of a transaction hex string from its leading bytes: BEEF (V1, V2 or Atomic)
+ * starts with its version marker, EF has the `0000000000ef` marker right after the tx version.
+ */
+export const detectTransactionFormat = (hex: string): TransactionFormat => {
+  const prefix = hex.slice(0, 8).toLowerCase();
+  if (prefix === '0100beef' || prefix === '0200beef' || prefix === '01010101') return 'beef';
+  if (hex.slice(8, 20).toLowerCase() === '0000000000ef') return 'ef';
+  return 'tx';
+};
+
+/** Milliseconds to wait from a Retry-After header (seconds or an HTTP date), or undefined when absent or unusable */
+export const parseRetryAfterMs = (header: string | null): number | undefined => {
+  if (!header) return undefined;
+  const asSeconds = Number(header);
+  if (Number.isFinite(asSeconds) && asSeconds > 0) return Math.floor(asSeconds * 1000);
+  const dateMs = Date.parse(header);
+  return Number.isNaN(dateMs) ? undefined : Math.max(0, dateMs - Date.now());
+};
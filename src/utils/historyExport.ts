@@ -0,0 +1,49 @@
+import { Utils } from '@bsv/sdk';
+import { HistoryExportFormat, OpReturnData, TxHistory } from '../mnee.types.js';
+
+export const HISTORY_EXPORT_FORMATS: HistoryExportFormat[] = ['json', 'csv', 'ndjson'];
+
+const pushHex = ({ type, data }: OpReturnData): string =>
+  type === 'hex' ? data : Utils.toHex(Utils.toArray(data, 'utf8'));
+
+/** CSV columns, in order; amounts and fees are atomic units */
+const CSV_COLUMNS: { name: string; value: (row: TxHistory) => string | number }[] = [
+  { name: 'txid', value: (row) => row.txid },
+  { name: 'score', value: (row) => row.score },
+  { name: 'height', value: (row) => row.height },
+  { name: 'status', value: (row) => row.status },
+  { name: 'type', value: (row) => row.type },
+  { name: 'operation', value: (row) => row.operation },
+  { name: 'amount', value: (row) => row.amount },
+  { name: 'fee', value: (row) => row.fee },
+  // address:amount pairs separated by ';'
+  { name: 'counterparties', value: (row) => row.counterparties.map((c) => `${c.address}:${c.amount}`).join(';') },
+  { name: 'senders', value: (row) => row.senders.join(';') },
+  // Pushes as hex, even text ones, separated by ';'
+  { name: 'extraData', value: (row) => row.extraData.map(pushHex).join(';') },
+];
+
+const csvField = (value: string | number): string => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const csvHeader = (): string => `${CSV_COLUMNS.map((c) => c.name).join(',')}\n`;
+
+/**
+ * Format rows for one export chunk. `first` marks the first rows of a JSON export, which open the array;
+ * every later JSON chunk continues it, and `closeJsonExport` ends it.
+ */
+export const formatHistoryRows = (rows: TxHistory[], format: HistoryExportFormat, first: boolean): string => {
+  if (rows.length === 0) return '';
+  switch (format) {
+    case 'csv':
+      return rows.map((row) => `${CSV_COLUMNS.map((c) => csvField(c.value(row))).join(',')}\n`).join('');
+    case 'json':
+      return `${first ? '[\n' : ',\n'}${rows.map((row) => JSON.stringify(row)).join(',\n')}`;
+    case 'ndjson':
+      return rows.map((row) => `${JSON.stringify(row)}\n`).join('');
+  }
+};
+
+export const closeJsonExport = (anyRows: boolean): string => (anyRows ? '\n]\n' : '[]\n');
@@ -1,3 +1,6 @@
+import { MneeError } from '../errors.js';
+import { MneeLogger } from '../mnee.types.js';
+
 export interface NetworkErrorInfo {
   code: string;
   message: string;
@@ -5,15 +8,15 @@ export interface NetworkErrorInfo {
   originalError?: any;
 }
 
-export class NetworkError extends Error {
-  public code: string;
+export class NetworkError extends MneeError {
+  /** System error code such as ENOTFOUND or ECONNREFUSED, or NETWORK_ERROR when unknown */
+  public systemCode: string;
   public hostname?: string;
   public originalError?: any;
 
   constructor(info: NetworkErrorInfo) {
-    super(info.message);
-    this.name = 'NetworkError';
-    this.code = info.code;
+    super(info.message, 'NETWORK_ERROR');
+    this.systemCode = info.code;
     this.hostname = info.hostname;
     this.originalError = info.originalError;
   }
@@ -21,6 +24,7 @@ export class NetworkError extends Error {
 
 export function isNetworkError(error: any): boolean {
   if (!error) return false;
+  if (error instanceof NetworkError) return true;
   
   // Check for common network error codes
   const networkErrorCodes = [
@@ -53,6 +57,8 @@ export function isNetworkError(error: any): boolean {
 }
 
 export function parseNetworkError(error: any): NetworkError {
+  if (error instanceof NetworkError) return error;
+
   // Handle fetch errors with nested causes
   if (error.cause && error.cause.code) {
     const cause = error.cause;
@@ -121,13 +127,17 @@ export function parseNetworkError(error: any): NetworkError {
   });
 }
 
-export function logNetworkError(error: any, operation: string): string | undefined {
+export function logNetworkError(
+  error: any,
+  operation: string,
+  logger: Pick<MneeLogger, 'error'> = console,
+): string | undefined {
   if (isNetworkError(error)) {
     const networkError = parseNetworkError(error);
-    console.error(`Network error during ${operation}: ${networkError.message}`);
+    logger.error(`Network error during ${operation}: ${networkError.message}`);
     return networkError.message;
   } else {
-    console.error(`Failed to ${operation}:`, error);
+    logger.error(`Failed to ${operation}:`, error);
     return undefined;
   }
 }
\ No newline at end of file
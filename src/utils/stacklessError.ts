@@ -1,10 +1,10 @@
+import { MneeError } from '../errors.js';
+
 /**
  * Creates an Error object without a stack trace
  * @param message The error message
- * @returns Error object with no stack trace
+ * @returns MneeError (code MNEE_ERROR) with no stack trace
  */
-export function stacklessError(message: string): Error {
-  const error = new Error(message);
-  error.stack = undefined;
-  return error;
-}
\ No newline at end of file
+export function stacklessError(message: string): MneeError {
+  return new MneeError(message);
+}
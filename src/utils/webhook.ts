@@ -0,0 +1,53 @@
+import { Hash, Utils } from '@bsv/sdk';
+import { WebhookHeaders } from '../mnee.types';
+
+export const WEBHOOK_SIGNATURE_HEADER = 'x-mnee-signature';
+
+const WEBHOOK_STATUSES = ['BROADCASTING', 'SUCCESS', 'MINED', 'FAILED'];
+
+/** Hex HMAC-SHA256 of the raw request body, keyed with the transfer's callbackSecret */
+export const computeWebhookSignature = (rawBody: string, secret: string): string =>
+  Utils.toHex(Hash.sha256hmac(Utils.toArray(secret, 'utf8'), Utils.toArray(rawBody, 'utf8')));
+
+/**
+ * Checks a signature header against the body. Accepts an optional `sha256=` prefix and
+ * compares in constant time so the check does not leak how many characters matched.
+ */
+export const verifyWebhookSignature = (rawBody: string, signature: string, secret: string): boolean => {
+  const expected = computeWebhookSignature(rawBody, secret);
+  const received = signature.trim().replace(/^sha256=/i, '').toLowerCase();
+  if (received.length !== expected.length) return false;
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) diff |= expected.charCodeAt(i) ^ received.charCodeAt(i);
+  return diff === 0;
+};
+
+/** Case-insensitive header lookup for fetch `Headers` or Node-style header objects */
+export const getHeader = (headers: WebhookHeaders | undefined, name: string): string | undefined => {
+  if (!headers) return undefined;
+  if (typeof (headers as Headers).get === 'function') return (headers as Headers).get(name) ?? undefined;
+  const lower = name.toLowerCase();
+  for (const [key, value] of Object.entries(headers as Record<string, string | string[] | undefined>)) {
+    if (key.toLowerCase() === lower) return Array.isArray(value) ? value[0] : value;
+  }
+  return undefined;
+};
+
+/** Returns the first problem with a webhook payload, or undefined when it has the expected shape */
+export const findWebhookPayloadError = (payload: unknown): string | undefined => {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return 'body must be a JSON object';
+  const data = payload as Record<string, unknown>;
+  for (const field of ['id', 'tx_id', 'tx_hex', 'createdAt', 'updatedAt']) {
+    if (typeof data[field] !== 'string') return `${field} must be a string`;
+  }
+  if (!data.id) return 'id must not be empty';
+  if (typeof data.status !== 'string' || !WEBHOOK_STATUSES.includes(data.status)) {
+    return `status must be one of ${WEBHOOK_STATUSES.join(', ')}`;
+  }
+  if (data.action_requested !== 'transfer') return 'action_requested must be "transfer"';
+  if (data.errors !== null && data.errors !== undefined && typeof data.errors !== 'string') {
+    return 'errors must be a string or null';
+  }
+  if (data.tx_hex && !/^([0-9a-fA-F]{2})+$/.test(data.tx_hex as string)) return 'tx_hex must be hex';
+  return undefined;
+};